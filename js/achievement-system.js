@@ -109,38 +109,17 @@ class AchievementSystem {
             rarity: 'rare'
         });
 
-        // Story Progress Achievements
-        this.addAchievement({
-            id: 'meet_dragon',
-            name: 'Dragon Friend',
-            description: 'Meet Ruby the Dragon on your adventure',
-            category: 'progress',
-            icon: '🐲',
-            points: 20,
-            condition: (data) => data.charactersMetStack && data.charactersMetStack.includes('dragon'),
-            rarity: 'common'
-        });
-
-        this.addAchievement({
-            id: 'meet_wizard',
-            name: 'Wise Student',
-            description: 'Learn from Sage the Wizard',
-            category: 'progress',
-            icon: '🧙‍♂️',
-            points: 20,
-            condition: (data) => data.charactersMetStack && data.charactersMetStack.includes('wizard'),
-            rarity: 'common'
-        });
-
-        this.addAchievement({
-            id: 'meet_explorer',
-            name: 'Fellow Explorer',
-            description: 'Adventure with Scout the Explorer Mouse',
-            category: 'progress',
-            icon: '🐭',
-            points: 20,
-            condition: (data) => data.charactersMetStack && data.charactersMetStack.includes('explorer'),
-            rarity: 'common'
+        // Story Progress Achievements - one "meet" badge per companion in game data
+        Object.values(this.game.gameData?.characters || {}).forEach(companion => {
+            if (!companion.meetAchievement) return;
+            
+            this.addAchievement({
+                ...companion.meetAchievement,
+                category: 'progress',
+                points: 20,
+                condition: (data) => data.charactersMetStack && data.charactersMetStack.includes(companion.id),
+                rarity: 'common'
+            });
         });
 
         this.addAchievement({
@@ -0,0 +1,99 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - CLOCK TIME
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the clock time helpers that handle:
+ * - Reading times written as "3:30", "03:30" or "3 o'clock"
+ * - Writing times the way a child reads them off a clock: "3:05"
+ * - Adding minutes to a time and finding the minutes between two times
+ *
+ * Times are on a 12-hour analog face, so they're counted as minutes past
+ * 12:00, from 0 to 719. "12:15" is 15 and "1:00" is 60.
+ *
+ * Time Philosophy:
+ * A clock face has no a.m. or p.m., so neither do our clock puzzles.
+ */
+
+const CLOCK_MINUTES_PER_FACE = 12 * 60;
+
+class ClockTime {
+    /**
+     * Minutes past 12:00 for a written time, or null if it isn't one
+     */
+    static parse(text) {
+        const value = String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+
+        const oClock = value.match(/^(\d{1,2})\s*o'?\s*clock$/);
+        const match = oClock ? [null, oClock[1], '0'] : value.match(/^(\d{1,2})\s*[:.]\s*(\d{2})$/);
+        if (!match) return null;
+
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+        return (hours % 12) * 60 + minutes;
+    }
+
+    /**
+     * Write minutes past 12:00 as "H:MM"
+     */
+    static format(totalMinutes) {
+        const minutes = ClockTime.wrap(totalMinutes);
+        const hours = Math.floor(minutes / 60) || 12;
+        return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Rewrite any accepted time as "H:MM", or null if it isn't a time
+     */
+    static normalize(text) {
+        const minutes = ClockTime.parse(text);
+        return minutes === null ? null : ClockTime.format(minutes);
+    }
+
+    /**
+     * Check whether a value is a written time
+     */
+    static isTime(text) {
+        return typeof text === 'string' && ClockTime.parse(text) !== null;
+    }
+
+    /**
+     * Get the hour (1-12) and minutes of a time
+     */
+    static getParts(text) {
+        const minutes = ClockTime.parse(text);
+        if (minutes === null) return null;
+        return { hours: Math.floor(minutes / 60) || 12, minutes: minutes % 60 };
+    }
+
+    /**
+     * Add (or with a negative number, take away) minutes, going round the face
+     */
+    static add(text, minutes) {
+        return ClockTime.format(ClockTime.parse(text) + minutes);
+    }
+
+    /**
+     * Minutes from one time forward to another, going round the face if needed
+     */
+    static difference(start, end) {
+        return ClockTime.wrap(ClockTime.parse(end) - ClockTime.parse(start));
+    }
+
+    /**
+     * Bring any number of minutes back onto the face
+     */
+    static wrap(totalMinutes) {
+        return ((totalMinutes % CLOCK_MINUTES_PER_FACE) + CLOCK_MINUTES_PER_FACE) % CLOCK_MINUTES_PER_FACE;
+    }
+}
+
+ClockTime.MINUTES_PER_FACE = CLOCK_MINUTES_PER_FACE;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClockTime;
+} else {
+    window.ClockTime = ClockTime;
+}
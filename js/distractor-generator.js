@@ -0,0 +1,1112 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - DISTRACTOR GENERATOR
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the misconception-based distractor generator that handles:
+ * - The catalog of known misconceptions children show in our puzzles
+ * - Wrong answers derived from those misconceptions for math puzzles
+ *   (off-by-one, wrong operation, digit reversal, forgetting to carry...)
+ * - Alliterative distractors for rhyming puzzles
+ * - Misspellings children make with letter teams, silent e and endings
+ * - Tagging phonics options that end with the sound asked for, start with
+ *   a look-alike sound, share only a vowel, or miss a sound when blending
+ * - The misconceptions behind wrong answers to reading comprehension
+ *   questions, which the questions are tagged with when they're written
+ * - Misread clocks and miscounted elapsed time for clock puzzles
+ * - Miscounted coins and wrong change for money puzzles
+ * - Misread fraction models and mixed-up equivalent fractions
+ * - Look-alike shape names, miscounted sides and corners, false lines of
+ *   symmetry and perimeter mixed up with area
+ * - Tagging habitat answers that name food, or a home too hot or too cold
+ * - Matching a child's wrong answer back to the misconception behind it
+ *
+ * Every distractor is tagged:
+ *   { value: 13, misconception: 'forgot-carry' }
+ *
+ * Each misconception has a parent-facing label and a practice tip, shared
+ * with the misconception analyzer and the parent dashboard.
+ *
+ * Math puzzles may declare their operands as `numbers: [15, 8]`; otherwise
+ * the two numbers in the question are used when they produce the answer.
+ * Rhyming puzzles may declare `rhymesWith: 'cat'`; otherwise a quoted word
+ * in the question is used. Elapsed-time puzzles read their start (and end)
+ * times from the clocks they show: `clocks: [{ time: '2:15' }]`. Money
+ * puzzles read the coins shown (`items`) or the `price` and `paid` amounts,
+ * all in the currency's smallest unit. Fraction puzzles read the shaded
+ * parts from their answer ("3/4" of 4 parts), the two fractions compared
+ * from their options, and the fraction to match from `fraction: '2/3'`.
+ * Shape puzzles read the shape named in `shape: 'hexagon'`, the names on
+ * offer from `shapeNames` (or their options), and the rectangle measured
+ * from `rectangle: { width: 4, height: 3 }` with `measure: 'area'`.
+ * Spelling puzzles misspell their answer the ways children do. Phonics
+ * puzzles read the sound asked for from `sound: 'b'`, the word to rhyme
+ * with from `rhymesWith: 'cat'` and the sounds to blend from
+ * `sounds: ['c', 'a', 't']`, all written as the letters that spell them.
+ *
+ * Diagnostic Philosophy:
+ * A wrong answer is only useful if we know why it was chosen, so every
+ * wrong option on screen should stand for a real mistake children make.
+ */
+
+const MISCONCEPTIONS = {
+    'off-by-one': {
+        category: 'off-by-one',
+        subject: 'math',
+        label: 'Counts one too many or one too few',
+        tip: 'Point to each object once while counting out loud'
+    },
+    miscounted: {
+        category: 'off-by-one',
+        subject: 'math',
+        label: 'Loses track while counting',
+        tip: 'Line objects up or cross them off while counting'
+    },
+    'subtracted-instead-of-adding': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Subtracts instead of adds',
+        tip: 'Look for joining words like "and", "more" or "total" before choosing + or -'
+    },
+    'added-instead-of-subtracting': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Adds instead of subtracts',
+        tip: 'Look for taking-away words like "gave", "left" or "fewer" before choosing + or -'
+    },
+    'added-instead-of-multiplying': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Adds instead of multiplies',
+        tip: 'Draw equal groups to see why 3 groups of 4 is 4 + 4 + 4'
+    },
+    'multiplied-instead-of-dividing': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Multiplies instead of divides',
+        tip: 'Share objects into equal groups and count one group'
+    },
+    'subtracted-instead-of-dividing': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Subtracts instead of divides',
+        tip: 'Share objects into equal groups and count one group'
+    },
+    'missed-step': {
+        category: 'wrong-operation',
+        subject: 'math',
+        label: 'Stops after the first step of a word problem',
+        tip: 'Retell the story problem step by step before answering'
+    },
+    'digit-reversal': {
+        category: 'digit-reversal',
+        subject: 'math',
+        label: 'Writes the digits the wrong way round',
+        tip: 'Say the tens and ones out loud before writing the number'
+    },
+    'counted-start-twice': {
+        category: 'off-by-one',
+        subject: 'math',
+        label: 'Counts the starting number twice when counting on or back',
+        tip: 'Practise counting on from the next number: 7... 8, 9, 10, 11'
+    },
+    'forgot-carry': {
+        category: 'regrouping',
+        subject: 'math',
+        label: 'Forgets to carry the ten',
+        tip: 'Use ten-frames to show what happens when the ones make a new ten'
+    },
+    'forgot-borrow': {
+        category: 'regrouping',
+        subject: 'math',
+        label: 'Takes the smaller digit from the bigger one instead of borrowing',
+        tip: 'Use base-ten blocks to trade a ten for ten ones'
+    },
+    'clock-hands-swapped': {
+        category: 'clock-reading',
+        subject: 'math',
+        label: 'Mixes up the hour hand and the minute hand',
+        tip: 'Say "short hand, hour; long hand, minutes" while pointing to each hand'
+    },
+    'clock-next-hour': {
+        category: 'clock-reading',
+        subject: 'math',
+        label: 'Reads the hour the short hand is moving towards',
+        tip: 'Until the short hand reaches a number, the hour is the number it has just passed'
+    },
+    'clock-minute-as-number': {
+        category: 'clock-reading',
+        subject: 'math',
+        label: 'Reads the number the long hand points to as the minutes',
+        tip: 'Count by fives around the clock face: each number is 5 more minutes'
+    },
+    'elapsed-base-ten': {
+        category: 'elapsed-time',
+        subject: 'math',
+        label: 'Works out time as if an hour had 100 minutes',
+        tip: 'Count on to the next o\'clock first, then add the minutes that are left'
+    },
+    'elapsed-lost-hour': {
+        category: 'elapsed-time',
+        subject: 'math',
+        label: 'Loses or adds a whole hour when counting past o\'clock',
+        tip: 'Count the whole hours on a clock first, then the extra minutes'
+    },
+    'money-counted-coins': {
+        category: 'money-counting',
+        subject: 'math',
+        label: 'Counts the coins instead of adding up what they\'re worth',
+        tip: 'Name each coin and its value first, then count on from the coin worth the most'
+    },
+    'money-same-value': {
+        category: 'money-counting',
+        subject: 'math',
+        label: 'Counts every coin as if it were worth the same',
+        tip: 'Sort the coins into piles of the same kind and skip-count each pile'
+    },
+    'money-change-gave-price': {
+        category: 'making-change',
+        subject: 'math',
+        label: 'Gives the price as the change',
+        tip: 'Play shop: count up from the price to the money handed over'
+    },
+    'fraction-counted-unshaded': {
+        category: 'fraction-models',
+        subject: 'math',
+        label: 'Counts the parts that aren\'t shaded',
+        tip: 'Trace the shaded parts with a finger and count only those for the top number'
+    },
+    'fraction-part-to-part': {
+        category: 'fraction-models',
+        subject: 'math',
+        label: 'Compares the shaded parts with the unshaded parts instead of with the whole',
+        tip: 'The bottom number counts every part of the whole, shaded or not'
+    },
+    'fraction-upside-down': {
+        category: 'fraction-models',
+        subject: 'math',
+        label: 'Writes the top and bottom numbers the wrong way round',
+        tip: 'Top: the parts we have. Bottom: the parts that make the whole'
+    },
+    'fraction-whole-numbers': {
+        category: 'comparing-fractions',
+        subject: 'math',
+        label: 'Compares fractions by their top or bottom numbers alone',
+        tip: 'Draw both fractions on same-sized bars and see which covers more'
+    },
+    'fraction-added-same': {
+        category: 'equivalent-fractions',
+        subject: 'math',
+        label: 'Adds the same number to the top and bottom to make an equal fraction',
+        tip: 'Fold a paper strip: twice the pieces means twice the shaded pieces, so multiply, don\'t add'
+    },
+    'fraction-changed-one-part': {
+        category: 'equivalent-fractions',
+        subject: 'math',
+        label: 'Changes only the top or only the bottom number',
+        tip: 'Whatever the bottom number is multiplied by, multiply the top by the same'
+    },
+    'shape-lookalike': {
+        category: 'shape-names',
+        subject: 'math',
+        label: 'Mixes up shapes that look alike',
+        tip: 'Count the sides and corners together before saying the shape\'s name'
+    },
+    'shape-name-unknown': {
+        category: 'shape-names',
+        subject: 'math',
+        label: 'Doesn\'t know this shape\'s name yet',
+        tip: 'Go on a shape hunt at home and name each shape you find'
+    },
+    'shape-counted-corner-twice': {
+        category: 'shape-properties',
+        subject: 'math',
+        label: 'Counts the first side or corner again at the end',
+        tip: 'Keep a finger on the first corner and stop counting when you get back to it'
+    },
+    'symmetry-halves': {
+        category: 'symmetry',
+        subject: 'math',
+        label: 'Thinks any line that cuts a shape into equal halves is a line of symmetry',
+        tip: 'Fold a paper cut-out along the line: it\'s only symmetry if the halves land exactly on each other'
+    },
+    'symmetry-shifted': {
+        category: 'symmetry',
+        subject: 'math',
+        label: 'Copies a picture across the mirror line instead of flipping it',
+        tip: 'Stand a small mirror on the line and look at how the picture flips'
+    },
+    'perimeter-area-confused': {
+        category: 'perimeter-area',
+        subject: 'math',
+        label: 'Mixes up perimeter and area',
+        tip: 'Perimeter is the fence around the edge; area is the grass inside it'
+    },
+    'perimeter-two-sides': {
+        category: 'perimeter-area',
+        subject: 'math',
+        label: 'Adds only two sides for the perimeter',
+        tip: 'Walk a finger all the way round the shape and add every side'
+    },
+    'perimeter-missed-side': {
+        category: 'perimeter-area',
+        subject: 'math',
+        label: 'Leaves out a side when adding up the perimeter',
+        tip: 'Tick off each side as it\'s added'
+    },
+    'area-added-sides': {
+        category: 'perimeter-area',
+        subject: 'math',
+        label: 'Adds the side lengths instead of multiplying them for area',
+        tip: 'Count the squares in one row, then count how many rows there are'
+    },
+    'rhyme-alliteration': {
+        category: 'rhyme-alliteration',
+        subject: 'language',
+        label: 'Picks a word that starts the same instead of one that rhymes',
+        tip: 'Clap and say the word endings together: c-at, h-at'
+    },
+    'spelling-short-vowel': {
+        category: 'short-vowels',
+        subject: 'language',
+        label: 'Mixes up short vowel sounds when spelling',
+        tip: 'Practise each short vowel with a picture: apple, egg, igloo, octopus, umbrella'
+    },
+    'spelling-missed-letter': {
+        category: 'letter-teams',
+        subject: 'language',
+        label: 'Leaves out a letter from a letter team like sh, fr or ai',
+        tip: 'Tap out each sound on your fingers, then check every sound has all its letters'
+    },
+    'spelling-swapped-letters': {
+        category: 'letter-teams',
+        subject: 'language',
+        label: 'Writes the right letters in the wrong order',
+        tip: 'Say the word slowly and point to each letter as you hear its sound'
+    },
+    'spelling-dropped-silent-e': {
+        category: 'silent-e',
+        subject: 'language',
+        label: 'Leaves off the silent e that makes a vowel say its name',
+        tip: 'Add and take away the e on cards: cap, cape; kit, kite'
+    },
+    'spelling-forgot-doubling': {
+        category: 'word-endings',
+        subject: 'language',
+        label: 'Forgets to double the last letter before adding -ing or -ed',
+        tip: 'Short vowel and one last consonant? Double it first: run, running'
+    },
+    'spelling-sounded-out': {
+        category: 'word-endings',
+        subject: 'language',
+        label: 'Spells an ending the way it sounds instead of the way it\'s written',
+        tip: 'Collect -tion and -ture words on a poster and read them together'
+    },
+    'phonics-final-sound': {
+        category: 'initial-sounds',
+        subject: 'language',
+        label: 'Picks a word that ends with the sound instead of starting with it',
+        tip: 'Say the word slowly and stop after the very first sound: b... at'
+    },
+    'phonics-similar-sound': {
+        category: 'initial-sounds',
+        subject: 'language',
+        label: 'Mixes up sounds made the same way, like /b/ and /p/',
+        tip: 'Say the two sounds with a hand in front of your mouth and feel the difference'
+    },
+    'rhyme-same-vowel': {
+        category: 'rhyming',
+        subject: 'language',
+        label: 'Takes a word with the same middle sound for a rhyme',
+        tip: 'Rhymes match from the vowel to the end: c-at and h-at, but not c-at and c-ap'
+    },
+    'blending-first-sound-only': {
+        category: 'blending',
+        subject: 'language',
+        label: 'Guesses a word from its first sound instead of blending every sound',
+        tip: 'Slide a finger under each sound as you say it, then say them faster and faster'
+    },
+    'blending-swapped-vowel': {
+        category: 'blending',
+        subject: 'language',
+        label: 'Changes the vowel sound in the middle when blending',
+        tip: 'Practise the short vowels with actions: a for apple, e for egg, i for itch'
+    },
+    'blending-dropped-sound': {
+        category: 'blending',
+        subject: 'language',
+        label: 'Leaves a sound out when blending',
+        tip: 'Count the sounds on your fingers, then check the word has every one'
+    },
+    'comprehension-wrong-detail': {
+        category: 'literal-recall',
+        subject: 'language',
+        label: 'Picks a detail from another part of the story',
+        tip: 'Find the sentence that answers the question and put a finger on it before choosing'
+    },
+    'comprehension-not-in-story': {
+        category: 'literal-recall',
+        subject: 'language',
+        label: 'Chooses something the story never says',
+        tip: 'After reading, ask "Where does it say that?" and look back together'
+    },
+    'comprehension-too-literal': {
+        category: 'inference',
+        subject: 'language',
+        label: 'Repeats words from the story instead of reading between the lines',
+        tip: 'Ask "How do you know?" and "Why do you think that happened?" while reading aloud'
+    },
+    'comprehension-no-evidence': {
+        category: 'inference',
+        subject: 'language',
+        label: 'Makes a guess the clues in the story don\'t support',
+        tip: 'Hunt for two clues in the story that back up each guess'
+    },
+    'comprehension-everyday-meaning': {
+        category: 'vocabulary-in-context',
+        subject: 'language',
+        label: 'Uses a word\'s everyday meaning instead of its meaning in the sentence',
+        tip: 'Swap each possible meaning into the sentence and see which one makes sense'
+    },
+    'comprehension-look-alike-word': {
+        category: 'vocabulary-in-context',
+        subject: 'language',
+        label: 'Mixes up a new word with one that looks or sounds like it',
+        tip: 'Cover all but the word and read it slowly, sound by sound'
+    },
+    'comprehension-word-guess': {
+        category: 'vocabulary-in-context',
+        subject: 'language',
+        label: 'Guesses a word\'s meaning without using the sentence around it',
+        tip: 'Read the sentences before and after a new word for clues to its meaning'
+    },
+    'habitat-diet': {
+        category: 'habitat-diet',
+        subject: 'science',
+        label: 'Confuses where an animal lives with what it eats',
+        tip: 'Sort animal cards twice: once by home, once by food'
+    },
+    'habitat-climate': {
+        category: 'habitat-climate',
+        subject: 'science',
+        label: 'Picks a home too hot or too cold for the animal\'s body',
+        tip: 'Look at the animal\'s fur, feathers or skin and ask what weather it is made for'
+    }
+};
+
+// Operation -> how to compute it, for checking operands against an answer
+const DISTRACTOR_OPERATIONS = {
+    addition: (a, b) => a + b,
+    subtraction: (a, b) => a - b,
+    multiplication: (a, b) => a * b,
+    division: (a, b) => a / b
+};
+
+// Skills whose answers are fractions, or the missing part of one
+const FRACTION_SKILLS = ['naming-fractions', 'comparing-fractions', 'equivalent-fractions'];
+
+// Skills practised with shapes, grids and lines of symmetry
+const SHAPE_SKILLS = ['naming-shapes', 'sides-and-corners', 'symmetry', 'perimeter-area'];
+
+// Shape -> the shapes children most often mistake it for
+const SHAPE_LOOKALIKES = {
+    circle: ['oval', 'octagon'],
+    oval: ['circle', 'rectangle'],
+    triangle: ['trapezoid', 'pentagon'],
+    square: ['rectangle', 'rhombus'],
+    rectangle: ['square', 'parallelogram'],
+    rhombus: ['square', 'parallelogram'],
+    trapezoid: ['parallelogram', 'triangle'],
+    parallelogram: ['rhombus', 'rectangle'],
+    pentagon: ['hexagon', 'octagon'],
+    hexagon: ['pentagon', 'octagon'],
+    octagon: ['hexagon', 'circle']
+};
+
+// Letter teams a misspelling can split or swap, most telling first
+const SPELLING_LETTER_TEAMS = [
+    'sh', 'ch', 'th', 'wh', 'ck',
+    'ai', 'ay', 'ee', 'ea', 'oa', 'oo', 'ou', 'ow', 'oi', 'oy',
+    'ar', 'er', 'ir', 'or', 'ur',
+    'br', 'cr', 'dr', 'fr', 'gr', 'tr', 'cl', 'fl', 'pl', 'sn', 'st', 'sw'
+];
+
+// Short vowel -> the one children most often hear in its place
+const SPELLING_SHORT_VOWEL_MIXUPS = { a: 'e', e: 'i', i: 'e', o: 'u', u: 'o' };
+
+// Word ending -> how it's spelled by sound
+const SPELLING_SOUNDED_ENDINGS = { tion: 'shun', sion: 'shun', ture: 'cher' };
+
+// Skills practised by listening to sounds and words
+const PHONICS_SKILLS = ['initial-sounds', 'hearing-rhymes', 'blending'];
+
+// Sound (written as the letters that spell it) -> sounds made the same way in the mouth
+const PHONICS_SIMILAR_SOUNDS = {
+    b: ['p', 'd'], p: ['b'], d: ['t', 'b'], t: ['d'],
+    c: ['g'], k: ['g'], g: ['c', 'k'],
+    f: ['v', 'th'], v: ['f'], th: ['f'],
+    m: ['n'], n: ['m'],
+    s: ['z', 'sh'], z: ['s'], sh: ['ch', 's'], ch: ['sh', 'j'], j: ['ch'],
+    l: ['r'], r: ['w', 'l'], w: ['r']
+};
+
+// Spellings of the same sound, so "duck" ends with the /k/ of "cat"
+const PHONICS_SAME_SOUNDS = {
+    c: ['c', 'k', 'ck'],
+    k: ['c', 'k', 'ck'],
+    ck: ['c', 'k', 'ck']
+};
+
+// Food words that show a child answered what an animal eats, not where it lives
+const DIET_WORDS = ['fish', 'krill', 'seal', 'meat', 'leaves', 'grass', 'seeds', 'nuts', 'berries', 'insects', 'bugs', 'bamboo', 'fruit', 'honey', 'plants'];
+
+// Words that give a habitat's climate, so a desert for a penguin can be told apart from a near miss
+const HABITAT_CLIMATES = {
+    cold: ['cold', 'icy', 'ice', 'snowy', 'snow', 'frozen', 'arctic', 'antarctica', 'polar'],
+    hot: ['hot', 'warm', 'tropical', 'desert', 'deserts', 'sandy', 'jungle', 'rainforest'],
+    mild: ['grassy', 'meadow', 'meadows', 'plains', 'woods', 'woodland', 'farm']
+};
+
+// Short words by first letter for alliterative rhyming distractors
+const ALLITERATION_WORDS = {
+    b: ['bag', 'bed', 'bus', 'box'],
+    c: ['cup', 'cow', 'car', 'cake'],
+    d: ['dog', 'duck', 'door', 'dig'],
+    f: ['fan', 'fox', 'fish', 'fork'],
+    h: ['hop', 'hen', 'hill', 'horn'],
+    l: ['leg', 'lid', 'lamp', 'leaf'],
+    m: ['map', 'mud', 'milk', 'mop'],
+    n: ['net', 'nut', 'nose', 'nap'],
+    p: ['pig', 'pen', 'pot', 'pond'],
+    r: ['rug', 'red', 'rock', 'rope'],
+    s: ['sun', 'sock', 'soap', 'sand'],
+    t: ['top', 'tub', 'ten', 'toad'],
+    w: ['web', 'wig', 'wind', 'wolf']
+};
+
+class DistractorGenerator {
+    /**
+     * Tag a puzzle's wrong options with misconceptions, replacing hand-written ones where we can
+     *
+     * Returns a copy of the content with `options` and a `distractors` list.
+     */
+    static forPuzzle(content, metadata, random = Math.random) {
+        if (metadata.skill === 'telling-time' || metadata.skill === 'elapsed-time') {
+            const distractors = DistractorGenerator.forTime(metadata.skill, content);
+            if (distractors.length === 0) return content;
+
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (metadata.skill === 'counting-money' || metadata.skill === 'making-change') {
+            const distractors = DistractorGenerator.forMoney(metadata.skill, content);
+            if (distractors.length === 0) return content;
+
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (FRACTION_SKILLS.includes(metadata.skill)) {
+            const distractors = DistractorGenerator.forFraction(metadata.skill, content);
+            if (distractors.length === 0) return content;
+
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (SHAPE_SKILLS.includes(metadata.skill)) {
+            const distractors = DistractorGenerator.forShape(metadata.skill, content);
+            if (distractors.length === 0) return content;
+
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (PHONICS_SKILLS.includes(metadata.skill) && Array.isArray(content.options)) {
+            return { ...content, distractors: DistractorGenerator.forPhonics(metadata.skill, content) };
+        }
+
+        if (metadata.skill === 'spelling') {
+            const distractors = DistractorGenerator.forSpelling(content);
+            if (distractors.length === 0) return content;
+
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (metadata.subject === 'math') {
+            const numbers = content.numbers || DistractorGenerator.findOperands(content.question, metadata.skill, content.answer);
+            if (!numbers) return content;
+
+            const distractors = DistractorGenerator.forMath(metadata.skill, numbers, content.answer);
+            return { ...content, ...DistractorGenerator.showDistractors(content, distractors, random) };
+        }
+
+        if (metadata.skill === 'rhyming' && Array.isArray(content.options)) {
+            const target = content.rhymesWith || DistractorGenerator.findQuotedWord(content.question);
+            if (!target) return content;
+
+            return { ...content, ...DistractorGenerator.forRhyming(target, content.answer, content.options, random) };
+        }
+
+        if (metadata.skill === 'habitats' && Array.isArray(content.options)) {
+            const distractors = content.options
+                .filter(option => option !== content.answer)
+                .map(value => ({ value, misconception: DistractorGenerator.classifyHabitat(content.answer, value) }))
+                .filter(distractor => distractor.misconception);
+            return { ...content, distractors };
+        }
+
+        return content;
+    }
+
+    /**
+     * Put distractors in place of a puzzle's wrong options
+     *
+     * Typed and clock answers keep their interface but can still be diagnosed.
+     */
+    static showDistractors(content, distractors, random = Math.random) {
+        if (!Array.isArray(content.options)) {
+            return { distractors };
+        }
+
+        const shown = distractors.slice(0, Math.max(content.options.length - 1, 1));
+        return {
+            options: DistractorGenerator.shuffle([content.answer, ...shown.map(distractor => distractor.value)], random),
+            distractors: shown
+        };
+    }
+
+    /**
+     * Wrong answers for a math problem, most diagnostic first
+     */
+    static forMath(operation, numbers, answer, count = 3) {
+        const [a, b, c] = numbers;
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value, misconception });
+
+        switch (operation) {
+            case 'addition':
+                add(DistractorGenerator.addWithoutCarry(a, b), 'forgot-carry');
+                add(Math.abs(a - b), 'subtracted-instead-of-adding');
+                add(answer - 1, 'counted-start-twice');
+                break;
+            case 'subtraction':
+                add(DistractorGenerator.subtractWithoutBorrow(a, b), 'forgot-borrow');
+                add(a + b, 'added-instead-of-subtracting');
+                add(answer + 1, 'counted-start-twice');
+                break;
+            case 'multiplication':
+                add(a + b, 'added-instead-of-multiplying');
+                break;
+            case 'division':
+                add(a * b, 'multiplied-instead-of-dividing');
+                add(a - b, 'subtracted-instead-of-dividing');
+                break;
+            case 'multi-step':
+                add(a * b, 'missed-step');
+                if (c !== undefined && a * b + c === answer) {
+                    add(a * b - c, 'subtracted-instead-of-adding');
+                } else if (c !== undefined) {
+                    add(a * b + c, 'added-instead-of-subtracting');
+                }
+                break;
+        }
+
+        add(DistractorGenerator.reverseDigits(answer), 'digit-reversal');
+        add(answer + 1, 'off-by-one');
+        add(answer - 1, 'off-by-one');
+        add(answer + 2, 'miscounted');
+        add(answer - 2, 'miscounted');
+
+        const distractors = [];
+        candidates.forEach(candidate => {
+            const { value } = candidate;
+            if (!Number.isInteger(value) || value < 0 || value === answer) return;
+            if (distractors.some(distractor => distractor.value === value)) return;
+            distractors.push(candidate);
+        });
+
+        return distractors.slice(0, count);
+    }
+
+    /**
+     * Wrong answers for a clock puzzle, from the times its clocks show
+     */
+    static forTime(skill, content, count = 3) {
+        if (skill === 'elapsed-time') {
+            const [start, end] = (content.clocks || []).map(clock => clock.time);
+            if (!ClockTime.isTime(start)) return [];
+
+            return DistractorGenerator.forElapsed(start, end || content.answer, content.answer, count);
+        }
+
+        return DistractorGenerator.forClock(content.answer, count);
+    }
+
+    /**
+     * Wrong readings of a clock showing a time, most diagnostic first
+     */
+    static forClock(answer, count = 3) {
+        const parts = ClockTime.getParts(answer);
+        if (!parts) return [];
+
+        const { hours, minutes } = parts;
+        const time = ClockTime.parse(answer);
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value: ClockTime.format(value), misconception });
+
+        if (minutes % 5 === 0) {
+            // The long hand's number read as the hour and the short hand's as five-minute steps
+            add((minutes / 5) * 60 + (hours % 12) * 5, 'clock-hands-swapped');
+        }
+        if (minutes > 0) {
+            add(time + 60, 'clock-next-hour');
+        }
+        if (minutes > 0 && minutes % 5 === 0) {
+            add(time - minutes + minutes / 5, 'clock-minute-as-number');
+        }
+        add(time + 60, 'off-by-one');
+        add(time - 60, 'off-by-one');
+
+        return DistractorGenerator.uniqueDistractors(candidates, answer).slice(0, count);
+    }
+
+    /**
+     * Wrong answers for an elapsed-time problem
+     *
+     * `answer` is the minutes between `start` and `end`, or the end time itself.
+     */
+    static forElapsed(start, end, answer, count = 3) {
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value, misconception });
+
+        if (typeof answer === 'number') {
+            // 2:45 to 3:15 worked out like 315 - 245
+            const from = ClockTime.getParts(start);
+            const to = ClockTime.getParts(end);
+            if (from && to && to.hours >= from.hours) {
+                add((to.hours * 100 + to.minutes) - (from.hours * 100 + from.minutes), 'elapsed-base-ten');
+            }
+            add(answer - 60, 'elapsed-lost-hour');
+            add(answer + 60, 'elapsed-lost-hour');
+            add(answer + 5, 'miscounted');
+            add(answer - 5, 'miscounted');
+
+            return DistractorGenerator.uniqueDistractors(candidates.filter(candidate => candidate.value > 0), answer).slice(0, count);
+        }
+
+        const time = ClockTime.parse(answer);
+        if (time === null) return [];
+        add(ClockTime.format(time + 60), 'elapsed-lost-hour');
+        add(ClockTime.format(time - 60), 'elapsed-lost-hour');
+        add(ClockTime.format(time + 5), 'miscounted');
+        add(ClockTime.format(time - 5), 'miscounted');
+
+        return DistractorGenerator.uniqueDistractors(candidates, answer).slice(0, count);
+    }
+
+    /**
+     * Wrong amounts for a money puzzle, in the currency's smallest unit
+     *
+     * Counting reads the coins shown; making change reads the price and
+     * the amount paid. Puzzles with neither get no distractors.
+     */
+    static forMoney(skill, content, count = 3) {
+        const answer = content.answer;
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value, misconception });
+
+        if (skill === 'making-change') {
+            const { price, paid } = content;
+            if (typeof price !== 'number' || typeof paid !== 'number') return [];
+
+            add(DistractorGenerator.subtractWithoutBorrow(paid, price), 'forgot-borrow');
+            add(price, 'money-change-gave-price');
+            add(paid + price, 'added-instead-of-subtracting');
+        } else {
+            const items = content.items;
+            if (!Array.isArray(items) || items.length === 0) return [];
+
+            add(items.length, 'money-counted-coins');
+            add(items.length * Math.max(...items), 'money-same-value');
+            add(items.length * Math.min(...items), 'money-same-value');
+        }
+
+        // Missing or doubling the smallest coin on the way
+        const step = Math.min(...(content.denominations || content.items || [1]));
+        add(answer + step, 'miscounted');
+        add(answer - step, 'miscounted');
+
+        return DistractorGenerator.uniqueDistractors(candidates.filter(candidate => candidate.value > 0), answer).slice(0, count);
+    }
+
+    /**
+     * Wrong answers for a fraction puzzle, most diagnostic first
+     *
+     * Naming reads the parts from the answer: "3/4" is 3 shaded of 4. Comparing
+     * tags the other fraction on offer. Equivalence reads `fraction`, the
+     * amount to match, and answers either as a fraction or as the missing top number.
+     */
+    static forFraction(skill, content, count = 3) {
+        const answer = content.answer;
+        const candidates = [];
+        const add = (numerator, denominator, misconception) => {
+            if (numerator >= 0 && denominator > 0) candidates.push({ value: `${numerator}/${denominator}`, misconception });
+        };
+
+        if (skill === 'comparing-fractions') {
+            return (content.options || [])
+                .filter(option => Fraction.isFraction(option) && !Fraction.equals(option, answer))
+                .map(value => ({ value, misconception: 'fraction-whole-numbers' }))
+                .slice(0, count);
+        }
+
+        if (skill === 'equivalent-fractions') {
+            const given = Fraction.parse(content.fraction);
+            if (!given) return [];
+
+            if (typeof answer === 'number') {
+                // The missing top number: 2/3 = ?/12
+                const denominator = content.denominator || given.denominator * answer / given.numerator;
+                const missing = [
+                    { value: given.numerator + denominator - given.denominator, misconception: 'fraction-added-same' },
+                    { value: given.numerator, misconception: 'fraction-changed-one-part' },
+                    { value: answer + 1, misconception: 'off-by-one' },
+                    { value: answer - 1, misconception: 'off-by-one' }
+                ];
+                return DistractorGenerator.uniqueDistractors(missing.filter(candidate => candidate.value > 0), answer).slice(0, count);
+            }
+
+            const target = Fraction.parse(answer);
+            if (!target) return [];
+            const step = target.denominator - given.denominator;
+            add(given.numerator + step, target.denominator, 'fraction-added-same');
+            add(target.numerator, given.denominator, 'fraction-changed-one-part');
+            add(given.numerator, target.denominator, 'fraction-changed-one-part');
+            add(target.denominator, target.numerator, 'fraction-upside-down');
+        } else {
+            const target = Fraction.parse(answer);
+            if (!target) return [];
+            const { numerator: shaded, denominator: parts } = target;
+            add(parts - shaded, parts, 'fraction-counted-unshaded');
+            add(shaded, parts - shaded, 'fraction-part-to-part');
+            add(parts, shaded, 'fraction-upside-down');
+        }
+
+        // Equal amounts are right answers too, so they can't be distractors
+        const distractors = [];
+        candidates.forEach(candidate => {
+            if (Fraction.equals(candidate.value, answer)) return;
+            if (distractors.some(distractor => Fraction.equals(distractor.value, candidate.value))) return;
+            distractors.push(candidate);
+        });
+        return distractors.slice(0, count);
+    }
+
+    /**
+     * Wrong answers for a shape puzzle, most diagnostic first
+     *
+     * Naming offers look-alike shapes before other names the child may not
+     * know yet. Counting sides, corners and lines of symmetry reads the
+     * `shape`; perimeter and area read the `rectangle` and `measure`.
+     * Yes/no and grid answers are tagged by the puzzle that builds them.
+     */
+    static forShape(skill, content, count = 3) {
+        const answer = content.answer;
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value, misconception });
+
+        if (skill === 'naming-shapes') {
+            const names = content.shapeNames || content.options || [];
+            (SHAPE_LOOKALIKES[answer] || [])
+                .filter(name => names.includes(name))
+                .forEach(name => add(name, 'shape-lookalike'));
+            names.forEach(name => add(name, 'shape-name-unknown'));
+            return DistractorGenerator.uniqueDistractors(candidates, answer).slice(0, count);
+        }
+
+        if (typeof answer !== 'number') return [];
+
+        if (skill === 'perimeter-area') {
+            const { width, height } = content.rectangle || {};
+            if (!width || !height) return [];
+
+            if (content.measure === 'perimeter') {
+                add(width * height, 'perimeter-area-confused');
+                add(width + height, 'perimeter-two-sides');
+                add(answer - Math.min(width, height), 'perimeter-missed-side');
+            } else {
+                add(2 * (width + height), 'perimeter-area-confused');
+                add(width + height, 'area-added-sides');
+            }
+            add(answer + 1, 'miscounted');
+            add(answer - 1, 'miscounted');
+        } else if (skill === 'symmetry') {
+            // Diagonals of a rectangle, or the middle of a parallelogram, cut it in half without mirroring it
+            if (['rectangle', 'oval', 'rhombus', 'parallelogram'].includes(content.shape)) {
+                add(answer + 2, 'symmetry-halves');
+            }
+            add(answer + 1, 'off-by-one');
+            add(answer - 1, 'off-by-one');
+        } else {
+            add(answer + 1, 'shape-counted-corner-twice');
+            add(answer - 1, 'off-by-one');
+            add(answer + 2, 'miscounted');
+        }
+
+        return DistractorGenerator.uniqueDistractors(candidates.filter(candidate => candidate.value >= 0), answer).slice(0, count);
+    }
+
+    /**
+     * Tag the wrong options of a phonics puzzle with the listening slip they'd show
+     */
+    static forPhonics(skill, content) {
+        const answer = String(content.answer || '').toLowerCase();
+        const wrong = (content.options || [])
+            .map(option => String(option).toLowerCase())
+            .filter(option => option !== answer);
+        const tag = misconception => value => (misconception ? { value, misconception } : null);
+
+        if (skill === 'initial-sounds') {
+            const sound = String(content.sound || answer.charAt(0)).toLowerCase();
+            const spellings = PHONICS_SAME_SOUNDS[sound] || [sound];
+            const similar = PHONICS_SIMILAR_SOUNDS[sound] || [];
+
+            return wrong.map(option => tag(
+                spellings.some(spelling => option.endsWith(spelling)) ? 'phonics-final-sound'
+                    : similar.some(other => option.startsWith(other)) ? 'phonics-similar-sound'
+                        : null
+            )(option)).filter(Boolean);
+        }
+
+        if (skill === 'hearing-rhymes') {
+            const target = String(content.rhymesWith || '').toLowerCase();
+            const vowel = target.search(/[aeiou]/);
+            if (vowel < 0) return [];
+
+            return wrong.map(option => {
+                const optionVowel = option.search(/[aeiou]/);
+                if (option.slice(optionVowel) === target.slice(vowel)) return null;
+                if (option.slice(0, optionVowel) === target.slice(0, vowel)) return tag('rhyme-alliteration')(option);
+                return tag(option.charAt(optionVowel) === target.charAt(vowel) ? 'rhyme-same-vowel' : null)(option);
+            }).filter(Boolean);
+        }
+
+        if (skill === 'blending') {
+            const sounds = (content.sounds || answer.split('')).map(sound => String(sound).toLowerCase());
+            const first = sounds[0];
+            const last = sounds[sounds.length - 1];
+            // Every letter of a word, in order, somewhere in the answer
+            const isShortened = option => option.length === answer.length - 1
+                && option.split('').reduce((from, letter) => (from < 0 ? -1 : answer.indexOf(letter, from) + 1 || -1), 0) > 0;
+
+            return wrong.map(option => tag(
+                isShortened(option) ? 'blending-dropped-sound'
+                    : option.length === answer.length && option.startsWith(first) && option.endsWith(last) ? 'blending-swapped-vowel'
+                        : option.startsWith(first) ? 'blending-first-sound-only'
+                            : null
+            )(option)).filter(Boolean);
+        }
+
+        return [];
+    }
+
+    /**
+     * Misspellings of a word, the way children make them
+     */
+    static forSpelling(content, count = 3) {
+        const word = String(content.answer || '').toLowerCase();
+        if (!/^[a-z]+$/.test(word)) return [];
+
+        const candidates = [];
+        const add = (value, misconception) => candidates.push({ value, misconception });
+
+        const ending = word.match(/(tion|sion|ture)$/);
+        if (ending) {
+            add(word.slice(0, -4) + SPELLING_SOUNDED_ENDINGS[ending[1]], 'spelling-sounded-out');
+        }
+        const doubled = word.match(/([b-df-hj-np-tv-z])\1(ing|ed)$/);
+        if (doubled) {
+            add(word.slice(0, doubled.index + 1) + doubled[2], 'spelling-forgot-doubling');
+        }
+        // -ture ends in an e too, but it isn't a silent e
+        if (!ending && /[aeiou][b-df-hj-np-tv-z]e$/.test(word)) {
+            add(word.slice(0, -1), 'spelling-dropped-silent-e');
+        }
+
+        const team = SPELLING_LETTER_TEAMS.find(letters => word.includes(letters));
+        if (team) {
+            const at = word.indexOf(team);
+            add(word.slice(0, at) + team[0] + word.slice(at + 2), 'spelling-missed-letter');
+            add(word.slice(0, at) + team[1] + team[0] + word.slice(at + 2), 'spelling-swapped-letters');
+        }
+
+        const vowels = word.match(/[aeiou]/g) || [];
+        // A vowel before r isn't a short vowel: bird, car
+        if (vowels.length === 1 && !/[aeiou]r/.test(word)) {
+            add(word.replace(vowels[0], SPELLING_SHORT_VOWEL_MIXUPS[vowels[0]]), 'spelling-short-vowel');
+        }
+
+        return DistractorGenerator.uniqueDistractors(candidates, word).slice(0, count);
+    }
+
+    /**
+     * Drop candidates that repeat an earlier value or the answer itself
+     */
+    static uniqueDistractors(candidates, answer) {
+        const distractors = [];
+        candidates.forEach(candidate => {
+            if (DistractorGenerator.normalize(candidate.value) === DistractorGenerator.normalize(answer)) return;
+            if (distractors.some(distractor => distractor.value === candidate.value)) return;
+            distractors.push(candidate);
+        });
+        return distractors;
+    }
+
+    /**
+     * Tag rhyming options, adding an alliterative word if none is there
+     */
+    static forRhyming(target, answer, options, random = Math.random) {
+        const initial = target.charAt(0).toLowerCase();
+        const isAlliterative = word => String(word).charAt(0).toLowerCase() === initial && word !== answer;
+
+        let wrongOptions = options.filter(option => option !== answer);
+        if (!wrongOptions.some(isAlliterative)) {
+            const words = (ALLITERATION_WORDS[initial] || []).filter(word => !options.includes(word) && word !== target);
+            if (words.length > 0 && wrongOptions.length > 0) {
+                // Swap out a random wrong option for a word that only shares the first sound
+                const replaced = wrongOptions[Math.floor(random() * wrongOptions.length)];
+                const word = words[Math.floor(random() * words.length)];
+                wrongOptions = wrongOptions.map(option => (option === replaced ? word : option));
+            }
+        }
+
+        const distractors = wrongOptions
+            .filter(isAlliterative)
+            .map(value => ({ value, misconception: 'rhyme-alliteration' }));
+
+        return {
+            options: options.map(option => (option === answer ? option : wrongOptions.shift())),
+            distractors
+        };
+    }
+
+    /**
+     * Check whether a habitat answer names food instead of a place
+     */
+    static isDietAnswer(answer) {
+        const words = DistractorGenerator.normalize(answer).split(/[^a-z]+/);
+        return DIET_WORDS.some(word => words.includes(word));
+    }
+
+    /**
+     * Get the climate a habitat answer describes ('cold', 'hot' or 'mild'), or null
+     */
+    static getHabitatClimate(answer) {
+        const words = DistractorGenerator.normalize(answer).split(/[^a-z]+/);
+        return Object.keys(HABITAT_CLIMATES).find(climate => HABITAT_CLIMATES[climate].some(word => words.includes(word))) || null;
+    }
+
+    /**
+     * Name the misconception behind a wrong habitat answer, or null if it doesn't show one
+     */
+    static classifyHabitat(answer, userAnswer) {
+        if (DistractorGenerator.isDietAnswer(userAnswer)) return 'habitat-diet';
+
+        const climate = DistractorGenerator.getHabitatClimate(answer);
+        const chosen = DistractorGenerator.getHabitatClimate(userAnswer);
+        return climate && chosen && climate !== chosen ? 'habitat-climate' : null;
+    }
+
+    /**
+     * Find the distractor a child's answer matches, if any
+     */
+    static diagnose(distractors, userAnswer) {
+        if (!Array.isArray(distractors)) return null;
+
+        const given = DistractorGenerator.normalize(userAnswer);
+        return distractors.find(distractor => DistractorGenerator.normalize(distractor.value) === given) || null;
+    }
+
+    /**
+     * Get a misconception's catalog entry
+     */
+    static getMisconception(id) {
+        return MISCONCEPTIONS[id] || null;
+    }
+
+    /**
+     * Use the two numbers in a question if they produce the answer
+     */
+    static findOperands(question, operation, answer) {
+        const compute = DISTRACTOR_OPERATIONS[operation];
+        if (!compute || typeof answer !== 'number' || !question) return null;
+
+        const numbers = (question.match(/\d+/g) || []).map(Number);
+        if (numbers.length !== 2) return null;
+
+        return compute(numbers[0], numbers[1]) === answer ? numbers : null;
+    }
+
+    /**
+     * Find the 'quoted' word a rhyming question asks about
+     */
+    static findQuotedWord(question) {
+        const match = /['"]([A-Za-z]+)['"]/.exec(question || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Add column by column, dropping every carried ten
+     */
+    static addWithoutCarry(a, b) {
+        let result = 0;
+        for (let place = 1; a > 0 || b > 0; place *= 10, a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+            result += ((a % 10 + b % 10) % 10) * place;
+        }
+        return result;
+    }
+
+    /**
+     * Subtract column by column, taking the smaller digit from the bigger
+     */
+    static subtractWithoutBorrow(a, b) {
+        let result = 0;
+        for (let place = 1; a > 0 || b > 0; place *= 10, a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+            result += Math.abs(a % 10 - b % 10) * place;
+        }
+        return result;
+    }
+
+    /**
+     * Reverse a number's digits, e.g. 23 -> 32
+     */
+    static reverseDigits(value) {
+        if (!Number.isInteger(value) || value < 10) return null;
+        return Number(String(value).split('').reverse().join(''));
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    static shuffle(list, random = Math.random) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Compare answers the way the puzzle system does
+     */
+    static normalize(value) {
+        return String(value).trim().toLowerCase();
+    }
+}
+
+DistractorGenerator.MISCONCEPTIONS = MISCONCEPTIONS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DistractorGenerator;
+} else {
+    window.DistractorGenerator = DistractorGenerator;
+}
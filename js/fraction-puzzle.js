@@ -0,0 +1,692 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - FRACTION PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the fraction puzzle family that handles:
+ * - SVG pie and bar models cut into equal parts
+ * - Shading parts of a model by tapping, dragging across it or with
+ *   the keyboard
+ * - Naming and shading fractions, comparing two fractions and finding
+ *   equivalent fractions, by age group and difficulty
+ * - Fraction answer options tagged with the misconceptions they stand for
+ *
+ * Fraction puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'math',
+ *     skill: 'naming-fractions' | 'comparing-fractions' | 'equivalent-fractions',
+ *     question, answer: '3/4' | 8,
+ *     models: [{ parts: 4, shaded: 3, shape: 'pie', label: 'Ruby\'s pie' }],   // to read
+ *     inputType: 'fraction', shadeModel: { parts: 8, shape: 'bar' },           // to shade
+ *     fraction: '2/3', denominator: 12    // the amount to match, for equivalence
+ *   }
+ *
+ * Fraction answers are matched by value (see fraction.js): shading 6 of 8
+ * parts answers "3/4", and typing "0.75" does too.
+ *
+ * Fraction Philosophy:
+ * A fraction is an amount before it's two numbers, so every fraction here
+ * comes with something to look at, cut up and colour in.
+ */
+
+// Skills, denominators and interaction per age group and difficulty
+const FRACTION_LEVELS = {
+    'ages4-6': {
+        skills: ['naming-fractions'],
+        denominators: { easy: [2], medium: [2], hard: [2, 4], expert: [2, 3, 4] },
+        typed: {},
+        shadeMultiplier: {}
+    },
+    'ages7-9': {
+        skills: ['naming-fractions', 'naming-fractions', 'comparing-fractions'],
+        denominators: { easy: [2, 4], medium: [2, 3, 4], hard: [2, 3, 4, 6, 8], expert: [3, 4, 5, 6, 8] },
+        typed: {},
+        shadeMultiplier: {}
+    },
+    'ages10-12': {
+        skills: ['naming-fractions', 'comparing-fractions', 'equivalent-fractions', 'equivalent-fractions'],
+        denominators: { easy: [2, 3, 4, 6], medium: [3, 4, 6, 8], hard: [3, 4, 5, 6, 8, 10], expert: [3, 4, 5, 6, 8, 10, 12] },
+        // Write the answer instead of choosing it
+        typed: { hard: true, expert: true },
+        // Shade a model cut into more parts than the fraction, e.g. 3/4 on eighths
+        shadeMultiplier: { hard: 2, expert: 2 }
+    }
+};
+
+// Things our friends share out, for fraction word problems
+const FRACTION_TREATS = [
+    { name: 'berry pie', owner: 'Ruby', emoji: '🥧', shape: 'pie' },
+    { name: 'pizza', owner: 'Scout', emoji: '🍕', shape: 'pie' },
+    { name: 'honey cake', owner: 'Sage', emoji: '🍰', shape: 'pie' },
+    { name: 'chocolate bar', owner: 'Scout', emoji: '🍫', shape: 'bar' },
+    { name: 'starlight ribbon', owner: 'Sage', emoji: '✨', shape: 'bar' },
+    { name: 'garden bed', owner: 'Ruby', emoji: '🌷', shape: 'bar' }
+];
+
+const FRACTION_OPTION_COUNT = 4;
+const FRACTION_MAX_TRIES = 20;
+const FRACTION_PIE_SIZE = 200;
+const FRACTION_PIE_CENTER = FRACTION_PIE_SIZE / 2;
+const FRACTION_PIE_RADIUS = 90;
+const FRACTION_BAR_WIDTH = 240;
+const FRACTION_BAR_HEIGHT = 60;
+
+/**
+ * Fraction Model
+ * Draws a pie or bar cut into equal parts and, when mounted, lets children shade them
+ */
+class FractionModel {
+    constructor(options = {}) {
+        this.parts = options.parts || 4;
+        this.shape = options.shape || 'pie';
+        this.label = options.label || 'Fraction model';
+        this.shaded = new Set(FractionModel.getShadedParts(options.shaded || 0, this.parts));
+        // Called with the shaded fraction whenever a part changes
+        this.onChange = options.onChange || null;
+        this.svg = null;
+        this.partElements = [];
+        this.painting = null;
+    }
+
+    /**
+     * Draw a model as SVG markup, with shadeable parts when interactive
+     *
+     * `shaded` is a number of parts (shaded from the start) or a Set of part indexes.
+     */
+    static renderSVG(parts, shaded, options = {}) {
+        const shape = options.shape || 'pie';
+        const shadedParts = shaded instanceof Set ? shaded : new Set(FractionModel.getShadedParts(shaded, parts));
+        const label = options.label || 'Fraction model';
+
+        let partMarkup = '';
+        for (let i = 0; i < parts; i++) {
+            const isShaded = shadedParts.has(i);
+            const toggle = options.interactive
+                ? ` tabindex="0" role="checkbox" aria-checked="${isShaded}" aria-label="Part ${i + 1} of ${parts}"`
+                : '';
+            const attributes = `class="fraction-part${isShaded ? ' shaded' : ''}" data-part="${i}"${toggle}`;
+
+            if (shape === 'bar') {
+                const width = (FRACTION_BAR_WIDTH - 8) / parts;
+                partMarkup += `<rect ${attributes} x="${4 + i * width}" y="4" width="${width}" height="${FRACTION_BAR_HEIGHT - 8}"/>`;
+            } else if (parts === 1) {
+                partMarkup += `<circle ${attributes} cx="${FRACTION_PIE_CENTER}" cy="${FRACTION_PIE_CENTER}" r="${FRACTION_PIE_RADIUS}"/>`;
+            } else {
+                partMarkup += `<path ${attributes} d="${FractionModel.getWedgePath(i, parts)}"/>`;
+            }
+        }
+
+        const role = options.interactive
+            ? `role="group" aria-label="${label}"`
+            : `role="img" aria-label="${label}: ${shadedParts.size} of ${parts} equal parts shaded"`;
+        const viewBox = shape === 'bar'
+            ? `0 0 ${FRACTION_BAR_WIDTH} ${FRACTION_BAR_HEIGHT}`
+            : `0 0 ${FRACTION_PIE_SIZE} ${FRACTION_PIE_SIZE}`;
+
+        return `
+            <svg class="fraction-model fraction-${shape}${options.interactive ? ' interactive' : ''}" viewBox="${viewBox}" ${role}>
+                ${partMarkup}
+            </svg>
+        `;
+    }
+
+    /**
+     * Indexes of the first `count` parts, for a model shaded from the start
+     */
+    static getShadedParts(count, parts) {
+        return Array.from({ length: Math.min(count, parts) }, (_, i) => i);
+    }
+
+    /**
+     * SVG path for one wedge of a pie, clockwise from 12
+     */
+    static getWedgePath(index, parts) {
+        const point = angle => {
+            const radians = angle * Math.PI / 180;
+            return [
+                Math.round((FRACTION_PIE_CENTER + FRACTION_PIE_RADIUS * Math.sin(radians)) * 10) / 10,
+                Math.round((FRACTION_PIE_CENTER - FRACTION_PIE_RADIUS * Math.cos(radians)) * 10) / 10
+            ];
+        };
+        const [x1, y1] = point(index * 360 / parts);
+        const [x2, y2] = point((index + 1) * 360 / parts);
+
+        // With two or more parts no wedge is over half the pie, so the arc is never the large one
+        return `M ${FRACTION_PIE_CENTER} ${FRACTION_PIE_CENTER} L ${x1} ${y1} A ${FRACTION_PIE_RADIUS} ${FRACTION_PIE_RADIUS} 0 0 1 ${x2} ${y2} Z`;
+    }
+
+    /**
+     * Draw the model into a container and start listening for taps, drags and keys
+     */
+    mount(container) {
+        container.innerHTML = FractionModel.renderSVG(this.parts, this.shaded, {
+            shape: this.shape,
+            interactive: true,
+            label: this.label
+        });
+        this.svg = container.querySelector('svg');
+        this.partElements = Array.from(this.svg.querySelectorAll('[data-part]'));
+
+        this.partElements.forEach((element, index) => {
+            element.addEventListener('pointerdown', (e) => this.startPaint(index, e));
+            element.addEventListener('keydown', (e) => this.handleKeydown(index, e));
+        });
+        this.svg.addEventListener('pointermove', (e) => this.paint(e));
+        this.svg.addEventListener('pointerup', () => this.endPaint());
+        this.svg.addEventListener('pointercancel', () => this.endPaint());
+
+        return this;
+    }
+
+    /**
+     * Shade or unshade the touched part, and keep doing the same to parts dragged over
+     */
+    startPaint(index, event) {
+        event.preventDefault();
+        this.painting = !this.shaded.has(index);
+        this.partElements[index].focus();
+        this.setPart(index, this.painting);
+    }
+
+    /**
+     * Paint the part under the pointer while dragging
+     */
+    paint(event) {
+        if (this.painting === null) return;
+
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const part = element && element.closest ? element.closest('[data-part]') : null;
+        if (part && this.svg.contains(part)) {
+            this.setPart(Number(part.dataset.part), this.painting);
+        }
+    }
+
+    /**
+     * Stop painting
+     */
+    endPaint() {
+        this.painting = null;
+    }
+
+    /**
+     * Shade or unshade one part
+     */
+    setPart(index, isShaded) {
+        if (this.shaded.has(index) === isShaded) return;
+
+        if (isShaded) {
+            this.shaded.add(index);
+        } else {
+            this.shaded.delete(index);
+        }
+        this.update();
+        if (this.onChange) this.onChange(this.getFraction());
+    }
+
+    /**
+     * Redraw the parts and their screen reader states
+     */
+    update() {
+        this.partElements.forEach((element, index) => {
+            const isShaded = this.shaded.has(index);
+            element.classList.toggle('shaded', isShaded);
+            element.setAttribute('aria-checked', String(isShaded));
+        });
+    }
+
+    /**
+     * Enter or Space shades a part; the arrow keys, Home and End move between parts
+     */
+    handleKeydown(index, event) {
+        const last = this.parts - 1;
+        const moves = {
+            ArrowRight: Math.min(index + 1, last),
+            ArrowDown: Math.min(index + 1, last),
+            ArrowLeft: Math.max(index - 1, 0),
+            ArrowUp: Math.max(index - 1, 0),
+            Home: 0,
+            End: last
+        };
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            this.setPart(index, !this.shaded.has(index));
+        } else if (moves[event.key] !== undefined) {
+            this.partElements[moves[event.key]].focus();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        // Keep Enter and the arrow keys on the model instead of the answer choices
+        event.stopPropagation();
+    }
+
+    /**
+     * Get the shaded fraction as written from the model, e.g. "6/8"
+     */
+    getFraction() {
+        return `${this.shaded.size}/${this.parts}`;
+    }
+
+    /**
+     * Get the answer the model gives, or null while nothing is shaded
+     */
+    getAnswer() {
+        return this.shaded.size > 0 ? this.getFraction() : null;
+    }
+}
+
+/**
+ * Fraction Puzzle Generator
+ * Builds naming, comparing and equivalent fraction puzzles for an age group
+ */
+class FractionPuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || FRACTION_LEVELS;
+        this.treats = options.treats || FRACTION_TREATS;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick one of the fraction skills practised by an age group
+     */
+    pickSkill(ageGroup) {
+        return this.pick(this.getLevel(ageGroup).skills);
+    }
+
+    /**
+     * Generate a fresh fraction puzzle config for a skill
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        if (skill === 'naming-fractions') {
+            return this.random() < 0.5
+                ? this.buildReadModel(ageGroup, difficulty)
+                : this.buildShadeModel(ageGroup, difficulty);
+        }
+        if (skill === 'comparing-fractions') {
+            return this.buildCompare(ageGroup, difficulty);
+        }
+        if (skill === 'equivalent-fractions') {
+            const builders = [
+                () => this.buildEquivalentChoice(ageGroup, difficulty),
+                () => this.buildEquivalentShade(ageGroup, difficulty)
+            ];
+            if (this.getLevel(ageGroup).typed[difficulty]) {
+                builders.push(() => this.buildMissingNumerator(ageGroup, difficulty));
+            }
+            return this.pick(builders)();
+        }
+        throw new Error(`Unknown fraction skill "${skill}"`);
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * A random proper fraction with one of the age group's denominators
+     */
+    randomFraction(ageGroup, difficulty) {
+        const denominator = this.pick(this.getLevel(ageGroup).denominators[difficulty] || [2, 4]);
+        return { numerator: this.randomInt(1, denominator - 1), denominator };
+    }
+
+    /**
+     * Work out what fraction of a model is shaded
+     */
+    buildReadModel(ageGroup, difficulty) {
+        const { numerator, denominator } = this.randomFraction(ageGroup, difficulty);
+        const answer = `${numerator}/${denominator}`;
+        const treat = this.pick(this.treats);
+        const typed = Boolean(this.getLevel(ageGroup).typed[difficulty]);
+        const distractors = DistractorGenerator.forFraction('naming-fractions', { answer }, typed ? Infinity : FRACTION_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'naming-fractions',
+            title: `${treat.owner}'s ${FractionPuzzleGenerator.capitalize(treat.name)}`,
+            question: typed
+                ? `${treat.owner} cut a ${treat.name} ${treat.emoji} into ${denominator} equal parts. What fraction is shaded? Write it like 1/2.`
+                : `${treat.owner} cut a ${treat.name} ${treat.emoji} into ${denominator} equal parts. What fraction is shaded?`,
+            correctAnswer: answer,
+            ...(typed
+                ? { inputType: 'text' }
+                : { options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]) }),
+            distractors,
+            models: [{ parts: denominator, shaded: numerator, shape: treat.shape, label: `${treat.owner}'s ${treat.name}` }],
+            hints: [
+                `Count all the parts: that's the bottom number, ${denominator}.`,
+                'Now count only the shaded parts: that\'s the top number.',
+                `${numerator} of ${denominator} parts are shaded: ${answer}.`
+            ]
+        };
+    }
+
+    /**
+     * Shade a fraction of a model
+     */
+    buildShadeModel(ageGroup, difficulty) {
+        const { numerator, denominator } = this.randomFraction(ageGroup, difficulty);
+        const multiplier = this.getLevel(ageGroup).shadeMultiplier[difficulty] || 1;
+        const parts = denominator * multiplier;
+        const answer = `${numerator}/${denominator}`;
+        const treat = this.pick(this.treats);
+
+        return {
+            subtype: 'naming-fractions',
+            title: `Share ${treat.owner}'s ${FractionPuzzleGenerator.capitalize(treat.name)}`,
+            question: `${treat.owner} wants to share ${answer} of the ${treat.name} ${treat.emoji}. Shade ${answer} of it!`,
+            correctAnswer: answer,
+            inputType: 'fraction',
+            shadeModel: { parts, shape: treat.shape },
+            distractors: DistractorGenerator.forFraction('naming-fractions', { answer: `${numerator * multiplier}/${parts}` }, Infinity),
+            hints: multiplier > 1
+                ? [
+                    `This one is cut into ${parts} parts, not ${denominator}.`,
+                    `Every ${multiplier} small parts make one ${FractionPuzzleGenerator.getPartName(denominator)}.`,
+                    `Shade ${numerator * multiplier} of the ${parts} parts: ${numerator * multiplier}/${parts} is the same as ${answer}.`
+                ]
+                : [
+                    `The bottom number, ${denominator}, is how many parts there are.`,
+                    `The top number, ${numerator}, is how many to shade.`,
+                    `Tap ${numerator} of the ${denominator} parts to shade them.`
+                ]
+        };
+    }
+
+    /**
+     * Choose the bigger of two fractions of same-sized wholes
+     */
+    buildCompare(ageGroup, difficulty) {
+        const first = this.randomFraction(ageGroup, difficulty);
+        let second = this.randomFraction(ageGroup, difficulty);
+        for (let tries = 0; Fraction.equals(first, second) && tries < FRACTION_MAX_TRIES; tries++) {
+            second = this.randomFraction(ageGroup, difficulty);
+        }
+        // Too few denominators to find two different amounts: cut the second whole finer
+        if (Fraction.equals(first, second)) {
+            second = { numerator: first.numerator, denominator: first.denominator + 1 };
+        }
+
+        const a = Fraction.format(first);
+        const b = Fraction.format(second);
+        const answer = Fraction.compare(first, second) > 0 ? a : b;
+        const shape = this.random() < 0.5 ? 'pie' : 'bar';
+        const options = this.shuffle([a, b]);
+
+        return {
+            subtype: 'comparing-fractions',
+            title: 'Who Has More?',
+            question: `Sage has ${a} of a magic ${shape === 'pie' ? 'pie' : 'ribbon'} and Scout has ${b} of one just the same size. Which fraction is bigger?`,
+            correctAnswer: answer,
+            options,
+            distractors: DistractorGenerator.forFraction('comparing-fractions', { answer, options }),
+            models: [
+                { parts: first.denominator, shaded: first.numerator, shape, label: `Sage: ${a}` },
+                { parts: second.denominator, shaded: second.numerator, shape, label: `Scout: ${b}` }
+            ],
+            hints: [
+                'Look at the pictures: which one has more shaded?',
+                first.denominator === second.denominator
+                    ? 'The parts are the same size, so more shaded parts means a bigger fraction.'
+                    : 'More parts means smaller parts: a bigger bottom number doesn\'t make a bigger fraction.',
+                `${answer} covers more of the whole.`
+            ]
+        };
+    }
+
+    /**
+     * A fraction to match and the same amount in more, smaller parts
+     */
+    buildEquivalentPair(ageGroup, difficulty) {
+        const given = Fraction.simplify(this.randomFraction(ageGroup, difficulty));
+        const multipliers = [2, 3, 4].filter(multiplier => given.denominator * multiplier <= 12);
+        const multiplier = multipliers.length > 0 ? this.pick(multipliers) : 2;
+
+        return {
+            given,
+            multiplier,
+            equivalent: { numerator: given.numerator * multiplier, denominator: given.denominator * multiplier }
+        };
+    }
+
+    /**
+     * Choose the fraction that's the same amount as another
+     */
+    buildEquivalentChoice(ageGroup, difficulty) {
+        const { given, multiplier, equivalent } = this.buildEquivalentPair(ageGroup, difficulty);
+        const fraction = Fraction.format(given);
+        const answer = Fraction.format(equivalent);
+        const distractors = DistractorGenerator.forFraction('equivalent-fractions', { answer, fraction }, FRACTION_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'equivalent-fractions',
+            title: 'Sage\'s Potion Measures',
+            question: `Sage's recipe needs ${fraction} of a flask of moonwater. Which fraction is the same amount?`,
+            correctAnswer: answer,
+            options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            fraction,
+            models: [{ parts: given.denominator, shaded: given.numerator, shape: 'bar', label: fraction }],
+            hints: [
+                'Equal fractions cover the same amount of the bar.',
+                'Multiply the top and the bottom by the same number.',
+                `${given.numerator} × ${multiplier} = ${equivalent.numerator} and ${given.denominator} × ${multiplier} = ${equivalent.denominator}, so ${fraction} = ${answer}.`
+            ]
+        };
+    }
+
+    /**
+     * Shade a model cut into smaller parts to match a fraction
+     */
+    buildEquivalentShade(ageGroup, difficulty) {
+        const { given, multiplier, equivalent } = this.buildEquivalentPair(ageGroup, difficulty);
+        const fraction = Fraction.format(given);
+
+        return {
+            subtype: 'equivalent-fractions',
+            title: 'Scout\'s Trail Bars',
+            question: `Scout's first trail bar shows ${fraction}. His second bar is cut into ${equivalent.denominator} parts. Shade it to show the same amount!`,
+            correctAnswer: fraction,
+            inputType: 'fraction',
+            shadeModel: { parts: equivalent.denominator, shape: 'bar' },
+            fraction,
+            models: [{ parts: given.denominator, shaded: given.numerator, shape: 'bar', label: `First bar: ${fraction}` }],
+            distractors: DistractorGenerator.forFraction('equivalent-fractions', { answer: Fraction.format(equivalent), fraction }, Infinity),
+            hints: [
+                'Line the bars up: the shading should end in the same place.',
+                `Each part of the first bar is ${multiplier} parts of the second.`,
+                `Shade ${equivalent.numerator} of the ${equivalent.denominator} parts.`
+            ]
+        };
+    }
+
+    /**
+     * Find the missing top number of an equivalent fraction
+     */
+    buildMissingNumerator(ageGroup, difficulty) {
+        const { given, multiplier, equivalent } = this.buildEquivalentPair(ageGroup, difficulty);
+        const fraction = Fraction.format(given);
+
+        return {
+            subtype: 'equivalent-fractions',
+            title: 'The Missing Number',
+            question: `${fraction} = ?/${equivalent.denominator}. What is the missing top number?`,
+            correctAnswer: equivalent.numerator,
+            inputType: 'number',
+            fraction,
+            denominator: equivalent.denominator,
+            models: [{ parts: given.denominator, shaded: given.numerator, shape: 'bar', label: fraction }],
+            distractors: DistractorGenerator.forFraction('equivalent-fractions', {
+                answer: equivalent.numerator,
+                fraction,
+                denominator: equivalent.denominator
+            }, Infinity),
+            hints: [
+                `What was ${given.denominator} multiplied by to make ${equivalent.denominator}?`,
+                `${given.denominator} × ${multiplier} = ${equivalent.denominator}, so multiply the top by ${multiplier} too.`,
+                `${given.numerator} × ${multiplier} = ${equivalent.numerator}`
+            ]
+        };
+    }
+
+    /**
+     * Name of one part of a whole cut into a number of parts, e.g. "quarter"
+     */
+    static getPartName(denominator) {
+        const names = { 2: 'half', 3: 'third', 4: 'quarter', 5: 'fifth', 6: 'sixth', 8: 'eighth', 10: 'tenth', 12: 'twelfth' };
+        return names[denominator] || `1/${denominator}`;
+    }
+
+    /**
+     * Capitalize each word of a name, e.g. "berry pie" -> "Berry Pie"
+     */
+    static capitalize(text) {
+        return text.replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    /**
+     * Random whole number from min to max inclusive
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Fraction Puzzle Class
+ * A math puzzle whose visual aids are pie and bar models
+ */
+class FractionPuzzle extends MathPuzzle {
+    constructor(config) {
+        super({ useVisualObjects: true, ...config });
+        this.models = config.models || [];
+        this.inputType = config.inputType || null;
+        this.shadeModel = config.shadeModel || null;
+        this.fraction = config.fraction || null;
+    }
+
+    /**
+     * Match fractions by value, so "2/4" and "0.5" answer "1/2"
+     */
+    checkAnswer(answer) {
+        if (typeof this.correctAnswer === 'number') {
+            return Number(answer) === this.correctAnswer;
+        }
+        return Fraction.equals(answer, this.correctAnswer);
+    }
+
+    /**
+     * Generate the models to read or match
+     */
+    generateVisualAids() {
+        if (!this.useVisualObjects || this.models.length === 0) return '';
+
+        return `
+            <div class="math-visual-aids fraction-visual-aids">
+                ${this.models.map(model => `
+                    <figure class="fraction-figure">
+                        ${FractionModel.renderSVG(model.parts, model.shaded, { shape: model.shape, label: model.label })}
+                        ${model.label ? `<figcaption class="fraction-label">${model.label}</figcaption>` : ''}
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate answer interface for fraction problems
+     */
+    generateAnswerInterface() {
+        if (this.inputType === 'fraction' && this.shadeModel) {
+            // The model is drawn and wired up by FractionModel.mount once on the page
+            return `
+                <div class="answer-interface fraction-input"
+                     data-parts="${this.shadeModel.parts}"
+                     data-shape="${this.shadeModel.shape || 'pie'}"></div>
+            `;
+        }
+
+        if (this.inputType === 'text') {
+            return `
+                <div class="answer-interface text-input">
+                    <input type="text"
+                           class="math-input fraction-text-input"
+                           placeholder="e.g. 1/2"
+                           autocomplete="off"
+                           aria-label="Fraction answer input">
+                </div>
+            `;
+        }
+
+        return super.generateAnswerInterface();
+    }
+
+    /**
+     * Pick the fraction skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new FractionPuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate fraction puzzle
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new FractionPuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new FractionPuzzle({
+            id: `fraction-${Date.now()}`,
+            type: 'math',
+            operation: selected.subtype,
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            metadata: { subject: 'math', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Fraction puzzles are math puzzles; the router passes these content fields through
+FractionPuzzle.SUBJECT = 'math';
+FractionPuzzle.CONTENT_FIELDS = ['models', 'inputType', 'shadeModel', 'fraction'];
+FractionPuzzle.SKILLS = ['naming-fractions', 'comparing-fractions', 'equivalent-fractions'];
+FractionPuzzleGenerator.LEVELS = FRACTION_LEVELS;
+FractionPuzzleGenerator.TREATS = FRACTION_TREATS;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FractionModel,
+        FractionPuzzleGenerator,
+        FractionPuzzle
+    };
+} else {
+    window.FractionModel = FractionModel;
+    window.FractionPuzzleGenerator = FractionPuzzleGenerator;
+    window.FractionPuzzle = FractionPuzzle;
+}
@@ -0,0 +1,119 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - FRACTION
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the fraction helpers that handle:
+ * - Reading fractions written as "3/4", mixed numbers like "1 1/2" and
+ *   decimals like "0.5" (or "0,5")
+ * - Writing fractions as "3/4" and simplifying them
+ * - Comparing fractions by value, so "1/2", "2/4" and "0.5" are equal
+ *
+ * Fractions are plain objects: { numerator: 3, denominator: 4 }. They're
+ * kept as written; "2/4" stays 2/4 until it's simplified.
+ *
+ * Fraction Philosophy:
+ * Two halves of a pie and four quarters of it are the same pie; a child
+ * who writes either has understood it.
+ */
+
+const FRACTION_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+const FRACTION_MIXED_PATTERN = /^(\d+)\s+(\d+)\s*\/\s*(\d+)$/;
+const FRACTION_DECIMAL_PATTERN = /^(\d*)[.,](\d+)$|^(\d+)$/;
+
+class Fraction {
+    /**
+     * Read a fraction, mixed number or decimal, or null if it isn't one
+     */
+    static parse(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value >= 0 ? Fraction.parse(String(value)) : null;
+        }
+
+        const text = String(value === undefined || value === null ? '' : value).trim();
+
+        const fraction = text.match(FRACTION_PATTERN);
+        if (fraction) {
+            return Fraction.create(Number(fraction[1]), Number(fraction[2]));
+        }
+
+        const mixed = text.match(FRACTION_MIXED_PATTERN);
+        if (mixed) {
+            const denominator = Number(mixed[3]);
+            return Fraction.create(Number(mixed[1]) * denominator + Number(mixed[2]), denominator);
+        }
+
+        const decimal = text.match(FRACTION_DECIMAL_PATTERN);
+        if (decimal) {
+            if (decimal[3] !== undefined) return Fraction.create(Number(decimal[3]), 1);
+            const denominator = 10 ** decimal[2].length;
+            return Fraction.create(Number(decimal[1] || 0) * denominator + Number(decimal[2]), denominator);
+        }
+
+        return null;
+    }
+
+    /**
+     * Make a fraction, or null if the denominator is zero
+     */
+    static create(numerator, denominator) {
+        return denominator > 0 ? { numerator, denominator } : null;
+    }
+
+    /**
+     * Write a fraction (or anything parse reads) as "3/4"
+     */
+    static format(value) {
+        const fraction = typeof value === 'object' && value !== null ? value : Fraction.parse(value);
+        return fraction ? `${fraction.numerator}/${fraction.denominator}` : null;
+    }
+
+    /**
+     * Check whether a value is written as a fraction, e.g. "3/4"
+     */
+    static isFraction(value) {
+        return typeof value === 'string' && FRACTION_PATTERN.test(value.trim());
+    }
+
+    /**
+     * Lowest terms: 6/8 -> 3/4
+     */
+    static simplify(value) {
+        const fraction = typeof value === 'object' && value !== null ? value : Fraction.parse(value);
+        if (!fraction) return null;
+
+        const divisor = Fraction.gcd(fraction.numerator, fraction.denominator) || 1;
+        return Fraction.create(fraction.numerator / divisor, fraction.denominator / divisor);
+    }
+
+    /**
+     * Check whether two values are the same amount however they're written
+     */
+    static equals(a, b) {
+        return Fraction.compare(a, b) === 0;
+    }
+
+    /**
+     * Negative if a is smaller, positive if bigger, 0 if equal, null if either isn't a fraction
+     */
+    static compare(a, b) {
+        const x = typeof a === 'object' && a !== null ? a : Fraction.parse(a);
+        const y = typeof b === 'object' && b !== null ? b : Fraction.parse(b);
+        if (!x || !y) return null;
+
+        return Math.sign(x.numerator * y.denominator - y.numerator * x.denominator);
+    }
+
+    /**
+     * Greatest common divisor
+     */
+    static gcd(a, b) {
+        return b === 0 ? a : Fraction.gcd(b, a % b);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Fraction;
+} else {
+    window.Fraction = Fraction;
+}
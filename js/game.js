@@ -34,7 +34,7 @@ class EnchantedLibraryGame {
             progress: {
                 stars: 0,
                 puzzlesSolved: 0,
-                totalPuzzles: CONFIG.CONTENT.PUZZLES_PER_PATH * CONFIG.CONTENT.STORY_PATHS.length,
+                totalPuzzles: 0, // Set from the chosen companion's story path
                 completionPercentage: 0,
                 achievements: [],
                 pathsCompleted: [],
@@ -44,6 +44,9 @@ class EnchantedLibraryGame {
                     science: 1
                 }
             },
+            storyVariables: {},
+            scenesVisited: [],
+            puzzleResults: {}, // Best result per puzzle scene: { result, stars }
             settings: {
                 soundEnabled: CONFIG.FEATURES.SOUNDS_ENABLED,
                 musicEnabled: CONFIG.FEATURES.BACKGROUND_MUSIC,
@@ -70,12 +73,14 @@ class EnchantedLibraryGame {
 
         // Game data storage
         this.gameData = null;
+        this.storyGraph = null;
         this.currentStoryPath = null;
         this.currentScene = null;
         
         // Game subsystems
         this.sceneManager = null;
         this.puzzleSystem = null;
+        this.pathMap = null;
         
         // UI element references
         this.screens = {};
@@ -141,12 +146,31 @@ class EnchantedLibraryGame {
             }
             this.gameData = await response.json();
             console.log('📊 Game data loaded successfully');
+            
+            this.storyGraph = this.buildStoryGraph();
         } catch (error) {
             console.error('❌ Failed to load game data:', error);
             throw error;
         }
     }
 
+    /**
+     * Merge all story sources into one scene graph
+     */
+    buildStoryGraph() {
+        if (typeof StoryLoader === 'undefined') return null;
+        
+        const storyGraph = new StoryLoader();
+        
+        if (typeof STORY_SCENES !== 'undefined') {
+            storyGraph.load(STORY_SCENES, 'scenes.js');
+        }
+        storyGraph.load(this.gameData, 'gameData.json');
+        
+        console.log(`📚 Story graph built with ${Object.keys(storyGraph.scenes).length} scenes`);
+        return storyGraph;
+    }
+
     /**
      * Initialize UI element references
      */
@@ -158,7 +182,8 @@ class EnchantedLibraryGame {
             characterCreation: document.getElementById('character-creation'),
             story: document.getElementById('story-screen'),
             puzzle: document.getElementById('puzzle-screen'),
-            results: document.getElementById('results-screen')
+            results: document.getElementById('results-screen'),
+            map: document.getElementById('map-screen')
         };
 
         // Progress tracking elements
@@ -195,6 +220,7 @@ class EnchantedLibraryGame {
         // Initialize sound system
         if (typeof SoundSystem !== 'undefined') {
             this.soundSystem = new SoundSystem(this);
+            this.soundSystem.registerCompanionVoices(this.getCompanions());
         }
         
         // Initialize save system
@@ -230,6 +256,16 @@ class EnchantedLibraryGame {
         // Note: Accessibility and Internationalization systems are initialized 
         // globally in index.html to ensure they're available before game content loads
         
+        // Initialize story variables before scenes read them
+        if (typeof StoryVariables !== 'undefined') {
+            this.storyVariables = new StoryVariables(this);
+        }
+        
+        // Initialize scene action runner
+        if (typeof SceneActionRunner !== 'undefined') {
+            this.sceneActions = new SceneActionRunner(this);
+        }
+        
         // Initialize scene manager
         if (typeof SceneManager !== 'undefined') {
             this.sceneManager = new SceneManager(this);
@@ -242,6 +278,12 @@ class EnchantedLibraryGame {
             this.puzzleSystem.initialize();
         }
         
+        // Initialize story path map
+        if (typeof PathMap !== 'undefined') {
+            this.pathMap = new PathMap(this);
+            this.pathMap.initialize();
+        }
+        
         console.log('🔧 All game systems initialized');
         
         // Setup auto-save if enabled
@@ -303,6 +345,8 @@ class EnchantedLibraryGame {
      * Set up character creation interface
      */
     setupCharacterCreation() {
+        this.renderCharacterCards();
+        
         const characterOptions = document.querySelectorAll('.character-option');
         const playerNameInput = document.getElementById('player-name');
         const beginAdventureBtn = document.getElementById('begin-adventure');
@@ -465,6 +509,14 @@ class EnchantedLibraryGame {
         // Reset game state
         this.resetGameState();
         
+        if (this.sceneManager) {
+            this.sceneManager.resetHistory();
+        }
+        
+        if (this.puzzleSystem) {
+            this.puzzleSystem.adaptiveDifficultyManager.loadState(null);
+        }
+        
         // Show character creation
         this.showScreen('characterCreation');
         
@@ -513,6 +565,9 @@ class EnchantedLibraryGame {
                 achievements: [],
                 pathsCompleted: []
             },
+            storyVariables: {},
+            scenesVisited: [],
+            puzzleResults: {},
             settings: {
                 soundEnabled: true,
                 animationsEnabled: true,
@@ -543,6 +598,65 @@ class EnchantedLibraryGame {
         }
     }
 
+    /**
+     * Build the companion cards from gameData.characters
+     */
+    renderCharacterCards() {
+        const container = document.querySelector('.character-selection');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        this.getCompanions().forEach(companion => {
+            const card = document.createElement('div');
+            card.className = 'character-option';
+            card.dataset.character = companion.id;
+            card.tabIndex = 0;
+            card.setAttribute('role', 'button');
+            card.setAttribute('aria-label', `Select ${companion.name} companion`);
+            
+            const avatar = document.createElement('div');
+            avatar.className = `character-avatar companion-card-avatar ${companion.avatar || ''}`;
+            avatar.style.background = `linear-gradient(135deg, ${companion.color}, ${companion.color}80)`;
+            avatar.textContent = companion.emoji;
+            
+            const name = document.createElement('h3');
+            name.textContent = companion.name;
+            
+            const tagline = document.createElement('p');
+            tagline.textContent = companion.tagline || companion.description;
+            
+            const specialty = document.createElement('div');
+            specialty.className = 'character-specialty';
+            specialty.textContent = companion.specialty;
+            
+            card.append(avatar, name, tagline, specialty);
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * Get all companions defined in gameData
+     */
+    getCompanions() {
+        return Object.values(this.gameData?.characters || {});
+    }
+
+    /**
+     * Get a companion definition by id
+     */
+    getCompanion(characterId) {
+        return (characterId && this.gameData?.characters?.[characterId]) || null;
+    }
+
+    /**
+     * Get the story path id for a companion
+     */
+    getCompanionPath(characterId) {
+        const companion = this.getCompanion(characterId);
+        return companion?.path || characterId;
+    }
+
     /**
      * Select a character companion
      */
@@ -562,7 +676,7 @@ class EnchantedLibraryGame {
         this.gameState.player.character = characterId;
         
         // Get character data for announcement
-        const characterData = this.gameData?.characters[characterId];
+        const characterData = this.gameData?.characters?.[characterId];
         if (characterData) {
             this.announceToScreenReader(`Selected ${characterData.name}, ${characterData.description}`);
         }
@@ -651,7 +765,10 @@ class EnchantedLibraryGame {
      */
     initializeProgress() {
         const characterId = this.gameState.player.character;
-        const storyPath = this.gameData.storyPaths[characterId];
+        const pathId = this.getCompanionPath(characterId);
+        const storyPath = this.gameData.storyPaths[pathId];
+        
+        this.gameState.player.currentPath = pathId;
         
         if (storyPath) {
             this.gameState.progress.totalPuzzles = this.countPuzzlesInPath(storyPath);
@@ -679,14 +796,19 @@ class EnchantedLibraryGame {
     /**
      * Load and display a specific scene
      */
-    loadScene(sceneId) {
+    loadScene(sceneId, options = {}) {
         console.log('🎬 Loading scene:', sceneId);
         
+        if (this.storyGraph && !StoryLoader.isPathEnd(sceneId) && !this.storyGraph.hasScene(sceneId)) {
+            this.showError(`Scene not found: ${sceneId}`);
+            return;
+        }
+        
         this.gameState.player.currentScene = sceneId;
         
         // Use scene manager for scene loading
         if (this.sceneManager) {
-            this.sceneManager.loadScene(sceneId);
+            this.sceneManager.loadScene(sceneId, options);
         } else {
             this.showError('Scene manager not available');
             return;
@@ -1163,9 +1285,8 @@ class EnchantedLibraryGame {
         
         // Add achievement
         const achievement = this.getPathAchievement(characterId);
-        if (achievement && !this.gameState.progress.achievements.includes(achievement.id)) {
-            this.gameState.progress.achievements.push(achievement.id);
-            this.gameState.progress.stars += achievement.rewardStars;
+        if (achievement) {
+            this.awardStoryAchievement(achievement.id);
         }
         
         // Check for master achievement
@@ -1184,13 +1305,7 @@ class EnchantedLibraryGame {
      * Get achievement for completed path
      */
     getPathAchievement(characterId) {
-        const achievementMap = {
-            'dragon': 'dragon_master',
-            'wizard': 'word_wizard',
-            'mouse': 'science_explorer'
-        };
-        
-        const achievementId = achievementMap[characterId];
+        const achievementId = this.getCompanion(characterId)?.achievement;
         return achievementId ? this.gameData.achievements[achievementId] : null;
     }
 
@@ -1202,14 +1317,24 @@ class EnchantedLibraryGame {
         const completedPaths = this.gameState.progress.pathsCompleted.length;
         
         if (completedPaths >= totalPaths) {
-            const masterAchievement = this.gameData.achievements.library_hero;
-            if (masterAchievement && !this.gameState.progress.achievements.includes(masterAchievement.id)) {
-                this.gameState.progress.achievements.push(masterAchievement.id);
-                this.gameState.progress.stars += masterAchievement.rewardStars;
-            }
+            this.awardStoryAchievement('library_hero');
         }
     }
 
+    /**
+     * Award an achievement from gameData and its reward stars, once
+     */
+    awardStoryAchievement(achievementId) {
+        const achievement = this.gameData.achievements[achievementId];
+        if (!achievement || this.gameState.progress.achievements.includes(achievement.id)) {
+            return false;
+        }
+        
+        this.gameState.progress.achievements.push(achievement.id);
+        this.gameState.progress.stars += achievement.rewardStars;
+        return true;
+    }
+
     /**
      * Update completion percentage
      */
@@ -1649,9 +1774,15 @@ class EnchantedLibraryGame {
      * Handle screen change events
      */
     handleScreenChange(screenName) {
+        // Reviews fall due while the child is playing
+        if (screenName === 'story' && this.puzzleSystem) {
+            this.puzzleSystem.updateReviewBadge();
+        }
+        
         switch (screenName) {
             case 'story':
             case 'puzzle':
+            case 'map':
                 // Show progress bar for game screens
                 if (this.progressBar.container) {
                     this.progressBar.container.classList.add('visible');
@@ -1845,6 +1976,8 @@ class EnchantedLibraryGame {
         try {
             const saveData = {
                 ...this.gameState,
+                sceneState: this.sceneManager ? this.sceneManager.getSceneState() : this.gameState.sceneState,
+                difficultyTracks: this.puzzleSystem ? this.puzzleSystem.adaptiveDifficultyManager.getState() : this.gameState.difficultyTracks,
                 session: {
                     ...this.gameState.session,
                     lastSaveTime: Date.now(),
@@ -1903,8 +2036,19 @@ class EnchantedLibraryGame {
             this.currentStoryPath = this.gameData.storyPaths[this.gameState.player.currentPath];
         }
         
+        // Restore the navigation stack so "back" works after a reload
+        if (this.sceneManager) {
+            this.sceneManager.restoreSceneState(this.gameState.sceneState);
+        }
+        
+        // Pick up each subject's difficulty where the last session left it
+        if (this.puzzleSystem) {
+            this.puzzleSystem.adaptiveDifficultyManager.loadState(this.gameState.difficultyTracks);
+        }
+        
         if (this.gameState.player.currentScene) {
-            this.loadScene(this.gameState.player.currentScene);
+            const replayEntry = this.sceneManager ? this.sceneManager.resumeEntry : null;
+            this.loadScene(this.gameState.player.currentScene, { recordHistory: false, replayEntry });
         } else {
             // Start from beginning of current path
             this.startStoryPath();
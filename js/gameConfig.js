@@ -149,10 +149,9 @@ const CONFIG = {
     
     // Content Configuration
     CONTENT: {
-        STORY_PATHS: ['dragon', 'wizard', 'mouse'],
+        // Companions and their story paths live in gameData.characters
         TOTAL_SCENES: 50,
         PUZZLES_PER_PATH: 15,
-        CHARACTERS: ['ruby', 'sage', 'scout', 'owl_guardian'],
         
         // Educational Content
         MATH_TOPICS: ['counting', 'addition', 'subtraction', 'patterns', 'shapes'],
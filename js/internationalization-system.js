@@ -389,6 +389,21 @@ class InternationalizationSystem {
         }).format(amount);
     }
 
+    /**
+     * Get the current locale's currency code and the locale to format it in
+     */
+    getCurrency() {
+        const config = this.localeConfigs[this.currentLocale];
+        return { code: config.currency, locale: config.numberFormat };
+    }
+
+    /**
+     * Get the speech synthesis voice language for the current locale, e.g. 'es-MX'
+     */
+    getVoice() {
+        return this.localeConfigs[this.currentLocale].voice;
+    }
+
     /**
      * Get localized date format
      */
@@ -0,0 +1,196 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - MASTERY MODEL
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the per-skill mastery model that handles:
+ * - Bayesian knowledge tracing (BKT) of how likely a child is to know
+ *   each skill, updated on every answer and every hint
+ * - Allowing for lucky guesses and careless slips, with the guess chance
+ *   taken from the number of options on screen
+ * - Rolling skill mastery up to a subject for saves and the dashboard
+ * - Picking the puzzle difficulty a mastery estimate calls for
+ *
+ * The model lives in gameState.skillMastery so it's saved with the game:
+ *   {
+ *     skills: {
+ *       'math/addition': {
+ *         subject: 'math', skill: 'addition',
+ *         pKnown: 0.42, attempts: 5, correct: 3, hints: 1, updated: 1700000000000
+ *       }
+ *     }
+ *   }
+ *
+ * A skill counts as mastered once pKnown reaches CONFIG.GAMEPLAY.MASTERY_SCORE.
+ *
+ * Mastery Philosophy:
+ * One lucky guess shouldn't make a skill "mastered" and one slip shouldn't
+ * take it away; the estimate moves with the evidence, a step at a time.
+ */
+
+const MASTERY_SCORE = typeof CONFIG !== 'undefined' ? CONFIG.GAMEPLAY.MASTERY_SCORE : 0.9;
+
+// Standard BKT parameters: prior knowledge, learning per attempt, slip and guess
+const BKT_PARAMETERS = {
+    pInit: 0.2,
+    pTransit: 0.1,
+    pSlip: 0.1,
+    pGuess: 0.2
+};
+
+// Typed answers leave little room for a lucky guess
+const BKT_TYPED_GUESS = 0.05;
+
+// Mastery needed for each difficulty, highest first
+const MASTERY_DIFFICULTY_BANDS = [
+    { difficulty: 'expert', minMastery: MASTERY_SCORE },
+    { difficulty: 'hard', minMastery: 0.65 },
+    { difficulty: 'medium', minMastery: 0.4 },
+    { difficulty: 'easy', minMastery: 0 }
+];
+
+class MasteryModel {
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Create an empty mastery model
+     */
+    static createState() {
+        return { skills: {} };
+    }
+
+    /**
+     * Get the model key for a skill
+     */
+    static getKey(subject, skill) {
+        return `${subject}/${skill}`;
+    }
+
+    /**
+     * Get a skill's entry, starting it at the prior if it's new
+     */
+    getSkill(subject, skill) {
+        const key = MasteryModel.getKey(subject, skill);
+        if (!this.state.skills[key]) {
+            this.state.skills[key] = {
+                subject,
+                skill,
+                pKnown: BKT_PARAMETERS.pInit,
+                attempts: 0,
+                correct: 0,
+                hints: 0,
+                updated: null
+            };
+        }
+        return this.state.skills[key];
+    }
+
+    /**
+     * Update a skill after an answer
+     *
+     * `optionCount` is the number of choices on screen, or 0 for typed answers.
+     */
+    recordAttempt(subject, skill, isCorrect, optionCount = 0) {
+        const entry = this.getSkill(subject, skill);
+        const pGuess = optionCount > 1 ? 1 / optionCount : BKT_TYPED_GUESS;
+
+        entry.pKnown = MasteryModel.update(entry.pKnown, isCorrect, { ...BKT_PARAMETERS, pGuess });
+        entry.attempts++;
+        if (isCorrect) entry.correct++;
+        entry.updated = Date.now();
+
+        return entry;
+    }
+
+    /**
+     * Update a skill after a hint
+     *
+     * Asking for help counts as evidence the skill isn't known yet, like a
+     * wrong answer, but without the learning step; that comes with the next try.
+     */
+    recordHint(subject, skill) {
+        const entry = this.getSkill(subject, skill);
+
+        entry.pKnown = MasteryModel.observe(entry.pKnown, false, BKT_PARAMETERS);
+        entry.hints++;
+        entry.updated = Date.now();
+
+        return entry;
+    }
+
+    /**
+     * One BKT step: weigh the evidence, then allow for learning
+     */
+    static update(pKnown, isCorrect, parameters) {
+        const posterior = MasteryModel.observe(pKnown, isCorrect, parameters);
+        return posterior + (1 - posterior) * parameters.pTransit;
+    }
+
+    /**
+     * Chance the skill is known given one right or wrong observation
+     */
+    static observe(pKnown, isCorrect, { pSlip, pGuess }) {
+        const known = pKnown * (isCorrect ? 1 - pSlip : pSlip);
+        const unknown = (1 - pKnown) * (isCorrect ? pGuess : 1 - pGuess);
+        return known / (known + unknown);
+    }
+
+    /**
+     * Get a skill's mastery, or the prior for a skill not tried yet
+     */
+    getMastery(subject, skill) {
+        const entry = this.state.skills[MasteryModel.getKey(subject, skill)];
+        return entry ? entry.pKnown : BKT_PARAMETERS.pInit;
+    }
+
+    /**
+     * Check whether a skill has been practised at all
+     */
+    isPractised(subject, skill) {
+        const entry = this.state.skills[MasteryModel.getKey(subject, skill)];
+        return Boolean(entry && entry.attempts > 0);
+    }
+
+    /**
+     * Get the practised skills, optionally for one subject
+     */
+    getSkills(subject = null) {
+        return Object.values(this.state.skills)
+            .filter(entry => entry.attempts > 0 && (!subject || entry.subject === subject));
+    }
+
+    /**
+     * Average mastery of a subject's practised skills, or null before any practice
+     */
+    getSubjectMastery(subject) {
+        const skills = this.getSkills(subject);
+        if (skills.length === 0) return null;
+
+        return skills.reduce((sum, entry) => sum + entry.pKnown, 0) / skills.length;
+    }
+
+    /**
+     * Check whether a mastery estimate counts as mastered
+     */
+    static isMastered(pKnown) {
+        return typeof pKnown === 'number' && pKnown >= MASTERY_SCORE;
+    }
+
+    /**
+     * Get the difficulty a mastery estimate calls for
+     */
+    static getDifficulty(pKnown) {
+        return MASTERY_DIFFICULTY_BANDS.find(band => pKnown >= band.minMastery).difficulty;
+    }
+}
+
+MasteryModel.MASTERY_SCORE = MASTERY_SCORE;
+MasteryModel.PARAMETERS = BKT_PARAMETERS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MasteryModel;
+} else {
+    window.MasteryModel = MasteryModel;
+}
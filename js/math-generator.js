@@ -0,0 +1,397 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - MATH PUZZLE GENERATOR
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the procedural math puzzle generator that handles:
+ * - Counting, addition, subtraction, multiplication, division and
+ *   multi-step word problems
+ * - Number ranges per age group, scaled by difficulty
+ * - Carry and borrow (regrouping) rules per difficulty
+ * - Story templates starring Ruby, Sage and Scout
+ * - Answer options whose distractors are tagged with the misconception
+ *   they represent (see distractor-generator.js)
+ *
+ * Every generated puzzle is a plain MathPuzzle config:
+ *   { operation, title, question, numbers, correctAnswer, options, distractors,
+ *     hints, useVisualObjects, objectType, showWork }
+ *
+ * Regrouping rules:
+ *   'none'     no carrying or borrowing in any column
+ *   'allow'    carrying and borrowing may happen
+ *   'require'  at least one column must carry or borrow
+ *
+ * Practice Philosophy:
+ * Children learn from many fresh problems of the right size, not from
+ * memorising the answer to the one they saw yesterday.
+ */
+
+// Number ranges and regrouping rules per age group
+const MATH_GENERATOR_RANGES = {
+    'ages4-6': {
+        operations: ['counting', 'addition', 'subtraction'],
+        counting: { min: 1, max: 10 },
+        addition: { min: 1, max: 5 },
+        subtraction: { min: 1, max: 10 },
+        regrouping: { easy: 'none', medium: 'none', hard: 'none', expert: 'allow' },
+        useVisualObjects: true
+    },
+    'ages7-9': {
+        operations: ['addition', 'subtraction', 'multiplication', 'division'],
+        addition: { min: 5, max: 50 },
+        subtraction: { min: 5, max: 50 },
+        multiplication: { min: 2, max: 10 },
+        division: { min: 2, max: 10 },
+        regrouping: { easy: 'none', medium: 'allow', hard: 'require', expert: 'require' },
+        useVisualObjects: false
+    },
+    'ages10-12': {
+        operations: ['multiplication', 'division', 'multi-step'],
+        multiplication: { min: 3, max: 12 },
+        division: { min: 3, max: 12 },
+        'multi-step': { min: 2, max: 12 },
+        regrouping: { easy: 'allow', medium: 'allow', hard: 'require', expert: 'require' },
+        useVisualObjects: false
+    }
+};
+
+// Difficulty -> multiplier on the top of each range
+const MATH_DIFFICULTY_SCALE = {
+    easy: 0.5,
+    medium: 1,
+    hard: 1.5,
+    expert: 2
+};
+
+// Story templates per operation; {a}, {b} and {c} are the generated numbers
+const MATH_STORY_TEMPLATES = {
+    counting: [
+        { title: 'Count the Magic Stars', question: 'How many stars do you see?', objectType: 'stars' },
+        { title: 'Ruby\'s Gem Count', question: 'Ruby spilled her gems! How many gems can you count?', objectType: 'gems' },
+        { title: 'Scout\'s Flower Patch', question: 'Scout found a flower patch. How many flowers are there?', objectType: 'flowers' }
+    ],
+    addition: [
+        { title: 'Ruby\'s Treasure Count', question: 'Ruby found {a} gold coins, then found {b} more. How many coins does she have now?', objectType: 'coins' },
+        { title: 'Sage\'s Potion Shelf', question: 'Sage brewed {a} potions in the morning and {b} potions at night. How many potions did he brew?', objectType: 'stars' },
+        { title: 'Scout\'s Apple Basket', question: 'Scout picked {a} apples and his friend picked {b}. How many apples did they pick together?', objectType: 'apples' }
+    ],
+    subtraction: [
+        { title: 'Ruby\'s Missing Gems', question: 'Ruby had {a} gems. The wind sprite blew {b} of them away. How many gems are left?', objectType: 'gems' },
+        { title: 'Sage\'s Spell Cards', question: 'Sage had {a} spell cards and used {b} of them. How many spell cards does he have left?', objectType: 'stars' },
+        { title: 'Scout\'s Snack Time', question: 'Scout packed {a} apples for the trip and ate {b}. How many apples are left?', objectType: 'apples' }
+    ],
+    multiplication: [
+        { title: 'Wizard\'s Spell Components', question: 'Sage needs {a} ingredients for each spell. If he wants to make {b} spells, how many ingredients does he need?', objectType: 'stars' },
+        { title: 'Ruby\'s Treasure Chests', question: 'Ruby has {b} treasure chests with {a} coins in each. How many coins is that altogether?', objectType: 'coins' },
+        { title: 'Scout\'s Flower Rows', question: 'Scout planted {b} rows of flowers with {a} flowers in each row. How many flowers did he plant?', objectType: 'flowers' }
+    ],
+    division: [
+        { title: 'Scout\'s Fair Sharing', question: 'Scout has {a} berries to share equally among {b} friends. How many berries does each friend get?', objectType: 'apples' },
+        { title: 'Ruby\'s Gem Bags', question: 'Ruby puts {a} gems into {b} bags with the same number in each. How many gems go in each bag?', objectType: 'gems' },
+        { title: 'Sage\'s Bookshelves', question: 'Sage shelves {a} spell books evenly across {b} shelves. How many books go on each shelf?', objectType: 'stars' }
+    ],
+    'multi-step': [
+        { title: 'Library Adventure Problem', question: 'The Enchanted Library has {a} shelves with {b} books on each. Sage adds {c} more books. How many books are there now?', step: 'add' },
+        { title: 'Ruby\'s Treasure Trade', question: 'Ruby has {a} chests with {b} coins in each. She gives {c} coins to Scout. How many coins does Ruby have left?', step: 'subtract' },
+        { title: 'Scout\'s Expedition Supplies', question: 'Scout packs {a} bags with {b} acorns in each, then finds {c} more on the trail. How many acorns does he have?', step: 'add' }
+    ]
+};
+
+const MATH_OPTION_COUNT = 4;
+const MATH_GENERATOR_MAX_TRIES = 100;
+
+class MathPuzzleGenerator {
+    constructor(options = {}) {
+        this.ranges = options.ranges || MATH_GENERATOR_RANGES;
+        this.templates = options.templates || MATH_STORY_TEMPLATES;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick one of the operations practised by an age group
+     */
+    pickOperation(ageGroup) {
+        return this.pick(this.getAgeRanges(ageGroup).operations);
+    }
+
+    /**
+     * Generate a fresh puzzle config for an operation
+     */
+    generate(operation, ageGroup, difficulty = 'medium') {
+        const builders = {
+            counting: () => this.buildCounting(ageGroup, difficulty),
+            addition: () => this.buildAddition(ageGroup, difficulty),
+            subtraction: () => this.buildSubtraction(ageGroup, difficulty),
+            multiplication: () => this.buildMultiplication(ageGroup, difficulty),
+            division: () => this.buildDivision(ageGroup, difficulty),
+            'multi-step': () => this.buildMultiStep(ageGroup, difficulty)
+        };
+
+        const build = builders[operation];
+        if (!build) {
+            throw new Error(`Unknown math operation "${operation}"`);
+        }
+
+        const { numbers, answer, hints, template } = build();
+        const values = { a: numbers[0], b: numbers[1], c: numbers[2] };
+        const distractors = DistractorGenerator.forMath(operation, numbers, answer, MATH_OPTION_COUNT - 1);
+
+        return {
+            operation,
+            title: template.title,
+            question: MathPuzzleGenerator.fillTemplate(template.question, values),
+            numbers,
+            correctAnswer: answer,
+            options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            hints,
+            useVisualObjects: this.getAgeRanges(ageGroup).useVisualObjects && operation !== 'multi-step',
+            objectType: template.objectType || 'stars',
+            showWork: operation === 'multi-step',
+            maxAttempts: 3
+        };
+    }
+
+    /**
+     * Get the ranges for an age group, falling back to ages 7-9
+     */
+    getAgeRanges(ageGroup) {
+        return this.ranges[ageGroup] || this.ranges['ages7-9'];
+    }
+
+    /**
+     * Get an operation's number range, scaled for the difficulty
+     */
+    getRange(operation, ageGroup, difficulty) {
+        const ranges = this.getAgeRanges(ageGroup);
+        const range = ranges[operation] || ranges.addition || { min: 1, max: 10 };
+        const scale = MATH_DIFFICULTY_SCALE[difficulty] || 1;
+
+        return { min: range.min, max: Math.max(range.min + 1, Math.round(range.max * scale)) };
+    }
+
+    /**
+     * Get the carry and borrow rule for an age group and difficulty
+     */
+    getRegrouping(ageGroup, difficulty) {
+        const regrouping = this.getAgeRanges(ageGroup).regrouping || {};
+        return regrouping[difficulty] || 'allow';
+    }
+
+    /**
+     * Count a group of objects
+     */
+    buildCounting(ageGroup, difficulty) {
+        const { min, max } = this.getRange('counting', ageGroup, difficulty);
+        const count = this.randomInt(min, max);
+
+        return {
+            numbers: [count],
+            answer: count,
+            template: this.pick(this.templates.counting),
+            hints: [
+                'Try pointing to each one and counting: 1, 2, 3...',
+                'Count slowly and carefully. Each one counts as 1.',
+                `Count them one by one. Did you reach ${count}?`
+            ]
+        };
+    }
+
+    /**
+     * Add two numbers, following the carry rule
+     */
+    buildAddition(ageGroup, difficulty) {
+        const { min, max } = this.getRange('addition', ageGroup, difficulty);
+        const rule = this.getRegrouping(ageGroup, difficulty);
+        const [a, b] = this.findPair(min, max, (x, y) => MathPuzzleGenerator.matchesRegrouping(MathPuzzleGenerator.hasCarry(x, y), rule));
+
+        return {
+            numbers: [a, b],
+            answer: a + b,
+            template: this.pick(this.templates.addition),
+            hints: [
+                `Start with ${a}, then add ${b} more.`,
+                MathPuzzleGenerator.hasCarry(a, b)
+                    ? 'Add the ones first. If they make 10 or more, carry the ten over!'
+                    : `You can count on from ${a}: ${a + 1}, ${a + 2}...`,
+                `Put the groups together: ${a} + ${b} = ${a + b}`
+            ]
+        };
+    }
+
+    /**
+     * Subtract a smaller number, following the borrow rule
+     */
+    buildSubtraction(ageGroup, difficulty) {
+        const { min, max } = this.getRange('subtraction', ageGroup, difficulty);
+        const rule = this.getRegrouping(ageGroup, difficulty);
+        const [a, b] = this.findPair(min, max, (x, y) =>
+            x > y && MathPuzzleGenerator.matchesRegrouping(MathPuzzleGenerator.hasBorrow(x, y), rule));
+
+        return {
+            numbers: [a, b],
+            answer: a - b,
+            template: this.pick(this.templates.subtraction),
+            hints: [
+                `Start with ${a} and take away ${b}.`,
+                MathPuzzleGenerator.hasBorrow(a, b)
+                    ? 'Subtract the ones first. If there aren\'t enough, borrow a ten!'
+                    : `You can count back from ${a}: ${a - 1}, ${a - 2}...`,
+                `${a} - ${b} = ${a - b}`
+            ]
+        };
+    }
+
+    /**
+     * Multiply two numbers as equal groups
+     */
+    buildMultiplication(ageGroup, difficulty) {
+        const { min, max } = this.getRange('multiplication', ageGroup, difficulty);
+        const a = this.randomInt(min, max);
+        const b = this.randomInt(min, max);
+
+        return {
+            numbers: [a, b],
+            answer: a * b,
+            template: this.pick(this.templates.multiplication),
+            hints: [
+                `Think about groups: ${b} groups of ${a}.`,
+                `You can add ${a} again and again, ${b} times, or multiply: ${a} × ${b} = ?`,
+                `${a} × ${b} = ${a * b}`
+            ]
+        };
+    }
+
+    /**
+     * Share a total into equal groups with no remainder
+     */
+    buildDivision(ageGroup, difficulty) {
+        const { min, max } = this.getRange('division', ageGroup, difficulty);
+        // Build from the answer so every division comes out even
+        const groups = this.randomInt(min, max);
+        const perGroup = this.randomInt(min, max);
+        const total = groups * perGroup;
+
+        return {
+            numbers: [total, groups],
+            answer: perGroup,
+            template: this.pick(this.templates.division),
+            hints: [
+                `Think about sharing equally: ${total} shared into ${groups} groups.`,
+                `Which number times ${groups} makes ${total}?`,
+                `${total} ÷ ${groups} = ${perGroup}`
+            ]
+        };
+    }
+
+    /**
+     * Multiply, then add or take away a third number
+     */
+    buildMultiStep(ageGroup, difficulty) {
+        const { min, max } = this.getRange('multi-step', ageGroup, difficulty);
+        const template = this.pick(this.templates['multi-step']);
+        const a = this.randomInt(min, max);
+        const b = this.randomInt(min, max);
+        const product = a * b;
+        const c = template.step === 'subtract' ? this.randomInt(1, product - 1) : this.randomInt(min, max * 2);
+        const answer = template.step === 'subtract' ? product - c : product + c;
+        const sign = template.step === 'subtract' ? '-' : '+';
+
+        return {
+            numbers: [a, b, c],
+            answer,
+            template,
+            hints: [
+                `First find how many there are to start with: ${a} × ${b}.`,
+                `${a} × ${b} = ${product}. Now ${template.step === 'subtract' ? 'take away' : 'add'} ${c}.`,
+                `${product} ${sign} ${c} = ${answer}`
+            ]
+        };
+    }
+
+    /**
+     * Find two numbers in a range that pass a rule, relaxing it if none turn up
+     */
+    findPair(min, max, isValid) {
+        for (let i = 0; i < MATH_GENERATOR_MAX_TRIES; i++) {
+            const pair = [this.randomInt(min, max), this.randomInt(min, max)];
+            if (isValid(...pair)) return pair;
+        }
+
+        // Small ranges may have no pair that needs regrouping, so keep any valid order
+        const a = this.randomInt(min + 1, max);
+        return [a, this.randomInt(min, a - 1)];
+    }
+
+    /**
+     * Random whole number from min to max inclusive
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Check whether adding two numbers carries in any column
+     */
+    static hasCarry(a, b) {
+        for (; a > 0 || b > 0; a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+            if (a % 10 + b % 10 >= 10) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check whether subtracting b from a borrows in any column
+     */
+    static hasBorrow(a, b) {
+        for (; b > 0; a = Math.floor(a / 10), b = Math.floor(b / 10)) {
+            if (a % 10 < b % 10) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check a regrouping result against a 'none' | 'allow' | 'require' rule
+     */
+    static matchesRegrouping(regroups, rule) {
+        if (rule === 'none') return !regroups;
+        if (rule === 'require') return regroups;
+        return true;
+    }
+
+    /**
+     * Fill {a}, {b} and {c} in a story template
+     */
+    static fillTemplate(text, values) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+    }
+}
+
+MathPuzzleGenerator.RANGES = MATH_GENERATOR_RANGES;
+MathPuzzleGenerator.TEMPLATES = MATH_STORY_TEMPLATES;
+MathPuzzleGenerator.OPERATIONS = Object.keys(MATH_STORY_TEMPLATES);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathPuzzleGenerator;
+} else {
+    window.MathPuzzleGenerator = MathPuzzleGenerator;
+}
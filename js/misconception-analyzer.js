@@ -0,0 +1,194 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - MISCONCEPTION ANALYZER
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the misconception analyzer that handles:
+ * - Classifying wrong answers in learningAnalytics.commonErrors into
+ *   named misconceptions from the distractor generator's catalog
+ * - Re-diagnosing older, untagged errors from the answers and question
+ * - Grouping misconceptions by subject and skill for the parent dashboard
+ * - Turning the results into plain-language insights and practice tips
+ *
+ * Report shape:
+ *   {
+ *     math: {
+ *       errors: 5, diagnosed: 4,
+ *       skills: {
+ *         addition: { errors: 3, misconceptions: [{ id, label, tip, count, puzzles }] }
+ *       }
+ *     },
+ *     language: { ... }, science: { ... }
+ *   }
+ *
+ * Misconceptions within a skill are sorted most frequent first.
+ *
+ * Insight Philosophy:
+ * "3 wrong answers in addition" worries a parent; "counts the starting
+ * number twice" tells them exactly what to practise at the kitchen table.
+ */
+
+const MISCONCEPTION_SUBJECTS = ['math', 'language', 'science'];
+
+class MisconceptionAnalyzer {
+    /**
+     * Classify wrong answers and group them by subject and skill
+     */
+    static analyze(commonErrors = []) {
+        const report = {};
+        MISCONCEPTION_SUBJECTS.forEach(subject => {
+            report[subject] = { errors: 0, diagnosed: 0, skills: {} };
+        });
+
+        commonErrors.forEach(error => {
+            const subjectReport = report[MisconceptionAnalyzer.getSubject(error)];
+            if (!subjectReport) return;
+
+            const skill = error.skill || 'general';
+            const skillReport = subjectReport.skills[skill] = subjectReport.skills[skill] || { errors: 0, misconceptions: {} };
+            subjectReport.errors++;
+            skillReport.errors++;
+
+            const id = MisconceptionAnalyzer.classify(error);
+            const misconception = id ? DistractorGenerator.getMisconception(id) : null;
+            if (!misconception) return;
+
+            subjectReport.diagnosed++;
+            const entry = skillReport.misconceptions[id] = skillReport.misconceptions[id] || {
+                id,
+                label: misconception.label,
+                tip: misconception.tip,
+                count: 0,
+                puzzles: []
+            };
+            entry.count++;
+            if (error.puzzleId && !entry.puzzles.includes(error.puzzleId)) {
+                entry.puzzles.push(error.puzzleId);
+            }
+        });
+
+        Object.values(report).forEach(subjectReport => {
+            Object.values(subjectReport.skills).forEach(skillReport => {
+                skillReport.misconceptions = Object.values(skillReport.misconceptions).sort((a, b) => b.count - a.count);
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Name the misconception behind one wrong answer, or null if it doesn't match one
+     */
+    static classify(error) {
+        // Errors tagged when the answer was given need no second guess
+        if (error.misconception) return error.misconception;
+
+        if (MisconceptionAnalyzer.getSubject(error) === 'math') {
+            return MisconceptionAnalyzer.classifyMath(error);
+        }
+
+        if (error.skill === 'rhyming') {
+            return MisconceptionAnalyzer.classifyRhyming(error);
+        }
+
+        if (error.skill === 'habitats') {
+            return DistractorGenerator.classifyHabitat(error.correctAnswer, error.userAnswer);
+        }
+
+        return null;
+    }
+
+    /**
+     * Match a wrong number against the mistakes possible for its problem
+     */
+    static classifyMath(error) {
+        const answer = error.correctAnswer;
+        const userAnswer = Number(error.userAnswer);
+        if (typeof answer !== 'number' || String(error.userAnswer).trim() === '' || !Number.isFinite(userAnswer)) {
+            return null;
+        }
+
+        const numbers = error.numbers || DistractorGenerator.findOperands(error.question, error.skill, answer);
+        if (numbers) {
+            const candidates = DistractorGenerator.forMath(error.skill, numbers, answer, Infinity);
+            const match = DistractorGenerator.diagnose(candidates, userAnswer);
+            if (match) return match.misconception;
+        }
+
+        // Without the operands only the distance from the answer is left to go on
+        if (DistractorGenerator.reverseDigits(answer) === userAnswer) return 'digit-reversal';
+
+        const difference = userAnswer - answer;
+        if ((error.skill === 'addition' && difference === -1) || (error.skill === 'subtraction' && difference === 1)) {
+            return 'counted-start-twice';
+        }
+        if (Math.abs(difference) === 1) return 'off-by-one';
+        if (Math.abs(difference) === 2) return 'miscounted';
+
+        return null;
+    }
+
+    /**
+     * Spot a word that starts like the rhyming word instead of ending like it
+     */
+    static classifyRhyming(error) {
+        const target = DistractorGenerator.findQuotedWord(error.question);
+        if (!target) return null;
+
+        const given = DistractorGenerator.normalize(error.userAnswer);
+        return given.charAt(0) === target.charAt(0).toLowerCase() ? 'rhyme-alliteration' : null;
+    }
+
+    /**
+     * Get an error's subject, falling back to the puzzle id prefix for older saves
+     */
+    static getSubject(error) {
+        return error.subject || String(error.puzzleId || '').split('_')[0];
+    }
+
+    /**
+     * Plain-language insights for one subject, most frequent first
+     */
+    static getInsights(subjectReport, limit = 3) {
+        if (!subjectReport) return [];
+
+        const insights = [];
+        Object.entries(subjectReport.skills).forEach(([skill, skillReport]) => {
+            skillReport.misconceptions.forEach(misconception => {
+                insights.push({
+                    skill,
+                    id: misconception.id,
+                    count: misconception.count,
+                    tip: misconception.tip,
+                    text: `${MisconceptionAnalyzer.formatSkill(skill)}: ${misconception.label} (${misconception.count} ${misconception.count === 1 ? 'time' : 'times'})`
+                });
+            });
+        });
+
+        return insights.sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+
+    /**
+     * The most frequent misconceptions across every subject
+     */
+    static getTopMisconceptions(report, limit = 3) {
+        const insights = MISCONCEPTION_SUBJECTS.flatMap(subject => MisconceptionAnalyzer.getInsights(report[subject], Infinity));
+        return insights.sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+
+    /**
+     * Turn a skill id like 'sentence-building' into 'Sentence building'
+     */
+    static formatSkill(skill) {
+        const words = skill.replace(/[-_]/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+}
+
+MisconceptionAnalyzer.SUBJECTS = MISCONCEPTION_SUBJECTS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MisconceptionAnalyzer;
+} else {
+    window.MisconceptionAnalyzer = MisconceptionAnalyzer;
+}
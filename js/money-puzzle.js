@@ -0,0 +1,840 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - MONEY PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the money puzzle family that handles:
+ * - The coins and notes of each currency our locales use, drawn as SVG
+ * - Amounts written the local way, from the active locale's `currency`
+ *   in InternationalizationSystem.localeConfigs (pesos in es-MX, euros
+ *   in fr-FR, yen in ja-JP)
+ * - Counting coins, paying an exact price and making change, by age
+ *   group and difficulty
+ * - A purse children fill by tapping or dragging coins, or from the keyboard
+ *
+ * Money puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'math', skill: 'counting-money' | 'making-change',
+ *     question, answer: 135,
+ *     items: [100, 25, 10],               // coins and notes shown
+ *     price: 65, paid: 100,               // for shopping and change
+ *     inputType: 'money', denominations: [1, 5, 10, 25], showTotal: false
+ *   }
+ *
+ * Amounts are whole numbers in the currency's smallest unit (cents,
+ * centavos, yen), so 135 is $1.35 in en-US and 135 yen in ja-JP. Inline
+ * puzzles are written for one currency; generated ones use the player's.
+ *
+ * Money Philosophy:
+ * Money only makes sense when it looks like the money at home, so a child
+ * counts the coins from their own purse, not someone else's.
+ */
+
+// Coins and notes in circulation, in each currency's smallest unit
+const CURRENCY_DENOMINATIONS = {
+    USD: {
+        minorUnits: 100,
+        minorUnit: { size: 1, symbol: '¢' },
+        coins: [
+            { value: 1, metal: 'copper' },
+            { value: 5, metal: 'silver' },
+            { value: 10, metal: 'silver' },
+            { value: 25, metal: 'silver' }
+        ],
+        notes: [100, 500, 1000, 2000]
+    },
+    EUR: {
+        minorUnits: 100,
+        minorUnit: { size: 1, symbol: 'c' },
+        coins: [
+            { value: 1, metal: 'copper' },
+            { value: 2, metal: 'copper' },
+            { value: 5, metal: 'copper' },
+            { value: 10, metal: 'gold' },
+            { value: 20, metal: 'gold' },
+            { value: 50, metal: 'gold' },
+            { value: 100, metal: 'bimetal' },
+            { value: 200, metal: 'bimetal' }
+        ],
+        notes: [500, 1000, 2000, 5000]
+    },
+    MXN: {
+        minorUnits: 100,
+        minorUnit: { size: 1, symbol: '¢' },
+        coins: [
+            { value: 50, metal: 'silver' },
+            { value: 100, metal: 'bimetal' },
+            { value: 200, metal: 'bimetal' },
+            { value: 500, metal: 'bimetal' },
+            { value: 1000, metal: 'bimetal' }
+        ],
+        notes: [2000, 5000, 10000, 20000]
+    },
+    BRL: {
+        minorUnits: 100,
+        minorUnit: { size: 1, symbol: 'c' },
+        coins: [
+            { value: 5, metal: 'copper' },
+            { value: 10, metal: 'gold' },
+            { value: 25, metal: 'gold' },
+            { value: 50, metal: 'silver' },
+            { value: 100, metal: 'bimetal' }
+        ],
+        notes: [200, 500, 1000, 2000, 5000]
+    },
+    CNY: {
+        minorUnits: 100,
+        // Coins under a yuan are counted in jiao, ten fen each
+        minorUnit: { size: 10, symbol: '角' },
+        coins: [
+            { value: 10, metal: 'silver' },
+            { value: 50, metal: 'gold' },
+            { value: 100, metal: 'silver' }
+        ],
+        notes: [500, 1000, 2000, 5000, 10000]
+    },
+    JPY: {
+        minorUnits: 1,
+        minorUnit: null,
+        coins: [
+            { value: 1, metal: 'silver' },
+            { value: 5, metal: 'gold' },
+            { value: 10, metal: 'copper' },
+            { value: 50, metal: 'silver' },
+            { value: 100, metal: 'silver' },
+            { value: 500, metal: 'gold' }
+        ],
+        notes: [1000, 5000, 10000]
+    },
+    SAR: {
+        minorUnits: 100,
+        minorUnit: { size: 1, symbol: ' halala' },
+        coins: [
+            { value: 5, metal: 'silver' },
+            { value: 10, metal: 'silver' },
+            { value: 25, metal: 'silver' },
+            { value: 50, metal: 'silver' },
+            { value: 100, metal: 'bimetal' },
+            { value: 200, metal: 'bimetal' }
+        ],
+        notes: [500, 1000, 5000, 10000]
+    }
+};
+
+// Used when there's no locale to ask, or its currency isn't in the table
+const MONEY_DEFAULT_CURRENCY = { code: 'USD', locale: 'en-US' };
+
+// Skills, kinds of coin, coins per puzzle and notes per age group and difficulty
+const MONEY_LEVELS = {
+    'ages4-6': {
+        skills: ['counting-money'],
+        kinds: { easy: 1, medium: 2, hard: 2, expert: 3 },
+        maxPieces: { easy: 5, medium: 5, hard: 6, expert: 6 },
+        notes: { easy: false, medium: false, hard: false, expert: false }
+    },
+    'ages7-9': {
+        skills: ['counting-money', 'counting-money', 'making-change'],
+        kinds: { easy: 2, medium: 3, hard: 4, expert: 5 },
+        maxPieces: { easy: 5, medium: 6, hard: 8, expert: 8 },
+        notes: { easy: false, medium: false, hard: true, expert: true }
+    },
+    'ages10-12': {
+        skills: ['counting-money', 'making-change', 'making-change'],
+        kinds: { easy: 4, medium: 5, hard: 6, expert: 7 },
+        maxPieces: { easy: 6, medium: 8, hard: 10, expert: 10 },
+        notes: { easy: true, medium: true, hard: true, expert: true }
+    }
+};
+
+// Things Ruby buys at the village market
+const MONEY_SHOP_ITEMS = [
+    { name: 'a treasure map', emoji: '🗺️' },
+    { name: 'a jar of scale polish', emoji: '✨' },
+    { name: 'a bag of gem dust', emoji: '💎' },
+    { name: 'a new quill for Sage', emoji: '🪶' },
+    { name: 'a compass for Scout', emoji: '🧭' },
+    { name: 'a basket of apples', emoji: '🍎' }
+];
+
+const MONEY_OPTION_COUNT = 4;
+
+/**
+ * Money Currency
+ * Knows a currency's coins and notes and writes amounts in a locale
+ */
+class MoneyCurrency {
+    constructor(code = MONEY_DEFAULT_CURRENCY.code, locale = MONEY_DEFAULT_CURRENCY.locale) {
+        this.code = CURRENCY_DENOMINATIONS[code] ? code : MONEY_DEFAULT_CURRENCY.code;
+        this.locale = locale;
+        this.table = CURRENCY_DENOMINATIONS[this.code];
+        this.formatter = new Intl.NumberFormat(locale, { style: 'currency', currency: this.code });
+        this.wholeFormatter = new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: this.code,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        });
+        this.numberFormatter = new Intl.NumberFormat(locale);
+    }
+
+    /**
+     * Get the currency of the player's locale, or another currency written their way
+     */
+    static getActive(code = null) {
+        const i18n = typeof window !== 'undefined' ? window.i18nSystem : null;
+        const active = i18n ? i18n.getCurrency() : MONEY_DEFAULT_CURRENCY;
+        return new MoneyCurrency(code || active.code, active.locale);
+    }
+
+    /**
+     * Write an amount in smallest units, e.g. 135 -> "$1.35"
+     */
+    format(amount) {
+        return this.formatter.format(amount / this.table.minorUnits);
+    }
+
+    /**
+     * The short label printed on a coin or note, e.g. "25¢" or "$5"
+     */
+    getLabel(value) {
+        const { minorUnit, minorUnits } = this.table;
+        if (value >= minorUnits || !minorUnit) {
+            return value % minorUnits === 0 ? this.wholeFormatter.format(value / minorUnits) : this.format(value);
+        }
+        return `${this.numberFormatter.format(value / minorUnit.size)}${minorUnit.symbol}`;
+    }
+
+    /**
+     * Get the currency symbol, e.g. "$" or "€"
+     */
+    getSymbol() {
+        const part = this.formatter.formatToParts(1).find(entry => entry.type === 'currency');
+        return part ? part.value : this.code;
+    }
+
+    /**
+     * Check whether a value is a coin rather than a note
+     */
+    isCoin(value) {
+        return this.table.coins.some(coin => coin.value === value);
+    }
+
+    /**
+     * Get a coin's metal, for drawing it
+     */
+    getMetal(value) {
+        const coin = this.table.coins.find(entry => entry.value === value);
+        return coin ? coin.metal : null;
+    }
+
+    /**
+     * Every coin value, and note value if wanted, smallest first
+     */
+    getDenominations(includeNotes = true) {
+        const coins = this.table.coins.map(coin => coin.value);
+        return includeNotes ? [...coins, ...this.table.notes] : coins;
+    }
+
+    /**
+     * Fewest coins and notes that make an amount, largest first
+     */
+    breakDown(amount, denominations = this.getDenominations()) {
+        const pieces = [];
+        let left = amount;
+        [...denominations].sort((a, b) => b - a).forEach(value => {
+            while (left >= value) {
+                pieces.push(value);
+                left -= value;
+            }
+        });
+        return pieces;
+    }
+}
+
+/**
+ * Coin Purse
+ * A tray of coins and notes children tap, drag or key into a purse
+ */
+class CoinPurse {
+    constructor(options = {}) {
+        this.currency = options.currency || MoneyCurrency.getActive();
+        this.denominations = options.denominations || this.currency.getDenominations();
+        this.label = options.label || 'Your purse';
+        this.showTotal = Boolean(options.showTotal);
+        // Called with the total whenever the purse changes
+        this.onChange = options.onChange || null;
+        this.pieces = [];
+        this.tray = null;
+        this.purse = null;
+        this.status = null;
+    }
+
+    /**
+     * Draw a coin or note as SVG markup
+     */
+    static renderPiece(currency, value) {
+        const label = currency.getLabel(value);
+
+        if (currency.isCoin(value)) {
+            return `
+                <svg class="money-art money-coin coin-${currency.getMetal(value)}" viewBox="0 0 60 60" aria-hidden="true">
+                    <circle class="coin-rim" cx="30" cy="30" r="28"/>
+                    <circle class="coin-face" cx="30" cy="30" r="22"/>
+                    <text class="money-label" x="30" y="30" text-anchor="middle" dominant-baseline="central">${label}</text>
+                </svg>
+            `;
+        }
+
+        return `
+            <svg class="money-art money-note" viewBox="0 0 110 56" aria-hidden="true">
+                <rect class="note-paper" x="2" y="2" width="106" height="52" rx="6"/>
+                <rect class="note-border" x="8" y="8" width="94" height="40" rx="4"/>
+                <text class="money-label" x="55" y="28" text-anchor="middle" dominant-baseline="central">${label}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Draw the tray and purse into a container and start listening for taps, drags and keys
+     */
+    mount(container) {
+        container.innerHTML = `
+            <div class="coin-tray" role="group" aria-label="Coins and notes you can use">
+                ${this.denominations.map(value => `
+                    <button type="button" class="money-piece" draggable="true" data-value="${value}"
+                            aria-label="Add ${this.currency.getLabel(value)}">
+                        ${CoinPurse.renderPiece(this.currency, value)}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="coin-purse" role="group" aria-label="${this.label}"></div>
+            <div class="coin-purse-footer">
+                <p class="coin-purse-status" aria-live="polite"></p>
+                <button type="button" class="coin-purse-clear">Empty the purse</button>
+            </div>
+        `;
+        this.tray = container.querySelector('.coin-tray');
+        this.purse = container.querySelector('.coin-purse');
+        this.status = container.querySelector('.coin-purse-status');
+
+        this.tray.addEventListener('click', (e) => {
+            const piece = e.target.closest('[data-value]');
+            if (piece) this.add(Number(piece.dataset.value));
+        });
+        this.purse.addEventListener('click', (e) => {
+            const piece = e.target.closest('[data-index]');
+            if (piece) this.removeAt(Number(piece.dataset.index), true);
+        });
+        this.tray.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.purse.addEventListener('keydown', (e) => this.handleKeydown(e));
+        container.querySelector('.coin-purse-clear').addEventListener('click', () => this.clear());
+
+        container.addEventListener('dragstart', (e) => {
+            const piece = e.target.closest('.money-piece');
+            if (!piece) return;
+            const data = piece.dataset.index !== undefined ? `remove:${piece.dataset.index}` : `add:${piece.dataset.value}`;
+            e.dataTransfer.setData('text/plain', data);
+            piece.classList.add('dragging');
+        });
+        container.addEventListener('dragend', (e) => {
+            const piece = e.target.closest('.money-piece');
+            if (piece) piece.classList.remove('dragging');
+        });
+        // Drop coins into the purse to add them, or back on the tray to take them out
+        this.addDropZone(this.purse, 'add', value => this.add(Number(value)));
+        this.addDropZone(this.tray, 'remove', index => this.removeAt(Number(index)));
+
+        this.render();
+        return this;
+    }
+
+    /**
+     * Accept one kind of dragged piece on a drop zone
+     */
+    addDropZone(zone, action, onDrop) {
+        zone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('drag-over');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+        zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('drag-over');
+            const [dropped, value] = e.dataTransfer.getData('text/plain').split(':');
+            if (dropped === action) onDrop(value);
+        });
+    }
+
+    /**
+     * Enter or Space adds a tray piece or takes out a purse piece; Delete takes it out too
+     */
+    handleKeydown(event) {
+        const piece = event.target.closest('.money-piece');
+        const isPressed = event.key === 'Enter' || event.key === ' ';
+        const isDelete = event.key === 'Delete' || event.key === 'Backspace';
+        if (!piece || !(isPressed || (isDelete && piece.dataset.index !== undefined))) return;
+
+        event.preventDefault();
+        // Keep Enter on the purse instead of submitting the answer
+        event.stopPropagation();
+        if (piece.dataset.index !== undefined) {
+            this.removeAt(Number(piece.dataset.index), true);
+        } else {
+            this.add(Number(piece.dataset.value));
+        }
+    }
+
+    /**
+     * Put a coin or note in the purse
+     */
+    add(value) {
+        if (!this.denominations.includes(value)) return;
+        this.pieces.push(value);
+        this.pieces.sort((a, b) => b - a);
+        this.changed();
+    }
+
+    /**
+     * Take a piece out of the purse, keeping keyboard focus in the purse
+     */
+    removeAt(index, keepFocus = false) {
+        if (index < 0 || index >= this.pieces.length) return;
+        this.pieces.splice(index, 1);
+        this.changed();
+
+        if (keepFocus && this.purse) {
+            const next = this.purse.querySelector(`[data-index="${Math.min(index, this.pieces.length - 1)}"]`);
+            (next || this.tray.querySelector('.money-piece')).focus();
+        }
+    }
+
+    /**
+     * Empty the purse
+     */
+    clear() {
+        this.pieces = [];
+        this.changed();
+    }
+
+    /**
+     * Redraw after the purse changes and tell the listener
+     */
+    changed() {
+        this.render();
+        if (this.onChange) this.onChange(this.getTotal());
+    }
+
+    /**
+     * Get the amount in the purse, in smallest units
+     */
+    getTotal() {
+        return this.pieces.reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * Get the answer the purse gives, or null while it's empty
+     */
+    getAnswer() {
+        return this.pieces.length > 0 ? this.getTotal() : null;
+    }
+
+    /**
+     * Redraw the purse and its status line
+     */
+    render() {
+        if (!this.purse) return;
+
+        this.purse.innerHTML = this.pieces.length === 0
+            ? '<p class="coin-purse-empty">Drag or tap coins to put them here</p>'
+            : this.pieces.map((value, index) => `
+                <button type="button" class="money-piece in-purse" draggable="true" data-value="${value}" data-index="${index}"
+                        aria-label="${this.currency.getLabel(value)} in the purse, press to take out">
+                    ${CoinPurse.renderPiece(this.currency, value)}
+                </button>
+            `).join('');
+        this.status.textContent = this.describe();
+    }
+
+    /**
+     * Say what's in the purse; the total only when the puzzle allows it
+     */
+    describe() {
+        const count = this.pieces.length;
+        if (count === 0) return 'The purse is empty.';
+        if (this.showTotal) return `In the purse: ${this.currency.format(this.getTotal())}`;
+        return `${count} ${count === 1 ? 'piece' : 'pieces'} in the purse: ${this.pieces.map(value => this.currency.getLabel(value)).join(', ')}`;
+    }
+}
+
+/**
+ * Money Puzzle Generator
+ * Builds counting, paying and change puzzles in a currency for an age group
+ */
+class MoneyPuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || MONEY_LEVELS;
+        this.shopItems = options.shopItems || MONEY_SHOP_ITEMS;
+        this.currency = options.currency || MoneyCurrency.getActive();
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick one of the money skills practised by an age group
+     */
+    pickSkill(ageGroup) {
+        return this.pick(this.getLevel(ageGroup).skills);
+    }
+
+    /**
+     * Generate a fresh money puzzle config for a skill
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        if (skill === 'counting-money') {
+            return this.random() < 0.5
+                ? this.buildCountCoins(ageGroup, difficulty)
+                : this.buildPayExactly(ageGroup, difficulty);
+        }
+        if (skill === 'making-change') {
+            return this.random() < 0.5
+                ? this.buildChooseChange(ageGroup, difficulty)
+                : this.buildGiveChange(ageGroup, difficulty);
+        }
+        throw new Error(`Unknown money skill "${skill}"`);
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * The coins (and notes) a puzzle draws from, smallest first
+     */
+    getPool(ageGroup, difficulty) {
+        const level = this.getLevel(ageGroup);
+        const denominations = this.currency.getDenominations(Boolean(level.notes[difficulty]));
+        return denominations.slice(0, level.kinds[difficulty] || 2);
+    }
+
+    /**
+     * A handful of random pieces from the pool, largest first
+     */
+    randomPieces(ageGroup, difficulty, minPieces = 2) {
+        const pool = this.getPool(ageGroup, difficulty);
+        const maxPieces = this.getLevel(ageGroup).maxPieces[difficulty] || 5;
+        const pieces = [];
+        for (let i = this.randomInt(minPieces, maxPieces); i > 0; i--) {
+            pieces.push(this.pick(pool));
+        }
+        return pieces.sort((a, b) => b - a);
+    }
+
+    /**
+     * A price and the smallest single coin or note Ruby can pay it with
+     */
+    buildPurchase(ageGroup, difficulty) {
+        const price = MoneyPuzzleGenerator.sum(this.randomPieces(ageGroup, difficulty, 1));
+        const denominations = this.currency.getDenominations();
+        const largest = denominations[denominations.length - 1];
+        const paid = denominations.find(value => value > price) || Math.ceil((price + 1) / largest) * largest;
+
+        return { ...this.pick(this.shopItems), price, paid, change: paid - price };
+    }
+
+    /**
+     * Count the coins tipped out of Ruby's purse and choose the total
+     */
+    buildCountCoins(ageGroup, difficulty) {
+        const items = this.randomPieces(ageGroup, difficulty);
+        const total = MoneyPuzzleGenerator.sum(items);
+        const distractors = DistractorGenerator.forMoney('counting-money', { answer: total, items }, MONEY_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'counting-money',
+            title: 'Ruby\'s Treasure Purse',
+            question: 'Ruby tipped out her purse. How much money is there?',
+            correctAnswer: total,
+            options: this.shuffle([total, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            items,
+            hints: [
+                'Start with the piece worth the most.',
+                'Count on from there, adding each piece\'s value: not just one more each time.',
+                `${items.map(value => this.currency.getLabel(value)).join(' + ')} = ${this.currency.format(total)}`
+            ]
+        };
+    }
+
+    /**
+     * Fill Ruby's purse with exactly the price of something at the market
+     */
+    buildPayExactly(ageGroup, difficulty) {
+        const denominations = this.getPool(ageGroup, difficulty);
+        const price = MoneyPuzzleGenerator.sum(this.randomPieces(ageGroup, difficulty));
+        const item = this.pick(this.shopItems);
+        const formatted = this.currency.format(price);
+
+        return {
+            subtype: 'counting-money',
+            title: 'Ruby Goes Shopping',
+            question: `Ruby wants to buy ${item.name} ${item.emoji} for ${formatted}. Put exactly ${formatted} in her purse!`,
+            correctAnswer: price,
+            inputType: 'money',
+            denominations,
+            price,
+            showTotal: difficulty === 'easy',
+            hints: [
+                'Start with the biggest piece that isn\'t worth more than the price.',
+                'Keep adding smaller pieces until you reach the price exactly.',
+                `One way: ${this.currency.breakDown(price, denominations).map(value => this.currency.getLabel(value)).join(' + ')}`
+            ]
+        };
+    }
+
+    /**
+     * Work out the change Ruby gets back and choose it
+     */
+    buildChooseChange(ageGroup, difficulty) {
+        const purchase = this.buildPurchase(ageGroup, difficulty);
+        const denominations = this.currency.getDenominations().filter(value => value < purchase.paid);
+        const content = { answer: purchase.change, price: purchase.price, paid: purchase.paid, denominations };
+        const distractors = DistractorGenerator.forMoney('making-change', content, MONEY_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'making-change',
+            title: 'Change at the Market',
+            question: `Ruby buys ${purchase.name} ${purchase.emoji} for ${this.currency.format(purchase.price)} and pays with ${this.currency.format(purchase.paid)}. How much change does she get back?`,
+            correctAnswer: purchase.change,
+            options: this.shuffle([purchase.change, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            items: [purchase.paid],
+            price: purchase.price,
+            paid: purchase.paid,
+            hints: this.getChangeHints(purchase)
+        };
+    }
+
+    /**
+     * Be the shopkeeper and count Ruby's change into her purse
+     */
+    buildGiveChange(ageGroup, difficulty) {
+        const purchase = this.buildPurchase(ageGroup, difficulty);
+        const denominations = this.currency.getDenominations().filter(value => value < purchase.paid);
+
+        return {
+            subtype: 'making-change',
+            title: 'Shopkeeper for a Day',
+            question: `You're the shopkeeper! Ruby buys ${purchase.name} ${purchase.emoji} for ${this.currency.format(purchase.price)} and pays with ${this.currency.format(purchase.paid)}. Put her change in the purse.`,
+            correctAnswer: purchase.change,
+            inputType: 'money',
+            denominations,
+            items: [purchase.paid],
+            price: purchase.price,
+            paid: purchase.paid,
+            showTotal: difficulty === 'easy',
+            distractors: DistractorGenerator.forMoney('making-change', {
+                answer: purchase.change,
+                price: purchase.price,
+                paid: purchase.paid,
+                denominations
+            }, Infinity),
+            hints: this.getChangeHints(purchase)
+        };
+    }
+
+    /**
+     * Hints for making change, from counting up to the subtraction
+     */
+    getChangeHints(purchase) {
+        const price = this.currency.format(purchase.price);
+        const paid = this.currency.format(purchase.paid);
+        return [
+            `Count up from ${price} to ${paid}, like a shopkeeper does.`,
+            `Or take away: ${paid} − ${price}.`,
+            `${paid} − ${price} = ${this.currency.format(purchase.change)}`
+        ];
+    }
+
+    /**
+     * Add up a list of amounts
+     */
+    static sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    /**
+     * Random whole number from min to max inclusive
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Money Puzzle Class
+ * A math puzzle whose visual objects are real coins and notes
+ */
+class MoneyPuzzle extends MathPuzzle {
+    constructor(config) {
+        super({ useVisualObjects: true, ...config });
+        this.currency = MoneyCurrency.getActive(config.currency);
+        this.items = config.items || [];
+        this.inputType = config.inputType || null;
+        this.denominations = config.denominations || this.currency.getDenominations();
+        this.price = typeof config.price === 'number' ? config.price : null;
+        this.paid = typeof config.paid === 'number' ? config.paid : null;
+        this.showTotal = Boolean(config.showTotal);
+    }
+
+    /**
+     * Write an amount in the player's currency
+     */
+    formatAnswer(answer) {
+        return typeof answer === 'number' ? this.currency.format(answer) : String(answer);
+    }
+
+    /**
+     * Compare amounts as numbers, however they arrive
+     */
+    checkAnswer(answer) {
+        return Number(answer) === Number(this.correctAnswer);
+    }
+
+    /**
+     * Coins and notes as MathPuzzle visual objects
+     */
+    generateVisualObjects(values) {
+        const labels = values.map(value => this.currency.getLabel(value)).join(', ');
+        let html = `<div class="visual-objects money-objects" role="img" aria-label="${labels}">`;
+
+        values.forEach((value, i) => {
+            html += `<span class="visual-object money-object" style="animation-delay: ${i * 0.1}s">${CoinPurse.renderPiece(this.currency, value)}</span>`;
+        });
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Generate the price tag and the money on the counter
+     */
+    generateVisualAids() {
+        if (!this.useVisualObjects) return '';
+
+        let html = '<div class="math-visual-aids money-visual-aids">';
+
+        if (this.price !== null) {
+            html += `<div class="price-tag">🏷️ ${this.currency.format(this.price)}</div>`;
+        }
+        if (this.items.length > 0) {
+            html += `
+                <div class="number-group">
+                    <div class="group-label">${this.paid !== null ? 'Ruby pays with' : 'In Ruby\'s purse'}</div>
+                    ${this.generateVisualObjects(this.items)}
+                </div>
+            `;
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Generate answer interface for money problems
+     */
+    generateAnswerInterface() {
+        if (this.inputType === 'money') {
+            // The tray and purse are drawn and wired up by CoinPurse.mount once on the page
+            return `
+                <div class="answer-interface money-input"
+                     data-denominations="${this.denominations.join(',')}"
+                     data-show-total="${this.showTotal}"></div>
+            `;
+        }
+
+        if (this.options && this.options.length > 0) {
+            return `
+                <div class="answer-interface multiple-choice">
+                    ${this.options.map(option => `
+                        <button class="choice-option money-choice" data-value="${option}">
+                            ${this.formatAnswer(option)}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        return super.generateAnswerInterface();
+    }
+
+    /**
+     * Pick the money skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new MoneyPuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate money puzzle in the player's currency
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new MoneyPuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new MoneyPuzzle({
+            id: `money-${Date.now()}`,
+            type: 'math',
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            currency: generator.currency.code,
+            metadata: { subject: 'math', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Money puzzles are math puzzles; the router passes these content fields through
+MoneyPuzzle.SUBJECT = 'math';
+MoneyPuzzle.CONTENT_FIELDS = ['items', 'inputType', 'denominations', 'price', 'paid', 'currency', 'showTotal'];
+MoneyPuzzle.SKILLS = ['counting-money', 'making-change'];
+MoneyCurrency.DENOMINATIONS = CURRENCY_DENOMINATIONS;
+MoneyPuzzleGenerator.LEVELS = MONEY_LEVELS;
+MoneyPuzzleGenerator.SHOP_ITEMS = MONEY_SHOP_ITEMS;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MoneyCurrency,
+        CoinPurse,
+        MoneyPuzzleGenerator,
+        MoneyPuzzle
+    };
+} else {
+    window.MoneyCurrency = MoneyCurrency;
+    window.CoinPurse = CoinPurse;
+    window.MoneyPuzzleGenerator = MoneyPuzzleGenerator;
+    window.MoneyPuzzle = MoneyPuzzle;
+}
@@ -227,6 +227,7 @@ class ParentDashboard {
                         <div class="skill-header">
                             <h3>🔢 Mathematics</h3>
                             <div class="skill-level" id="math-level">Level 1</div>
+                            <span class="mastery-badge" id="math-mastered" hidden>🏅 Mastered</span>
                         </div>
                         <div class="skill-stats">
                             <div class="skill-stat">
@@ -241,12 +242,17 @@ class ParentDashboard {
                                 <span class="stat-label">Success Rate:</span>
                                 <span class="stat-value" id="math-success-rate">0%</span>
                             </div>
+                            <div class="skill-stat">
+                                <span class="stat-label">Mastery:</span>
+                                <span class="stat-value" id="math-mastery">Not started</span>
+                            </div>
                         </div>
                         <div class="skill-progress">
                             <div class="progress-bar">
                                 <div class="progress-fill" id="math-progress"></div>
                             </div>
                         </div>
+                        <ul id="math-skill-mastery" class="skill-mastery-list"></ul>
                         <div class="skill-insights">
                             <h4>Strengths & Opportunities</h4>
                             <div id="math-insights" class="insights-list">
@@ -259,6 +265,7 @@ class ParentDashboard {
                         <div class="skill-header">
                             <h3>📚 Language Arts</h3>
                             <div class="skill-level" id="language-level">Level 1</div>
+                            <span class="mastery-badge" id="language-mastered" hidden>🏅 Mastered</span>
                         </div>
                         <div class="skill-stats">
                             <div class="skill-stat">
@@ -273,12 +280,17 @@ class ParentDashboard {
                                 <span class="stat-label">Success Rate:</span>
                                 <span class="stat-value" id="language-success-rate">0%</span>
                             </div>
+                            <div class="skill-stat">
+                                <span class="stat-label">Mastery:</span>
+                                <span class="stat-value" id="language-mastery">Not started</span>
+                            </div>
                         </div>
                         <div class="skill-progress">
                             <div class="progress-bar">
                                 <div class="progress-fill" id="language-progress"></div>
                             </div>
                         </div>
+                        <ul id="language-skill-mastery" class="skill-mastery-list"></ul>
                         <div class="skill-insights">
                             <h4>Strengths & Opportunities</h4>
                             <div id="language-insights" class="insights-list">
@@ -291,6 +303,7 @@ class ParentDashboard {
                         <div class="skill-header">
                             <h3>🔬 Science</h3>
                             <div class="skill-level" id="science-level">Level 1</div>
+                            <span class="mastery-badge" id="science-mastered" hidden>🏅 Mastered</span>
                         </div>
                         <div class="skill-stats">
                             <div class="skill-stat">
@@ -305,12 +318,17 @@ class ParentDashboard {
                                 <span class="stat-label">Success Rate:</span>
                                 <span class="stat-value" id="science-success-rate">0%</span>
                             </div>
+                            <div class="skill-stat">
+                                <span class="stat-label">Mastery:</span>
+                                <span class="stat-value" id="science-mastery">Not started</span>
+                            </div>
                         </div>
                         <div class="skill-progress">
                             <div class="progress-bar">
                                 <div class="progress-fill" id="science-progress"></div>
                             </div>
                         </div>
+                        <ul id="science-skill-mastery" class="skill-mastery-list"></ul>
                         <div class="skill-insights">
                             <h4>Strengths & Opportunities</h4>
                             <div id="science-insights" class="insights-list">
@@ -492,6 +510,24 @@ class ParentDashboard {
                     </div>
                 </div>
 
+                <div class="puzzle-set-options">
+                    <h3>🎲 Puzzle Set Code</h3>
+                    <p>Make a new code to share, or enter a code from a teacher. Everyone who plays a code gets the same puzzles in the same order, at the level and age group the code was made for.</p>
+                    <p class="puzzle-set-current">Current code: <strong id="dashboard-puzzle-set-code">-</strong> <span id="dashboard-puzzle-set-mode"></span></p>
+                    <div class="puzzle-set-form">
+                        <label for="dashboard-puzzle-set-input">Use a code:</label>
+                        <input type="text" id="dashboard-puzzle-set-input" placeholder="ABCD-EFGH" maxlength="9" autocomplete="off">
+                        <button class="report-btn" onclick="parentDashboard.applyPuzzleSetCode()">
+                            ✅ Use Code
+                        </button>
+                        <button class="report-btn" onclick="parentDashboard.applyPuzzleSetCode(true)">
+                            🔀 New Code
+                        </button>
+                    </div>
+                    <h4>Puzzles in this set</h4>
+                    <ol id="dashboard-puzzle-set-history" class="puzzle-set-history"></ol>
+                </div>
+
                 <div class="sharing-options">
                     <h3>📤 Share Progress</h3>
                     <div class="share-buttons">
@@ -709,6 +745,7 @@ class ParentDashboard {
         if (!saveData) return;
 
         const skills = ['math', 'language', 'science'];
+        const misconceptions = MisconceptionAnalyzer.analyze(saveData.puzzleProgress.commonErrors || []);
         
         skills.forEach(skill => {
             const skillData = saveData.puzzleProgress.skillLevels[skill];
@@ -727,12 +764,106 @@ class ParentDashboard {
                 progressEl.style.width = `${Math.min(100, skillData.level * 10)}%`;
             }
             
+            // Mastery comes from the knowledge-tracing estimate, not raw counts
+            this.updateElement(`${skill}-mastery`, typeof skillData.mastery === 'number' ? `${Math.round(skillData.mastery * 100)}%` : 'Not started');
+            const badgeEl = document.getElementById(`${skill}-mastered`);
+            if (badgeEl) {
+                badgeEl.hidden = !skillData.mastered;
+            }
+            this.loadSkillMastery(skill, saveData.gameProgress.skillMastery);
+            
             // Load insights
-            this.loadSkillInsights(skill, skillData);
+            this.loadSkillInsights(skill, skillData, misconceptions[skill]);
         });
         
         // Load learning recommendations
-        this.loadLearningRecommendations();
+        this.loadLearningRecommendations(misconceptions);
+    }
+
+    /**
+     * List each practised skill in a subject with its mastery
+     */
+    loadSkillMastery(subject, skillMastery) {
+        const list = document.getElementById(`${subject}-skill-mastery`);
+        if (!list) return;
+
+        list.innerHTML = '';
+        const skills = new MasteryModel(skillMastery || MasteryModel.createState()).getSkills(subject);
+        skills.sort((a, b) => b.pKnown - a.pKnown).forEach(entry => {
+            const mastered = MasteryModel.isMastered(entry.pKnown);
+            const item = document.createElement('li');
+            item.className = `skill-mastery-item${mastered ? ' mastered' : ''}`;
+            item.textContent = `${mastered ? '🏅 ' : ''}${MisconceptionAnalyzer.formatSkill(entry.skill)}: ${Math.round(entry.pKnown * 100)}%`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the misconceptions behind a subject's wrong answers
+     */
+    loadSkillInsights(skill, skillData, misconceptionReport) {
+        const container = document.getElementById(`${skill}-insights`);
+        if (!container) return;
+
+        container.innerHTML = '';
+        const insights = MisconceptionAnalyzer.getInsights(misconceptionReport);
+
+        if (insights.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'insight-empty';
+            if (!skillData.attempted) {
+                empty.textContent = 'No puzzles tried yet.';
+            } else if (misconceptionReport.errors === 0) {
+                empty.textContent = 'No mistakes so far - great work!';
+            } else {
+                empty.textContent = `${misconceptionReport.errors} wrong ${misconceptionReport.errors === 1 ? 'answer' : 'answers'}, none matching a known pattern yet.`;
+            }
+            container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'insight-items';
+        insights.forEach(insight => {
+            const item = document.createElement('li');
+            item.className = 'insight-item';
+            item.textContent = insight.text;
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
+
+    /**
+     * Suggest practice for the most frequent misconceptions
+     */
+    loadLearningRecommendations(misconceptions) {
+        const container = document.getElementById('recommendations');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const topMisconceptions = MisconceptionAnalyzer.getTopMisconceptions(misconceptions);
+
+        if (topMisconceptions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'insight-empty';
+            empty.textContent = 'Keep playing! Practice ideas will appear here once patterns show up in the puzzles.';
+            container.appendChild(empty);
+            return;
+        }
+
+        topMisconceptions.forEach(misconception => {
+            const recommendation = document.createElement('div');
+            recommendation.className = 'recommendation-item';
+
+            const title = document.createElement('strong');
+            title.textContent = misconception.text;
+
+            const tip = document.createElement('p');
+            tip.textContent = misconception.tip;
+
+            recommendation.append(title, tip);
+            container.appendChild(recommendation);
+        });
     }
 
     /**
@@ -761,6 +892,65 @@ class ParentDashboard {
         this.updateGoalProgress();
     }
 
+    /**
+     * Load reports data
+     */
+    loadReportsData() {
+        const puzzleSystem = this.game.puzzleSystem;
+        if (puzzleSystem) {
+            const puzzleSet = puzzleSystem.getPuzzleSet();
+            const profile = puzzleSystem.getSetProfile();
+            this.updateElement('dashboard-puzzle-set-code', puzzleSet.code);
+            this.updateElement('dashboard-puzzle-set-mode', profile
+                ? `(shared: ${profile.difficulty}, ${profile.ageGroup.replace('ages', 'ages ')})`
+                : '(your child\'s own set: levels and reviews follow how they do, so make a new code to share)');
+            this.loadPuzzleSetHistory(puzzleSet.history);
+        }
+    }
+
+    /**
+     * List the puzzles played in the current set with their seeds, for replaying or a bug report
+     */
+    loadPuzzleSetHistory(history = []) {
+        const list = document.getElementById('dashboard-puzzle-set-history');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'insight-empty';
+            empty.textContent = 'No puzzles played in this set yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        history.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'puzzle-set-history-item';
+            item.textContent = `${entry.seed}: ${entry.puzzleId} (${entry.skill || entry.subject}, ${entry.difficulty}${entry.review ? ', review' : ''})`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Replay a puzzle set from the entered code, or start a fresh one
+     */
+    applyPuzzleSetCode(startNew = false) {
+        const puzzleSystem = this.game.puzzleSystem;
+        const input = document.getElementById('dashboard-puzzle-set-input');
+        if (!puzzleSystem) return;
+
+        try {
+            const code = puzzleSystem.startPuzzleSet(startNew ? null : input?.value);
+            if (input) input.value = '';
+            this.loadReportsData();
+            this.game.saveGame();
+            this.game.showNotification(`Puzzle set ${code} starts with the next puzzle`, 'success');
+        } catch (error) {
+            this.game.showNotification(error.message, 'error');
+        }
+    }
+
     /**
      * Utility functions
      */
@@ -0,0 +1,287 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - PATH MAP
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the story path map screen that handles:
+ * - Laying out the current companion's path from the story graph
+ * - Marking scenes as visited, current, open to explore or locked
+ * - Showing the stars earned on each solved puzzle
+ * - Replaying any unlocked scene with a tap
+ *
+ * The map is built from storyPaths[*].scenes plus every branch reachable
+ * from them, and coloured in from gameState.scenesVisited and
+ * gameState.puzzleResults.
+ *
+ * Node status:
+ *   current    the scene the player is on now
+ *   visited    a scene the player has already seen
+ *   available  an unvisited scene one step from a visited one, such as a
+ *              branch the player didn't take
+ *   locked     everything further ahead
+ *
+ * Exploration Philosophy:
+ * Children should see how far they've come and the paths still waiting,
+ * and feel free to go back and try the other way.
+ */
+
+// Scene type -> icon on the map
+const PATH_MAP_ICONS = {
+    story: '📖',
+    puzzle: '🧩',
+    celebration: '🎉',
+    characterSelect: '🧭'
+};
+
+const PATH_MAP_STATUS_LABELS = {
+    current: 'You are here',
+    visited: 'Visited',
+    available: 'Not explored yet',
+    locked: 'Locked'
+};
+
+class PathMap {
+    constructor(gameEngine) {
+        this.game = gameEngine;
+        this.elements = {};
+        this.returnScreen = 'story';
+    }
+
+    /**
+     * Cache map elements and wire up the open and close buttons
+     */
+    initialize() {
+        this.elements = {
+            map: document.getElementById('path-map'),
+            openButton: document.getElementById('story-map-toggle'),
+            closeButton: document.getElementById('map-close')
+        };
+
+        if (this.elements.openButton) {
+            this.elements.openButton.addEventListener('click', () => this.open());
+        }
+
+        if (this.elements.closeButton) {
+            this.elements.closeButton.addEventListener('click', () => this.close());
+        }
+
+        console.log('🗺️ Path map initialized');
+    }
+
+    /**
+     * Show the map screen
+     */
+    open() {
+        const currentScreen = this.game.gameState.currentScreen;
+        if (currentScreen !== 'map') {
+            this.returnScreen = currentScreen;
+        }
+
+        const map = this.render();
+        this.game.showScreen('map');
+
+        if (map) {
+            const visited = map.nodes.filter(node => node.status === 'visited' || node.status === 'current').length;
+            this.game.announceToScreenReader(`Map of ${map.title}. You have visited ${visited} of ${map.nodes.length} places.`);
+        } else {
+            this.game.announceToScreenReader('Map opened. Choose a companion to start your path.');
+        }
+
+        if (this.elements.closeButton) {
+            this.elements.closeButton.focus();
+        }
+    }
+
+    /**
+     * Go back to the screen the map was opened from
+     */
+    close() {
+        this.game.showScreen(this.returnScreen);
+    }
+
+    /**
+     * Build the map for the player's current path, or null before a path is chosen
+     */
+    buildMap() {
+        const storyGraph = this.game.storyGraph;
+        const pathId = this.game.gameState.player.currentPath;
+        const path = storyGraph && pathId ? storyGraph.getPath(pathId) : null;
+        if (!path || path.scenes.length === 0) return null;
+
+        // Columns follow the number of steps from the start of the path
+        const columns = {};
+        const queue = [{ sceneId: path.scenes[0], column: 0 }];
+        while (queue.length > 0) {
+            const { sceneId, column } = queue.shift();
+            if (columns[sceneId] !== undefined) continue;
+
+            columns[sceneId] = column;
+            this.getLinks(sceneId).forEach(target => {
+                if (columns[target] === undefined) {
+                    queue.push({ sceneId: target, column: column + 1 });
+                }
+            });
+        }
+
+        // Path scenes nothing links to still belong on the map
+        path.scenes.forEach(sceneId => {
+            if (columns[sceneId] === undefined && storyGraph.hasScene(sceneId)) {
+                columns[sceneId] = Math.max(...Object.values(columns)) + 1;
+            }
+        });
+
+        const currentSceneId = this.game.gameState.player.currentScene;
+        const puzzleResults = this.game.gameState.puzzleResults || {};
+        const visited = new Set(this.game.gameState.scenesVisited || []);
+
+        // A scene opens once the player has moved on from a scene leading to it;
+        // puzzles only open what lies beyond them once they've been played
+        const unlocked = new Set([path.scenes[0]]);
+        visited.forEach(sceneId => {
+            const scene = storyGraph.getScene(sceneId);
+            if (columns[sceneId] === undefined || sceneId === currentSceneId) return;
+            if (scene.type === 'puzzle' && !puzzleResults[sceneId]) return;
+
+            this.getLinks(sceneId).forEach(target => unlocked.add(target));
+        });
+
+        const nodes = Object.entries(columns).map(([sceneId, column]) => {
+            const scene = storyGraph.getScene(sceneId);
+            let status = 'locked';
+            if (sceneId === currentSceneId) {
+                status = 'current';
+            } else if (visited.has(sceneId)) {
+                status = 'visited';
+            } else if (unlocked.has(sceneId)) {
+                status = 'available';
+            }
+
+            return {
+                id: sceneId,
+                title: scene.title || sceneId,
+                type: scene.type,
+                column,
+                status,
+                result: puzzleResults[sceneId] || null
+            };
+        });
+
+        return { id: pathId, title: path.title || pathId, nodes };
+    }
+
+    /**
+     * Get the scenes a scene leads to, including branches the player didn't take
+     */
+    getLinks(sceneId) {
+        const storyGraph = this.game.storyGraph;
+        const scene = storyGraph.getScene(sceneId);
+        if (!scene) return [];
+
+        const inlineChoices = scene.dialogue.flatMap(line => line.choices);
+        const targets = [...scene.choices, ...inlineChoices].map(choice => choice.next);
+        targets.push(scene.success, scene.failure, storyGraph.getNextSceneId(sceneId));
+
+        return [...new Set(targets)].filter(target => target && storyGraph.hasScene(target));
+    }
+
+    /**
+     * Render the map into the map screen
+     */
+    render() {
+        const container = this.elements.map;
+        if (!container) return null;
+
+        container.innerHTML = '';
+
+        const map = this.buildMap();
+        if (!map) {
+            const empty = document.createElement('p');
+            empty.className = 'timeline-empty';
+            empty.textContent = 'Choose a companion to see your path on the map.';
+            container.appendChild(empty);
+            return null;
+        }
+
+        const title = document.createElement('h3');
+        title.className = 'path-map-title';
+        title.textContent = map.title;
+        container.appendChild(title);
+
+        const columns = [];
+        map.nodes.forEach(node => {
+            (columns[node.column] = columns[node.column] || []).push(node);
+        });
+
+        const list = document.createElement('ol');
+        list.className = 'path-map-columns';
+        columns.filter(Boolean).forEach(nodes => {
+            const column = document.createElement('li');
+            column.className = 'path-map-column';
+            nodes.forEach(node => column.appendChild(this.createNode(node)));
+            list.appendChild(column);
+        });
+        container.appendChild(list);
+
+        return map;
+    }
+
+    /**
+     * Create the button for one scene on the map
+     */
+    createNode(node) {
+        const button = document.createElement('button');
+        button.className = `path-map-node ${node.status} ${node.type}`;
+        button.disabled = node.status === 'locked';
+
+        const icon = document.createElement('span');
+        icon.className = 'path-map-icon';
+        icon.textContent = node.status === 'locked' ? '🔒' : (PATH_MAP_ICONS[node.type] || '📖');
+        icon.setAttribute('aria-hidden', 'true');
+
+        const title = document.createElement('span');
+        title.className = 'path-map-node-title';
+        // Locked scenes keep their names a surprise
+        title.textContent = node.status === 'locked' ? '???' : node.title;
+
+        button.append(icon, title);
+
+        let description = PATH_MAP_STATUS_LABELS[node.status];
+        if (node.result && node.result.result === 'solved') {
+            const stars = document.createElement('span');
+            stars.className = 'path-map-stars';
+            stars.textContent = '⭐'.repeat(node.result.stars);
+            button.appendChild(stars);
+            description += `, solved with ${node.result.stars} ${node.result.stars === 1 ? 'star' : 'stars'}`;
+        }
+
+        const label = node.status === 'locked' ? 'Locked scene' : node.title;
+        button.setAttribute('aria-label', `${label}: ${description}`);
+        if (node.status === 'current') {
+            button.setAttribute('aria-current', 'step');
+        }
+
+        if (node.status === 'current') {
+            button.addEventListener('click', () => this.close());
+        } else if (!button.disabled) {
+            button.addEventListener('click', () => this.replayScene(node.id));
+        }
+
+        return button;
+    }
+
+    /**
+     * Jump back into a scene from the map, without running its onEnter or paying out its stars again
+     */
+    replayScene(sceneId) {
+        const puzzleResults = this.game.gameState.puzzleResults || {};
+        this.game.loadScene(sceneId, {
+            replayEntry: { sceneId, puzzleOutcome: puzzleResults[sceneId] || null }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathMap;
+} else {
+    window.PathMap = PathMap;
+}
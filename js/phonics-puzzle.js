@@ -0,0 +1,572 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - PHONICS PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the phonics puzzle family that handles:
+ * - Hearing the first sound of a word ("Which word starts with /b/?")
+ * - Hearing rhymes: picking the word that rhymes with one that's spoken
+ * - Blending sounds spoken one at a time into a word
+ * - Saying every sound and word aloud in a locale voice, with a button to
+ *   hear it again and the written sound for children who can't listen
+ * - Written pronunciations for the rhyming puzzles' words
+ *
+ * Sounds are written as the letters that spell them: 'b', 'sh', 'ck'. Each
+ * has a written form (/b/) and a way to say it ("buh"), since speech voices
+ * can't say a sound on its own.
+ *
+ * Phonics puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'language',
+ *     skill: 'initial-sounds',          // initial-sounds, hearing-rhymes or blending
+ *     question: 'Which word starts with the sound /b/?',
+ *     sound: 'b',                       // initial-sounds: the sound to listen for
+ *     rhymesWith: 'cat',                // hearing-rhymes: the word that's spoken
+ *     sounds: ['c', 'a', 't'],          // blending: the sounds to blend
+ *     options: ['bat', 'web', 'sun'],
+ *     answer: 'bat'
+ *   }
+ *
+ * Phonics Philosophy:
+ * Reading starts with the ear. Children who can hear the sounds inside a
+ * word are ready to match them to letters, so these puzzles are listened
+ * to first and read second.
+ */
+
+// Sound -> how it's written between slashes, said aloud and written in a pronunciation
+const PHONICS_SOUNDS = {
+    b: { written: '/b/', spoken: 'buh', pronounced: 'b' },
+    c: { written: '/k/', spoken: 'kuh', pronounced: 'k' },
+    k: { written: '/k/', spoken: 'kuh', pronounced: 'k' },
+    ck: { written: '/k/', spoken: 'kuh', pronounced: 'k' },
+    d: { written: '/d/', spoken: 'duh', pronounced: 'd' },
+    f: { written: '/f/', spoken: 'fff', pronounced: 'f' },
+    g: { written: '/g/', spoken: 'guh', pronounced: 'g' },
+    h: { written: '/h/', spoken: 'huh', pronounced: 'h' },
+    j: { written: '/j/', spoken: 'juh', pronounced: 'j' },
+    l: { written: '/l/', spoken: 'lll', pronounced: 'l' },
+    ll: { written: '/l/', spoken: 'lll', pronounced: 'l' },
+    m: { written: '/m/', spoken: 'mmm', pronounced: 'm' },
+    n: { written: '/n/', spoken: 'nnn', pronounced: 'n' },
+    p: { written: '/p/', spoken: 'puh', pronounced: 'p' },
+    r: { written: '/r/', spoken: 'rrr', pronounced: 'r' },
+    s: { written: '/s/', spoken: 'sss', pronounced: 's' },
+    t: { written: '/t/', spoken: 'tuh', pronounced: 't' },
+    v: { written: '/v/', spoken: 'vvv', pronounced: 'v' },
+    w: { written: '/w/', spoken: 'wuh', pronounced: 'w' },
+    x: { written: '/ks/', spoken: 'ks', pronounced: 'ks' },
+    z: { written: '/z/', spoken: 'zzz', pronounced: 'z' },
+    sh: { written: '/sh/', spoken: 'shh', pronounced: 'sh' },
+    ch: { written: '/ch/', spoken: 'chuh', pronounced: 'ch' },
+    a: { written: '/a/', spoken: 'aa', pronounced: 'ă' },
+    e: { written: '/e/', spoken: 'eh', pronounced: 'ĕ' },
+    i: { written: '/i/', spoken: 'ih', pronounced: 'ĭ' },
+    o: { written: '/o/', spoken: 'aw', pronounced: 'ŏ' },
+    u: { written: '/u/', spoken: 'uh', pronounced: 'ŭ' }
+};
+
+// Picture words spelled the way they sound, split into their sounds
+const PHONICS_WORDS = [
+    { word: 'bat', picture: '🦇', sounds: ['b', 'a', 't'] },
+    { word: 'bag', picture: '👜', sounds: ['b', 'a', 'g'] },
+    { word: 'bed', picture: '🛏️', sounds: ['b', 'e', 'd'] },
+    { word: 'bug', picture: '🐛', sounds: ['b', 'u', 'g'] },
+    { word: 'bus', picture: '🚌', sounds: ['b', 'u', 's'] },
+    { word: 'cat', picture: '🐱', sounds: ['c', 'a', 't'] },
+    { word: 'cap', picture: '🧢', sounds: ['c', 'a', 'p'] },
+    { word: 'cab', picture: '🚕', sounds: ['c', 'a', 'b'] },
+    { word: 'cup', picture: '☕', sounds: ['c', 'u', 'p'] },
+    { word: 'cub', picture: '🐻', sounds: ['c', 'u', 'b'] },
+    { word: 'crab', picture: '🦀', sounds: ['c', 'r', 'a', 'b'] },
+    { word: 'clock', picture: '🕐', sounds: ['c', 'l', 'o', 'ck'] },
+    { word: 'dog', picture: '🐶', sounds: ['d', 'o', 'g'] },
+    { word: 'duck', picture: '🦆', sounds: ['d', 'u', 'ck'] },
+    { word: 'drum', picture: '🥁', sounds: ['d', 'r', 'u', 'm'] },
+    { word: 'fan', picture: '🪭', sounds: ['f', 'a', 'n'] },
+    { word: 'fox', picture: '🦊', sounds: ['f', 'o', 'x'] },
+    { word: 'fog', picture: '🌫️', sounds: ['f', 'o', 'g'] },
+    { word: 'fish', picture: '🐟', sounds: ['f', 'i', 'sh'] },
+    { word: 'frog', picture: '🐸', sounds: ['f', 'r', 'o', 'g'] },
+    { word: 'flag', picture: '🚩', sounds: ['f', 'l', 'a', 'g'] },
+    { word: 'hat', picture: '🎩', sounds: ['h', 'a', 't'] },
+    { word: 'hen', picture: '🐔', sounds: ['h', 'e', 'n'] },
+    { word: 'hut', picture: '🛖', sounds: ['h', 'u', 't'] },
+    { word: 'jam', picture: '🍓', sounds: ['j', 'a', 'm'] },
+    { word: 'jet', picture: '✈️', sounds: ['j', 'e', 't'] },
+    { word: 'leg', picture: '🦵', sounds: ['l', 'e', 'g'] },
+    { word: 'log', picture: '🪵', sounds: ['l', 'o', 'g'] },
+    { word: 'lock', picture: '🔒', sounds: ['l', 'o', 'ck'] },
+    { word: 'lips', picture: '👄', sounds: ['l', 'i', 'p', 's'] },
+    { word: 'map', picture: '🗺️', sounds: ['m', 'a', 'p'] },
+    { word: 'mop', picture: '🧹', sounds: ['m', 'o', 'p'] },
+    { word: 'milk', picture: '🥛', sounds: ['m', 'i', 'l', 'k'] },
+    { word: 'net', picture: '🥅', sounds: ['n', 'e', 't'] },
+    { word: 'nut', picture: '🥜', sounds: ['n', 'u', 't'] },
+    { word: 'nest', picture: '🪺', sounds: ['n', 'e', 's', 't'] },
+    { word: 'pan', picture: '🍳', sounds: ['p', 'a', 'n'] },
+    { word: 'pen', picture: '🖊️', sounds: ['p', 'e', 'n'] },
+    { word: 'pin', picture: '📌', sounds: ['p', 'i', 'n'] },
+    { word: 'pig', picture: '🐷', sounds: ['p', 'i', 'g'] },
+    { word: 'rat', picture: '🐀', sounds: ['r', 'a', 't'] },
+    { word: 'rock', picture: '🪨', sounds: ['r', 'o', 'ck'] },
+    { word: 'sun', picture: '☀️', sounds: ['s', 'u', 'n'] },
+    { word: 'six', picture: '6️⃣', sounds: ['s', 'i', 'x'] },
+    { word: 'sock', picture: '🧦', sounds: ['s', 'o', 'ck'] },
+    { word: 'ten', picture: '🔟', sounds: ['t', 'e', 'n'] },
+    { word: 'tin', picture: '🥫', sounds: ['t', 'i', 'n'] },
+    { word: 'tub', picture: '🛁', sounds: ['t', 'u', 'b'] },
+    { word: 'tent', picture: '⛺', sounds: ['t', 'e', 'n', 't'] },
+    { word: 'van', picture: '🚐', sounds: ['v', 'a', 'n'] },
+    { word: 'web', picture: '🕸️', sounds: ['w', 'e', 'b'] },
+    { word: 'zip', picture: '🤐', sounds: ['z', 'i', 'p'] },
+    { word: 'ship', picture: '🚢', sounds: ['sh', 'i', 'p'] },
+    { word: 'shell', picture: '🐚', sounds: ['sh', 'e', 'll'] },
+    { word: 'chick', picture: '🐤', sounds: ['ch', 'i', 'ck'] },
+    { word: 'chips', picture: '🍟', sounds: ['ch', 'i', 'p', 's'] }
+];
+
+// Sounds spelled with two letters, held back until children are ready for them
+const PHONICS_DIGRAPHS = ['sh', 'ch', 'ck', 'll', 'x'];
+
+// Skills, answer choices, blend length and misconception traps per age group and difficulty
+const PHONICS_LEVELS = {
+    'ages4-6': {
+        skills: ['initial-sounds', 'hearing-rhymes', 'blending'],
+        optionCount: { easy: 2, medium: 3, hard: 3, expert: 3 },
+        // Longest word to blend, in sounds
+        maxSounds: { easy: 3, medium: 3, hard: 3, expert: 4 },
+        // Offer the wrong answers a misconception leads to, not just any word
+        traps: { hard: true, expert: true },
+        digraphs: { expert: true }
+    },
+    'ages7-9': {
+        skills: ['initial-sounds', 'hearing-rhymes', 'blending'],
+        optionCount: { easy: 3, medium: 3, hard: 4, expert: 4 },
+        maxSounds: { easy: 3, medium: 4, hard: 4, expert: 4 },
+        traps: { medium: true, hard: true, expert: true },
+        digraphs: { easy: true, medium: true, hard: true, expert: true }
+    },
+    'ages10-12': {
+        skills: ['hearing-rhymes', 'blending'],
+        optionCount: { easy: 4, medium: 4, hard: 4, expert: 4 },
+        maxSounds: { easy: 4, medium: 4, hard: 4, expert: 4 },
+        traps: { easy: true, medium: true, hard: true, expert: true },
+        digraphs: { easy: true, medium: true, hard: true, expert: true }
+    }
+};
+
+const PHONICS_TITLES = {
+    'initial-sounds': 'Ruby\'s Sound Hunt',
+    'hearing-rhymes': 'Sage\'s Rhyming Echo',
+    'blending': 'Scout\'s Sound Blender'
+};
+
+/**
+ * Sound Prompt
+ * Says a phonics puzzle's sound or word aloud, with buttons to hear it again
+ */
+class SoundPrompt {
+    constructor(options = {}) {
+        this.say = options.say || '';
+        this.written = options.written || '';
+        this.choices = options.choices || [];
+        this.speaker = options.speaker || null;
+        // Speak as soon as the prompt appears
+        this.autoplay = options.autoplay !== false;
+        this.writtenLine = null;
+    }
+
+    /**
+     * Draw the buttons into a container and say the prompt
+     */
+    mount(container) {
+        const canSpeak = Boolean(this.speaker && this.speaker.isSupported());
+
+        container.innerHTML = `
+            <div class="sound-prompt" role="group" aria-label="Listen">
+                ${canSpeak ? `
+                    <button type="button" class="sound-prompt-play">🔊 Hear it again</button>
+                    ${this.choices.length > 0 ? '<button type="button" class="sound-prompt-choices">🔊 Hear the choices</button>' : ''}
+                    <button type="button" class="sound-prompt-show" aria-expanded="false">Show me</button>
+                ` : ''}
+                <p class="sound-prompt-written" ${canSpeak ? 'hidden' : ''}>
+                    ${canSpeak ? '' : 'Sound is off on this device, so here it is written down: '}<strong>${this.written}</strong>
+                </p>
+            </div>
+        `;
+        this.writtenLine = container.querySelector('.sound-prompt-written');
+
+        if (canSpeak) {
+            container.querySelector('.sound-prompt-play').addEventListener('click', () => this.play());
+            const choices = container.querySelector('.sound-prompt-choices');
+            if (choices) choices.addEventListener('click', () => this.playChoices());
+            const show = container.querySelector('.sound-prompt-show');
+            show.addEventListener('click', () => {
+                this.writtenLine.hidden = !this.writtenLine.hidden;
+                show.setAttribute('aria-expanded', String(!this.writtenLine.hidden));
+            });
+        }
+        // Keep Enter and Space on these buttons instead of the puzzle's shortcuts
+        container.querySelector('.sound-prompt').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') e.stopPropagation();
+        });
+
+        if (canSpeak && this.autoplay) this.play();
+        return this;
+    }
+
+    /**
+     * Say the prompt
+     */
+    play() {
+        return this.speaker ? this.speaker.speak(this.say) : false;
+    }
+
+    /**
+     * Say each answer choice, with a pause between them
+     */
+    playChoices() {
+        return this.speaker ? this.speaker.speak(this.choices.join('... ')) : false;
+    }
+
+    /**
+     * Stop talking, e.g. when the puzzle is left
+     */
+    stop() {
+        if (this.speaker) this.speaker.stop();
+    }
+}
+
+/**
+ * Phonics Puzzle Generator
+ * Builds sound, rhyme and blending puzzles from the picture words for an age group
+ */
+class PhonicsPuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || PHONICS_LEVELS;
+        this.words = options.words || PHONICS_WORDS;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick a phonics skill the age group practises
+     */
+    pickSkill(ageGroup) {
+        return this.pick(this.getLevel(ageGroup).skills);
+    }
+
+    /**
+     * Generate a fresh phonics puzzle config
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        const level = this.getLevel(ageGroup);
+        const settings = {
+            optionCount: level.optionCount[difficulty] || level.optionCount.medium,
+            maxSounds: level.maxSounds[difficulty] || level.maxSounds.medium,
+            traps: Boolean(level.traps[difficulty]),
+            digraphs: Boolean(level.digraphs[difficulty])
+        };
+
+        switch (skill) {
+            case 'initial-sounds':
+                return this.buildInitialSound(settings);
+            case 'hearing-rhymes':
+                return this.buildRhyme(settings);
+            case 'blending':
+                return this.buildBlend(settings);
+            default:
+                throw new Error(`Unknown phonics skill "${skill}"`);
+        }
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * Words a level can ask about: two-letter sounds only once children know them
+     */
+    getWords(settings) {
+        return settings.digraphs
+            ? this.words
+            : this.words.filter(entry => !entry.sounds.some(sound => PHONICS_DIGRAPHS.includes(sound)));
+    }
+
+    /**
+     * Which word starts with a sound?
+     */
+    buildInitialSound(settings) {
+        const words = this.getWords(settings);
+        const sound = this.pick([...new Set(words.map(entry => entry.sounds[0]))]);
+        const answer = this.pick(words.filter(entry => entry.sounds[0] === sound));
+        const { written } = PHONICS_SOUNDS[sound];
+        // Leave out words that only look like they start with it, like "ship" for /s/
+        const candidates = this.words.filter(entry => !entry.word.startsWith(sound));
+        const content = { sound, answer: answer.word };
+
+        return {
+            subtype: 'initial-sounds',
+            title: PHONICS_TITLES['initial-sounds'],
+            question: `Which word starts with the sound ${written}?`,
+            ...content,
+            ...this.buildOptions('initial-sounds', content, candidates, settings),
+            hints: [
+                'Say each picture\'s name slowly and listen to the very first sound.',
+                `Press "Hear it again" and say ${written} with me.`,
+                `It starts with the letter${sound.length > 1 ? 's' : ''} "${sound}".`
+            ]
+        };
+    }
+
+    /**
+     * Which word rhymes with the one you hear?
+     */
+    buildRhyme(settings) {
+        const words = this.getWords(settings);
+        const families = {};
+        words.forEach(entry => {
+            const rime = PhonicsPuzzleGenerator.getRime(entry.word);
+            (families[rime] = families[rime] || []).push(entry);
+        });
+
+        const rime = this.pick(Object.keys(families).filter(key => families[key].length > 1));
+        const [target, answer] = this.shuffle(families[rime]);
+        const candidates = this.words.filter(entry => PhonicsPuzzleGenerator.getRime(entry.word) !== rime);
+        const content = { rhymesWith: target.word, answer: answer.word };
+
+        return {
+            subtype: 'hearing-rhymes',
+            title: PHONICS_TITLES['hearing-rhymes'],
+            question: 'Listen to the word, then tap the word that rhymes with it.',
+            ...content,
+            ...this.buildOptions('hearing-rhymes', content, candidates, settings),
+            hints: [
+                'Words that rhyme sound the same at the end, like "sun" and "fun".',
+                'Say the word you heard, then each picture\'s name. Which ending matches?',
+                `The word you heard ends with "-${rime}". Which word ends the same way?`
+            ]
+        };
+    }
+
+    /**
+     * Which word do these sounds make?
+     */
+    buildBlend(settings) {
+        const words = this.getWords(settings).filter(entry => entry.sounds.length <= settings.maxSounds);
+        // Blend the longest words the level allows when there are any
+        const longest = words.filter(entry => entry.sounds.length >= Math.min(settings.maxSounds, 4) - 1);
+        const answer = this.pick(longest.length > 0 ? longest : words);
+        const written = answer.sounds.map(sound => PHONICS_SOUNDS[sound].written);
+        const candidates = this.words.filter(entry => entry.word !== answer.word);
+        const content = { sounds: answer.sounds, answer: answer.word };
+
+        return {
+            subtype: 'blending',
+            title: PHONICS_TITLES.blending,
+            question: 'Listen to the sounds and blend them together. Which word do they make?',
+            ...content,
+            ...this.buildOptions('blending', content, candidates, settings),
+            hints: [
+                'Say the sounds again, faster and faster, until they join into a word.',
+                `There are ${written.length} sounds: ${written.join(' ')}.`,
+                `It starts with ${written[0]} and ends with ${written[written.length - 1]}.`
+            ]
+        };
+    }
+
+    /**
+     * The answer and wrong words, tagged with the misconception each one shows
+     *
+     * Levels with traps offer the tagged words first; easier levels keep
+     * the wrong words clearly different from the answer.
+     */
+    buildOptions(skill, content, candidates, settings) {
+        const pool = candidates.map(entry => entry.word).filter(word => word !== content.answer);
+        const tagged = DistractorGenerator.forPhonics(skill, { ...content, options: pool });
+        const taggedWords = tagged.map(distractor => distractor.value);
+        const untagged = pool.filter(word => !taggedWords.includes(word));
+
+        const wrong = (settings.traps
+            ? [...this.shuffle(taggedWords), ...this.shuffle(untagged)]
+            : [...this.shuffle(untagged), ...this.shuffle(taggedWords)]
+        ).slice(0, settings.optionCount - 1);
+
+        return {
+            options: this.shuffle([content.answer, ...wrong]),
+            distractors: tagged.filter(distractor => wrong.includes(distractor.value))
+        };
+    }
+
+    /**
+     * The part of a word that rhymes: its first vowel to the end ("cat" -> "at")
+     */
+    static getRime(word) {
+        const vowel = word.search(/[aeiou]/);
+        return vowel < 0 ? word : word.slice(vowel);
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Phonics Puzzle Class
+ * A language puzzle children listen to, answered by picking a picture word
+ */
+class PhonicsPuzzle extends LanguagePuzzle {
+    constructor(config) {
+        super({ languageSkill: config.subtype, ...config });
+        this.sound = config.sound || null;
+        this.rhymesWith = config.rhymesWith || null;
+        this.sounds = config.sounds || null;
+    }
+
+    /**
+     * Find a picture word by name
+     */
+    static findWord(word) {
+        return PHONICS_WORDS.find(entry => entry.word === String(word).toLowerCase()) || null;
+    }
+
+    /**
+     * Written pronunciation of a picture word ("sun" -> "sŭn"), or null if it isn't one
+     */
+    static pronounce(word) {
+        const entry = PhonicsPuzzle.findWord(word);
+        return entry ? entry.sounds.map(sound => PHONICS_SOUNDS[sound].pronounced).join('') : null;
+    }
+
+    /**
+     * What to say aloud and write down for the puzzle's sound, word or sounds
+     */
+    getSoundPrompt() {
+        const info = sound => PHONICS_SOUNDS[sound] || { written: `/${sound}/`, spoken: sound };
+        const choices = this.options.map(option => String(option));
+
+        if (this.sounds) {
+            return {
+                say: `${this.sounds.map(sound => info(sound).spoken).join('... ')}.`,
+                written: this.sounds.map(sound => info(sound).written).join(' '),
+                choices
+            };
+        }
+        if (this.rhymesWith) {
+            return { say: `What rhymes with ${this.rhymesWith}? ${this.rhymesWith}.`, written: `"${this.rhymesWith}"`, choices };
+        }
+        if (this.sound) {
+            const { spoken, written } = info(this.sound);
+            return { say: `Which word starts with ${spoken}? ${spoken}.`, written, choices };
+        }
+        return null;
+    }
+
+    /**
+     * Show a word with its picture
+     */
+    formatAnswer(answer) {
+        const entry = PhonicsPuzzle.findWord(answer);
+        return entry ? `${entry.picture} ${entry.word}` : String(answer);
+    }
+
+    /**
+     * Generate the listening picture, or a box for each sound to blend
+     */
+    generateVisualAids() {
+        if (this.sounds) {
+            return `
+                <div class="phonics-visual-aids" role="img" aria-label="${this.sounds.length} sounds to blend">
+                    ${this.sounds.map(() => '<span class="phonics-sound-box"></span>').join('')}
+                </div>
+            `;
+        }
+        return `
+            <div class="phonics-visual-aids" aria-hidden="true">
+                <span class="phonics-listen">👂</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate answer interface for phonics problems
+     */
+    generateAnswerInterface() {
+        // The listen buttons are drawn and wired up by SoundPrompt.mount once on the page
+        return `
+            <div class="answer-interface phonics-input">
+                <div class="sound-prompt-input"></div>
+                <div class="phonics-options">
+                    ${this.options.map(option => `
+                        <button class="choice-option phonics-choice" data-value="${option}">${this.formatAnswer(option)}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Pick the phonics skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new PhonicsPuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate phonics puzzle
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new PhonicsPuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new PhonicsPuzzle({
+            id: `phonics-${Date.now()}`,
+            type: 'language',
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            correctAnswer: selected.answer,
+            metadata: { subject: 'language', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Phonics puzzles are language puzzles; the router passes these content fields through
+PhonicsPuzzle.SUBJECT = 'language';
+PhonicsPuzzle.CONTENT_FIELDS = ['sound', 'rhymesWith', 'sounds'];
+PhonicsPuzzle.SKILLS = ['initial-sounds', 'hearing-rhymes', 'blending'];
+PhonicsPuzzle.SOUNDS = PHONICS_SOUNDS;
+PhonicsPuzzleGenerator.LEVELS = PHONICS_LEVELS;
+PhonicsPuzzleGenerator.WORDS = PHONICS_WORDS;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SoundPrompt,
+        PhonicsPuzzleGenerator,
+        PhonicsPuzzle
+    };
+} else {
+    window.SoundPrompt = SoundPrompt;
+    window.PhonicsPuzzleGenerator = PhonicsPuzzleGenerator;
+    window.PhonicsPuzzle = PhonicsPuzzle;
+}
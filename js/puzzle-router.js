@@ -0,0 +1,143 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - PUZZLE ROUTER
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the puzzle routing layer that handles:
+ * - Reading the subject, skill and standard a puzzle declares
+ * - Refusing to load a puzzle whose learning metadata is missing
+ * - Dispatching each puzzle to its MathPuzzle, LanguagePuzzle or
+ *   SciencePuzzle renderer, or to a puzzle family (such as clocks, money,
+ *   fractions or shapes) that takes over a skill within a subject
+ *
+ * Every puzzle definition, whether inline on a scene or shared in
+ * gameData.puzzles, declares:
+ *   subject:  'math' | 'language' | 'science'
+ *   skill:    what is practised, e.g. 'addition', 'rhyming', 'weather'
+ *   standard: the curriculum standard it maps to, e.g. '1.OA.C.6'
+ *
+ * Learning Data Philosophy:
+ * Skill reports are only useful if each puzzle is counted under the
+ * subject it actually teaches, so the subject is declared, never guessed.
+ */
+
+const PUZZLE_METADATA_FIELDS = ['subject', 'skill', 'standard'];
+
+// Subject -> renderer config field that selects the skill's visuals
+const SUBJECT_SKILL_FIELDS = {
+    math: 'operation',
+    language: 'languageSkill',
+    science: 'scienceArea'
+};
+
+// Skill -> puzzle family renderer that takes over from the subject's own
+const SKILL_RENDERERS = {
+    'telling-time': 'clock',
+    'elapsed-time': 'clock',
+    'counting-money': 'money',
+    'making-change': 'money',
+    'naming-fractions': 'fraction',
+    'comparing-fractions': 'fraction',
+    'equivalent-fractions': 'fraction',
+    'naming-shapes': 'shape',
+    'sides-and-corners': 'shape',
+    'symmetry': 'shape',
+    'perimeter-area': 'shape',
+    'spelling': 'spelling',
+    'reading-comprehension': 'reading',
+    'initial-sounds': 'phonics',
+    'hearing-rhymes': 'phonics',
+    'blending': 'phonics'
+};
+
+class PuzzleRouter {
+    constructor(renderers = {}) {
+        this.renderers = renderers;
+    }
+
+    /**
+     * Get the learning metadata declared on a puzzle definition
+     */
+    static getMetadata(definition) {
+        return {
+            subject: definition.subject,
+            skill: definition.skill,
+            standard: definition.standard
+        };
+    }
+
+    /**
+     * List the metadata fields a puzzle definition doesn't declare
+     */
+    static getMissingMetadata(definition) {
+        return PUZZLE_METADATA_FIELDS.filter(field => !definition || !definition[field]);
+    }
+
+    /**
+     * Get the renderer class for a subject, or the puzzle family for its skill
+     */
+    getRenderer(subject, skill = null) {
+        const family = SKILL_RENDERERS[skill];
+        return (family && this.renderers[family]) || this.renderers[subject] || null;
+    }
+
+    /**
+     * Build the subject renderer for a puzzle, or throw if it can't be routed
+     *
+     * options: { id, title, difficulty, maxAttempts, random }
+     */
+    route(definition, content, options = {}) {
+        const label = options.id || definition?.id || 'puzzle';
+
+        const missing = PuzzleRouter.getMissingMetadata(definition);
+        if (missing.length > 0) {
+            throw new Error(`Puzzle "${label}" is missing ${missing.join(', ')}`);
+        }
+
+        const metadata = PuzzleRouter.getMetadata(definition);
+        const Renderer = this.getRenderer(metadata.subject, metadata.skill);
+        if (!Renderer) {
+            throw new Error(`Puzzle "${label}" has unknown subject "${metadata.subject}"`);
+        }
+
+        const config = {
+            id: label,
+            type: metadata.subject,
+            subtype: metadata.skill,
+            difficulty: options.difficulty,
+            title: options.title || definition.title || '',
+            question: content.question,
+            correctAnswer: content.answer,
+            options: Array.isArray(content.options) ? content.options : [],
+            distractors: content.distractors || [],
+            hints: content.hint ? [].concat(content.hint) : [],
+            maxAttempts: options.maxAttempts,
+            random: options.random,
+            metadata
+        };
+
+        const skillField = SUBJECT_SKILL_FIELDS[metadata.subject];
+        if (skillField) {
+            config[skillField] = metadata.skill;
+        }
+
+        // Puzzle families read extra content, such as the times a clock shows
+        (Renderer.CONTENT_FIELDS || []).forEach(field => {
+            if (content[field] !== undefined) {
+                config[field] = content[field];
+            }
+        });
+
+        return { metadata, renderer: new Renderer(config) };
+    }
+}
+
+PuzzleRouter.METADATA_FIELDS = PUZZLE_METADATA_FIELDS;
+PuzzleRouter.SUBJECTS = Object.keys(SUBJECT_SKILL_FIELDS);
+PuzzleRouter.SKILL_RENDERERS = SKILL_RENDERERS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PuzzleRouter;
+} else {
+    window.PuzzleRouter = PuzzleRouter;
+}
@@ -4,7 +4,7 @@
  * 
  * This file contains a comprehensive educational puzzle system with:
  * - Age-appropriate math, language, and science puzzles
- * - Adaptive difficulty based on performance
+ * - Adaptive difficulty based on per-skill mastery
  * - Graduated hint system
  * - Encouraging feedback mechanisms
  * - Visual learning aids and interactive elements
@@ -30,10 +30,13 @@ class BasePuzzle {
         this.question = config.question;
         this.correctAnswer = config.correctAnswer;
         this.options = config.options || [];
+        this.distractors = config.distractors || []; // Wrong options tagged with a misconception
         this.hints = config.hints || [];
         this.feedback = config.feedback || {};
         this.visualAids = config.visualAids || {};
         this.metadata = config.metadata || {};
+        // Seeded source from the puzzle set, so feedback and layouts can be replayed
+        this.random = config.random || Math.random;
         
         // Performance tracking
         this.attempts = 0;
@@ -88,6 +91,13 @@ class BasePuzzle {
         return answer === this.correctAnswer;
     }
 
+    /**
+     * Write an answer or option the way the child should see it
+     */
+    formatAnswer(answer) {
+        return String(answer);
+    }
+
     /**
      * Get appropriate feedback based on performance
      */
@@ -111,7 +121,7 @@ class BasePuzzle {
             "Wonderful! That's exactly right! 🎊"
         ];
         
-        const baseMessage = positive[Math.floor(Math.random() * positive.length)];
+        const baseMessage = positive[Math.floor(this.random() * positive.length)];
         
         // Add performance-based bonus messages
         if (this.attempts === 1) {
@@ -135,7 +145,7 @@ class BasePuzzle {
             "You're thinking hard about this! Let's look at it another way. 🔄"
         ];
         
-        let message = encouraging[Math.floor(Math.random() * encouraging.length)];
+        let message = encouraging[Math.floor(this.random() * encouraging.length)];
         
         // Add attempt-specific guidance
         if (this.attempts >= this.maxAttempts) {
@@ -379,89 +389,12 @@ class MathPuzzle extends BasePuzzle {
     }
 
     /**
-     * Create age-appropriate math puzzles
+     * Create a freshly generated, age-appropriate math puzzle
      */
-    static createAgePuzzle(ageGroup, difficulty = 'medium') {
-        const puzzles = {
-            'ages4-6': [
-                {
-                    operation: 'counting',
-                    title: 'Count the Magic Stars',
-                    question: 'How many stars do you see?',
-                    numbers: [Math.floor(Math.random() * 5) + 1],
-                    useVisualObjects: true,
-                    objectType: 'stars',
-                    maxAttempts: 3,
-                    hints: [
-                        'Try pointing to each star and counting: 1, 2, 3...',
-                        'Count slowly and carefully. Each star counts as 1.',
-                        'Look at all the stars and count them one by one.'
-                    ]
-                },
-                {
-                    operation: 'addition',
-                    title: 'Ruby\'s Treasure Count',
-                    question: 'Ruby found 2 gold coins, then found 3 more. How many coins does she have now?',
-                    numbers: [2, 3],
-                    correctAnswer: 5,
-                    useVisualObjects: true,
-                    objectType: 'coins',
-                    options: [4, 5, 6, 7],
-                    hints: [
-                        'Start with 2 coins, then add 3 more coins.',
-                        'You can count: 2 coins + 3 coins = ? coins',
-                        'Put the groups together: 2 + 3 = 5'
-                    ]
-                }
-            ],
-            'ages7-9': [
-                {
-                    operation: 'multiplication',
-                    title: 'Wizard\'s Spell Components',
-                    question: 'Sage needs 4 ingredients for each spell. If he wants to make 3 spells, how many ingredients does he need?',
-                    numbers: [4, 3],
-                    correctAnswer: 12,
-                    options: [10, 12, 14, 16],
-                    hints: [
-                        'Think about groups: 4 ingredients per spell, 3 spells total.',
-                        'You can add: 4 + 4 + 4 = ? or multiply: 4 × 3 = ?',
-                        '4 × 3 means 4 groups of 3, which equals 12.'
-                    ]
-                },
-                {
-                    operation: 'division',
-                    title: 'Scout\'s Fair Sharing',
-                    question: 'Scout has 15 berries to share equally among 3 friends. How many berries does each friend get?',
-                    numbers: [15, 3],
-                    correctAnswer: 5,
-                    useVisualObjects: true,
-                    objectType: 'apples',
-                    options: [4, 5, 6, 7],
-                    hints: [
-                        'Think about sharing equally: 15 berries for 3 friends.',
-                        'Try dividing: 15 ÷ 3 = ?',
-                        'Each friend should get the same amount: 15 ÷ 3 = 5'
-                    ]
-                }
-            ],
-            'ages10-12': [
-                {
-                    operation: 'word-problem',
-                    title: 'Library Adventure Problem',
-                    question: 'The Enchanted Library has 8 shelves. Each shelf has 12 books. If 1/4 of all the books are magical, how many magical books are there?',
-                    correctAnswer: 24,
-                    showWork: true,
-                    hints: [
-                        'First, find the total number of books: 8 shelves × 12 books per shelf.',
-                        'Total books = 8 × 12 = 96 books.',
-                        'Now find 1/4 of 96: 96 ÷ 4 = 24 magical books.'
-                    ]
-                }
-            ]
-        };
-
-        const ageOptions = puzzles[ageGroup] || puzzles['ages7-9'];
-        const selected = ageOptions[Math.floor(Math.random() * ageOptions.length)];
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new MathPuzzleGenerator(options);
+        const operation = options.operation || generator.pickOperation(ageGroup);
+        const selected = generator.generate(operation, ageGroup, difficulty);
         
         return new MathPuzzle({
             id: `math-${Date.now()}`,
@@ -469,6 +402,7 @@ class MathPuzzle extends BasePuzzle {
             subtype: selected.operation,
             ageGroup: ageGroup,
             difficulty: difficulty,
+            random: options.random,
             ...selected
         });
     }
@@ -639,13 +573,14 @@ class LanguagePuzzle extends BasePuzzle {
             'bee': 'bē'
         };
         
-        return pronunciations[word.toLowerCase()] || word;
+        const phonics = typeof PhonicsPuzzle !== 'undefined' ? PhonicsPuzzle.pronounce(word) : null;
+        return pronunciations[word.toLowerCase()] || phonics || word;
     }
 
     /**
      * Create age-appropriate language puzzles
      */
-    static createAgePuzzle(ageGroup, difficulty = 'medium') {
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
         const puzzles = {
             'ages4-6': [
                 {
@@ -729,8 +664,9 @@ class LanguagePuzzle extends BasePuzzle {
             ]
         };
 
+        const random = options.random || Math.random;
         const ageOptions = puzzles[ageGroup] || puzzles['ages7-9'];
-        const selected = ageOptions[Math.floor(Math.random() * ageOptions.length)];
+        const selected = ageOptions[Math.floor(random() * ageOptions.length)];
         
         return new LanguagePuzzle({
             id: `language-${Date.now()}`,
@@ -738,6 +674,7 @@ class LanguagePuzzle extends BasePuzzle {
             subtype: selected.languageSkill,
             ageGroup: ageGroup,
             difficulty: difficulty,
+            random: options.random,
             ...selected
         });
     }
@@ -955,7 +892,7 @@ class SciencePuzzle extends BasePuzzle {
     /**
      * Create age-appropriate science puzzles
      */
-    static createAgePuzzle(ageGroup, difficulty = 'medium') {
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
         const puzzles = {
             'ages4-6': [
                 {
@@ -1068,8 +1005,9 @@ class SciencePuzzle extends BasePuzzle {
             ]
         };
 
+        const random = options.random || Math.random;
         const ageOptions = puzzles[ageGroup] || puzzles['ages7-9'];
-        const selected = ageOptions[Math.floor(Math.random() * ageOptions.length)];
+        const selected = ageOptions[Math.floor(random() * ageOptions.length)];
         
         return new SciencePuzzle({
             id: `science-${Date.now()}`,
@@ -1077,6 +1015,7 @@ class SciencePuzzle extends BasePuzzle {
             subtype: selected.scienceArea,
             ageGroup: ageGroup,
             difficulty: difficulty,
+            random: options.random,
             ...selected
         });
     }
@@ -1084,23 +1023,48 @@ class SciencePuzzle extends BasePuzzle {
 
 /**
  * Adaptive Difficulty Manager
- * Adjusts puzzle difficulty based on player performance
+ * Adjusts puzzle difficulty based on player performance, with an
+ * independent track for each subject and each skill within it
+ *
+ * Tracks are keyed 'math' and 'math/addition'. A skill track starts at the
+ * level the child first played it at and moves on its own from there, so a
+ * child strong in math but still finding reading hard gets the right level
+ * in both. getState()/loadState() carry the tracks through saves.
  */
 class AdaptiveDifficultyManager {
-    constructor() {
-        this.performanceHistory = [];
-        this.currentLevel = 'medium';
-        this.adjustmentThreshold = 3; // Number of puzzles before adjustment
-        this.successTarget = 0.7; // Target success rate (70%)
+    constructor(options = {}) {
+        this.tracks = {};
+        this.defaultLevel = 'medium';
+        this.historyLength = 20;
+        // Called with (message, direction, trackKey) when a level changes; logs when unset
+        this.onFeedback = options.onFeedback || null;
     }
 
     /**
-     * Record puzzle performance
+     * Get the track key for a subject, or a skill within it
+     */
+    static getTrackKey(subject, skill = null) {
+        return skill ? `${subject}/${skill}` : subject;
+    }
+
+    /**
+     * Get a track, starting it at the given level if it's new
+     */
+    getTrack(key, startLevel = this.defaultLevel) {
+        if (!this.tracks[key]) {
+            this.tracks[key] = { level: startLevel, history: [] };
+        }
+        return this.tracks[key];
+    }
+
+    /**
+     * Record puzzle performance on its subject and skill tracks
      */
     recordPerformance(puzzle, result) {
         const performance = {
             puzzleId: puzzle.id,
             type: puzzle.type,
+            subtype: puzzle.subtype,
             difficulty: puzzle.difficulty,
             ageGroup: puzzle.ageGroup,
             isCorrect: result.isCorrect,
@@ -1108,74 +1072,106 @@ class AdaptiveDifficultyManager {
             hintsUsed: result.hintsUsed,
             timeSpent: result.timeSpent,
             efficiency: result.efficiency,
+            mastery: result.mastery, // Mastery of the puzzle's skill after this result
             timestamp: Date.now()
         };
         
-        this.performanceHistory.push(performance);
+        const levels = ['easy', 'medium', 'hard', 'expert'];
+        const startLevel = levels.includes(puzzle.difficulty) ? puzzle.difficulty : this.defaultLevel;
+        const subjectKey = AdaptiveDifficultyManager.getTrackKey(puzzle.type);
+        const subjectTrack = this.getTrack(subjectKey, startLevel);
+        
+        let skillChange = null;
+        if (puzzle.subtype) {
+            // A new skill starts from where the subject is
+            const skillTrack = this.getTrack(AdaptiveDifficultyManager.getTrackKey(puzzle.type, puzzle.subtype), subjectTrack.level);
+            skillChange = this.addToTrack(skillTrack, performance, result.mastery);
+        }
+        const subjectChange = this.addToTrack(subjectTrack, performance, result.subjectMastery);
         
-        // Limit history to last 20 puzzles
-        if (this.performanceHistory.length > 20) {
-            this.performanceHistory = this.performanceHistory.slice(-20);
+        // One message per puzzle: the skill change is the one the child will notice next
+        if (skillChange) {
+            this.showDifficultyFeedback(skillChange, AdaptiveDifficultyManager.getTrackKey(puzzle.type, puzzle.subtype));
+        } else if (subjectChange) {
+            this.showDifficultyFeedback(subjectChange, subjectKey);
         }
+    }
+
+    /**
+     * Add a performance to one track and adjust its level, returning the change if any
+     */
+    addToTrack(track, performance, mastery) {
+        track.history.push(performance);
         
-        this.evaluateAdjustment();
+        // Limit history to the last 20 puzzles
+        if (track.history.length > this.historyLength) {
+            track.history = track.history.slice(-this.historyLength);
+        }
+        
+        return this.evaluateAdjustment(track, mastery);
     }
 
     /**
-     * Evaluate if difficulty adjustment is needed
+     * Step a track's difficulty toward the level its mastery calls for
+     *
+     * Without a mastery estimate the track's recent success rate stands in,
+     * once there are a few results to go on.
      */
-    evaluateAdjustment() {
-        if (this.performanceHistory.length < this.adjustmentThreshold) {
-            return;
+    evaluateAdjustment(track, mastery) {
+        if (typeof mastery !== 'number') {
+            if (track.history.length < 3) return null;
+            const recent = track.history.slice(-5);
+            mastery = recent.filter(p => p.isCorrect).length / recent.length;
         }
         
-        const recentPerformance = this.performanceHistory.slice(-this.adjustmentThreshold);
-        const successRate = recentPerformance.filter(p => p.isCorrect).length / recentPerformance.length;
-        const avgEfficiency = recentPerformance.reduce((sum, p) => sum + p.efficiency, 0) / recentPerformance.length;
+        const levels = ['easy', 'medium', 'hard', 'expert'];
+        const target = MasteryModel.getDifficulty(mastery);
         
-        console.log(`📊 Performance Analysis: Success Rate: ${(successRate * 100).toFixed(1)}%, Efficiency: ${(avgEfficiency * 100).toFixed(1)}%`);
+        console.log(`📊 Performance Analysis: Mastery: ${(mastery * 100).toFixed(1)}%, suggests ${target}`);
         
-        if (successRate > 0.8 && avgEfficiency > 0.6) {
-            // Player is doing very well, increase difficulty
-            this.increaseDifficulty();
-        } else if (successRate < 0.4 || avgEfficiency < 0.3) {
-            // Player is struggling, decrease difficulty
-            this.decreaseDifficulty();
+        // One level at a time, so a single result never swings the game from easy to expert
+        if (levels.indexOf(target) > levels.indexOf(track.level)) {
+            return this.increaseDifficulty(track);
+        } else if (levels.indexOf(target) < levels.indexOf(track.level)) {
+            return this.decreaseDifficulty(track);
         }
+        return null;
     }
 
     /**
-     * Increase difficulty level
+     * Increase a track's difficulty level
      */
-    increaseDifficulty() {
+    increaseDifficulty(track) {
         const levels = ['easy', 'medium', 'hard', 'expert'];
-        const currentIndex = levels.indexOf(this.currentLevel);
+        const currentIndex = levels.indexOf(track.level);
         
         if (currentIndex < levels.length - 1) {
-            this.currentLevel = levels[currentIndex + 1];
-            console.log(`🔥 Difficulty increased to: ${this.currentLevel}`);
-            this.showDifficultyFeedback('increased');
+            track.level = levels[currentIndex + 1];
+            console.log(`🔥 Difficulty increased to: ${track.level}`);
+            return 'increased';
         }
+        return null;
     }
 
     /**
-     * Decrease difficulty level
+     * Decrease a track's difficulty level
      */
-    decreaseDifficulty() {
+    decreaseDifficulty(track) {
         const levels = ['easy', 'medium', 'hard', 'expert'];
-        const currentIndex = levels.indexOf(this.currentLevel);
+        const currentIndex = levels.indexOf(track.level);
         
         if (currentIndex > 0) {
-            this.currentLevel = levels[currentIndex - 1];
-            console.log(`📉 Difficulty decreased to: ${this.currentLevel}`);
-            this.showDifficultyFeedback('decreased');
+            track.level = levels[currentIndex - 1];
+            console.log(`📉 Difficulty decreased to: ${track.level}`);
+            return 'decreased';
         }
+        return null;
     }
 
     /**
      * Show feedback about difficulty adjustment
      */
-    showDifficultyFeedback(direction) {
+    showDifficultyFeedback(direction, trackKey) {
         const messages = {
             increased: [
                 "🌟 You're doing amazing! Let's try something a bit more challenging!",
@@ -1194,36 +1190,70 @@ class AdaptiveDifficultyManager {
         const messageList = messages[direction];
         const message = messageList[Math.floor(Math.random() * messageList.length)];
         
-        // This would trigger a UI notification in the actual game
-        console.log(`Difficulty Adjustment: ${message}`);
+        if (this.onFeedback) {
+            this.onFeedback(message, direction, trackKey);
+        } else {
+            console.log(`Difficulty Adjustment (${trackKey}): ${message}`);
+        }
     }
 
     /**
-     * Get recommended difficulty for new puzzle
+     * Get recommended difficulty for a new puzzle
+     *
+     * Uses the skill's track, then the subject's, then the default level.
      */
-    getRecommendedDifficulty() {
-        return this.currentLevel;
+    getRecommendedDifficulty(subject = null, skill = null) {
+        const skillTrack = subject && skill ? this.tracks[AdaptiveDifficultyManager.getTrackKey(subject, skill)] : null;
+        const subjectTrack = subject ? this.tracks[AdaptiveDifficultyManager.getTrackKey(subject)] : null;
+        return (skillTrack || subjectTrack || { level: this.defaultLevel }).level;
     }
 
     /**
-     * Get performance statistics
+     * Check whether a subject or skill has a track yet
      */
-    getPerformanceStats() {
-        if (this.performanceHistory.length === 0) {
+    hasTrack(subject, skill = null) {
+        return Boolean(this.tracks[AdaptiveDifficultyManager.getTrackKey(subject, skill)]);
+    }
+
+    /**
+     * Get the tracks for saving
+     */
+    getState() {
+        return JSON.parse(JSON.stringify(this.tracks));
+    }
+
+    /**
+     * Restore tracks from a save
+     */
+    loadState(tracks) {
+        this.tracks = tracks ? JSON.parse(JSON.stringify(tracks)) : {};
+    }
+
+    /**
+     * Get performance statistics, for one subject or across all of them
+     */
+    getPerformanceStats(subject = null) {
+        const subjectKeys = subject ? [subject] : Object.keys(this.tracks).filter(key => !key.includes('/'));
+        const history = subjectKeys
+            .flatMap(key => (this.tracks[key] ? this.tracks[key].history : []))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        
+        if (history.length === 0) {
             return null;
         }
         
-        const total = this.performanceHistory.length;
-        const correct = this.performanceHistory.filter(p => p.isCorrect).length;
-        const avgTime = this.performanceHistory.reduce((sum, p) => sum + p.timeSpent, 0) / total;
-        const avgHints = this.performanceHistory.reduce((sum, p) => sum + p.hintsUsed, 0) / total;
+        const total = history.length;
+        const correct = history.filter(p => p.isCorrect).length;
+        const avgTime = history.reduce((sum, p) => sum + p.timeSpent, 0) / total;
+        const avgHints = history.reduce((sum, p) => sum + p.hintsUsed, 0) / total;
+        const latest = history[history.length - 1];
         
         return {
             totalPuzzles: total,
             successRate: correct / total,
             averageTime: avgTime,
             averageHints: avgHints,
-            currentDifficulty: this.currentLevel
+            currentDifficulty: this.getRecommendedDifficulty(subject || latest.type)
         };
     }
 }
@@ -9,6 +9,7 @@
  * - Adaptive difficulty scaling based on age groups
  * - Visual learning aids and interactive elements
  * - Progress tracking and educational analytics
+ * - Spaced review of missed puzzles, woven into the story or in the Review Library
  * 
  * Educational Philosophy:
  * Puzzles are designed following research-based learning principles:
@@ -23,16 +24,26 @@ class PuzzleSystem {
     constructor(gameEngine) {
         this.game = gameEngine;
         this.currentPuzzle = null;
-        this.puzzleHistory = [];
+        this.maxPuzzleHistoryLength = 50; // Puzzles kept in the puzzle set's history
         
         // Initialize advanced puzzle system components
-        this.adaptiveDifficultyManager = new AdaptiveDifficultyManager();
+        this.adaptiveDifficultyManager = new AdaptiveDifficultyManager({
+            onFeedback: (message, direction) => this.showDifficultyFeedback(message, direction)
+        });
         this.currentAdvancedPuzzle = null;
         this.puzzleGenerators = {
             math: MathPuzzle,
             language: LanguagePuzzle,
-            science: SciencePuzzle
+            science: SciencePuzzle,
+            clock: ClockPuzzle,
+            money: MoneyPuzzle,
+            fraction: FractionPuzzle,
+            shape: ShapePuzzle,
+            spelling: SpellingPuzzle,
+            reading: ReadingPuzzle,
+            phonics: PhonicsPuzzle
         };
+        this.puzzleRouter = new PuzzleRouter(this.puzzleGenerators);
         
         // Legacy adaptive difficulty (maintained for compatibility)
         this.adaptiveDifficulty = {
@@ -47,8 +58,11 @@ class PuzzleSystem {
             languageSkills: { attempted: 0, correct: 0, timeSpent: 0 },
             scienceSkills: { attempted: 0, correct: 0, timeSpent: 0 },
             commonErrors: [],
+            questionResults: [], // Each question of a question set, marked on its own
             learningPatterns: []
         };
+        this.maxCommonErrors = 100;
+        this.maxQuestionResults = 200;
         
         // Puzzle interface elements
         this.puzzleElements = {
@@ -70,6 +84,8 @@ class PuzzleSystem {
         this.startTime = null;
         this.selectedAnswer = null;
         this.multipleAnswers = {};
+        this.answerWidget = null; // AnalogClock, CoinPurse, FractionModel, ShapeGrid, LetterTiles or QuestionSet the answer is read from
+        this.soundPrompt = null; // SoundPrompt saying a phonics puzzle's sound or word
         
         // Bind methods
         this.handleAnswerSubmission = this.handleAnswerSubmission.bind(this);
@@ -101,6 +117,12 @@ class PuzzleSystem {
             hintBtn.addEventListener('click', () => this.showHint());
         }
 
+        // Review Library button
+        const reviewBtn = document.getElementById('review-library-toggle');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.startReviewSession());
+        }
+
         // Skip button
         const skipBtn = document.getElementById('skip-puzzle');
         if (skipBtn) {
@@ -119,26 +141,31 @@ class PuzzleSystem {
      * Load and display a puzzle
      */
     async loadPuzzle(puzzleId, scene) {
+        // Now and then a due review comes first; the scene's own puzzle follows it.
+        // A shared set leaves reviews out, since every device has its own queue.
+        if (!scene.review && !this.getPuzzleSet().shared && this.weaveReview(puzzleId, scene)) return;
+        
         try {
             console.log(`🧩 Loading puzzle: ${puzzleId}`);
             
-            // Try to get puzzle data from game data first, then from STORY_SCENES
+            // Try to get puzzle data from game data first, then from the story graph
             let puzzleData = this.game.gameData?.puzzles[puzzleId];
             let puzzleContent = null;
+            const difficulty = this.chooseDifficulty(puzzleData);
             
             if (puzzleData) {
                 // Use existing game data structure
-                const difficulty = this.game.gameState.player.difficulty;
                 puzzleContent = puzzleData.difficulty[difficulty];
             } else {
-                // Create puzzle data from STORY_SCENES structure
-                const storyScene = window.STORY_SCENES ? window.STORY_SCENES[puzzleId] : null;
+                // Create puzzle data from an inline scene puzzle
+                const storyScene = this.getStoryScene(puzzleId);
                 if (storyScene && storyScene.puzzle) {
                     puzzleData = {
+                        ...PuzzleRouter.getMetadata(storyScene.puzzle),
                         id: puzzleId,
-                        type: this.inferPuzzleType(storyScene.puzzle),
-                        subtype: storyScene.puzzle.visual || 'general',
-                        title: storyScene.text
+                        type: storyScene.puzzle.subject,
+                        subtype: storyScene.puzzle.skill,
+                        title: storyScene.title || storyScene.text
                     };
                     puzzleContent = storyScene.puzzle;
                 }
@@ -148,23 +175,50 @@ class PuzzleSystem {
                 throw new Error(`Puzzle not found: ${puzzleId}`);
             }
 
+            // Every puzzle gets the next seed in the puzzle set so it can be replayed
+            const random = this.createPuzzleRandom(Boolean(scene.review));
+            
+            // Swap hand-written wrong options for ones that reveal a misconception
+            puzzleContent = DistractorGenerator.forPuzzle(puzzleContent, PuzzleRouter.getMetadata(puzzleData), random.next);
+            
+            // A question set's answer is read from its questions
+            if (Array.isArray(puzzleContent.questions) && puzzleContent.answer === undefined) {
+                puzzleContent = { ...puzzleContent, answer: ReadingPuzzle.getAnswers(puzzleContent.questions) };
+            }
+            
+            // The declared subject picks the renderer; missing metadata stops here
+            const { metadata, renderer } = this.puzzleRouter.route(puzzleData, puzzleContent, {
+                id: puzzleId,
+                title: puzzleData.title,
+                difficulty,
+                maxAttempts: scene.maxAttempts || 3,
+                random: random.next
+            });
+
             // Store current puzzle reference
             this.currentPuzzle = {
                 id: puzzleId,
                 data: puzzleData,
                 content: puzzleContent,
+                metadata: metadata,
+                renderer: renderer,
                 scene: scene,
                 attempts: 0,
                 maxAttempts: scene.maxAttempts || 3,
                 startTime: Date.now(),
-                hintsUsed: 0
+                hintsUsed: 0,
+                difficulty,
+                seed: random.seed,
+                random: random
             };
+            
+            this.recordPuzzleHistory({ puzzleId, seed: random.seed, ...metadata, difficulty, review: Boolean(scene.review) });
 
             // Update puzzle display
             this.renderPuzzle();
             
             // Track puzzle start
-            this.trackPuzzleStart(puzzleData.type);
+            this.trackPuzzleStart(metadata.subject);
             
             // Update accessibility
             this.announcePuzzleToScreenReader();
@@ -176,20 +230,13 @@ class PuzzleSystem {
     }
 
     /**
-     * Infer puzzle type from puzzle content
+     * Look up a story scene in the unified story graph
      */
-    inferPuzzleType(puzzleContent) {
-        if (typeof puzzleContent.answer === 'number') {
-            return 'math';
-        } else if (Array.isArray(puzzleContent.answer)) {
-            return 'language';
-        } else if (puzzleContent.question.toLowerCase().includes('cloud') || 
-                   puzzleContent.question.toLowerCase().includes('penguin') ||
-                   puzzleContent.question.toLowerCase().includes('weather')) {
-            return 'science';
-        } else {
-            return 'language';
+    getStoryScene(sceneId) {
+        if (this.game.storyGraph) {
+            return this.game.storyGraph.getScene(sceneId);
         }
+        return window.STORY_SCENES ? window.STORY_SCENES[sceneId] : null;
     }
 
     /**
@@ -234,6 +281,14 @@ class PuzzleSystem {
             const difficulty = this.game.gameState.player.difficulty;
             difficultyElement.textContent = this.formatDifficulty(difficulty);
         }
+        
+        // Shown so a grown-up can quote it in a bug report or replay it in class
+        const setCodeElement = document.getElementById('puzzle-set-code');
+        if (setCodeElement && this.currentPuzzle) {
+            const puzzleSet = this.getPuzzleSet();
+            setCodeElement.textContent = `🎲 ${this.currentPuzzle.seed}`;
+            setCodeElement.title = `Puzzle set code ${puzzleSet.code}, puzzle seed ${this.currentPuzzle.seed}`;
+        }
     }
 
     /**
@@ -249,7 +304,23 @@ class PuzzleSystem {
             'sentences': 'Sentences',
             'weather': 'Weather',
             'animals': 'Animals',
-            'geography': 'Geography'
+            'geography': 'Geography',
+            'telling-time': 'Telling Time',
+            'elapsed-time': 'Elapsed Time',
+            'counting-money': 'Counting Money',
+            'making-change': 'Making Change',
+            'naming-fractions': 'Fractions',
+            'comparing-fractions': 'Comparing Fractions',
+            'equivalent-fractions': 'Equivalent Fractions',
+            'naming-shapes': 'Shapes',
+            'sides-and-corners': 'Sides and Corners',
+            'symmetry': 'Symmetry',
+            'perimeter-area': 'Perimeter and Area',
+            'spelling': 'Spelling',
+            'reading-comprehension': 'Reading Comprehension',
+            'initial-sounds': 'First Sounds',
+            'hearing-rhymes': 'Rhymes You Hear',
+            'blending': 'Blending Sounds'
         };
         return typeMap[subtype] || subtype.charAt(0).toUpperCase() + subtype.slice(1);
     }
@@ -271,10 +342,20 @@ class PuzzleSystem {
      */
     updatePuzzleQuestion(question) {
         if (this.puzzleElements.question) {
-            this.puzzleElements.question.textContent = question;
+            this.puzzleElements.question.textContent = this.renderTemplate(question);
         }
     }
 
+    /**
+     * Fill story placeholders such as {{playerName}} in puzzle text
+     */
+    renderTemplate(text) {
+        if (this.game.storyVariables) {
+            return this.game.storyVariables.renderTemplate(text);
+        }
+        return text;
+    }
+
     /**
      * Create visual learning aids for the puzzle
      */
@@ -306,8 +387,26 @@ class PuzzleSystem {
                     this.createHabitatVisual(puzzleContent);
                     break;
                 default:
-                    this.createGenericVisual(puzzleContent);
+                    this.createRendererVisual(puzzleContent);
             }
+        } else {
+            this.createRendererVisual(puzzleContent);
+        }
+    }
+
+    /**
+     * Use the subject renderer's visual aids for the puzzle's skill
+     */
+    createRendererVisual(puzzleContent) {
+        const renderer = this.currentPuzzle?.renderer;
+        const visual = document.createElement('div');
+        visual.className = 'subject-visual';
+        visual.innerHTML = renderer ? renderer.generateVisualAids() : '';
+        
+        if (visual.textContent.trim()) {
+            this.puzzleElements.visual.appendChild(visual);
+        } else {
+            this.createGenericVisual(puzzleContent);
         }
     }
 
@@ -525,6 +624,8 @@ class PuzzleSystem {
         this.puzzleElements.container.innerHTML = '';
         this.selectedAnswer = null;
         this.multipleAnswers = {};
+        this.answerWidget = null;
+        this.stopSoundPrompt();
 
         // Create interface based on input type
         if (puzzleContent.options) {
@@ -537,10 +638,55 @@ class PuzzleSystem {
             this.createMatchingInterface(puzzleContent);
         } else if (puzzleContent.inputType === 'ordering') {
             this.createOrderingInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'clock') {
+            this.createClockInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'money') {
+            this.createMoneyInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'fraction') {
+            this.createFractionInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'grid') {
+            this.createGridInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'spelling') {
+            this.createSpellingInterface(puzzleContent);
+        } else if (puzzleContent.inputType === 'questions') {
+            this.createQuestionSetInterface(puzzleContent);
         } else {
             // Default to multiple choice if no specific type
             this.createMultipleChoiceInterface(puzzleContent);
         }
+
+        // Puzzles that are listened to say their sound or word above the choices
+        const renderer = this.currentPuzzle && this.currentPuzzle.renderer;
+        if (renderer && renderer.getSoundPrompt) {
+            this.createSoundPrompt(renderer.getSoundPrompt());
+        }
+    }
+
+    /**
+     * Say a phonics puzzle's sound or word, with buttons to hear it again
+     */
+    createSoundPrompt(prompt) {
+        if (!prompt) return;
+        const container = this.puzzleElements.container;
+        
+        const promptContainer = document.createElement('div');
+        promptContainer.className = 'sound-prompt-container';
+        container.insertBefore(promptContainer, container.firstChild);
+        
+        this.soundPrompt = new SoundPrompt({
+            ...prompt,
+            speaker: WordSpeaker.forLanguage('en')
+        }).mount(promptContainer);
+    }
+
+    /**
+     * Stop the sound prompt talking when its puzzle is left
+     */
+    stopSoundPrompt() {
+        if (this.soundPrompt) {
+            this.soundPrompt.stop();
+            this.soundPrompt = null;
+        }
     }
 
     /**
@@ -553,11 +699,12 @@ class PuzzleSystem {
         optionsContainer.className = 'multiple-choice-options';
         
         puzzleContent.options.forEach((option, index) => {
+            const label = this.formatAnswer(option);
             const button = document.createElement('button');
             button.className = 'choice-btn';
-            button.textContent = option;
+            button.textContent = label;
             button.type = 'button';
-            button.setAttribute('aria-label', `Choice ${index + 1}: ${option}`);
+            button.setAttribute('aria-label', `Choice ${index + 1}: ${label}`);
             button.setAttribute('data-option-value', option);
             
             button.addEventListener('click', () => this.selectMultipleChoice(button, option));
@@ -632,6 +779,159 @@ class PuzzleSystem {
         container.appendChild(input);
     }
 
+    /**
+     * Create a clock whose hands the child drags or moves with the arrow keys
+     */
+    createClockInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        
+        const clockContainer = document.createElement('div');
+        clockContainer.className = 'clock-input-container';
+        
+        this.answerWidget = new AnalogClock({
+            time: puzzleContent.startTime || '12:00',
+            minuteStep: puzzleContent.minuteStep || 5,
+            label: 'Your clock: drag the hands or use the arrow keys'
+        }).mount(clockContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'clock-instructions';
+        instructions.textContent = 'Drag the hands, or pick a hand and use the arrow keys.';
+        
+        container.appendChild(clockContainer);
+        container.appendChild(instructions);
+    }
+
+    /**
+     * Create a coin tray and purse the child fills by tapping, dragging or with the keyboard
+     */
+    createMoneyInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        
+        const purseContainer = document.createElement('div');
+        purseContainer.className = 'money-input-container';
+        
+        // The purse belongs to whichever companion is along on this path
+        const companion = this.game.getCompanion(this.game.gameState.player.character);
+        const owner = companion ? `${companion.name}'s` : 'Your';
+        
+        const currency = MoneyCurrency.getActive(puzzleContent.currency);
+        this.answerWidget = new CoinPurse({
+            currency,
+            denominations: puzzleContent.denominations || currency.getDenominations(),
+            showTotal: puzzleContent.showTotal,
+            label: `${owner} ${puzzleContent.paid ? 'change' : 'purse'}`
+        }).mount(purseContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'money-instructions';
+        instructions.textContent = 'Tap or drag coins into the purse. Tap a coin in the purse to take it out.';
+        
+        container.appendChild(purseContainer);
+        container.appendChild(instructions);
+    }
+
+    /**
+     * Create a pie or bar model the child shades by tapping, dragging or with the keyboard
+     */
+    createFractionInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        const shadeModel = puzzleContent.shadeModel || {};
+        
+        const modelContainer = document.createElement('div');
+        modelContainer.className = 'fraction-input-container';
+        
+        this.answerWidget = new FractionModel({
+            parts: shadeModel.parts || 4,
+            shape: shadeModel.shape || 'pie',
+            label: 'Your model: tap or drag across parts to shade them'
+        }).mount(modelContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'fraction-instructions';
+        instructions.textContent = 'Tap or drag across parts to shade them. Tap a shaded part to unshade it.';
+        
+        container.appendChild(modelContainer);
+        container.appendChild(instructions);
+    }
+
+    /**
+     * Create a square grid the child shades by tapping, dragging or with the keyboard
+     */
+    createGridInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        const grid = puzzleContent.grid || {};
+        
+        const gridContainer = document.createElement('div');
+        gridContainer.className = 'shape-grid-input-container';
+        
+        this.answerWidget = new ShapeGrid({
+            rows: grid.rows,
+            cols: grid.cols,
+            fixed: grid.fixed,
+            mirror: grid.mirror,
+            answerMode: grid.answerMode,
+            label: grid.mirror
+                ? 'Your mirror picture: shade squares on the right of the dashed line'
+                : 'Your grid: tap or drag across squares to shade them'
+        }).mount(gridContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'shape-instructions';
+        instructions.textContent = 'Tap or drag across squares to shade them. Tap a shaded square to clear it.';
+        
+        container.appendChild(gridContainer);
+        container.appendChild(instructions);
+    }
+
+    /**
+     * Create letter tiles the child taps, drags or types into the boxes of a word
+     */
+    createSpellingInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        const word = String(puzzleContent.answer);
+        
+        const tilesContainer = document.createElement('div');
+        tilesContainer.className = 'spelling-input-container';
+        
+        this.answerWidget = new LetterTiles({
+            letters: puzzleContent.letters || new SpellingPuzzleGenerator().makeTiles(word),
+            length: word.length,
+            label: `Spell the word: ${word.length} letters`,
+            prompt: puzzleContent.spoken === false ? null : { word, sentence: puzzleContent.sentence },
+            speaker: WordSpeaker.forLanguage('en')
+        }).mount(tilesContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'spelling-instructions';
+        instructions.textContent = 'Tap a letter to add it, or drag it into a box. Tap a letter in the word to take it out.';
+        
+        container.appendChild(tilesContainer);
+        container.appendChild(instructions);
+    }
+
+    /**
+     * Create a set of questions about the story shown above them
+     */
+    createQuestionSetInterface(puzzleContent) {
+        const container = this.puzzleElements.container;
+        
+        const questionsContainer = document.createElement('div');
+        questionsContainer.className = 'question-set-input-container';
+        
+        this.answerWidget = new QuestionSet({
+            questions: ReadingPuzzle.normalizeQuestions(puzzleContent.questions || []),
+            label: 'Questions about the story'
+        }).mount(questionsContainer);
+        
+        const instructions = document.createElement('p');
+        instructions.className = 'question-set-instructions';
+        instructions.textContent = 'Answer every question, then check your answers. You can read the story again at any time.';
+        
+        container.appendChild(questionsContainer);
+        container.appendChild(instructions);
+    }
+
     /**
      * Create matching interface for matching puzzles
      */
@@ -670,7 +970,7 @@ class PuzzleSystem {
         rightColumn.innerHTML = '<h4>With These:</h4>';
         
         // Shuffle definitions for challenge
-        const shuffledDefinitions = [...definitions].sort(() => Math.random() - 0.5);
+        const shuffledDefinitions = this.currentPuzzle.random.shuffle(definitions);
         
         shuffledDefinitions.forEach((definition, index) => {
             const defElement = document.createElement('div');
@@ -707,7 +1007,7 @@ class PuzzleSystem {
         
         // Get words to order
         const correctOrder = puzzleContent.answer;
-        const shuffledWords = [...correctOrder].sort(() => Math.random() - 0.5);
+        const shuffledWords = this.currentPuzzle.random.shuffle(correctOrder);
         
         // Create word bank
         const wordBank = document.createElement('div');
@@ -793,7 +1093,7 @@ class PuzzleSystem {
             }, 200);
         }
         
-        this.game.announceToScreenReader(`Selected: ${option}`);
+        this.game.announceToScreenReader(`Selected: ${this.formatAnswer(option)}`);
     }
 
     /**
@@ -965,12 +1265,18 @@ class PuzzleSystem {
 
         this.currentPuzzle.attempts++;
         
-        // Record attempt for analytics
-        this.recordAttempt(userAnswer);
-        
         // Validate answer
         const isCorrect = this.validateAnswer(userAnswer, this.currentPuzzle.content.answer);
         
+        // Record attempt for analytics
+        this.recordAttempt(userAnswer, isCorrect);
+        this.updateMastery(isCorrect);
+        
+        // Letter tiles show which letters landed in the right place
+        if (this.answerWidget && this.answerWidget.showFeedback) {
+            this.answerWidget.showFeedback(this.currentPuzzle.content.answer);
+        }
+        
         if (isCorrect) {
             this.handleCorrectAnswer();
         } else {
@@ -987,6 +1293,11 @@ class PuzzleSystem {
             return this.selectedAnswer;
         }
         
+        // Clock, purse, fraction model or grid answer: the time, amount, fraction or squares it shows
+        if (this.answerWidget) {
+            return this.answerWidget.getAnswer();
+        }
+        
         // Text/number input answer
         const input = document.getElementById('puzzle-answer-input');
         if (input) {
@@ -1031,6 +1342,12 @@ class PuzzleSystem {
             return correctKeys.every(key => 
                 this.normalizeAnswer(userAnswer[key]) === this.normalizeAnswer(correctAnswer[key])
             );
+        } else if (ClockTime.isTime(correctAnswer)) {
+            // Times match however they're written: "3:05", "03:05"
+            return ClockTime.normalize(userAnswer) === ClockTime.normalize(correctAnswer);
+        } else if (Fraction.isFraction(correctAnswer)) {
+            // Fractions match by value: "1/2", "2/4" and "0.5"
+            return Fraction.equals(userAnswer, correctAnswer);
         } else {
             // Simple comparison for multiple choice, text, and number answers
             return this.normalizeAnswer(userAnswer) === this.normalizeAnswer(correctAnswer);
@@ -1054,11 +1371,17 @@ class PuzzleSystem {
         console.log('✅ Correct answer!');
         
         const timeSpent = Date.now() - this.currentPuzzle.startTime;
-        const starsEarned = this.calculateStarsEarned();
+        
+        // A puzzle replayed from the scene history was already counted when it was first solved
+        const replayed = Boolean(this.game.sceneManager && !this.currentPuzzle.scene.review &&
+            this.game.sceneManager.getReplayedOutcome()?.result === 'solved');
+        const starsEarned = replayed ? 0 : this.calculateStarsEarned();
         
         // Update game state
         this.game.gameState.progress.stars += starsEarned;
-        this.game.gameState.progress.puzzlesSolved++;
+        if (!replayed) {
+            this.game.gameState.progress.puzzlesSolved++;
+        }
         
         // Update adaptive difficulty
         this.adaptiveDifficulty.successStreak++;
@@ -1066,10 +1389,11 @@ class PuzzleSystem {
         
         // Record success for analytics
         this.recordSuccess(timeSpent);
+        this.recordSceneOutcome('solved', starsEarned);
         
         // Provide positive feedback
         this.provideFeedback(
-            `🎉 Excellent! ${this.currentPuzzle.content.explanation} You earned ${starsEarned} stars!`,
+            `🎉 Excellent! ${this.currentPuzzle.content.explanation} ${replayed ? 'Your stars for this puzzle are already counted.' : `You earned ${starsEarned} stars!`}`,
             'success'
         );
         
@@ -1117,6 +1441,8 @@ class PuzzleSystem {
             this.clearInputForRetry();
             
         } else {
+            this.recordSceneOutcome('failed', 0);
+            
             // No attempts left, show answer and explanation
             const correctAnswer = this.formatCorrectAnswer(this.currentPuzzle.content.answer);
             this.provideFeedback(
@@ -1138,24 +1464,34 @@ class PuzzleSystem {
      * Get contextual hint based on puzzle type and previous errors
      */
     getContextualHint() {
-        const puzzleType = this.currentPuzzle.data.subtype;
-        
-        switch (puzzleType) {
+        switch (this.currentPuzzle.metadata.skill) {
             case 'addition':
                 return 'Try counting all the objects together.';
             case 'subtraction':
                 return 'Start with the first number and take away the second.';
+            case 'division':
+                return 'Share the objects out one at a time until they are all used.';
             case 'patterns':
                 return 'Look at how much each number increases or decreases.';
             case 'rhyming':
                 return 'Listen for words that sound similar at the end.';
             case 'vocabulary':
                 return 'Think about what the word means in everyday situations.';
-            case 'sentences':
+            case 'sentence-building':
                 return 'Start with who or what is doing the action.';
+            case 'spelling':
+                return 'Say the word slowly and find a letter for each sound you hear.';
+            case 'reading-comprehension':
+                return 'Look back at the story for each question you missed. The answer is there or in its clues.';
+            case 'initial-sounds':
+                return 'Say each picture\'s name slowly and listen to the very first sound.';
+            case 'hearing-rhymes':
+                return 'Say the word you heard, then each picture. Rhymes sound the same at the end.';
+            case 'blending':
+                return 'Say the sounds again, faster and faster, until they join into a word.';
             case 'weather':
                 return 'Think about what weather you see in each season.';
-            case 'animals':
+            case 'habitats':
                 return 'Consider where each animal would be most comfortable.';
             case 'geography':
                 return 'Think about the key features that make each place unique.';
@@ -1168,15 +1504,30 @@ class PuzzleSystem {
      * Format correct answer for display
      */
     formatCorrectAnswer(answer) {
+        // Question sets list their answers in question order
+        const renderer = this.currentPuzzle && this.currentPuzzle.renderer;
+        if (renderer && renderer.questions && typeof answer === 'object') {
+            return renderer.getCorrectAnswerDisplay();
+        }
+        
         if (Array.isArray(answer)) {
             return answer.join(', ');
         } else if (typeof answer === 'object') {
             return Object.entries(answer).map(([key, value]) => `${key}: ${value}`).join('; ');
         } else {
-            return answer.toString();
+            return this.formatAnswer(answer);
         }
     }
 
+    /**
+     * Write an answer or option the way the current puzzle's renderer shows it,
+     * e.g. amounts in the player's currency
+     */
+    formatAnswer(answer) {
+        const renderer = this.currentPuzzle && this.currentPuzzle.renderer;
+        return renderer ? renderer.formatAnswer(answer) : String(answer);
+    }
+
     /**
      * Clear input elements for retry
      */
@@ -1236,8 +1587,9 @@ class PuzzleSystem {
             'hard': 1.5
         };
         
-        const difficulty = this.game.gameState.player.difficulty;
-        stars = Math.round(stars * difficultyMultiplier[difficulty]);
+        // Expert is only reached by generated puzzles and scores like hard
+        const difficulty = this.currentPuzzle.difficulty === 'expert' ? 'hard' : this.currentPuzzle.difficulty;
+        stars = Math.round(stars * (difficultyMultiplier[difficulty] || 1.0));
         
         // Minimum 1 star for any correct answer
         return Math.max(1, stars);
@@ -1252,6 +1604,7 @@ class PuzzleSystem {
         const hint = this.currentPuzzle.content.hint;
         if (hint) {
             this.currentPuzzle.hintsUsed++;
+            this.getMasteryModel().recordHint(this.currentPuzzle.metadata.subject, this.currentPuzzle.metadata.skill);
             this.provideFeedback(`💡 Hint: ${hint}`, 'hint');
             this.game.announceToScreenReader(`Hint: ${hint}`);
         } else {
@@ -1274,6 +1627,7 @@ class PuzzleSystem {
         
         // Record skip for analytics
         this.recordSkip();
+        this.recordSceneOutcome('skipped', 0);
         
         setTimeout(() => {
             this.proceedToNextScene(this.currentPuzzle.scene.successScene);
@@ -1284,6 +1638,296 @@ class PuzzleSystem {
         );
     }
 
+    /**
+     * Record the puzzle result in the review queue and scene history
+     */
+    recordSceneOutcome(result, stars) {
+        if (!this.currentPuzzle) return;
+        
+        this.updateReviewQueue(result);
+        this.recordDifficultyPerformance(result);
+        
+        // Reviews aren't part of the story, so they leave the scene history alone
+        if (!this.game.sceneManager || this.currentPuzzle.scene.review) return;
+        
+        this.game.sceneManager.recordPuzzleOutcome({
+            puzzleId: this.currentPuzzle.id,
+            result,
+            stars,
+            attempts: this.currentPuzzle.attempts,
+            hintsUsed: this.currentPuzzle.hintsUsed,
+            seed: this.currentPuzzle.seed
+        });
+    }
+
+    /**
+     * Get the puzzle set for this playthrough, starting one if needed
+     */
+    getPuzzleSet() {
+        const gameState = this.game.gameState;
+        if (!gameState.puzzleSet || !gameState.puzzleSet.code) {
+            gameState.puzzleSet = { code: SeededRandom.createSetCode(), sequence: 0, reviews: 0, shared: false, history: [] };
+        }
+        
+        // Sets saved before reviews and history were kept
+        const puzzleSet = gameState.puzzleSet;
+        if (!puzzleSet.history) puzzleSet.history = [];
+        if (!puzzleSet.reviews) puzzleSet.reviews = 0;
+        return puzzleSet;
+    }
+
+    /**
+     * Get the difficulty and age group a shared puzzle set is played at, or null for the player's own set
+     *
+     * Shared sets ignore this device's difficulty tracks and review queue,
+     * so the code plays the same puzzles wherever it's entered.
+     */
+    getSetProfile() {
+        const puzzleSet = this.getPuzzleSet();
+        return puzzleSet.shared ? SeededRandom.getSetProfile(puzzleSet.code) : null;
+    }
+
+    /**
+     * Start a puzzle set from a code, or a new random one
+     */
+    startPuzzleSet(code = null) {
+        // A new code is made for the child's own level and age so it suits them when shared
+        const level = this.game.gameState.player.difficulty === 'expert' ? 'hard' : this.game.gameState.player.difficulty;
+        const setCode = code
+            ? SeededRandom.formatSetCode(code)
+            : SeededRandom.createSetCode(Math.random, { difficulty: level, ageGroup: this.getPlayerAgeGroup() });
+        if (!setCode) {
+            throw new Error(`"${code}" is not a valid puzzle set code`);
+        }
+        
+        this.game.gameState.puzzleSet = { code: setCode, sequence: 0, reviews: 0, shared: true, history: [] };
+        console.log(`🎲 Puzzle set started: ${setCode}`);
+        
+        return setCode;
+    }
+
+    /**
+     * Create the seeded random source for the next puzzle (or review) in the set
+     */
+    createPuzzleRandom(review = false) {
+        const puzzleSet = this.getPuzzleSet();
+        
+        // Reviews are numbered apart, so they don't shift the puzzles that follow them
+        if (review) {
+            puzzleSet.reviews++;
+            return new SeededRandom(SeededRandom.getReviewSeed(puzzleSet.code, puzzleSet.reviews));
+        }
+        
+        puzzleSet.sequence++;
+        return new SeededRandom(SeededRandom.getPuzzleSeed(puzzleSet.code, puzzleSet.sequence));
+    }
+
+    /**
+     * Remember which seed and difficulty produced a puzzle, saved with the set for the dashboard
+     */
+    recordPuzzleHistory(entry) {
+        const history = this.getPuzzleSet().history;
+        
+        history.push({ ...entry, timestamp: Date.now() });
+        if (history.length > this.maxPuzzleHistoryLength) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Get the mastery model for this playthrough
+     */
+    getMasteryModel() {
+        const gameState = this.game.gameState;
+        if (!gameState.skillMastery) {
+            gameState.skillMastery = MasteryModel.createState();
+        }
+        
+        // Loading a save replaces the model state, so follow it
+        if (!this.masteryModel || this.masteryModel.state !== gameState.skillMastery) {
+            this.masteryModel = new MasteryModel(gameState.skillMastery);
+        }
+        return this.masteryModel;
+    }
+
+    /**
+     * Update the current puzzle's skill mastery after an answer
+     */
+    updateMastery(isCorrect) {
+        const { metadata, content } = this.currentPuzzle;
+        const optionCount = Array.isArray(content.options) ? content.options.length : 0;
+        this.getMasteryModel().recordAttempt(metadata.subject, metadata.skill, isCorrect, optionCount);
+    }
+
+    /**
+     * Pick the difficulty for a puzzle from game data
+     *
+     * The level chosen at the start holds until the subject has a difficulty
+     * track; after that the skill's track (or the subject's) decides.
+     */
+    chooseDifficulty(puzzleData) {
+        const levels = puzzleData && puzzleData.difficulty ? Object.keys(puzzleData.difficulty) : [];
+        
+        // A shared set plays at the level its code stands for
+        const profile = this.getSetProfile();
+        if (profile) {
+            return levels.length === 0 || levels.includes(profile.difficulty) ? profile.difficulty : levels[levels.length - 1];
+        }
+        
+        const chosen = this.game.gameState.player.difficulty;
+        if (levels.length === 0) return chosen;
+        
+        const { subject, skill } = PuzzleRouter.getMetadata(puzzleData);
+        if (!this.adaptiveDifficultyManager.hasTrack(subject)) {
+            return levels.includes(chosen) ? chosen : levels[0];
+        }
+        
+        // Game data puzzles stop at hard, so expert falls back to the top level there is
+        const recommended = this.adaptiveDifficultyManager.getRecommendedDifficulty(subject, skill);
+        return levels.includes(recommended) ? recommended : levels[levels.length - 1];
+    }
+
+    /**
+     * Feed a finished puzzle to the adaptive difficulty manager
+     */
+    recordDifficultyPerformance(result) {
+        const { id, metadata, difficulty, attempts, hintsUsed, startTime } = this.currentPuzzle;
+        const isCorrect = result === 'solved';
+        
+        const masteryModel = this.getMasteryModel();
+        
+        this.adaptiveDifficultyManager.recordPerformance(
+            { id, type: metadata.subject, subtype: metadata.skill, difficulty, ageGroup: this.getPlayerAgeGroup() },
+            {
+                isCorrect,
+                attempts,
+                hintsUsed,
+                timeSpent: Date.now() - startTime,
+                efficiency: isCorrect ? 1 / (attempts + hintsUsed) : 0,
+                mastery: masteryModel.getMastery(metadata.subject, metadata.skill),
+                subjectMastery: masteryModel.getSubjectMastery(metadata.subject)
+            }
+        );
+    }
+
+    /**
+     * Tell the child their puzzles are getting harder or easier
+     */
+    showDifficultyFeedback(message, direction) {
+        this.game.showNotification(message, direction === 'increased' ? 'success' : 'info', 4000);
+        this.game.announceToScreenReader(message);
+    }
+
+    /**
+     * Get the review scheduler for this playthrough's review queue
+     */
+    getReviewScheduler() {
+        const gameState = this.game.gameState;
+        if (!gameState.reviewQueue) {
+            gameState.reviewQueue = ReviewScheduler.createState();
+        }
+        
+        // Loading a save replaces the queue object, so follow it
+        if (!this.reviewScheduler || this.reviewScheduler.state !== gameState.reviewQueue) {
+            this.reviewScheduler = new ReviewScheduler(gameState.reviewQueue);
+        }
+        return this.reviewScheduler;
+    }
+
+    /**
+     * Queue a missed puzzle for review, or move a reviewed one up a box
+     */
+    updateReviewQueue(result) {
+        const { id, metadata } = this.currentPuzzle;
+        this.getReviewScheduler().record({ puzzleId: id, subject: metadata.subject, skill: metadata.skill }, result);
+        this.updateReviewBadge();
+    }
+
+    /**
+     * Play a due review before a story puzzle when it's time for one
+     */
+    weaveReview(puzzleId, scene) {
+        const scheduler = this.getReviewScheduler();
+        const item = scheduler.getDueItems().find(due => due.puzzleId !== puzzleId && this.hasPuzzle(due.puzzleId));
+        
+        if (!item || !scheduler.isReviewTurn()) {
+            scheduler.countPuzzle();
+            return false;
+        }
+        
+        scheduler.countReview();
+        this.loadReviewPuzzle(item, () => this.loadPuzzle(puzzleId, scene), 'Quick review before we go on!');
+        return true;
+    }
+
+    /**
+     * Load a queued puzzle as a review, then hand over to whatever comes next
+     */
+    async loadReviewPuzzle(item, onFinish, message) {
+        this.game.showScreen('puzzle');
+        
+        await this.loadPuzzle(item.puzzleId, {
+            puzzleId: item.puzzleId,
+            review: item.key,
+            onFinish
+        });
+        
+        this.provideFeedback(`📚 ${message} Let's try this one again.`, 'hint');
+        this.game.announceToScreenReader(`${message} This is a puzzle to practise again.`);
+    }
+
+    /**
+     * Start a Review Library session of the puzzles most in need of practice
+     */
+    startReviewSession() {
+        const scheduler = this.getReviewScheduler();
+        
+        // Drop anything whose puzzle has since been removed from the story
+        scheduler.getItems()
+            .filter(item => !this.hasPuzzle(item.puzzleId))
+            .forEach(item => scheduler.remove(item.key));
+        
+        const items = scheduler.getSessionItems();
+        if (items.length === 0) {
+            this.game.showNotification('Nothing to review right now - every puzzle is on track!', 'success');
+            return false;
+        }
+        
+        const returnScreen = this.game.gameState.currentScreen;
+        const playReview = index => {
+            if (index < items.length) {
+                this.loadReviewPuzzle(items[index], () => playReview(index + 1), `Review ${index + 1} of ${items.length}.`);
+                return;
+            }
+            
+            this.updateReviewBadge();
+            this.game.showScreen(returnScreen);
+            this.game.showNotification(`Review Library finished: ${items.length} ${items.length === 1 ? 'puzzle' : 'puzzles'} practised!`, 'success');
+        };
+        
+        playReview(0);
+        return true;
+    }
+
+    /**
+     * Check whether a puzzle id still points at a puzzle
+     */
+    hasPuzzle(puzzleId) {
+        return Boolean(this.game.gameData?.puzzles[puzzleId] || this.getStoryScene(puzzleId)?.puzzle);
+    }
+
+    /**
+     * Show how many reviews are due on the Review Library button
+     */
+    updateReviewBadge() {
+        const badge = document.getElementById('review-due-count');
+        if (!badge) return;
+        
+        const dueCount = this.getReviewScheduler().getDueItems().length;
+        badge.textContent = dueCount;
+        badge.hidden = dueCount === 0;
+    }
+
     /**
      * Provide feedback to user
      */
@@ -1342,6 +1986,13 @@ class PuzzleSystem {
      * Create an advanced puzzle using the new puzzle system
      */
     createAdvancedPuzzle(type, ageGroup, difficulty = null) {
+        // A shared set plays at its own age group and level
+        const profile = this.getSetProfile();
+        if (profile) {
+            ageGroup = ageGroup || profile.ageGroup;
+            difficulty = difficulty || profile.difficulty;
+        }
+        
         // Determine player's age group if not provided
         if (!ageGroup) {
             const playerAge = this.game.gameState.player.age || 7;
@@ -1350,11 +2001,6 @@ class PuzzleSystem {
             else ageGroup = 'ages10-12';
         }
         
-        // Use adaptive difficulty if not specified
-        if (!difficulty) {
-            difficulty = this.adaptiveDifficultyManager.getRecommendedDifficulty();
-        }
-        
         const PuzzleClass = this.puzzleGenerators[type];
         if (!PuzzleClass) {
             console.error(`Unknown puzzle type: ${type}`);
@@ -1362,8 +2008,20 @@ class PuzzleSystem {
         }
         
         try {
-            const puzzle = PuzzleClass.createAgePuzzle(ageGroup, difficulty);
-            console.log(`🎯 Created ${type} puzzle for ${ageGroup} at ${difficulty} difficulty`);
+            const random = this.createPuzzleRandom();
+            
+            // A puzzle family practises skills within a subject, each on its own difficulty track
+            const subject = PuzzleClass.SUBJECT || type;
+            const skill = PuzzleClass.pickSkill ? PuzzleClass.pickSkill(ageGroup, random.next) : null;
+            
+            // Use the subject's (or skill's) adaptive difficulty if not specified
+            if (!difficulty) {
+                difficulty = this.adaptiveDifficultyManager.getRecommendedDifficulty(subject, skill);
+            }
+            
+            const puzzle = PuzzleClass.createAgePuzzle(ageGroup, difficulty, { random: random.next, skill });
+            this.recordPuzzleHistory({ puzzleId: puzzle.id, seed: random.seed, subject, skill: puzzle.subtype, ageGroup, difficulty });
+            console.log(`🎯 Created ${type} puzzle for ${ageGroup} at ${difficulty} difficulty (seed ${random.seed})`);
             return puzzle;
         } catch (error) {
             console.error(`Error creating ${type} puzzle:`, error);
@@ -1375,39 +2033,33 @@ class PuzzleSystem {
      * Load an advanced puzzle for a specific story scene
      */
     loadAdvancedPuzzleForScene(sceneId) {
-        // Get the story scene to determine puzzle type
-        const storyScene = window.STORY_SCENES ? window.STORY_SCENES[sceneId] : null;
+        const storyScene = this.getStoryScene(sceneId);
         if (!storyScene || !storyScene.puzzle) {
             console.log('No advanced puzzle defined for scene:', sceneId);
             return false;
         }
         
-        // Determine puzzle type from scene puzzle data
-        let puzzleType = 'math'; // default
-        if (sceneId.includes('wizard') || storyScene.puzzle.question.toLowerCase().includes('word') || 
-            storyScene.puzzle.question.toLowerCase().includes('sentence')) {
-            puzzleType = 'language';
-        } else if (sceneId.includes('explorer') || storyScene.puzzle.question.toLowerCase().includes('cloud') ||
-                   storyScene.puzzle.question.toLowerCase().includes('penguin')) {
-            puzzleType = 'science';
-        }
-        
-        // Create and load the advanced puzzle
-        const difficulty = this.adaptiveDifficultyManager.getRecommendedDifficulty();
-        const ageGroup = this.getPlayerAgeGroup();
-        
-        const puzzle = this.createAdvancedPuzzle(puzzleType, ageGroup, difficulty);
-        if (!puzzle) {
+        // The puzzle's declared subject decides the renderer
+        const random = this.createPuzzleRandom();
+        const metadata = PuzzleRouter.getMetadata(storyScene.puzzle);
+        const profile = this.getSetProfile();
+        const difficulty = profile ? profile.difficulty : this.adaptiveDifficultyManager.getRecommendedDifficulty(metadata.subject, metadata.skill);
+        const content = DistractorGenerator.forPuzzle(storyScene.puzzle, metadata, random.next);
+        let puzzle;
+        try {
+            puzzle = this.puzzleRouter.route(storyScene.puzzle, content, {
+                id: sceneId,
+                title: storyScene.title,
+                difficulty,
+                maxAttempts: storyScene.maxAttempts,
+                random: random.next
+            }).renderer;
+        } catch (error) {
+            console.error('❌ Failed to route puzzle:', error);
             return false;
         }
         
-        // Override with story scene specific data if available
-        if (storyScene.puzzle.question) puzzle.question = storyScene.puzzle.question;
-        if (storyScene.puzzle.answer !== undefined) puzzle.correctAnswer = storyScene.puzzle.answer;
-        if (storyScene.puzzle.options) puzzle.options = storyScene.puzzle.options;
-        if (storyScene.puzzle.hint) {
-            puzzle.hints = Array.isArray(storyScene.puzzle.hint) ? storyScene.puzzle.hint : [storyScene.puzzle.hint];
-        }
+        this.recordPuzzleHistory({ puzzleId: sceneId, seed: random.seed, ...puzzle.metadata, difficulty });
         
         this.currentAdvancedPuzzle = puzzle;
         puzzle.start();
@@ -1464,7 +2116,11 @@ class PuzzleSystem {
      * Proceed to next scene
      */
     proceedToNextScene(nextSceneId) {
-        if (nextSceneId === 'path_complete') {
+        // Reviews hand over to the puzzle or session step that follows them
+        const onFinish = this.currentPuzzle && this.currentPuzzle.scene.onFinish;
+        if (onFinish) {
+            onFinish();
+        } else if (nextSceneId === 'path_complete') {
             this.game.completeStoryPath();
         } else if (nextSceneId) {
             // Use scene manager to load the next scene
@@ -1484,7 +2140,7 @@ class PuzzleSystem {
      */
     focusFirstInput() {
         setTimeout(() => {
-            const firstInput = this.puzzleElements.container.querySelector('input, button.choice-btn');
+            const firstInput = this.puzzleElements.container.querySelector('input, button.choice-btn, .clock-hand, .money-piece, .fraction-part, .shape-cell[tabindex="0"], .letter-tile');
             if (firstInput) {
                 firstInput.focus();
             }
@@ -1543,10 +2199,25 @@ class PuzzleSystem {
         const { data, content } = this.currentPuzzle;
         
         let announcement = `${data.title} puzzle. ${this.formatPuzzleType(data.subtype)} challenge. `;
-        announcement += `${content.question}`;
+        announcement += `${this.renderTemplate(content.question)}`;
         
         if (content.options) {
             announcement += ` ${content.options.length} choices available.`;
+            if (this.soundPrompt) {
+                announcement += ' Listen, then choose. Use the Hear it again button to listen as many times as you like.';
+            }
+        } else if (content.inputType === 'clock') {
+            announcement += ' Set the clock: choose the hour hand or the minute hand and use the arrow keys.';
+        } else if (content.inputType === 'money') {
+            announcement += ' Fill the purse: press Enter on a coin to add it, or on a coin in the purse to take it out.';
+        } else if (content.inputType === 'fraction') {
+            announcement += ' Shade the model: move between parts with the arrow keys and press Enter to shade or unshade one.';
+        } else if (content.inputType === 'grid') {
+            announcement += ' Shade the grid: move between squares with the arrow keys and press Enter to shade or clear one.';
+        } else if (content.inputType === 'spelling') {
+            announcement += ' Build the word: type its letters, or press Enter on a letter tile to add it. Backspace takes the last letter out.';
+        } else if (content.inputType === 'questions') {
+            announcement += ` Read the story, then answer ${(content.questions || []).length} questions. Use the arrow keys to choose an answer to each.`;
         } else {
             announcement += ' Enter your answer.';
         }
@@ -1558,7 +2229,7 @@ class PuzzleSystem {
      * Extract numbers from question text for visual aids
      */
     extractNumbersFromQuestion(question) {
-        const numbers = question.match(/\d+/g);
+        const numbers = this.renderTemplate(question).match(/\d+/g);
         return numbers ? numbers.map(Number) : [];
     }
 
@@ -1587,15 +2258,79 @@ class PuzzleSystem {
     /**
      * Record attempt for analytics
      */
-    recordAttempt(userAnswer) {
-        // Record common error patterns for adaptive learning
-        if (this.currentPuzzle.attempts > 1) {
+    recordAttempt(userAnswer, isCorrect) {
+        // Question sets are marked, and their misconceptions found, one question at a time
+        const renderer = this.currentPuzzle.renderer;
+        if (renderer && renderer.getQuestionResults) {
+            this.recordQuestionResults(renderer.getQuestionResults(userAnswer));
+            return;
+        }
+        
+        if (isCorrect) return;
+        
+        // A tagged distractor tells us why the answer was wrong, not just that it was
+        const diagnosis = DistractorGenerator.diagnose(this.currentPuzzle.content.distractors, userAnswer);
+        const misconception = diagnosis ? DistractorGenerator.getMisconception(diagnosis.misconception) : null;
+        
+        this.learningAnalytics.commonErrors.push({
+            puzzleId: this.currentPuzzle.id,
+            subject: this.currentPuzzle.metadata.subject,
+            skill: this.currentPuzzle.metadata.skill,
+            misconception: diagnosis ? diagnosis.misconception : null,
+            misconceptionLabel: misconception ? misconception.label : null,
+            question: this.currentPuzzle.content.question,
+            numbers: this.currentPuzzle.content.numbers || null,
+            userAnswer: userAnswer,
+            correctAnswer: this.currentPuzzle.content.answer,
+            attempt: this.currentPuzzle.attempts,
+            timestamp: Date.now()
+        });
+        
+        if (this.learningAnalytics.commonErrors.length > this.maxCommonErrors) {
+            this.learningAnalytics.commonErrors.splice(0, this.learningAnalytics.commonErrors.length - this.maxCommonErrors);
+        }
+    }
+
+    /**
+     * Record each question of a question set, and the wrong ones as common errors
+     */
+    recordQuestionResults(results) {
+        const { id, metadata, attempts } = this.currentPuzzle;
+        
+        results.forEach(result => {
+            this.learningAnalytics.questionResults.push({
+                puzzleId: id,
+                subject: metadata.subject,
+                skill: metadata.skill,
+                questionId: result.id,
+                kind: result.kind,
+                correct: result.correct,
+                attempt: attempts,
+                timestamp: Date.now()
+            });
+            
+            if (result.correct) return;
+            const misconception = result.misconception ? DistractorGenerator.getMisconception(result.misconception) : null;
+            
             this.learningAnalytics.commonErrors.push({
-                puzzleId: this.currentPuzzle.id,
-                userAnswer: userAnswer,
-                correctAnswer: this.currentPuzzle.content.answer,
+                puzzleId: id,
+                subject: metadata.subject,
+                skill: metadata.skill,
+                misconception: result.misconception,
+                misconceptionLabel: misconception ? misconception.label : null,
+                question: result.question,
+                userAnswer: result.answer,
+                correctAnswer: result.correctAnswer,
+                attempt: attempts,
                 timestamp: Date.now()
             });
+        });
+        
+        if (this.learningAnalytics.questionResults.length > this.maxQuestionResults) {
+            this.learningAnalytics.questionResults.splice(0, this.learningAnalytics.questionResults.length - this.maxQuestionResults);
+        }
+        if (this.learningAnalytics.commonErrors.length > this.maxCommonErrors) {
+            this.learningAnalytics.commonErrors.splice(0, this.learningAnalytics.commonErrors.length - this.maxCommonErrors);
         }
     }
 
@@ -1603,7 +2338,7 @@ class PuzzleSystem {
      * Record success for analytics
      */
     recordSuccess(timeSpent) {
-        const category = this.currentPuzzle.data.type;
+        const category = this.currentPuzzle.metadata.subject;
         if (this.learningAnalytics[category + 'Skills']) {
             this.learningAnalytics[category + 'Skills'].correct++;
             this.learningAnalytics[category + 'Skills'].timeSpent += timeSpent;
@@ -1654,6 +2389,7 @@ class PuzzleSystem {
      * Clean up puzzle system resources
      */
     destroy() {
+        this.stopSoundPrompt();
         this.currentPuzzle = null;
         this.selectedAnswer = null;
         this.multipleAnswers = {};
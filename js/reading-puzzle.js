@@ -0,0 +1,956 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - READING PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the reading comprehension puzzle family that handles:
+ * - Short story passages told by Ruby, Sage and Scout, longer and richer
+ *   for older readers
+ * - Sets of 2-5 questions on each passage: finding a detail (literal),
+ *   reading between the lines (inference) and working out a word from the
+ *   sentence around it (vocabulary)
+ * - Keeping the passage on screen while every question is answered
+ * - Marking each question on its own, so a child fixes only what they missed
+ *   and every answer is recorded with the misconception behind it
+ *
+ * Reading puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'language',
+ *     skill: 'reading-comprehension',
+ *     question: 'Read Scout\'s story, then answer the questions.',
+ *     inputType: 'questions',
+ *     narrator: 'Scout',
+ *     passageTitle: 'The Lost Acorn',
+ *     passage: ['I am Scout, a little mouse...', 'Then the wind blew...'],
+ *     questions: [
+ *       {
+ *         kind: 'literal',                   // literal, inference or vocabulary
+ *         question: 'Where did Scout hide the acorn?',
+ *         options: ['Under a red leaf', 'By the green door', 'In a teacup'],
+ *         answer: 'Under a red leaf',
+ *         distractors: [{ value: 'By the green door', misconception: 'comprehension-wrong-detail' }]
+ *       },
+ *       { kind: 'vocabulary', word: 'hid', ... }   // the word is highlighted in the passage
+ *     ]
+ *   }
+ *
+ * The set's answer is { q1: 'Under a red leaf', q2: ... }, read from the
+ * questions when a scene doesn't declare it.
+ *
+ * Reading Philosophy:
+ * Understanding a story is more than finding its words again, so every set
+ * asks children to look back, think beyond and puzzle out a word, with the
+ * story right there to return to.
+ */
+
+// Who tells each story
+const READING_NARRATORS = {
+    Ruby: { icon: '🐉', description: 'Ruby the Dragon' },
+    Sage: { icon: '🧙', description: 'Sage the Wizard' },
+    Scout: { icon: '🐭', description: 'Scout the Explorer Mouse' }
+};
+
+// Question kind -> the label children see on it
+const READING_QUESTION_KINDS = {
+    literal: 'Find it in the story',
+    inference: 'Read between the lines',
+    vocabulary: 'Word detective'
+};
+
+// Passages, each with more questions than any one set asks. Wrong answers
+// are tagged with the misconception that leads a reader to them.
+const READING_PASSAGES = {
+    'lost-acorn': {
+        narrator: 'Scout',
+        title: 'The Lost Acorn',
+        passage: [
+            'I am Scout, a little mouse. This morning I hid my acorn under a red leaf.',
+            'Then the wind blew and blew. The red leaf flew away!',
+            'I looked and looked. At last I found my acorn by the big green door of the library. I was so happy that I did a little dance.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'Where did Scout hide his acorn?',
+                answer: 'Under a red leaf',
+                wrong: {
+                    'By the big green door': 'comprehension-wrong-detail',
+                    'In a teacup': 'comprehension-not-in-story',
+                    'Under a blue hat': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'What made the leaf fly away?',
+                answer: 'The wind',
+                wrong: {
+                    'The big green door': 'comprehension-wrong-detail',
+                    'A dragon': 'comprehension-not-in-story',
+                    'The rain': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'How did Scout feel when he found his acorn?',
+                answer: 'Happy',
+                wrong: {
+                    'Sleepy': 'comprehension-no-evidence',
+                    'He did a little dance': 'comprehension-too-literal',
+                    'Angry': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why did Scout have to look and look?',
+                answer: 'His acorn was not where he left it',
+                wrong: {
+                    'He likes to look at leaves': 'comprehension-no-evidence',
+                    'The wind blew and blew': 'comprehension-too-literal',
+                    'It was dark in the library': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'hid',
+                question: 'Scout "hid" his acorn. What does "hid" mean?',
+                answer: 'Put it where nobody could see it',
+                wrong: {
+                    'Hit it hard': 'comprehension-look-alike-word',
+                    'Ate it all up': 'comprehension-word-guess',
+                    'Gave it away': 'comprehension-word-guess'
+                }
+            }
+        ]
+    },
+    'birthday-cake': {
+        narrator: 'Ruby',
+        title: 'My Birthday Cake',
+        passage: [
+            'I am Ruby the dragon. Today is my birthday!',
+            'I baked a big cake with pink icing. I wanted to light the candles, so I blew a tiny puff of fire.',
+            'Oops! The fire was too big, and the candles melted into a puddle. My friends laughed, and we ate the cake anyway. It was yummy.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'What colour was the icing on Ruby\'s cake?',
+                answer: 'Pink',
+                wrong: {
+                    'Blue': 'comprehension-not-in-story',
+                    'Green': 'comprehension-not-in-story',
+                    'Orange': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'What happened to the candles?',
+                answer: 'They melted',
+                wrong: {
+                    'Her friends ate them': 'comprehension-wrong-detail',
+                    'The wind blew them out': 'comprehension-not-in-story',
+                    'They turned pink': 'comprehension-wrong-detail'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why did Ruby\'s friends laugh?',
+                answer: 'The melted candles looked funny',
+                wrong: {
+                    'The cake tasted bad': 'comprehension-no-evidence',
+                    'It was Ruby\'s birthday': 'comprehension-too-literal',
+                    'Ruby told a joke': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Was Ruby\'s party spoiled?',
+                answer: 'No, everyone still had fun',
+                wrong: {
+                    'Yes, the candles melted': 'comprehension-too-literal',
+                    'Yes, nobody came': 'comprehension-no-evidence',
+                    'Yes, the cake was thrown away': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'puff',
+                question: 'Ruby blew "a tiny puff of fire". What is a puff?',
+                answer: 'A small burst',
+                wrong: {
+                    'A soft cushion': 'comprehension-everyday-meaning',
+                    'A puppy': 'comprehension-look-alike-word',
+                    'A huge explosion': 'comprehension-word-guess'
+                }
+            }
+        ]
+    },
+    'whispering-shelf': {
+        narrator: 'Sage',
+        title: 'The Whispering Shelf',
+        passage: [
+            'Every night, after the last visitor leaves the Enchanted Library, I walk between the shelves with my lantern. Last Tuesday, I heard a faint whisper coming from the poetry shelf.',
+            'I tiptoed closer. A small blue book was trembling, and its pages were fluttering as if a breeze were blowing, but every window was shut tight.',
+            'I opened the book carefully. Out hopped a tiny rhyming sprite, no bigger than my thumb. "I\'ve been stuck between these pages for a hundred years," it sang. "Thank you, kind wizard, for setting me free!"',
+            'Now the sprite helps me put the books back in order, and it never stops rhyming.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'Where was the whisper coming from?',
+                answer: 'The poetry shelf',
+                wrong: {
+                    'Sage\'s lantern': 'comprehension-wrong-detail',
+                    'An open window': 'comprehension-not-in-story',
+                    'The history shelf': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'How big was the sprite?',
+                answer: 'No bigger than Sage\'s thumb',
+                wrong: {
+                    'As big as a lantern': 'comprehension-not-in-story',
+                    'As tall as the shelves': 'comprehension-not-in-story',
+                    'A hundred times bigger than the book': 'comprehension-wrong-detail'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why were the book\'s pages fluttering?',
+                answer: 'The sprite was moving inside the book',
+                wrong: {
+                    'A breeze came through the window': 'comprehension-no-evidence',
+                    'Sage dropped the book': 'comprehension-no-evidence',
+                    'The book was small and blue': 'comprehension-too-literal'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'How does the sprite feel about Sage?',
+                answer: 'Grateful',
+                wrong: {
+                    'Scared of him': 'comprehension-no-evidence',
+                    'It was stuck for a hundred years': 'comprehension-too-literal',
+                    'Bored': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'faint',
+                question: 'Sage heard "a faint whisper". What does "faint" mean here?',
+                answer: 'Very quiet',
+                wrong: {
+                    'To pass out': 'comprehension-everyday-meaning',
+                    'Painted': 'comprehension-look-alike-word',
+                    'Very angry': 'comprehension-word-guess'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'trembling',
+                question: 'The book was "trembling". What does "trembling" mean?',
+                answer: 'Shaking',
+                wrong: {
+                    'Tumbling to the floor': 'comprehension-look-alike-word',
+                    'Glowing': 'comprehension-word-guess',
+                    'Growing bigger': 'comprehension-word-guess'
+                }
+            }
+        ]
+    },
+    'snow-day': {
+        narrator: 'Ruby',
+        title: 'The Snow Day',
+        passage: [
+            'When I woke up, the whole valley was white. Snow had fallen all night, and it was still drifting down in big, soft flakes.',
+            'I rushed outside to build a snowman, but every time I breathed out, a little flame popped from my nose and melted my work. Drip, drip, drip. My snowman turned into a puddle three times!',
+            'Then Scout had an idea. "Hold your breath while you pat the snow," he squeaked. I held my breath so long that my cheeks puffed out like apples, but it worked. By lunchtime we had the tallest snowman in the valley, wearing my favourite striped scarf.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'What kept melting Ruby\'s snowman?',
+                answer: 'Flames from her nose',
+                wrong: {
+                    'Her striped scarf': 'comprehension-wrong-detail',
+                    'The sun coming out': 'comprehension-not-in-story',
+                    'Warm rain': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'Whose idea was it for Ruby to hold her breath?',
+                answer: 'Scout\'s',
+                wrong: {
+                    'Ruby\'s': 'comprehension-wrong-detail',
+                    'Sage\'s': 'comprehension-not-in-story',
+                    'The snowman\'s': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'What time of year is it in the story?',
+                answer: 'Winter',
+                wrong: {
+                    'Summer': 'comprehension-no-evidence',
+                    'Spring': 'comprehension-no-evidence',
+                    'Lunchtime': 'comprehension-too-literal'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'How did Ruby probably feel after her snowman melted three times?',
+                answer: 'Frustrated',
+                wrong: {
+                    'Drip, drip, drip': 'comprehension-too-literal',
+                    'Sleepy': 'comprehension-no-evidence',
+                    'Proud': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'drifting',
+                question: 'Snow "was still drifting down". What does "drifting" mean?',
+                answer: 'Floating down slowly',
+                wrong: {
+                    'Piling up in a heap': 'comprehension-everyday-meaning',
+                    'Driving fast': 'comprehension-look-alike-word',
+                    'Melting away': 'comprehension-word-guess'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'rushed',
+                question: 'Ruby "rushed outside". What does "rushed" mean?',
+                answer: 'Hurried',
+                wrong: {
+                    'Brushed': 'comprehension-look-alike-word',
+                    'Tiptoed': 'comprehension-word-guess',
+                    'Was too late': 'comprehension-everyday-meaning'
+                }
+            }
+        ]
+    },
+    'map-in-the-margins': {
+        narrator: 'Scout',
+        title: 'The Map in the Margins',
+        passage: [
+            'Most visitors never read the margins of old books, but I\'m a mouse, so I\'m used to noticing small things. That is how I found the map.',
+            'It was drawn in faded brown ink along the edge of an atlas so heavy that it took Ruby and me together to heave it off the shelf. Tiny arrows wound between the printed mountains, and beside the last arrow someone had written: "Where the oldest story sleeps."',
+            'Sage peered at it through his spectacles for a long time. "The oldest story in this library isn\'t on a shelf at all," he said finally. "It\'s carved into the foundation stone beneath the reading room."',
+            'That night we crept down the cellar stairs with a candle. The stone was cold and covered in dust, but when Ruby breathed a gentle glow across it, letters appeared, and the first word was my own name.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'Where did Scout find the map?',
+                answer: 'In the margins of an old atlas',
+                wrong: {
+                    'Carved into the foundation stone': 'comprehension-wrong-detail',
+                    'Under the reading room rug': 'comprehension-not-in-story',
+                    'Inside Sage\'s spectacles case': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'What was written beside the last arrow?',
+                answer: 'Where the oldest story sleeps',
+                wrong: {
+                    'Scout\'s name': 'comprehension-wrong-detail',
+                    'Beware the cellar': 'comprehension-not-in-story',
+                    'Follow the mountains': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'What can you tell about the map from the way it was drawn?',
+                answer: 'It was drawn by hand a long time ago',
+                wrong: {
+                    'It was drawn that morning': 'comprehension-no-evidence',
+                    'It was drawn in brown ink': 'comprehension-too-literal',
+                    'It was printed with the atlas': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'How did Sage work out where the map led?',
+                answer: 'He knew the library\'s history',
+                wrong: {
+                    'He peered through his spectacles': 'comprehension-too-literal',
+                    'Ruby told him': 'comprehension-no-evidence',
+                    'He followed the arrows down the stairs': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why did Ruby breathe "a gentle glow" instead of a big flame?',
+                answer: 'To light the letters without damaging the stone',
+                wrong: {
+                    'She had a cold': 'comprehension-no-evidence',
+                    'The stone was covered in dust': 'comprehension-too-literal',
+                    'She was scared of the cellar': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'heave',
+                question: 'Ruby and Scout had to "heave" the atlas off the shelf. What does "heave" mean?',
+                answer: 'Lift with great effort',
+                wrong: {
+                    'Breathe out a big sigh': 'comprehension-everyday-meaning',
+                    'Leave behind': 'comprehension-look-alike-word',
+                    'Open slowly': 'comprehension-word-guess'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'foundation',
+                question: 'What is the "foundation stone" of the library?',
+                answer: 'A stone at the base of the building',
+                wrong: {
+                    'Make-up for your face': 'comprehension-everyday-meaning',
+                    'A stone fountain': 'comprehension-look-alike-word',
+                    'A magic gem': 'comprehension-word-guess'
+                }
+            }
+        ]
+    },
+    'backwards-clock': {
+        narrator: 'Sage',
+        title: 'The Clock That Ran Backwards',
+        passage: [
+            'For three hundred years, the great clock in the library tower had ticked forward without a single complaint. Then, one Monday, it began to run backwards.',
+            'At first, nobody noticed. But by Wednesday, strange things were happening: yesterday\'s newspapers looked fresh again, a cracked teacup had mended itself, and an apprentice who had just learned to read suddenly couldn\'t remember her letters.',
+            'I climbed the tower and found the problem at once. A single gear, worn as smooth as a pebble, had slipped out of place, so the wheels beside it were turning the wrong way. Replacing it took me only an hour, yet I was more exhausted than I had been in decades.',
+            'As the clock began to tick forward again, I realised that mending time is far heavier work than mending teacups.'
+        ],
+        questions: [
+            {
+                kind: 'literal',
+                question: 'How long had the clock ticked forward before it went wrong?',
+                answer: 'Three hundred years',
+                wrong: {
+                    'Three days': 'comprehension-wrong-detail',
+                    'Only an hour': 'comprehension-wrong-detail',
+                    'A hundred years': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'literal',
+                question: 'What had gone wrong inside the clock?',
+                answer: 'A worn gear had slipped out of place',
+                wrong: {
+                    'A teacup was stuck in the wheels': 'comprehension-wrong-detail',
+                    'The tower had cracked': 'comprehension-not-in-story',
+                    'Someone wound it the wrong way': 'comprehension-not-in-story'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why did the cracked teacup mend itself?',
+                answer: 'Time was running backwards',
+                wrong: {
+                    'Sage fixed it with a spell': 'comprehension-no-evidence',
+                    'Strange things were happening': 'comprehension-too-literal',
+                    'It was a brand new teacup': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why did nobody notice anything on Monday?',
+                answer: 'The changes were small at first',
+                wrong: {
+                    'Everyone was asleep': 'comprehension-no-evidence',
+                    'The clock is in the tower': 'comprehension-too-literal',
+                    'Sage hid the clock': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'inference',
+                question: 'Why was Sage so tired after a job that took only an hour?',
+                answer: 'Mending time is much harder than it looks',
+                wrong: {
+                    'He had not slept for three hundred years': 'comprehension-no-evidence',
+                    'The gear was as smooth as a pebble': 'comprehension-too-literal',
+                    'He had to mend every teacup too': 'comprehension-no-evidence'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'exhausted',
+                question: 'Sage was "more exhausted than I had been in decades". What does "exhausted" mean?',
+                answer: 'Very tired',
+                wrong: {
+                    'Very excited': 'comprehension-look-alike-word',
+                    'Puffing out smoke like a car': 'comprehension-everyday-meaning',
+                    'Annoyed': 'comprehension-word-guess'
+                }
+            },
+            {
+                kind: 'vocabulary',
+                word: 'mended',
+                question: 'The teacup "had mended itself". What does "mended" mean?',
+                answer: 'Repaired',
+                wrong: {
+                    'Ended': 'comprehension-look-alike-word',
+                    'Stitched with a needle and thread': 'comprehension-everyday-meaning',
+                    'Grown bigger': 'comprehension-word-guess'
+                }
+            }
+        ]
+    }
+};
+
+// Passages, set sizes, question kinds and answer choices per age group and difficulty
+const READING_LEVELS = {
+    'ages4-6': {
+        passages: ['lost-acorn', 'birthday-cake'],
+        questionCount: { easy: 2, medium: 2, hard: 3, expert: 3 },
+        kinds: {
+            easy: ['literal'],
+            medium: ['literal', 'inference'],
+            hard: ['literal', 'inference', 'vocabulary'],
+            expert: ['literal', 'inference', 'vocabulary']
+        },
+        optionCount: { easy: 3, medium: 3, hard: 3, expert: 3 }
+    },
+    'ages7-9': {
+        passages: ['whispering-shelf', 'snow-day'],
+        questionCount: { easy: 3, medium: 3, hard: 4, expert: 4 },
+        kinds: {
+            easy: ['literal', 'vocabulary'],
+            medium: ['literal', 'inference', 'vocabulary'],
+            hard: ['literal', 'inference', 'vocabulary'],
+            expert: ['inference', 'vocabulary']
+        },
+        optionCount: { easy: 3, medium: 4, hard: 4, expert: 4 }
+    },
+    'ages10-12': {
+        passages: ['map-in-the-margins', 'backwards-clock'],
+        questionCount: { easy: 3, medium: 4, hard: 5, expert: 5 },
+        kinds: {
+            easy: ['literal', 'inference', 'vocabulary'],
+            medium: ['literal', 'inference', 'vocabulary'],
+            hard: ['literal', 'inference', 'vocabulary'],
+            expert: ['inference', 'vocabulary']
+        },
+        optionCount: { easy: 4, medium: 4, hard: 4, expert: 4 }
+    }
+};
+
+/**
+ * Question Set
+ * A group of multiple-choice questions answered and marked one by one
+ */
+class QuestionSet {
+    constructor(options = {}) {
+        this.questions = options.questions || [];
+        this.label = options.label || 'Questions about the story';
+        // Called with the answers so far whenever one changes
+        this.onChange = options.onChange || null;
+        this.answers = {}; // Question id -> chosen option
+        this.locked = new Set(); // Questions already answered correctly
+        this.element = null;
+        this.status = null;
+    }
+
+    /**
+     * Draw the questions into a container and start listening for choices
+     */
+    mount(container) {
+        container.innerHTML = `
+            <div class="question-set" role="group" aria-label="${this.label}">
+                ${this.questions.map((question, i) => `
+                    <fieldset class="question-set-item" data-question="${question.id}">
+                        <legend>
+                            <span class="question-set-number">${i + 1}.</span>
+                            ${question.question}
+                            ${READING_QUESTION_KINDS[question.kind] ? `<span class="question-set-kind">${READING_QUESTION_KINDS[question.kind]}</span>` : ''}
+                        </legend>
+                        <div class="question-set-options">
+                            ${question.options.map(option => `
+                                <label class="question-set-option">
+                                    <input type="radio" name="question-set-${question.id}" value="${QuestionSet.escape(option)}">
+                                    <span>${option}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="question-set-result" aria-live="polite"></p>
+                    </fieldset>
+                `).join('')}
+                <p class="question-set-status" aria-live="polite"></p>
+            </div>
+        `;
+        this.element = container.querySelector('.question-set');
+        this.status = container.querySelector('.question-set-status');
+
+        this.element.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-question]');
+            if (!item) return;
+            this.choose(item.dataset.question, e.target.value);
+        });
+        // Keep the arrow keys and Enter on the choices instead of the puzzle's shortcuts
+        this.element.addEventListener('keydown', (e) => {
+            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+                e.stopPropagation();
+            }
+        });
+
+        this.render();
+        return this;
+    }
+
+    /**
+     * Escape an option for use in an attribute
+     */
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Answer one question; changing it clears that question's marking
+     */
+    choose(id, value) {
+        if (this.locked.has(id)) return;
+        this.answers[id] = value;
+
+        if (this.element) {
+            const item = this.element.querySelector(`[data-question="${id}"]`);
+            item.classList.remove('correct', 'wrong');
+            item.querySelector('.question-set-result').textContent = '';
+        }
+        this.render();
+        if (this.onChange) this.onChange(this.getAnswer());
+    }
+
+    /**
+     * Get every answer, or null until each question has one
+     */
+    getAnswer() {
+        const answered = this.questions.filter(question => this.answers[question.id] !== undefined);
+        return answered.length === this.questions.length && answered.length > 0 ? { ...this.answers } : null;
+    }
+
+    /**
+     * Mark each question right or wrong and lock the ones that are right
+     */
+    showFeedback(correctAnswers) {
+        const marks = {};
+
+        this.questions.forEach(question => {
+            const correct = DistractorGenerator.normalize(this.answers[question.id]) === DistractorGenerator.normalize(correctAnswers[question.id]);
+            marks[question.id] = correct;
+            if (correct) this.locked.add(question.id);
+
+            if (!this.element) return;
+            const item = this.element.querySelector(`[data-question="${question.id}"]`);
+            item.classList.toggle('correct', correct);
+            item.classList.toggle('wrong', !correct);
+            item.querySelector('.question-set-result').textContent = correct
+                ? '✓ That\'s right!'
+                : 'Not quite. Look back at the story and try this one again.';
+            item.querySelectorAll('input').forEach(input => {
+                input.disabled = correct;
+            });
+        });
+
+        const right = Object.values(marks).filter(Boolean).length;
+        if (this.status) {
+            this.status.textContent = `${right} of ${this.questions.length} questions are right.`;
+        }
+
+        return marks;
+    }
+
+    /**
+     * Update the count of questions answered
+     */
+    render() {
+        if (!this.status) return;
+
+        const answered = this.questions.filter(question => this.answers[question.id] !== undefined).length;
+        this.status.textContent = answered === this.questions.length
+            ? 'Every question has an answer. Check your answers when you\'re ready!'
+            : `${answered} of ${this.questions.length} questions answered.`;
+    }
+}
+
+/**
+ * Reading Puzzle Generator
+ * Picks a passage and a set of questions on it for an age group
+ */
+class ReadingPuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || READING_LEVELS;
+        this.passages = options.passages || READING_PASSAGES;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Reading comprehension is the family's only skill
+     */
+    pickSkill() {
+        return 'reading-comprehension';
+    }
+
+    /**
+     * Generate a fresh reading puzzle config
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        if (skill !== 'reading-comprehension') {
+            throw new Error(`Unknown reading skill "${skill}"`);
+        }
+        return this.buildQuestionSet(ageGroup, difficulty);
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * A passage and its questions for an age group
+     */
+    buildQuestionSet(ageGroup, difficulty) {
+        const level = this.getLevel(ageGroup);
+        const story = this.passages[this.pick(level.passages)];
+        const count = level.questionCount[difficulty] || level.questionCount.medium;
+        const kinds = level.kinds[difficulty] || level.kinds.medium;
+        const optionCount = level.optionCount[difficulty] || level.optionCount.medium;
+
+        const questions = this.pickQuestions(story.questions, kinds, count)
+            .map((question, i) => this.buildQuestion(question, i, optionCount));
+
+        return {
+            subtype: 'reading-comprehension',
+            title: `${story.narrator}'s Story: ${story.title}`,
+            question: `Read ${story.narrator}'s story, then answer the ${questions.length} questions.`,
+            correctAnswer: ReadingPuzzle.getAnswers(questions),
+            inputType: 'questions',
+            narrator: story.narrator,
+            passageTitle: story.title,
+            passage: story.passage,
+            questions,
+            hints: [
+                'Read the story again slowly. Every answer is in the story or hiding between its lines.',
+                'For "find it" questions, look for the sentence that uses the same words as the question.',
+                'For word questions, read the sentence around the word and try each answer in its place.'
+            ]
+        };
+    }
+
+    /**
+     * Choose questions of the allowed kinds, one of each kind first, in story order
+     */
+    pickQuestions(pool, kinds, count) {
+        const allowed = pool.filter(question => kinds.includes(question.kind));
+        const chosen = [];
+
+        kinds.forEach(kind => {
+            const first = this.shuffle(allowed.filter(question => question.kind === kind))[0];
+            if (first && chosen.length < count) chosen.push(first);
+        });
+        [...this.shuffle(allowed), ...this.shuffle(pool)].forEach(question => {
+            if (chosen.length < count && !chosen.includes(question)) chosen.push(question);
+        });
+
+        return chosen.sort((a, b) => pool.indexOf(a) - pool.indexOf(b));
+    }
+
+    /**
+     * A question with its shuffled choices and tagged wrong answers
+     */
+    buildQuestion(question, index, optionCount) {
+        const distractors = Object.entries(question.wrong)
+            .slice(0, optionCount - 1)
+            .map(([value, misconception]) => ({ value, misconception }));
+
+        return {
+            id: `q${index + 1}`,
+            kind: question.kind,
+            ...(question.word ? { word: question.word } : {}),
+            question: question.question,
+            options: this.shuffle([question.answer, ...distractors.map(distractor => distractor.value)]),
+            answer: question.answer,
+            distractors
+        };
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Reading Puzzle Class
+ * A language puzzle with a story passage and a set of questions about it
+ */
+class ReadingPuzzle extends LanguagePuzzle {
+    constructor(config) {
+        super({ languageSkill: 'reading-comprehension', ...config });
+        this.inputType = config.inputType || 'questions';
+        this.narrator = config.narrator || null;
+        this.passageTitle = config.passageTitle || null;
+        this.passage = [].concat(config.passage || []);
+        this.questions = ReadingPuzzle.normalizeQuestions(config.questions || []);
+        this.correctAnswer = config.correctAnswer || ReadingPuzzle.getAnswers(this.questions);
+    }
+
+    /**
+     * Give every question an id (q1, q2...) and its tagged wrong answers
+     */
+    static normalizeQuestions(questions) {
+        return questions.map((question, i) => ({
+            ...question,
+            id: question.id || `q${i + 1}`,
+            options: question.options || [],
+            distractors: question.distractors || []
+        }));
+    }
+
+    /**
+     * The set's answer: question id -> right option
+     */
+    static getAnswers(questions) {
+        const answers = {};
+        ReadingPuzzle.normalizeQuestions(questions).forEach(question => {
+            answers[question.id] = question.answer;
+        });
+        return answers;
+    }
+
+    /**
+     * The set is solved when every question is
+     */
+    checkAnswer(answers) {
+        return this.getQuestionResults(answers).every(result => result.correct);
+    }
+
+    /**
+     * Mark each question, with the misconception behind a tagged wrong answer
+     */
+    getQuestionResults(answers) {
+        const given = answers || {};
+
+        return this.questions.map(question => {
+            const answer = given[question.id] === undefined ? null : given[question.id];
+            const correct = answer !== null && DistractorGenerator.normalize(answer) === DistractorGenerator.normalize(question.answer);
+            const diagnosis = correct ? null : DistractorGenerator.diagnose(question.distractors, answer);
+
+            return {
+                id: question.id,
+                kind: question.kind || null,
+                question: question.question,
+                answer,
+                correctAnswer: question.answer,
+                correct,
+                misconception: diagnosis ? diagnosis.misconception : null
+            };
+        });
+    }
+
+    /**
+     * Show the right answers one question at a time
+     */
+    getCorrectAnswerDisplay() {
+        return this.questions.map((question, i) => `${i + 1}. ${question.answer}`).join('; ');
+    }
+
+    /**
+     * Generate the story passage, with the vocabulary words highlighted
+     */
+    generateVisualAids() {
+        if (this.passage.length === 0) return '';
+
+        const narrator = READING_NARRATORS[this.narrator];
+        const words = this.questions.filter(question => question.word).map(question => question.word);
+        const highlight = paragraph => words.reduce(
+            (text, word) => text.replace(new RegExp(`\\b(${word})\\b`, 'i'), '<mark>$1</mark>'),
+            paragraph
+        );
+
+        return `
+            <article class="reading-passage" aria-label="${this.passageTitle || 'Story'}">
+                ${this.passageTitle || narrator ? `
+                    <header class="reading-passage-header">
+                        ${narrator ? `<span class="reading-narrator" role="img" aria-label="${narrator.description}">${narrator.icon}</span>` : ''}
+                        ${this.passageTitle ? `<h4 class="reading-passage-title">${this.passageTitle}</h4>` : ''}
+                    </header>
+                ` : ''}
+                ${this.passage.map(paragraph => `<p>${highlight(paragraph)}</p>`).join('')}
+            </article>
+        `;
+    }
+
+    /**
+     * Generate answer interface for question sets
+     */
+    generateAnswerInterface() {
+        // The questions are drawn and wired up by QuestionSet.mount once on the page
+        return `<div class="answer-interface question-set-input" data-count="${this.questions.length}"></div>`;
+    }
+
+    /**
+     * Pick the reading skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new ReadingPuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate reading puzzle
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new ReadingPuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new ReadingPuzzle({
+            id: `reading-${Date.now()}`,
+            type: 'language',
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            metadata: { subject: 'language', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Reading puzzles are language puzzles; the router passes these content fields through
+ReadingPuzzle.SUBJECT = 'language';
+ReadingPuzzle.CONTENT_FIELDS = ['inputType', 'narrator', 'passageTitle', 'passage', 'questions'];
+ReadingPuzzle.SKILLS = ['reading-comprehension'];
+ReadingPuzzle.QUESTION_KINDS = READING_QUESTION_KINDS;
+ReadingPuzzleGenerator.LEVELS = READING_LEVELS;
+ReadingPuzzleGenerator.PASSAGES = READING_PASSAGES;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuestionSet,
+        ReadingPuzzleGenerator,
+        ReadingPuzzle
+    };
+} else {
+    window.QuestionSet = QuestionSet;
+    window.ReadingPuzzleGenerator = ReadingPuzzleGenerator;
+    window.ReadingPuzzle = ReadingPuzzle;
+}
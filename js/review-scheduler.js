@@ -0,0 +1,171 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - REVIEW SCHEDULER
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the spaced-repetition review scheduler that handles:
+ * - Queuing puzzles a child failed or skipped for another try later
+ * - Leitner boxes: each correct review moves a puzzle to a box that waits
+ *   longer, each miss sends it back to the first box
+ * - Deciding when a due review may be woven in before a story puzzle
+ * - Picking puzzles for a "Review Library" mini-session
+ *
+ * The queue lives in gameState.reviewQueue so it's saved with the game:
+ *   {
+ *     items: {
+ *       'math/addition/math_addition_1': {
+ *         key, puzzleId, subject, skill,
+ *         box: 1, due: 1700000000000, reviews: 0, lastResult: 'failed'
+ *       }
+ *     },
+ *     puzzlesSinceReview: 2
+ *   }
+ *
+ * Items are per skill and puzzle template, so a skill with several weak
+ * puzzles comes back through each of them.
+ *
+ * Practice Philosophy:
+ * Missing a puzzle should never be the end of it; the same idea comes back
+ * a little later, then a little later still, until it sticks.
+ */
+
+const REVIEW_MINUTE = 60 * 1000;
+const REVIEW_DAY = 24 * 60 * REVIEW_MINUTE;
+
+// How long a puzzle waits in each box before it's due again
+const REVIEW_BOX_INTERVALS = [5 * REVIEW_MINUTE, REVIEW_DAY, 3 * REVIEW_DAY, 7 * REVIEW_DAY, 14 * REVIEW_DAY];
+
+// Story puzzles played between woven-in reviews, so the story keeps moving
+const REVIEW_WEAVE_SPACING = 2;
+
+const REVIEW_SESSION_LENGTH = 5;
+
+class ReviewScheduler {
+    constructor(state) {
+        this.state = state;
+    }
+
+    /**
+     * Create an empty review queue
+     */
+    static createState() {
+        return { items: {}, puzzlesSinceReview: REVIEW_WEAVE_SPACING };
+    }
+
+    /**
+     * Get the queue key for a puzzle template
+     */
+    static getKey(subject, skill, puzzleId) {
+        return `${subject}/${skill}/${puzzleId}`;
+    }
+
+    /**
+     * Move a puzzle through the boxes after it was played
+     *
+     * A miss (failed or skipped) puts it in the first box, queuing it if it
+     * wasn't there yet. A solve moves a queued puzzle up a box and retires
+     * it after the last one.
+     */
+    record({ puzzleId, subject, skill }, result, now = Date.now()) {
+        const key = ReviewScheduler.getKey(subject, skill, puzzleId);
+        const item = this.state.items[key];
+
+        if (result === 'solved') {
+            if (!item) return null;
+
+            item.reviews++;
+            item.lastResult = result;
+            if (item.box >= REVIEW_BOX_INTERVALS.length) {
+                delete this.state.items[key];
+                console.log(`📚 Review retired: ${key}`);
+                return null;
+            }
+
+            item.box++;
+            item.due = now + REVIEW_BOX_INTERVALS[item.box - 1];
+            return item;
+        }
+
+        const missed = item || { key, puzzleId, subject, skill, reviews: 0 };
+        if (item) missed.reviews++;
+        missed.box = 1;
+        missed.due = now + REVIEW_BOX_INTERVALS[0];
+        missed.lastResult = result;
+        this.state.items[key] = missed;
+
+        return missed;
+    }
+
+    /**
+     * Forget a queued puzzle, e.g. when its content no longer exists
+     */
+    remove(key) {
+        delete this.state.items[key];
+    }
+
+    /**
+     * Get every queued puzzle
+     */
+    getItems() {
+        return Object.values(this.state.items);
+    }
+
+    /**
+     * Get due puzzles, lowest box and longest overdue first
+     */
+    getDueItems(now = Date.now()) {
+        return this.getItems()
+            .filter(item => item.due <= now)
+            .sort(ReviewScheduler.compareItems);
+    }
+
+    /**
+     * Pick puzzles for a Review Library session, topping up with
+     * not-yet-due puzzles from the lowest boxes when few are due
+     */
+    getSessionItems(limit = REVIEW_SESSION_LENGTH, now = Date.now()) {
+        const due = this.getDueItems(now);
+        const upcoming = this.getItems()
+            .filter(item => item.due > now)
+            .sort(ReviewScheduler.compareItems);
+
+        return [...due, ...upcoming].slice(0, limit);
+    }
+
+    /**
+     * Check whether enough story puzzles have passed to weave in a review
+     */
+    isReviewTurn() {
+        return this.state.puzzlesSinceReview >= REVIEW_WEAVE_SPACING;
+    }
+
+    /**
+     * Count a story puzzle played without a review before it
+     */
+    countPuzzle() {
+        this.state.puzzlesSinceReview++;
+    }
+
+    /**
+     * Start counting again after a woven-in review
+     */
+    countReview() {
+        this.state.puzzlesSinceReview = 0;
+    }
+
+    /**
+     * Order items by box, then by how long they've been due
+     */
+    static compareItems(a, b) {
+        return a.box - b.box || a.due - b.due;
+    }
+}
+
+ReviewScheduler.BOX_INTERVALS = REVIEW_BOX_INTERVALS;
+ReviewScheduler.SESSION_LENGTH = REVIEW_SESSION_LENGTH;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewScheduler;
+} else {
+    window.ReviewScheduler = ReviewScheduler;
+}
@@ -44,7 +44,13 @@ class SaveSystem {
                 currentScene: 'start',
                 currentPath: null,
                 scenesVisited: [],
+                puzzleResults: {},
+                puzzleSet: null,
+                reviewQueue: null,
+                skillMastery: null,
                 pathsCompleted: [],
+                storyVariables: {},
+                sceneState: null,
                 totalPlayTime: 0,
                 sessionStartTime: null
             },
@@ -54,11 +60,14 @@ class SaveSystem {
                 hintsUsed: 0,
                 averageTime: 0,
                 skillLevels: {
-                    math: { attempted: 0, correct: 0, level: 1 },
-                    language: { attempted: 0, correct: 0, level: 1 },
-                    science: { attempted: 0, correct: 0, level: 1 }
+                    math: { attempted: 0, correct: 0, level: 1, mastery: null, mastered: false },
+                    language: { attempted: 0, correct: 0, level: 1, mastery: null, mastered: false },
+                    science: { attempted: 0, correct: 0, level: 1, mastery: null, mastered: false }
                 },
-                detailedStats: []
+                detailedStats: [],
+                commonErrors: [],
+                questionResults: [],
+                difficultyTracks: {}
             },
             achievements: {
                 earned: [],
@@ -203,10 +212,16 @@ class SaveSystem {
         // Update game progress
         if (this.game.gameState) {
             Object.assign(saveData.gameProgress, {
-                currentScene: this.game.gameState.currentScene || 'start',
-                currentPath: this.game.gameState.currentPath || null,
+                currentScene: this.game.gameState.player.currentScene || 'start',
+                currentPath: this.game.gameState.player.currentPath || null,
                 scenesVisited: this.game.gameState.scenesVisited || [],
+                puzzleResults: { ...(this.game.gameState.puzzleResults || {}) },
+                puzzleSet: this.game.gameState.puzzleSet ? { ...this.game.gameState.puzzleSet } : null,
+                reviewQueue: this.game.gameState.reviewQueue || null,
+                skillMastery: this.game.gameState.skillMastery || null,
                 pathsCompleted: this.game.gameState.pathsCompleted || [],
+                storyVariables: { ...(this.game.gameState.storyVariables || {}) },
+                sceneState: this.game.sceneManager ? this.game.sceneManager.getSceneState() : null,
                 totalPlayTime: this.calculateTotalPlayTime(),
                 sessionStartTime: this.game.gameState.sessionStartTime || Date.now()
             });
@@ -221,11 +236,14 @@ class SaveSystem {
                 hintsUsed: analytics.totalHintsUsed || 0,
                 averageTime: this.calculateAverageTime(analytics),
                 skillLevels: {
-                    math: this.calculateSkillLevel(analytics.mathSkills),
-                    language: this.calculateSkillLevel(analytics.languageSkills),
-                    science: this.calculateSkillLevel(analytics.scienceSkills)
+                    math: this.createSkillSummary('math', analytics.mathSkills),
+                    language: this.createSkillSummary('language', analytics.languageSkills),
+                    science: this.createSkillSummary('science', analytics.scienceSkills)
                 },
-                detailedStats: analytics.learningPatterns || []
+                detailedStats: analytics.learningPatterns || [],
+                commonErrors: analytics.commonErrors || [],
+                questionResults: analytics.questionResults || [],
+                difficultyTracks: this.game.puzzleSystem.adaptiveDifficultyManager.getState()
             };
         }
         
@@ -342,6 +360,7 @@ class SaveSystem {
         // Restore puzzle progress
         if (this.game.puzzleSystem) {
             this.game.puzzleSystem.learningAnalytics = this.reconstructAnalytics(saveData.puzzleProgress);
+            this.game.puzzleSystem.adaptiveDifficultyManager.loadState(saveData.puzzleProgress.difficultyTracks);
         }
         
         // Restore achievements
@@ -354,9 +373,13 @@ class SaveSystem {
             Object.assign(this.game.soundSystem.settings, saveData.settings.audio);
         }
         
-        // Navigate to saved scene
+        // Navigate to saved scene with its navigation stack
         if (this.game.sceneManager && saveData.gameProgress.currentScene) {
-            this.game.sceneManager.loadScene(saveData.gameProgress.currentScene);
+            this.game.sceneManager.restoreSceneState(saveData.gameProgress.sceneState);
+            this.game.sceneManager.loadScene(saveData.gameProgress.currentScene, {
+                recordHistory: false,
+                replayEntry: this.game.sceneManager.resumeEntry
+            });
         }
     }
 
@@ -483,6 +506,7 @@ class SaveSystem {
                 skillBreakdown: {
                     math: {
                         level: saveData.puzzleProgress.skillLevels.math.level,
+                        mastered: Boolean(saveData.puzzleProgress.skillLevels.math.mastered),
                         attempted: saveData.puzzleProgress.skillLevels.math.attempted,
                         correct: saveData.puzzleProgress.skillLevels.math.correct,
                         successRate: saveData.puzzleProgress.skillLevels.math.attempted > 0 ?
@@ -490,6 +514,7 @@ class SaveSystem {
                     },
                     language: {
                         level: saveData.puzzleProgress.skillLevels.language.level,
+                        mastered: Boolean(saveData.puzzleProgress.skillLevels.language.mastered),
                         attempted: saveData.puzzleProgress.skillLevels.language.attempted,
                         correct: saveData.puzzleProgress.skillLevels.language.correct,
                         successRate: saveData.puzzleProgress.skillLevels.language.attempted > 0 ?
@@ -497,6 +522,7 @@ class SaveSystem {
                     },
                     science: {
                         level: saveData.puzzleProgress.skillLevels.science.level,
+                        mastered: Boolean(saveData.puzzleProgress.skillLevels.science.mastered),
                         attempted: saveData.puzzleProgress.skillLevels.science.attempted,
                         correct: saveData.puzzleProgress.skillLevels.science.correct,
                         successRate: saveData.puzzleProgress.skillLevels.science.attempted > 0 ?
@@ -648,14 +674,46 @@ class SaveSystem {
         return Math.min(100, (visitedScenes / totalScenes * 100));
     }
 
-    calculateSkillLevel(skillData) {
-        if (skillData.attempted === 0) return 1;
+    calculateSkillLevel(mastery) {
+        // Levels 1-10 follow the subject's mastery estimate
+        if (mastery === null) return 1;
         
-        const successRate = skillData.correct / skillData.attempted;
-        const baseLevel = Math.floor(skillData.attempted / 10) + 1;
-        const bonusLevel = successRate > 0.8 ? 1 : 0;
+        return Math.min(10, Math.max(1, Math.ceil(mastery * 10)));
+    }
+
+    createSkillSummary(subject, skillData) {
+        const mastery = this.game.puzzleSystem ? this.game.puzzleSystem.getMasteryModel().getSubjectMastery(subject) : null;
         
-        return Math.min(10, baseLevel + bonusLevel);
+        return {
+            attempted: skillData.attempted,
+            correct: skillData.correct,
+            timeSpent: skillData.timeSpent || 0,
+            level: this.calculateSkillLevel(mastery),
+            mastery,
+            mastered: MasteryModel.isMastered(mastery)
+        };
+    }
+
+    /**
+     * Rebuild the puzzle system's learning analytics from saved puzzle progress
+     */
+    reconstructAnalytics(puzzleProgress) {
+        const skillLevels = puzzleProgress.skillLevels || {};
+        const restoreSkill = skill => ({
+            attempted: skillLevels[skill]?.attempted || 0,
+            correct: skillLevels[skill]?.correct || 0,
+            timeSpent: skillLevels[skill]?.timeSpent || 0
+        });
+        
+        return {
+            mathSkills: restoreSkill('math'),
+            languageSkills: restoreSkill('language'),
+            scienceSkills: restoreSkill('science'),
+            totalHintsUsed: puzzleProgress.hintsUsed || 0,
+            commonErrors: puzzleProgress.commonErrors || [],
+            questionResults: puzzleProgress.questionResults || [],
+            learningPatterns: puzzleProgress.detailedStats || []
+        };
     }
 
     calculateAverageTime(analytics) {
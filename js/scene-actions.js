@@ -0,0 +1,199 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - SCENE ACTIONS
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the declarative scene action runner that handles:
+ * - onEnter actions when a scene loads
+ * - onExit actions when the player leaves a scene
+ * - onChoice actions when a specific choice is picked
+ *
+ * Actions run in the order they are declared. Each one is a plain object:
+ *   { type: 'awardStars', amount: 2 }
+ *   { type: 'grantAchievement', id: 'dragon_master' }
+ *   { type: 'playSound', effect: 'sparkle' }
+ *   { type: 'playVoice', clip: 'celebration', character: 'dragon' }
+ *   { type: 'playMusic', track: 'cave' }
+ *   { type: 'animation', effect: 'celebration' | 'sparkles' | 'floating' | 'floating_gems', emoji, count }
+ *   { type: 'setVariable', name: 'metOwl', value: true }
+ *   { type: 'addVariable', name: 'gemsFound', amount: 1 }
+ *   { type: 'notify', message: 'You found a gem!', style: 'success' }
+ *   { type: 'selectCharacter', character: 'dragon' }
+ *   { type: 'wait', ms: 500 }
+ *
+ * Any action may also carry a `condition` (see story-variables.js) and is
+ * skipped when the condition is not met.
+ *
+ * Scene Scripting Philosophy:
+ * Authors should be able to script a magical moment in the story data
+ * without waiting for a code change.
+ */
+
+// Action type -> handler method
+const SCENE_ACTION_METHODS = {
+    awardStars: 'awardStars',
+    grantAchievement: 'grantAchievement',
+    playSound: 'playSound',
+    playVoice: 'playVoice',
+    playMusic: 'playMusic',
+    animation: 'playAnimation',
+    setVariable: 'setVariable',
+    addVariable: 'addVariable',
+    notify: 'notify',
+    selectCharacter: 'selectCharacter',
+    wait: 'wait'
+};
+
+class SceneActionRunner {
+    constructor(gameEngine) {
+        this.game = gameEngine;
+    }
+
+    /**
+     * Run a list of actions in order
+     */
+    async run(actions, context = {}) {
+        if (!Array.isArray(actions) || actions.length === 0) return;
+
+        for (const action of actions) {
+            if (action.condition && this.game.storyVariables &&
+                !this.game.storyVariables.evaluate(action.condition)) {
+                continue;
+            }
+
+            const method = SCENE_ACTION_METHODS[action.type];
+            if (!method) {
+                console.warn(`🎭 Unknown scene action "${action.type}"${context.sceneId ? ` in ${context.sceneId}` : ''}`);
+                continue;
+            }
+
+            try {
+                await this[method](action);
+            } catch (error) {
+                // One failed effect shouldn't stop the rest of the scene
+                console.warn(`🎭 Scene action "${action.type}" failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Award stars to the player
+     */
+    awardStars(action) {
+        const amount = Number(action.amount) || 0;
+        const progress = this.game.gameState.progress;
+
+        progress.stars = Math.max(0, progress.stars + amount);
+        this.game.updateProgressDisplay();
+
+        if (amount > 0) {
+            this.game.announceToScreenReader(`You earned ${amount} ${amount === 1 ? 'star' : 'stars'}!`);
+        }
+    }
+
+    /**
+     * Grant a story achievement, or an achievement system badge
+     */
+    grantAchievement(action) {
+        if (this.game.awardStoryAchievement(action.id)) return;
+
+        if (this.game.achievementSystem) {
+            this.game.achievementSystem.awardAchievement(action.id);
+        }
+    }
+
+    /**
+     * Play a sound effect
+     */
+    async playSound(action) {
+        if (this.game.soundSystem) {
+            await this.game.soundSystem.playEffect(action.effect, action.options || {});
+        }
+    }
+
+    /**
+     * Play a voice clip, defaulting to the current companion
+     */
+    async playVoice(action) {
+        if (this.game.soundSystem) {
+            const character = action.character || this.game.gameState.player.character;
+            await this.game.soundSystem.playVoice(character, action.clip, action.options || {});
+        }
+    }
+
+    /**
+     * Switch the background music track
+     */
+    async playMusic(action) {
+        if (this.game.soundSystem) {
+            await this.game.soundSystem.playMusic(action.track, action.options || {});
+        }
+    }
+
+    /**
+     * Trigger an AnimationSystem effect, or one of the scene animations
+     */
+    playAnimation(action) {
+        const animationSystem = this.game.animationSystem;
+        const target = action.target ? document.querySelector(action.target) : document.querySelector('.screen.active');
+
+        if (animationSystem && action.effect === 'celebration') {
+            animationSystem.createSuccessCelebration(target);
+        } else if (animationSystem && action.effect === 'sparkles') {
+            animationSystem.createSparkleEffect(target || document.body, { count: action.count || 12 });
+        } else if (animationSystem && action.effect === 'floating') {
+            animationSystem.createFloatingElements(action.emoji || '⭐', action.count || 5);
+        } else if (this.game.sceneManager && this.game.gameState.settings.animationsEnabled) {
+            this.game.sceneManager.playSceneAnimation(action.effect);
+        }
+    }
+
+    /**
+     * Set a story variable
+     */
+    setVariable(action) {
+        if (this.game.storyVariables) {
+            this.game.storyVariables.set(action.name, action.value);
+        }
+    }
+
+    /**
+     * Add to a numeric story variable
+     */
+    addVariable(action) {
+        if (this.game.storyVariables) {
+            this.game.storyVariables.add(action.name, action.amount === undefined ? 1 : action.amount);
+        }
+    }
+
+    /**
+     * Show an on-screen notification
+     */
+    notify(action) {
+        this.game.showNotification(action.message, action.style || 'info', action.duration || 3000);
+        this.game.announceToScreenReader(action.message);
+    }
+
+    /**
+     * Pause before the next action
+     */
+    wait(action) {
+        return new Promise(resolve => setTimeout(resolve, action.ms || 0));
+    }
+
+    /**
+     * Choose the player's companion and story path
+     */
+    selectCharacter(action) {
+        this.game.gameState.player.character = action.character;
+        this.game.gameState.player.currentPath = this.game.getCompanionPath(action.character);
+    }
+}
+
+SceneActionRunner.ACTION_TYPES = Object.keys(SCENE_ACTION_METHODS);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneActionRunner;
+} else {
+    window.SceneActionRunner = SceneActionRunner;
+}
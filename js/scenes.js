@@ -23,7 +23,7 @@ const STORY_SCENES = {
     start: {
         id: 'start',
         type: 'story',
-        text: 'Welcome, brave adventurer, to the Enchanted Library! I am the Library Guardian, and I need your help. The magical books have gone haywire - all the story characters have escaped from their pages and are causing chaos throughout the library! Without their stories, the magic that keeps our library running is fading fast.',
+        text: 'Welcome, {{playerName|brave adventurer}}, to the Enchanted Library! I am the Library Guardian, and I need your help. The magical books have gone haywire - all the story characters have escaped from their pages and are causing chaos throughout the library! Without their stories, the magic that keeps our library running is fading fast.',
         background: 'library-hall',
         character: 'guardian',
         choices: [
@@ -230,6 +230,9 @@ const STORY_SCENES = {
         background: 'treasure-cave',
         character: 'dragon',
         puzzle: {
+            subject: 'math',
+            skill: 'addition',
+            standard: '1.OA.C.6',
             question: 'Ruby found 15 gold coins in one pile and 8 gold coins in another pile. How many coins are there in total?',
             answer: 23,
             options: [20, 23, 25, 27],
@@ -293,6 +296,9 @@ const STORY_SCENES = {
         background: 'treasure-cave',
         character: 'dragon',
         puzzle: {
+            subject: 'math',
+            skill: 'division',
+            standard: '3.OA.A.2',
             question: 'Ruby has 20 gems to share equally among 4 treasure boxes. How many gems go in each box?',
             answer: 5,
             options: [4, 5, 6, 8],
@@ -358,8 +364,12 @@ const STORY_SCENES = {
         background: 'wizard-study',
         character: 'wizard',
         puzzle: {
+            subject: 'language',
+            skill: 'rhyming',
+            standard: 'RF.K.2.A',
             question: 'Complete the rhyming spell: "Through the forest with a swoosh, Behind the leafy green ___"',
             answer: 'bush',
+            rhymesWith: 'swoosh',
             options: ['tree', 'bush', 'rock', 'path'],
             hint: 'Listen to the sound! What word sounds like "swoosh" at the end? Think about what you might find in a forest that\'s green and leafy.',
             difficulty: 'easy',
@@ -406,9 +416,12 @@ const STORY_SCENES = {
         background: 'wizard-study',
         character: 'wizard',
         puzzle: {
+            subject: 'language',
+            skill: 'sentence-building',
+            standard: 'L.1.1.J',
             question: 'Arrange these words to make a proper sentence: "book", "the", "wizard", "reads", "magic"',
             answer: ['The', 'wizard', 'reads', 'magic', 'book'],
-            options: 'word-ordering',
+            inputType: 'ordering',
             hint: 'Start with "The" - then think: who is doing the action? What action are they doing? What are they doing it to?',
             difficulty: 'medium',
             visual: 'word-cards'
@@ -471,6 +484,9 @@ const STORY_SCENES = {
         background: 'weather-station',
         character: 'mouse',
         puzzle: {
+            subject: 'science',
+            skill: 'weather',
+            standard: 'K-ESS2-1',
             question: 'Which type of clouds usually bring rain?',
             answer: 'Dark, thick clouds',
             options: ['White, fluffy clouds', 'Dark, thick clouds', 'Thin, wispy clouds', 'No clouds'],
@@ -519,6 +535,9 @@ const STORY_SCENES = {
         background: 'animal-habitats',
         character: 'mouse',
         puzzle: {
+            subject: 'science',
+            skill: 'habitats',
+            standard: 'K-ESS3-1',
             question: 'Where do penguins live?',
             answer: 'Cold, icy places',
             options: ['Hot, sandy deserts', 'Warm, tropical forests', 'Cold, icy places', 'Grassy meadows'],
@@ -622,21 +641,45 @@ const STORY_SCENES = {
             },
             {
                 text: 'View my certificate and achievements',
-                next: 'achievements',
+                next: 'certificate',
                 action: 'view'
             }
         ]
     }
 };
 
+// Dialogue speakers who aren't companions; companions come from gameData.characters
+const STORY_SPEAKERS = {
+    guardian: { name: 'Library Guardian', emoji: '🦉', color: '#F59E0B', voice: 'owl' },
+    narrator: { name: '', emoji: '📖', color: '#64748B', voice: null },
+    player: { name: 'You', emoji: '🧒', color: '#8B5CF6', voice: null }
+};
+
+// Dialogue expression -> badge shown on the speaker's portrait
+const DIALOGUE_EXPRESSIONS = {
+    happy: '😊',
+    excited: '🤩',
+    curious: '🤔',
+    proud: '🥳',
+    surprised: '😮',
+    worried: '😟',
+    sad: '😢'
+};
+
 class SceneManager {
     constructor(gameEngine) {
         this.game = gameEngine;
         this.currentScene = null;
-        this.sceneHistory = [];
+        this.currentEntry = null; // History entry for the scene on screen
+        this.resumeEntry = null; // Saved entry for the scene a reload resumes on
+        this.sceneHistory = []; // Scenes left behind: { sceneId, title, choice, puzzleOutcome, storyVariables }
+        this.maxHistoryLength = 200;
         this.sceneTransitionDuration = 500;
         this.dialogueSpeed = 50; // Characters per second for typewriter effect
         this.isTransitioning = false;
+        this.conversation = null; // Dialogue being played: { skipAll, finishLine, advance, choose }
+        this.dialogueLog = []; // Lines shown so far: { speaker, text }
+        this.maxDialogueLogLength = 100;
         
         // Animation and effect configurations
         this.effectsConfig = {
@@ -647,7 +690,6 @@ class SceneManager {
         };
         
         // Bind methods to preserve context
-        this.handleSceneTransition = this.handleSceneTransition.bind(this);
         this.handleChoiceSelection = this.handleChoiceSelection.bind(this);
         this.playDialogueTypewriter = this.playDialogueTypewriter.bind(this);
     }
@@ -675,6 +717,14 @@ class SceneManager {
             sceneBackground: document.getElementById('scene-background'),
             choiceContainer: document.getElementById('choice-container'),
             continueButton: document.getElementById('continue-story'),
+            backButton: document.getElementById('story-back'),
+            timelineButton: document.getElementById('story-timeline-toggle'),
+            timeline: document.getElementById('story-timeline'),
+            dialogueControls: document.getElementById('dialogue-controls'),
+            dialogueNextButton: document.getElementById('dialogue-next'),
+            dialogueSkipButton: document.getElementById('dialogue-skip'),
+            dialogueLogButton: document.getElementById('dialogue-log-toggle'),
+            dialogueLog: document.getElementById('dialogue-log'),
             companionAvatar: document.querySelector('.companion-avatar'),
             
             // Puzzle screen elements
@@ -698,6 +748,36 @@ class SceneManager {
             });
         }
 
+        // Back and timeline buttons
+        if (this.sceneElements.backButton) {
+            this.sceneElements.backButton.addEventListener('click', () => {
+                this.goBackToPreviousScene();
+            });
+        }
+        
+        if (this.sceneElements.timelineButton) {
+            this.sceneElements.timelineButton.addEventListener('click', () => {
+                this.toggleTimeline();
+            });
+        }
+
+        // Tap the dialogue box (or Next) to advance a conversation
+        if (this.sceneElements.characterDialogue) {
+            this.sceneElements.characterDialogue.addEventListener('click', () => this.advanceDialogue());
+        }
+        
+        if (this.sceneElements.dialogueNextButton) {
+            this.sceneElements.dialogueNextButton.addEventListener('click', () => this.advanceDialogue());
+        }
+        
+        if (this.sceneElements.dialogueSkipButton) {
+            this.sceneElements.dialogueSkipButton.addEventListener('click', () => this.skipDialogue());
+        }
+        
+        if (this.sceneElements.dialogueLogButton) {
+            this.sceneElements.dialogueLogButton.addEventListener('click', () => this.toggleDialogueLog());
+        }
+
         // Keyboard navigation for scenes
         document.addEventListener('keydown', (e) => {
             if (this.game.gameState.currentScreen === 'story') {
@@ -707,19 +787,39 @@ class SceneManager {
     }
 
     /**
-     * Load and display a scene from STORY_SCENES data
+     * Look up a scene in the unified story graph
      */
-    async loadScene(sceneId, storyPath = null) {
+    getSceneData(sceneId) {
+        if (this.game.storyGraph) {
+            return this.game.storyGraph.getScene(sceneId);
+        }
+        
+        // Fall back to the raw scene data if the story graph isn't built yet
+        return STORY_SCENES[sceneId] || null;
+    }
+
+    /**
+     * Load and display a scene from the unified story graph
+     */
+    async loadScene(sceneId, options = {}) {
+        // replayEntry: the history entry being returned to, whose onEnter already ran
+        const { recordHistory = true, replayEntry = null } = options;
+        
         if (this.isTransitioning) {
             console.log('⏳ Scene transition in progress, queuing...');
             return;
         }
 
+        if (typeof StoryLoader !== 'undefined' && StoryLoader.isPathEnd(sceneId)) {
+            this.game.completeStoryPath();
+            return;
+        }
+
         try {
             this.isTransitioning = true;
+            this.endConversation();
             
-            // Find scene in STORY_SCENES data structure
-            const scene = STORY_SCENES[sceneId];
+            const scene = this.getSceneData(sceneId);
             if (!scene) {
                 throw new Error(`Scene not found: ${sceneId}`);
             }
@@ -727,11 +827,20 @@ class SceneManager {
             console.log(`🎬 Loading scene: ${sceneId}`);
             
             // Add to scene history for back navigation
-            if (this.currentScene) {
-                this.sceneHistory.push(this.currentScene);
+            if (this.currentScene && recordHistory) {
+                await this.runSceneActions(this.currentScene.onExit, this.currentScene);
+                this.pushHistoryEntry();
             }
             
+            const replaying = Boolean(replayEntry && replayEntry.sceneId === scene.id);
             this.currentScene = scene;
+            this.currentEntry = this.createHistoryEntry(scene);
+            if (replaying) {
+                this.currentEntry.puzzleOutcome = replayEntry.puzzleOutcome || null;
+            }
+            this.game.gameState.player.currentScene = scene.id;
+            this.recordSceneVisit(scene.id);
+            this.updateNavigationControls();
             
             // Apply scene transition effect
             await this.transitionToScene(scene);
@@ -750,9 +859,22 @@ class SceneManager {
             // Play scene-specific effects
             this.playSceneEffects(scene);
             
+            // Run the scene's declared entrance actions, once per visit; going back replays the scene without them
+            if (!replaying) {
+                await this.runSceneActions(scene.onEnter, scene);
+                if (this.game.storyVariables && this.currentEntry) {
+                    this.currentEntry.storyVariables = this.game.storyVariables.getAll();
+                }
+            }
+            
             // Update accessibility announcements
             this.announceSceneToScreenReader(scene);
             
+            // Persist the new position so a reload resumes here
+            if (this.game.gameState.gameStarted) {
+                this.game.saveGame();
+            }
+            
         } catch (error) {
             console.error('❌ Failed to load scene:', error);
             this.game.showError(`Failed to load scene: ${error.message}`);
@@ -797,22 +919,35 @@ class SceneManager {
         this.updateCompanionAvatar();
         
         // Render story text with typewriter effect
-        await this.renderStoryText(scene.text);
+        await this.renderStoryText(this.resolveText(scene, 'text'));
+        
+        // Apply scene-specific styling
+        this.applySceneTheme(scene);
+        
+        // Conversations wait for the child's taps, so they play on after the scene has loaded
+        if (scene.dialogue && scene.dialogue.length > 0) {
+            this.playConversation(scene);
+            return;
+        }
         
         // Render character dialogue if present
-        if (scene.characterDialogue) {
-            await this.renderCharacterDialogue(scene.characterDialogue);
+        const characterDialogue = this.resolveText(scene, 'characterDialogue');
+        if (characterDialogue) {
+            await this.renderCharacterDialogue(characterDialogue);
         }
         
-        // Set up scene interactions
+        this.renderSceneChoices(scene);
+    }
+
+    /**
+     * Show the scene's choices, or the continue button when it has none
+     */
+    renderSceneChoices(scene) {
         if (scene.choices && scene.choices.length > 0) {
             this.renderChoices(scene.choices);
         } else {
             this.showContinueButton();
         }
-        
-        // Apply scene-specific styling
-        this.applySceneTheme(scene);
     }
 
     /**
@@ -822,30 +957,22 @@ class SceneManager {
         // Switch to puzzle screen
         this.game.showScreen('puzzle');
         
-        // Use puzzle system to handle the puzzle
-        if (this.game.puzzleSystem && scene.puzzle) {
-            // Create a puzzle data structure compatible with the puzzle system
-            const puzzleData = {
-                id: scene.id,
-                type: scene.puzzle.difficulty === 'easy' ? 'math' : scene.puzzle.difficulty === 'medium' ? 'language' : 'science',
-                subtype: scene.puzzle.visual || 'general',
-                title: scene.text,
-                difficulty: {
-                    easy: scene.puzzle,
-                    medium: scene.puzzle,
-                    hard: scene.puzzle
-                }
-            };
-            
-            // Create a scene-like object for the puzzle system
-            const puzzleScene = {
+        // Scenes from gameData reference a shared puzzle definition
+        if (this.game.puzzleSystem && scene.puzzleId) {
+            this.game.puzzleSystem.loadPuzzle(scene.puzzleId, {
+                puzzleId: scene.puzzleId,
+                maxAttempts: scene.maxAttempts || 3,
+                successScene: scene.success,
+                failureScene: scene.failure
+            });
+        } else if (this.game.puzzleSystem && scene.puzzle) {
+            // Inline puzzles declare their own subject, skill and standard
+            this.game.puzzleSystem.loadPuzzle(scene.id, {
                 puzzleId: scene.id,
-                maxAttempts: 3,
+                maxAttempts: scene.maxAttempts || 3,
                 successScene: scene.success,
                 failureScene: scene.failure
-            };
-            
-            this.game.puzzleSystem.loadPuzzle(scene.id, puzzleScene);
+            });
         }
         
         console.log(`🧩 Puzzle scene rendered: ${scene.id}`);
@@ -883,7 +1010,7 @@ class SceneManager {
             resultsContent.innerHTML = `
                 <div class="celebration-message">
                     <h2>🎉 ${scene.id === 'ending' ? 'Quest Complete!' : 'Achievement Unlocked!'}</h2>
-                    <p>${scene.text}</p>
+                    <p>${this.renderTemplate(this.resolveText(scene, 'text'), { html: true })}</p>
                     ${scene.reward ? `<div class="reward-display">🏆 You received: ${scene.reward}!</div>` : ''}
                 </div>
             `;
@@ -1039,6 +1166,8 @@ class SceneManager {
     async renderStoryText(text) {
         if (!this.sceneElements.storyText) return;
         
+        text = this.renderTemplate(text);
+        
         // Clear existing text
         this.sceneElements.storyText.textContent = '';
         
@@ -1059,6 +1188,8 @@ class SceneManager {
         const characterData = this.game.getCharacterData();
         if (!characterData) return;
         
+        dialogue = this.renderTemplate(dialogue);
+        
         // Create dialogue HTML structure
         const dialogueHTML = `
             <div class="dialogue-avatar">${characterData.emoji}</div>
@@ -1091,15 +1222,33 @@ class SceneManager {
     async playDialogueTypewriter(element, text) {
         return new Promise(resolve => {
             let index = 0;
+            let finished = false;
             element.textContent = '';
             
+            // During a conversation a tap shows the rest of the line at once
+            const conversation = this.conversation;
+            const finishLine = () => { finished = true; };
+            if (conversation) {
+                conversation.finishLine = finishLine;
+            }
+            
+            const done = () => {
+                if (conversation && conversation.finishLine === finishLine) {
+                    conversation.finishLine = null;
+                }
+                resolve();
+            };
+            
             const typeCharacter = () => {
-                if (index < text.length) {
+                if (finished) {
+                    element.textContent = text;
+                    done();
+                } else if (index < text.length) {
                     element.textContent += text[index];
                     index++;
                     setTimeout(typeCharacter, this.effectsConfig.typewriterDelay);
                 } else {
-                    resolve();
+                    done();
                 }
             };
             
@@ -1107,10 +1256,327 @@ class SceneManager {
         });
     }
 
+    /**
+     * Step through a scene's dialogue lines, then show its choices
+     */
+    async playConversation(scene) {
+        const conversation = { skipAll: false, finishLine: null, advance: null, choose: null };
+        const storyVariables = this.game.storyVariables;
+        const isAvailable = line => !storyVariables || storyVariables.isAvailable(line);
+        
+        this.conversation = conversation;
+        this.hideContinueButton();
+        if (this.sceneElements.choiceContainer) {
+            this.sceneElements.choiceContainer.innerHTML = '';
+        }
+        this.setDialogueControlsVisible(true);
+        
+        for (const [index, line] of scene.dialogue.entries()) {
+            // Conditions are checked as each line is reached, so earlier choices count
+            if (!isAvailable(line)) continue;
+            
+            await this.renderDialogueLine(line, conversation);
+            if (this.conversation !== conversation) return;
+            
+            if (line.choices.length > 0) {
+                const choice = await this.waitForDialogueChoice(line, conversation);
+                if (!choice || choice.next || this.conversation !== conversation) return;
+                conversation.skipAll = false;
+            } else if (!conversation.skipAll && scene.dialogue.slice(index + 1).some(isAvailable)) {
+                await new Promise(resolve => { conversation.advance = resolve; });
+                conversation.advance = null;
+                if (this.conversation !== conversation) return;
+            }
+        }
+        
+        this.endConversation();
+        this.renderSceneChoices(scene);
+    }
+
+    /**
+     * Show one dialogue line with the speaker's portrait and expression
+     */
+    async renderDialogueLine(line, conversation) {
+        const dialogueElement = this.sceneElements.characterDialogue;
+        if (!dialogueElement) return;
+        
+        const speaker = this.getSpeaker(line.speaker);
+        const text = this.renderTemplate(line.text);
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'dialogue-avatar';
+        avatar.textContent = speaker.emoji;
+        if (line.expression) {
+            avatar.classList.add(`expression-${line.expression}`);
+            
+            const badge = document.createElement('span');
+            badge.className = 'dialogue-expression';
+            badge.textContent = DIALOGUE_EXPRESSIONS[line.expression] || '';
+            badge.setAttribute('aria-hidden', 'true');
+            avatar.appendChild(badge);
+        }
+        
+        const content = document.createElement('div');
+        content.className = 'dialogue-content';
+        if (speaker.name) {
+            const name = document.createElement('strong');
+            name.textContent = `${speaker.name}:`;
+            content.append(name, ' ');
+        }
+        const textElement = document.createElement('span');
+        textElement.className = 'dialogue-text';
+        content.appendChild(textElement);
+        
+        dialogueElement.replaceChildren(avatar, content);
+        dialogueElement.style.display = 'block';
+        dialogueElement.style.borderLeftColor = speaker.color;
+        
+        this.logDialogueLine(speaker.name, text);
+        this.game.announceToScreenReader(speaker.name ? `${speaker.name} says: ${text}` : text);
+        
+        if (line.voice && speaker.voice && this.game.soundSystem && !conversation.skipAll) {
+            this.game.soundSystem.playVoice(speaker.voice, line.voice);
+        }
+        
+        if (this.game.gameState.settings.animationsEnabled && !conversation.skipAll) {
+            await this.playDialogueTypewriter(textElement, text);
+        } else {
+            textElement.textContent = text;
+        }
+    }
+
+    /**
+     * Show a dialogue line's inline choices and wait for one to be picked
+     */
+    waitForDialogueChoice(line, conversation) {
+        // Lines whose choices are all hidden just carry on
+        if (this.getAvailableChoices(line.choices).length === 0) {
+            return Promise.resolve({});
+        }
+        
+        return new Promise(resolve => {
+            conversation.choose = resolve;
+            this.renderChoices(line.choices, (choice, button) => this.handleDialogueChoice(choice, button));
+        });
+    }
+
+    /**
+     * Handle an inline dialogue choice
+     */
+    async handleDialogueChoice(choice, buttonElement) {
+        const conversation = this.conversation;
+        if (!conversation || !conversation.choose) return;
+        
+        const choose = conversation.choose;
+        conversation.choose = null;
+        
+        // A choice with a next scene leaves the conversation like a scene choice
+        if (choice.next) {
+            choose(choice);
+            this.handleChoiceSelection(choice, buttonElement);
+            return;
+        }
+        
+        this.highlightChoice(buttonElement);
+        this.game.announceToScreenReader(`Selected: ${choice.text}`);
+        this.logDialogueLine(this.getSpeaker('player').name, choice.text);
+        
+        if (this.game.storyVariables) {
+            this.game.storyVariables.applyChanges(choice);
+        }
+        await this.runSceneActions(choice.onChoice, this.currentScene);
+        
+        if (this.sceneElements.choiceContainer) {
+            this.sceneElements.choiceContainer.innerHTML = '';
+        }
+        choose(choice);
+    }
+
+    /**
+     * Finish the current line, or move on to the next one
+     */
+    advanceDialogue() {
+        const conversation = this.conversation;
+        if (!conversation) return;
+        
+        if (conversation.finishLine) {
+            conversation.finishLine();
+        } else if (conversation.advance) {
+            conversation.advance();
+        }
+    }
+
+    /**
+     * Show the rest of the conversation at once, stopping at the next choice
+     */
+    skipDialogue() {
+        const conversation = this.conversation;
+        if (!conversation) return;
+        
+        conversation.skipAll = true;
+        this.advanceDialogue();
+        if (conversation.advance) {
+            conversation.advance();
+        }
+    }
+
+    /**
+     * Stop the conversation on screen, e.g. when leaving the scene
+     */
+    endConversation() {
+        const conversation = this.conversation;
+        if (!conversation) return;
+        
+        this.conversation = null;
+        [conversation.finishLine, conversation.advance].forEach(resume => resume && resume());
+        if (conversation.choose) {
+            conversation.choose(null);
+        }
+        
+        this.setDialogueControlsVisible(false);
+    }
+
+    /**
+     * Show or hide the Next and Skip All buttons
+     */
+    setDialogueControlsVisible(visible) {
+        if (this.sceneElements.dialogueControls) {
+            this.sceneElements.dialogueControls.hidden = !visible;
+        }
+        if (this.sceneElements.characterDialogue) {
+            this.sceneElements.characterDialogue.classList.toggle('conversation', visible);
+        }
+    }
+
+    /**
+     * Get the name, portrait and voice for a dialogue speaker
+     */
+    getSpeaker(speakerId) {
+        if (speakerId === 'player') {
+            return { ...STORY_SPEAKERS.player, name: this.game.gameState.player.name || STORY_SPEAKERS.player.name };
+        }
+        
+        const companion = this.game.getCompanion(speakerId);
+        if (companion) {
+            return { name: companion.name, emoji: companion.emoji, color: companion.color, voice: speakerId };
+        }
+        
+        return STORY_SPEAKERS[speakerId] || { name: speakerId, emoji: '💬', color: '#64748B', voice: speakerId };
+    }
+
+    /**
+     * Add a line to the dialogue log
+     */
+    logDialogueLine(speaker, text) {
+        this.dialogueLog.push({ speaker, text });
+        if (this.dialogueLog.length > this.maxDialogueLogLength) {
+            this.dialogueLog.shift();
+        }
+        
+        if (this.sceneElements.dialogueLog && !this.sceneElements.dialogueLog.hidden) {
+            this.renderDialogueLog();
+        }
+    }
+
+    /**
+     * Show or hide the dialogue log
+     */
+    toggleDialogueLog() {
+        const log = this.sceneElements.dialogueLog;
+        if (!log) return;
+        
+        if (log.hidden) {
+            log.hidden = false;
+            this.renderDialogueLog();
+            this.sceneElements.dialogueLogButton.setAttribute('aria-expanded', 'true');
+            this.game.announceToScreenReader('Dialogue log opened');
+        } else {
+            this.hideDialogueLog();
+        }
+    }
+
+    /**
+     * Hide the dialogue log
+     */
+    hideDialogueLog() {
+        if (this.sceneElements.dialogueLog) {
+            this.sceneElements.dialogueLog.hidden = true;
+        }
+        if (this.sceneElements.dialogueLogButton) {
+            this.sceneElements.dialogueLogButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * Render every logged line, scrolled to the newest
+     */
+    renderDialogueLog() {
+        const log = this.sceneElements.dialogueLog;
+        if (!log) return;
+        
+        log.innerHTML = '';
+        
+        if (this.dialogueLog.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'timeline-empty';
+            empty.textContent = 'Nobody has said anything yet.';
+            log.appendChild(empty);
+            return;
+        }
+        
+        const list = document.createElement('ol');
+        list.className = 'dialogue-log-list';
+        
+        this.dialogueLog.forEach(({ speaker, text }) => {
+            const item = document.createElement('li');
+            if (speaker) {
+                const name = document.createElement('strong');
+                name.textContent = `${speaker}: `;
+                item.appendChild(name);
+            }
+            item.append(text);
+            list.appendChild(item);
+        });
+        
+        log.appendChild(list);
+        log.scrollTop = log.scrollHeight;
+    }
+
+    /**
+     * Get scene or choice text, honoring story variable text variants
+     */
+    resolveText(item, field = 'text') {
+        if (this.game.storyVariables) {
+            return this.game.storyVariables.resolveText(item, field);
+        }
+        return item[field];
+    }
+
+    /**
+     * Fill story text placeholders such as {{playerName}}
+     */
+    renderTemplate(text, options = {}) {
+        if (this.game.storyVariables) {
+            return this.game.storyVariables.renderTemplate(text, options);
+        }
+        return text;
+    }
+
+    /**
+     * Get the choices whose conditions are met, with their text resolved
+     */
+    getAvailableChoices(choices) {
+        const storyVariables = this.game.storyVariables;
+        
+        return choices
+            .filter(choice => !storyVariables || storyVariables.isAvailable(choice))
+            .map(choice => ({ ...choice, text: this.renderTemplate(this.resolveText(choice, 'text')) }));
+    }
+
     /**
      * Render story choices
      */
-    renderChoices(choices) {
+    renderChoices(choices, onSelect = this.handleChoiceSelection) {
         if (!this.sceneElements.choiceContainer) return;
         
         // Clear existing choices
@@ -1119,9 +1585,15 @@ class SceneManager {
         // Hide continue button
         this.hideContinueButton();
         
-        // Create choice buttons
-        choices.forEach((choice, index) => {
-            const choiceButton = this.createChoiceButton(choice, index);
+        // Create buttons only for choices the story state allows
+        const availableChoices = this.getAvailableChoices(choices);
+        if (availableChoices.length === 0) {
+            this.showContinueButton();
+            return;
+        }
+        
+        availableChoices.forEach((choice, index) => {
+            const choiceButton = this.createChoiceButton(choice, index, onSelect);
             this.sceneElements.choiceContainer.appendChild(choiceButton);
         });
         
@@ -1135,7 +1607,7 @@ class SceneManager {
     /**
      * Create a choice button element
      */
-    createChoiceButton(choice, index) {
+    createChoiceButton(choice, index, onSelect = this.handleChoiceSelection) {
         const button = document.createElement('button');
         button.className = 'choice-option';
         button.textContent = choice.text;
@@ -1148,11 +1620,11 @@ class SceneManager {
         }
         
         // Event listeners
-        button.addEventListener('click', () => this.handleChoiceSelection(choice, button));
+        button.addEventListener('click', () => onSelect(choice, button));
         button.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                this.handleChoiceSelection(choice, button);
+                onSelect(choice, button);
             }
         });
         
@@ -1185,15 +1657,21 @@ class SceneManager {
         // Announce choice to screen reader
         this.game.announceToScreenReader(`Selected: ${choice.text}`);
         
-        // Handle special actions
-        if (choice.action === 'selectCharacter' && choice.character) {
-            // Set the selected character in game state
-            this.game.gameState.player.character = choice.character;
-            this.game.gameState.player.currentPath = choice.character;
+        // Remember the choice for the path timeline
+        if (this.currentEntry) {
+            this.currentEntry.choice = { text: choice.text, next: choice.next };
         }
         
-        // Proceed to next scene after brief delay for feedback
-        setTimeout(() => {
+        // Record story variable changes from this choice
+        if (this.game.storyVariables) {
+            this.game.storyVariables.applyChanges(choice);
+        }
+        
+        // Run the choice's declared actions, then proceed after a brief delay for feedback
+        const choiceActions = this.runSceneActions(choice.onChoice, this.currentScene);
+        setTimeout(async () => {
+            await choiceActions;
+
             if (choice.next) {
                 this.loadScene(choice.next);
             } else {
@@ -1256,6 +1734,14 @@ class SceneManager {
     handleContinueClick() {
         if (this.isTransitioning) return;
         
+        // Prefer the continue link from the story graph
+        const nextSceneId = this.game.storyGraph && this.currentScene ?
+            this.game.storyGraph.getNextSceneId(this.currentScene.id) : null;
+        if (nextSceneId) {
+            this.game.loadScene(nextSceneId);
+            return;
+        }
+        
         const currentSceneIndex = this.getCurrentSceneIndex();
         const nextSceneIndex = currentSceneIndex + 1;
         
@@ -1320,13 +1806,19 @@ class SceneManager {
         if (!storyScreen) return;
         
         // Remove existing theme classes
-        storyScreen.classList.remove('theme-dragon', 'theme-wizard', 'theme-mouse');
+        [...storyScreen.classList]
+            .filter(className => className.startsWith('theme-'))
+            .forEach(className => storyScreen.classList.remove(className));
         
-        // Apply character-specific theme
+        // Apply character-specific theme and color
         const character = this.game.gameState.player.character;
+        const companion = this.game.getCompanion(character);
         if (character) {
             storyScreen.classList.add(`theme-${character}`);
         }
+        if (companion && companion.color) {
+            storyScreen.style.setProperty('--companion-color', companion.color);
+        }
         
         // Apply location-specific styling if needed
         if (scene.location) {
@@ -1334,6 +1826,15 @@ class SceneManager {
         }
     }
 
+    /**
+     * Run declared onEnter/onExit/onChoice actions for a scene
+     */
+    async runSceneActions(actions, scene) {
+        if (!this.game.sceneActions || !actions || actions.length === 0) return;
+        
+        await this.game.sceneActions.run(actions, { sceneId: scene ? scene.id : null });
+    }
+
     /**
      * Play scene-specific effects
      */
@@ -1447,12 +1948,17 @@ class SceneManager {
     handleStoryKeyboard(event) {
         const { key } = event;
         
-        if (key === 'Enter' || key === ' ') {
+        if ((key === 'Enter' || key === ' ') && this.conversation &&
+            !document.activeElement.closest('button, .story-timeline, .dialogue-log')) {
+            // Advance the conversation on screen
+            event.preventDefault();
+            this.advanceDialogue();
+        } else if (key === 'Enter' || key === ' ') {
             // Handle continue or choice selection
             const continueBtn = this.sceneElements.continueButton;
             const focusedChoice = document.activeElement;
             
-            if (continueBtn && continueBtn.style.display !== 'none' && !focusedChoice.classList.contains('choice-option')) {
+            if (continueBtn && continueBtn.style.display !== 'none' && !focusedChoice.closest('.choice-option, .story-nav, .story-timeline')) {
                 event.preventDefault();
                 this.handleContinueClick();
             }
@@ -1486,24 +1992,218 @@ class SceneManager {
         choices[nextIndex].focus();
     }
 
+    /**
+     * Create the history entry for a scene as the player enters it
+     */
+    createHistoryEntry(scene) {
+        return {
+            sceneId: scene.id,
+            title: scene.title || '',
+            type: scene.type,
+            enteredAt: Date.now(),
+            // Story variables after the scene's onEnter, so a rewind can restore them
+            storyVariables: this.game.storyVariables ? this.game.storyVariables.getAll() : {},
+            choice: null,
+            puzzleOutcome: null
+        };
+    }
+
+    /**
+     * Move the current scene's entry into the history stack
+     */
+    pushHistoryEntry() {
+        if (!this.currentEntry) return;
+        
+        this.sceneHistory.push(this.currentEntry);
+        if (this.sceneHistory.length > this.maxHistoryLength) {
+            this.sceneHistory.shift();
+        }
+        this.currentEntry = null;
+    }
+
+    /**
+     * Record how the player left a puzzle scene
+     */
+    recordPuzzleOutcome(outcome) {
+        // A replayed puzzle keeps the outcome it first had, unless it is solved this time
+        const previous = this.currentEntry ? this.currentEntry.puzzleOutcome : null;
+        if (this.currentEntry && (!previous || (previous.result !== 'solved' && outcome.result === 'solved'))) {
+            this.currentEntry.puzzleOutcome = { ...outcome };
+        }
+        
+        // Keep the best result for each puzzle scene for the path map
+        if (this.currentScene) {
+            const gameState = this.game.gameState;
+            const results = gameState.puzzleResults || (gameState.puzzleResults = {});
+            const best = results[this.currentScene.id];
+            const solved = outcome.result === 'solved';
+            
+            if (!best || (solved && best.result !== 'solved') || (solved && outcome.stars > best.stars)) {
+                results[this.currentScene.id] = { result: outcome.result, stars: outcome.stars };
+            }
+        }
+    }
+
+    /**
+     * Remember that the player has seen a scene
+     */
+    recordSceneVisit(sceneId) {
+        const gameState = this.game.gameState;
+        const visited = gameState.scenesVisited || (gameState.scenesVisited = []);
+        
+        if (!visited.includes(sceneId)) {
+            visited.push(sceneId);
+        }
+    }
+
     /**
      * Go back to previous scene (if available)
      */
     goBackToPreviousScene() {
+        if (this.isTransitioning) return;
+        
         if (this.sceneHistory.length === 0) {
             this.game.announceToScreenReader('No previous scene available');
             return;
         }
         
-        const previousScene = this.sceneHistory.pop();
-        this.currentScene = previousScene;
-        
-        // Reload previous scene
-        this.loadScene(previousScene.id, this.game.currentStoryPath);
+        this.rewindToHistoryEntry(this.sceneHistory.length - 1);
         
         this.game.announceToScreenReader('Returned to previous scene');
     }
 
+    /**
+     * Return to a scene in the history, dropping everything after it
+     */
+    rewindToHistoryEntry(index) {
+        const entry = this.sceneHistory[index];
+        if (!entry || this.isTransitioning) return;
+        
+        this.sceneHistory = this.sceneHistory.slice(0, index);
+        
+        // Restore the story variables from before that scene's choice
+        if (this.game.storyVariables) {
+            this.game.gameState.storyVariables = { ...entry.storyVariables };
+        }
+        
+        this.hideTimeline();
+        this.loadScene(entry.sceneId, { recordHistory: false, replayEntry: entry });
+    }
+
+    /**
+     * Get the outcome the current puzzle scene already had, if it is being replayed
+     */
+    getReplayedOutcome() {
+        return this.currentEntry ? this.currentEntry.puzzleOutcome : null;
+    }
+
+    /**
+     * Enable the back button only when there is somewhere to go back to
+     */
+    updateNavigationControls() {
+        if (this.sceneElements.backButton) {
+            this.sceneElements.backButton.disabled = this.sceneHistory.length === 0;
+        }
+        
+        if (this.sceneElements.timeline && !this.sceneElements.timeline.hidden) {
+            this.renderTimeline();
+        }
+    }
+
+    /**
+     * Show or hide the path timeline
+     */
+    toggleTimeline() {
+        const timeline = this.sceneElements.timeline;
+        if (!timeline) return;
+        
+        if (timeline.hidden) {
+            this.renderTimeline();
+            timeline.hidden = false;
+            this.sceneElements.timelineButton.setAttribute('aria-expanded', 'true');
+            this.game.announceToScreenReader('Story so far opened');
+        } else {
+            this.hideTimeline();
+        }
+    }
+
+    /**
+     * Hide the path timeline
+     */
+    hideTimeline() {
+        if (this.sceneElements.timeline) {
+            this.sceneElements.timeline.hidden = true;
+        }
+        if (this.sceneElements.timelineButton) {
+            this.sceneElements.timelineButton.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * Render the choices and puzzle results taken so far
+     */
+    renderTimeline() {
+        const timeline = this.sceneElements.timeline;
+        if (!timeline) return;
+        
+        timeline.innerHTML = '';
+        
+        const steps = this.sceneHistory
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => entry.choice || entry.puzzleOutcome);
+        
+        if (steps.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'timeline-empty';
+            empty.textContent = 'Your choices will appear here as your adventure unfolds.';
+            timeline.appendChild(empty);
+            return;
+        }
+        
+        const list = document.createElement('ol');
+        list.className = 'timeline-list';
+        
+        steps.forEach(({ entry, index }) => {
+            const item = document.createElement('li');
+            item.className = 'timeline-step';
+            
+            const title = this.getSceneData(entry.sceneId)?.title || entry.title || entry.sceneId;
+            const description = document.createElement('span');
+            description.className = 'timeline-description';
+            description.textContent = entry.choice ?
+                `📖 ${title}: you chose "${entry.choice.text}"` :
+                `🧩 ${title}: ${this.describePuzzleOutcome(entry.puzzleOutcome)}`;
+            item.appendChild(description);
+            
+            if (entry.choice) {
+                const rewindButton = document.createElement('button');
+                rewindButton.type = 'button';
+                rewindButton.className = 'btn btn-secondary timeline-rewind';
+                rewindButton.textContent = '↩ Rewind to this choice';
+                rewindButton.setAttribute('aria-label', `Rewind to ${title} and choose again`);
+                rewindButton.addEventListener('click', () => this.rewindToHistoryEntry(index));
+                item.appendChild(rewindButton);
+            }
+            
+            list.appendChild(item);
+        });
+        
+        timeline.appendChild(list);
+    }
+
+    /**
+     * Describe a puzzle outcome for the timeline
+     */
+    describePuzzleOutcome(outcome) {
+        if (outcome.result === 'solved') {
+            return `solved! ${'⭐'.repeat(outcome.stars || 0)}`;
+        }
+        if (outcome.result === 'skipped') {
+            return 'skipped for now';
+        }
+        return 'still a mystery to solve';
+    }
+
     /**
      * Announce scene information to screen readers
      */
@@ -1514,12 +2214,13 @@ class SceneManager {
             announcement += ` Location: ${scene.location}.`;
         }
         
-        announcement += ` ${scene.text}`;
+        announcement += ` ${this.renderTemplate(this.resolveText(scene, 'text'))}`;
         
-        if (scene.characterDialogue) {
+        const characterDialogue = this.resolveText(scene, 'characterDialogue');
+        if (characterDialogue) {
             const characterData = this.game.getCharacterData();
             const characterName = characterData ? characterData.name : 'Companion';
-            announcement += ` ${characterName} says: ${scene.characterDialogue}`;
+            announcement += ` ${characterName} says: ${this.renderTemplate(characterDialogue)}`;
         }
         
         if (scene.choices && scene.choices.length > 0) {
@@ -1537,7 +2238,8 @@ class SceneManager {
     getSceneState() {
         return {
             currentSceneId: this.currentScene ? this.currentScene.id : null,
-            sceneHistory: this.sceneHistory.map(scene => ({ id: scene.id, title: scene.title })),
+            currentEntry: this.currentEntry ? { ...this.currentEntry } : null,
+            sceneHistory: this.sceneHistory.map(entry => ({ ...entry })),
             lastTransitionTime: Date.now()
         };
     }
@@ -1546,13 +2248,39 @@ class SceneManager {
      * Restore scene state from saved data
      */
     restoreSceneState(savedState) {
-        if (savedState.currentSceneId) {
-            // Scene will be loaded by the main game engine
-            console.log(`🔄 Restoring scene state: ${savedState.currentSceneId}`);
-        }
-        
-        // Note: Scene history restoration would need more complex implementation
-        // to avoid circular dependencies with the game state
+        this.resetHistory();
+        if (!savedState) return;
+        
+        // Older saves stored { id, title } only; drop scenes that no longer exist
+        this.sceneHistory = (savedState.sceneHistory || [])
+            .map(entry => ({
+                choice: null,
+                puzzleOutcome: null,
+                storyVariables: {},
+                ...entry,
+                sceneId: entry.sceneId || entry.id
+            }))
+            .filter(entry => this.getSceneData(entry.sceneId));
+        
+        // The scene to resume, so reloading doesn't run its onEnter again
+        this.resumeEntry = savedState.currentEntry || null;
+        
+        console.log(`🔄 Restored scene history: ${this.sceneHistory.length} steps before ${savedState.currentSceneId}`);
+    }
+
+    /**
+     * Forget the navigation stack, e.g. for a new game
+     */
+    resetHistory() {
+        this.endConversation();
+        this.dialogueLog = [];
+        this.hideDialogueLog();
+        this.sceneHistory = [];
+        this.currentScene = null;
+        this.currentEntry = null;
+        this.resumeEntry = null;
+        this.hideTimeline();
+        this.updateNavigationControls();
     }
 
     /**
@@ -1576,5 +2304,10 @@ class SceneManager {
     }
 }
 
-// Make SceneManager available globally
-window.SceneManager = SceneManager;
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STORY_SCENES, SceneManager };
+} else {
+    window.STORY_SCENES = STORY_SCENES;
+    window.SceneManager = SceneManager;
+}
@@ -0,0 +1,151 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - SEEDED RANDOM
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the reproducible random number source that handles:
+ * - Turning any text seed into the same stream of numbers on every device
+ * - Whole numbers, picks and shuffles for puzzle generators
+ * - Short, readable puzzle set codes such as "RUBY-7K3Q"
+ * - The difficulty and age group a shared puzzle set is played at
+ *
+ * A puzzle set code seeds a whole play session. Puzzle n in the set uses
+ * the seed "<code>-<n>", so one code replays the exact sequence of
+ * puzzles a child saw, in a classroom or in a bug report. Each code also
+ * stands for one difficulty and age group, read back with getSetProfile,
+ * so a shared set doesn't depend on the device it's played on.
+ *
+ * Fairness Philosophy:
+ * Puzzles should feel fresh to a child but be exactly repeatable for the
+ * grown-ups helping them.
+ */
+
+// No 0/O, 1/I/L or 5/S so codes can be read aloud and typed without mix-ups
+const PUZZLE_SET_CODE_ALPHABET = 'ABCDEFGHJKMNPQRTUVWXYZ2346789';
+const PUZZLE_SET_CODE_LENGTH = 8;
+
+// Every difficulty and age group pairing a code can stand for
+const PUZZLE_SET_PROFILES = ['easy', 'medium', 'hard'].flatMap(difficulty =>
+    ['ages4-6', 'ages7-9', 'ages10-12'].map(ageGroup => ({ difficulty, ageGroup }))
+);
+
+class SeededRandom {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+        // Bound so it can stand in for Math.random
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Next number from 0 (inclusive) to 1 (exclusive)
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Whole number from min to max inclusive
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Hash a text seed into a 32-bit starting state (FNV-1a)
+     */
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a new puzzle set code, e.g. "RUBY-7K3Q", optionally for a difficulty and age group
+     */
+    static createSetCode(random = Math.random, profile = null) {
+        let code = '';
+        for (let i = 0; i < PUZZLE_SET_CODE_LENGTH; i++) {
+            code += PUZZLE_SET_CODE_ALPHABET[Math.floor(random() * PUZZLE_SET_CODE_ALPHABET.length)];
+        }
+        code = SeededRandom.formatSetCode(code);
+
+        // About one code in nine stands for a given profile, so keep drawing until one does
+        const wanted = profile && PUZZLE_SET_PROFILES.some(option => option.difficulty === profile.difficulty && option.ageGroup === profile.ageGroup);
+        if (wanted) {
+            const actual = SeededRandom.getSetProfile(code);
+            if (actual.difficulty !== profile.difficulty || actual.ageGroup !== profile.ageGroup) {
+                return SeededRandom.createSetCode(random, profile);
+            }
+        }
+        return code;
+    }
+
+    /**
+     * Get the difficulty and age group a puzzle set code stands for
+     */
+    static getSetProfile(setCode) {
+        const code = SeededRandom.formatSetCode(setCode) || String(setCode);
+        return { ...PUZZLE_SET_PROFILES[SeededRandom.hashSeed(code) % PUZZLE_SET_PROFILES.length] };
+    }
+
+    /**
+     * Tidy a typed code into "XXXX-XXXX" form, or null if it isn't a valid code
+     */
+    static formatSetCode(code) {
+        const characters = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+        if (characters.length !== PUZZLE_SET_CODE_LENGTH) return null;
+        if ([...characters].some(character => !PUZZLE_SET_CODE_ALPHABET.includes(character))) return null;
+
+        return `${characters.slice(0, 4)}-${characters.slice(4)}`;
+    }
+
+    /**
+     * Get the seed for puzzle n of a puzzle set
+     */
+    static getPuzzleSeed(setCode, index) {
+        return `${setCode}-${index}`;
+    }
+
+    /**
+     * Get the seed for review n of a puzzle set, kept apart so reviews don't shift the set's puzzles
+     */
+    static getReviewSeed(setCode, index) {
+        return `${setCode}-R${index}`;
+    }
+}
+
+SeededRandom.SET_PROFILES = PUZZLE_SET_PROFILES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else {
+    window.SeededRandom = SeededRandom;
+}
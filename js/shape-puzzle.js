@@ -0,0 +1,958 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - SHAPE PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the shape puzzle family that handles:
+ * - SVG drawings of 2D shapes, turned or with a dashed fold line
+ * - A square grid children shade by tapping, dragging across it or with
+ *   the keyboard
+ * - Naming shapes, counting sides and corners, lines of symmetry and
+ *   perimeter and area of rectangles, by age group and difficulty
+ * - Shape answer options tagged with the misconceptions they stand for
+ *
+ * Shape puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'math',
+ *     skill: 'naming-shapes' | 'sides-and-corners' | 'symmetry' | 'perimeter-area',
+ *     question, answer: 'hexagon' | 6 | 'Yes',
+ *     shape: 'hexagon', turn: 20,                  // the shape to look at
+ *     line: { x1: 60, y1: 2, x2: 60, y2: 118 },   // a fold line across it
+ *     rectangle: { width: 4, height: 3, labelled: false }, measure: 'area' | 'perimeter',
+ *     inputType: 'grid', grid: { rows: 4, cols: 6, fixed: [0, 7], mirror: true, answerMode: 'cells' }
+ *   }
+ *
+ * Shapes are drawn on a 120 × 120 box. A grid answers either with the
+ * number of squares shaded (`answerMode: 'count'`) or with which squares
+ * they are, as cell numbers read left to right and top to bottom ("3 8").
+ *
+ * Shape Philosophy:
+ * Children learn shapes with their hands before their words, so every
+ * shape here can be looked at, turned, folded or built square by square.
+ */
+
+// Shape -> what it's made of, and how to draw it on a 120 × 120 box
+const SHAPE_CATALOG = {
+    circle: { sides: 0, corners: 0, symmetryLines: Infinity, ellipse: [48, 48], clue: 'It\'s perfectly round, like a full moon.' },
+    oval: { sides: 0, corners: 0, symmetryLines: 2, ellipse: [54, 34], clue: 'It\'s round but stretched, like an egg.' },
+    triangle: { sides: 3, corners: 3, symmetryLines: 3, regular: 3, clue: 'Its name starts with "tri", which means three.' },
+    square: { sides: 4, corners: 4, symmetryLines: 4, points: [[20, 20], [100, 20], [100, 100], [20, 100]], clue: 'All four of its sides are the same length.' },
+    rectangle: { sides: 4, corners: 4, symmetryLines: 2, points: [[8, 32], [112, 32], [112, 88], [8, 88]], clue: 'It has two long sides and two short sides, like a door.' },
+    rhombus: { sides: 4, corners: 4, symmetryLines: 2, points: [[60, 8], [100, 60], [60, 112], [20, 60]], clue: 'Its four sides are all the same length, but its corners aren\'t square.' },
+    trapezoid: { sides: 4, corners: 4, symmetryLines: 1, points: [[38, 30], [82, 30], [108, 90], [12, 90]], clue: 'Only its top and bottom sides run the same way.' },
+    parallelogram: { sides: 4, corners: 4, symmetryLines: 0, points: [[36, 30], [110, 30], [84, 90], [10, 90]], clue: 'It looks like a rectangle that has been pushed over.' },
+    pentagon: { sides: 5, corners: 5, symmetryLines: 5, regular: 5, clue: 'Its name starts with "penta", which means five.' },
+    hexagon: { sides: 6, corners: 6, symmetryLines: 6, regular: 6, clue: 'Bees build their honeycomb out of this shape.' },
+    octagon: { sides: 8, corners: 8, symmetryLines: 8, regular: 8, clue: 'Its name starts with "octo", like an octopus with eight arms.' }
+};
+
+// Skills, shapes, grid sizes and interaction per age group and difficulty
+const SHAPE_LEVELS = {
+    'ages4-6': {
+        skills: ['naming-shapes', 'naming-shapes', 'sides-and-corners'],
+        shapes: {
+            easy: ['circle', 'triangle', 'square'],
+            medium: ['circle', 'triangle', 'square', 'rectangle'],
+            hard: ['circle', 'oval', 'triangle', 'square', 'rectangle'],
+            expert: ['circle', 'oval', 'triangle', 'square', 'rectangle', 'hexagon']
+        },
+        turned: {},
+        sideLengths: {},
+        mirror: {},
+        measured: false,
+        typed: {}
+    },
+    'ages7-9': {
+        skills: ['naming-shapes', 'sides-and-corners', 'symmetry', 'perimeter-area'],
+        shapes: {
+            easy: ['circle', 'triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+            medium: ['circle', 'oval', 'triangle', 'square', 'rectangle', 'pentagon', 'hexagon'],
+            hard: ['circle', 'oval', 'triangle', 'square', 'rectangle', 'rhombus', 'pentagon', 'hexagon', 'octagon'],
+            expert: ['oval', 'triangle', 'square', 'rectangle', 'rhombus', 'trapezoid', 'pentagon', 'hexagon', 'octagon']
+        },
+        // Draw shapes a little turned, so they're known by their sides and not how they sit
+        turned: { hard: true, expert: true },
+        // Shortest and longest rectangle sides, in squares
+        sideLengths: { easy: [2, 3], medium: [2, 4], hard: [2, 5], expert: [3, 6] },
+        // Grid for completing a mirror picture: rows, columns each side and squares to copy
+        mirror: {
+            easy: { rows: 3, half: 2, cells: 2 },
+            medium: { rows: 4, half: 3, cells: 3 },
+            hard: { rows: 4, half: 3, cells: 4 },
+            expert: { rows: 5, half: 4, cells: 5 }
+        },
+        measured: false,
+        typed: {}
+    },
+    'ages10-12': {
+        skills: ['sides-and-corners', 'symmetry', 'symmetry', 'perimeter-area', 'perimeter-area'],
+        shapes: {
+            easy: ['triangle', 'square', 'rectangle', 'rhombus', 'pentagon', 'hexagon', 'octagon'],
+            medium: ['oval', 'triangle', 'square', 'rectangle', 'rhombus', 'trapezoid', 'parallelogram', 'pentagon', 'hexagon', 'octagon'],
+            hard: ['oval', 'triangle', 'square', 'rectangle', 'rhombus', 'trapezoid', 'parallelogram', 'pentagon', 'hexagon', 'octagon'],
+            expert: ['oval', 'triangle', 'square', 'rectangle', 'rhombus', 'trapezoid', 'parallelogram', 'pentagon', 'hexagon', 'octagon']
+        },
+        turned: { medium: true, hard: true, expert: true },
+        sideLengths: { easy: [3, 6], medium: [4, 8], hard: [5, 10], expert: [6, 12] },
+        mirror: {
+            easy: { rows: 4, half: 3, cells: 4 },
+            medium: { rows: 5, half: 3, cells: 5 },
+            hard: { rows: 5, half: 4, cells: 6 },
+            expert: { rows: 6, half: 4, cells: 8 }
+        },
+        // Rectangles come with their side lengths written on instead of squares to count
+        measured: true,
+        // Write the answer instead of choosing it
+        typed: { hard: true, expert: true }
+    }
+};
+
+// Where our friends spot shapes, for naming and counting puzzles
+const SHAPE_SIGHTINGS = [
+    { owner: 'Scout', place: 'on a sign along the forest trail' },
+    { owner: 'Ruby', place: 'in a stained-glass library window' },
+    { owner: 'Sage', place: 'carved into a magic door' },
+    { owner: 'Ruby', place: 'on the cover of an old storybook' }
+];
+
+const SHAPE_LINES = {
+    vertical: { x1: 60, y1: 2, x2: 60, y2: 118 },
+    horizontal: { x1: 2, y1: 60, x2: 118, y2: 60 },
+    // Corner to corner across the rectangle
+    diagonal: { x1: 2, y1: 28.8, x2: 118, y2: 91.2 }
+};
+
+const SHAPE_OPTION_COUNT = 4;
+const SHAPE_MAX_TRIES = 20;
+const SHAPE_SIZE = 120;
+const SHAPE_CENTER = SHAPE_SIZE / 2;
+const SHAPE_RADIUS = 50;
+const SHAPE_TURNS = [-25, -15, 15, 25];
+const SHAPE_CELL_SIZE = 32;
+const SHAPE_RECTANGLE_MAX = 240;
+
+/**
+ * Shape Figure
+ * Draws shapes and measured rectangles as SVG
+ */
+class ShapeFigure {
+    /**
+     * Draw a shape as SVG markup, turned by `turn` degrees, with an optional fold line
+     */
+    static renderSVG(name, options = {}) {
+        const entry = SHAPE_CATALOG[name];
+        if (!entry) return '';
+
+        const body = entry.ellipse
+            ? `<ellipse class="shape-body" cx="${SHAPE_CENTER}" cy="${SHAPE_CENTER}" rx="${entry.ellipse[0]}" ry="${entry.ellipse[1]}"/>`
+            : `<polygon class="shape-body" points="${ShapeFigure.getPoints(name).map(point => point.join(',')).join(' ')}"/>`;
+        const turn = options.turn ? ` transform="rotate(${options.turn} ${SHAPE_CENTER} ${SHAPE_CENTER})"` : '';
+        const line = options.line
+            ? `<line class="shape-fold-line" x1="${options.line.x1}" y1="${options.line.y1}" x2="${options.line.x2}" y2="${options.line.y2}"/>`
+            : '';
+
+        return `
+            <svg class="shape-figure" viewBox="0 0 ${SHAPE_SIZE} ${SHAPE_SIZE}" role="img" aria-label="${options.label || ShapeFigure.describe(name)}">
+                <g${turn}>${body}</g>
+                ${line}
+            </svg>
+        `;
+    }
+
+    /**
+     * Draw a rectangle as unit squares to count, or as an outline with its side lengths
+     */
+    static renderRectangle(width, height, options = {}) {
+        const unit = Math.min(SHAPE_CELL_SIZE, SHAPE_RECTANGLE_MAX / Math.max(width, height));
+        const margin = options.labelled ? 28 : 4;
+        const right = margin + width * unit;
+        const bottom = margin + height * unit;
+
+        let squares = '';
+        if (!options.labelled) {
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    squares += `<rect class="shape-cell shaded" x="${margin + col * unit}" y="${margin + row * unit}" width="${unit}" height="${unit}"/>`;
+                }
+            }
+        }
+
+        const labels = options.labelled
+            ? `
+                <text class="shape-side-label" x="${(margin + right) / 2}" y="${margin - 8}" text-anchor="middle">${width}</text>
+                <text class="shape-side-label" x="${margin - 8}" y="${(margin + bottom) / 2}" text-anchor="end" dominant-baseline="middle">${height}</text>
+            `
+            : '';
+        const label = options.label || (options.labelled
+            ? `A rectangle ${width} units long and ${height} units wide`
+            : `A rectangle made of ${height} rows of ${width} squares`);
+
+        return `
+            <svg class="shape-rectangle" viewBox="0 0 ${right + 4} ${bottom + 4}" role="img" aria-label="${label}">
+                ${squares}
+                <rect class="shape-outline" x="${margin}" y="${margin}" width="${width * unit}" height="${height * unit}"/>
+                ${labels}
+            </svg>
+        `;
+    }
+
+    /**
+     * Corner points of a straight-sided shape
+     */
+    static getPoints(name) {
+        const entry = SHAPE_CATALOG[name];
+        if (!entry || entry.ellipse) return [];
+        return entry.points || ShapeFigure.getRegularPoints(entry.regular);
+    }
+
+    /**
+     * Corners of a shape with equal sides, with one corner at the top
+     */
+    static getRegularPoints(sides) {
+        return Array.from({ length: sides }, (_, i) => {
+            const radians = (i * 360 / sides - 90) * Math.PI / 180;
+            return [
+                Math.round((SHAPE_CENTER + SHAPE_RADIUS * Math.cos(radians)) * 10) / 10,
+                Math.round((SHAPE_CENTER + SHAPE_RADIUS * Math.sin(radians)) * 10) / 10
+            ];
+        });
+    }
+
+    /**
+     * Describe a shape without naming it, for screen readers
+     */
+    static describe(name) {
+        const entry = SHAPE_CATALOG[name];
+        if (!entry) return 'A shape';
+        if (entry.ellipse) {
+            return name === 'circle' ? 'A perfectly round shape with no corners' : 'A stretched round shape with no corners';
+        }
+        return `A shape with ${entry.sides} straight sides and ${entry.corners} corners`;
+    }
+}
+
+/**
+ * Shape Grid
+ * A grid of squares children shade, optionally with half a mirror picture already drawn
+ */
+class ShapeGrid {
+    constructor(options = {}) {
+        this.rows = options.rows || 4;
+        this.cols = options.cols || 4;
+        this.fixed = new Set(options.fixed || []);
+        this.mirror = Boolean(options.mirror);
+        this.answerMode = options.answerMode || 'count';
+        this.label = options.label || 'Grid';
+        this.editable = ShapeGrid.getEditableCells(this.rows, this.cols, this.fixed, this.mirror);
+        this.shaded = new Set();
+        // Called with the answer whenever a square changes
+        this.onChange = options.onChange || null;
+        this.svg = null;
+        this.cellElements = {};
+        this.focusCell = this.editable[0];
+        this.painting = null;
+    }
+
+    /**
+     * Draw a grid as SVG markup, with shadeable squares when interactive
+     */
+    static renderSVG(rows, cols, options = {}) {
+        const shaded = options.shaded || new Set();
+        const fixed = options.fixed || new Set();
+        const editable = new Set(options.interactive ? options.editable || [] : []);
+        const width = cols * SHAPE_CELL_SIZE + 8;
+        const height = rows * SHAPE_CELL_SIZE + 8;
+
+        let cells = '';
+        for (let index = 0; index < rows * cols; index++) {
+            const row = Math.floor(index / cols);
+            const col = index % cols;
+            const isShaded = shaded.has(index) || fixed.has(index);
+            const classes = `shape-cell${isShaded ? ' shaded' : ''}${fixed.has(index) ? ' fixed' : ''}`;
+            const toggle = editable.has(index)
+                ? ` tabindex="${index === options.focusCell ? 0 : -1}" role="checkbox" aria-checked="${isShaded}" aria-label="Row ${row + 1}, column ${col + 1}"`
+                : '';
+            cells += `<rect class="${classes}" data-cell="${index}"${toggle} x="${4 + col * SHAPE_CELL_SIZE}" y="${4 + row * SHAPE_CELL_SIZE}" width="${SHAPE_CELL_SIZE}" height="${SHAPE_CELL_SIZE}"/>`;
+        }
+
+        const mirrorX = 4 + (cols / 2) * SHAPE_CELL_SIZE;
+        const mirrorLine = options.mirror
+            ? `<line class="shape-fold-line" x1="${mirrorX}" y1="0" x2="${mirrorX}" y2="${height}"/>`
+            : '';
+        const role = options.interactive
+            ? `role="group" aria-label="${options.label || 'Grid'}"`
+            : `role="img" aria-label="${options.label || 'Grid'}: ${shaded.size + fixed.size} squares shaded"`;
+
+        return `
+            <svg class="shape-grid${options.interactive ? ' interactive' : ''}" viewBox="0 0 ${width} ${height}" ${role}>
+                ${cells}
+                ${mirrorLine}
+            </svg>
+        `;
+    }
+
+    /**
+     * Squares a child may shade: the right half of a mirror grid, or any square not drawn already
+     */
+    static getEditableCells(rows, cols, fixed, mirror) {
+        return Array.from({ length: rows * cols }, (_, i) => i)
+            .filter(index => !fixed.has(index) && (!mirror || index % cols >= cols / 2));
+    }
+
+    /**
+     * Draw the grid into a container and start listening for taps, drags and keys
+     */
+    mount(container) {
+        container.innerHTML = ShapeGrid.renderSVG(this.rows, this.cols, {
+            shaded: this.shaded,
+            fixed: this.fixed,
+            editable: this.editable,
+            mirror: this.mirror,
+            interactive: true,
+            focusCell: this.focusCell,
+            label: this.label
+        });
+        this.svg = container.querySelector('svg');
+        this.cellElements = {};
+
+        this.editable.forEach(index => {
+            const element = this.svg.querySelector(`[data-cell="${index}"]`);
+            this.cellElements[index] = element;
+            element.addEventListener('pointerdown', (e) => this.startPaint(index, e));
+            element.addEventListener('keydown', (e) => this.handleKeydown(index, e));
+        });
+        this.svg.addEventListener('pointermove', (e) => this.paint(e));
+        this.svg.addEventListener('pointerup', () => this.endPaint());
+        this.svg.addEventListener('pointercancel', () => this.endPaint());
+
+        return this;
+    }
+
+    /**
+     * Shade or clear the touched square, and keep doing the same to squares dragged over
+     */
+    startPaint(index, event) {
+        event.preventDefault();
+        this.painting = !this.shaded.has(index);
+        this.moveFocus(index);
+        this.setCell(index, this.painting);
+    }
+
+    /**
+     * Paint the square under the pointer while dragging
+     */
+    paint(event) {
+        if (this.painting === null) return;
+
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        const cell = element && element.closest ? element.closest('[data-cell]') : null;
+        if (cell && this.svg.contains(cell) && this.cellElements[cell.dataset.cell]) {
+            this.setCell(Number(cell.dataset.cell), this.painting);
+        }
+    }
+
+    /**
+     * Stop painting
+     */
+    endPaint() {
+        this.painting = null;
+    }
+
+    /**
+     * Shade or clear one square
+     */
+    setCell(index, isShaded) {
+        if (this.shaded.has(index) === isShaded) return;
+
+        if (isShaded) {
+            this.shaded.add(index);
+        } else {
+            this.shaded.delete(index);
+        }
+        this.update();
+        if (this.onChange) this.onChange(this.getAnswer());
+    }
+
+    /**
+     * Redraw the squares and their screen reader states
+     */
+    update() {
+        Object.entries(this.cellElements).forEach(([index, element]) => {
+            const isShaded = this.shaded.has(Number(index));
+            element.classList.toggle('shaded', isShaded);
+            element.setAttribute('aria-checked', String(isShaded));
+        });
+    }
+
+    /**
+     * Make one square the grid's tab stop and focus it
+     */
+    moveFocus(index) {
+        const previous = this.cellElements[this.focusCell];
+        if (previous) previous.setAttribute('tabindex', '-1');
+
+        this.focusCell = index;
+        this.cellElements[index].setAttribute('tabindex', '0');
+        this.cellElements[index].focus();
+    }
+
+    /**
+     * The nearest square a child may shade from a square, one step at a time in a direction
+     */
+    findCell(index, rowStep, colStep) {
+        let row = Math.floor(index / this.cols) + rowStep;
+        let col = index % this.cols + colStep;
+
+        while (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            const next = row * this.cols + col;
+            if (this.cellElements[next]) return next;
+            row += rowStep;
+            col += colStep;
+        }
+        return index;
+    }
+
+    /**
+     * Enter or Space shades a square; the arrow keys, Home and End move between squares
+     */
+    handleKeydown(index, event) {
+        const moves = {
+            ArrowRight: [0, 1],
+            ArrowLeft: [0, -1],
+            ArrowDown: [1, 0],
+            ArrowUp: [-1, 0]
+        };
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            this.setCell(index, !this.shaded.has(index));
+        } else if (moves[event.key]) {
+            this.moveFocus(this.findCell(index, ...moves[event.key]));
+        } else if (event.key === 'Home' || event.key === 'End') {
+            this.moveFocus(event.key === 'Home' ? this.editable[0] : this.editable[this.editable.length - 1]);
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        // Keep Enter and the arrow keys on the grid instead of the answer choices
+        event.stopPropagation();
+    }
+
+    /**
+     * Get the answer the grid gives: the number of squares shaded, or
+     * which squares, e.g. "3 8". Null while nothing is shaded.
+     */
+    getAnswer() {
+        if (this.shaded.size === 0) return null;
+        if (this.answerMode === 'cells') {
+            return ShapeGrid.formatCells(this.shaded);
+        }
+        return this.shaded.size;
+    }
+
+    /**
+     * Write squares as their cell numbers in order, e.g. "3 8"
+     */
+    static formatCells(cells) {
+        return [...cells].sort((a, b) => a - b).join(' ');
+    }
+}
+
+/**
+ * Shape Puzzle Generator
+ * Builds shape naming, counting, symmetry and perimeter and area puzzles for an age group
+ */
+class ShapePuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || SHAPE_LEVELS;
+        this.sightings = options.sightings || SHAPE_SIGHTINGS;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick one of the shape skills practised by an age group
+     */
+    pickSkill(ageGroup) {
+        return this.pick(this.getLevel(ageGroup).skills);
+    }
+
+    /**
+     * Generate a fresh shape puzzle config for a skill
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        if (skill === 'naming-shapes') {
+            return this.buildNameShape(ageGroup, difficulty);
+        }
+        if (skill === 'sides-and-corners') {
+            return this.buildCountSides(ageGroup, difficulty);
+        }
+        if (skill === 'symmetry') {
+            const builders = [
+                () => this.buildLineCheck(ageGroup, difficulty),
+                () => this.buildMirrorPicture(ageGroup, difficulty)
+            ];
+            if (this.getLevel(ageGroup).measured) {
+                builders.push(() => this.buildCountLines(ageGroup, difficulty));
+            }
+            return this.pick(builders)();
+        }
+        if (skill === 'perimeter-area') {
+            const builders = [
+                () => this.buildMeasure('area', ageGroup, difficulty),
+                () => this.buildMeasure('perimeter', ageGroup, difficulty)
+            ];
+            if (!this.getLevel(ageGroup).measured) {
+                builders.push(() => this.buildShadeArea(ageGroup, difficulty));
+            }
+            return this.pick(builders)();
+        }
+        throw new Error(`Unknown shape skill "${skill}"`);
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * The shapes an age group knows at a difficulty
+     */
+    getShapes(ageGroup, difficulty) {
+        const shapes = this.getLevel(ageGroup).shapes;
+        return shapes[difficulty] || shapes.medium;
+    }
+
+    /**
+     * How far to turn a shape, or 0 to draw it sitting flat
+     */
+    getTurn(ageGroup, difficulty) {
+        return this.getLevel(ageGroup).turned[difficulty] ? this.pick(SHAPE_TURNS) : 0;
+    }
+
+    /**
+     * Name a shape
+     */
+    buildNameShape(ageGroup, difficulty) {
+        const shapeNames = this.getShapes(ageGroup, difficulty);
+        const shape = this.pick(shapeNames);
+        const entry = SHAPE_CATALOG[shape];
+        const sighting = this.pick(this.sightings);
+        const distractors = DistractorGenerator.forShape('naming-shapes', { answer: shape, shapeNames }, SHAPE_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'naming-shapes',
+            title: `${sighting.owner}'s Mystery Shape`,
+            question: `${sighting.owner} spotted this shape ${sighting.place}. What is it called?`,
+            correctAnswer: shape,
+            options: this.shuffle([shape, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            shape,
+            turn: this.getTurn(ageGroup, difficulty),
+            shapeNames,
+            hints: [
+                entry.ellipse
+                    ? 'Look at its edge: are there any straight sides or corners?'
+                    : `Count its straight sides: there are ${entry.sides}.`,
+                entry.clue,
+                `It's a ${shape}!`
+            ]
+        };
+    }
+
+    /**
+     * Count a shape's sides or corners
+     */
+    buildCountSides(ageGroup, difficulty) {
+        const shape = this.pick(this.getShapes(ageGroup, difficulty).filter(name => SHAPE_CATALOG[name].sides > 0));
+        const part = this.random() < 0.5 ? 'sides' : 'corners';
+        const answer = SHAPE_CATALOG[shape][part];
+        const sighting = this.pick(this.sightings);
+        const distractors = DistractorGenerator.forShape('sides-and-corners', { answer, shape }, SHAPE_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'sides-and-corners',
+            title: `Counting ${ShapePuzzleGenerator.capitalize(part)}`,
+            question: `${sighting.owner} spotted a ${shape} ${sighting.place}. How many ${part} does it have?`,
+            correctAnswer: answer,
+            options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]),
+            distractors,
+            shape,
+            turn: this.getTurn(ageGroup, difficulty),
+            hints: [
+                part === 'sides'
+                    ? 'A side is a straight edge, from one corner to the next.'
+                    : 'A corner is where two straight sides meet.',
+                'Put a finger on one corner and count your way round, stopping when you get back.',
+                `A ${shape} has ${answer} ${part}.`
+            ]
+        };
+    }
+
+    /**
+     * Decide whether a dashed line is a line of symmetry
+     */
+    buildLineCheck(ageGroup, difficulty) {
+        const symmetric = this.random() < 0.5;
+        let shape;
+        let line;
+
+        if (symmetric) {
+            shape = this.pick(this.getShapes(ageGroup, difficulty).filter(name => SHAPE_CATALOG[name].symmetryLines > 0));
+            line = (shape === 'rectangle' || shape === 'oval') && this.random() < 0.5 ? SHAPE_LINES.horizontal : SHAPE_LINES.vertical;
+        } else {
+            // Both lines cut the shape into equal halves that don't fold onto each other
+            shape = this.pick(['rectangle', 'parallelogram']);
+            line = shape === 'rectangle' ? SHAPE_LINES.diagonal : SHAPE_LINES.vertical;
+        }
+
+        return {
+            subtype: 'symmetry',
+            title: 'Sage\'s Folding Spell',
+            question: 'Sage folds this shape along the dashed line. Would the two halves match exactly? Is it a line of symmetry?',
+            correctAnswer: symmetric ? 'Yes' : 'No',
+            options: ['Yes', 'No'],
+            distractors: symmetric ? [] : [{ value: 'Yes', misconception: 'symmetry-halves' }],
+            shape,
+            line,
+            hints: [
+                'Imagine folding the shape along the dashed line.',
+                'On a line of symmetry, each half is the mirror image of the other.',
+                symmetric
+                    ? 'The halves land exactly on top of each other, so it is a line of symmetry.'
+                    : 'The halves are the same size, but they don\'t land on each other when folded.'
+            ]
+        };
+    }
+
+    /**
+     * Count a shape's lines of symmetry
+     */
+    buildCountLines(ageGroup, difficulty) {
+        const shape = this.pick(this.getShapes(ageGroup, difficulty).filter(name => Number.isFinite(SHAPE_CATALOG[name].symmetryLines)));
+        const answer = SHAPE_CATALOG[shape].symmetryLines;
+        const typed = Boolean(this.getLevel(ageGroup).typed[difficulty]);
+        const distractors = DistractorGenerator.forShape('symmetry', { answer, shape }, typed ? Infinity : SHAPE_OPTION_COUNT - 1);
+
+        return {
+            subtype: 'symmetry',
+            title: 'Mirror Lines',
+            question: `How many lines of symmetry does this ${shape} have?`,
+            correctAnswer: answer,
+            ...(typed
+                ? { inputType: 'number' }
+                : { options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]) }),
+            distractors,
+            shape,
+            hints: [
+                'A line of symmetry can go up and down, across or corner to corner.',
+                'Fold the shape each way in your head: do the halves match exactly?',
+                answer === 0
+                    ? `A ${shape} has no lines of symmetry: no fold makes its halves match.`
+                    : `A ${shape} has ${answer} line${answer === 1 ? '' : 's'} of symmetry.`
+            ]
+        };
+    }
+
+    /**
+     * Finish a picture so both sides of the mirror line match
+     */
+    buildMirrorPicture(ageGroup, difficulty) {
+        const { rows, half, cells } = this.getLevel(ageGroup).mirror[difficulty] || { rows: 4, half: 3, cells: 3 };
+        const cols = half * 2;
+        const leftHalf = Array.from({ length: rows * half }, (_, i) => Math.floor(i / half) * cols + i % half);
+
+        // A picture the same when slid across as when flipped couldn't catch a slide
+        let fixed = this.shuffle(leftHalf).slice(0, cells);
+        const mirrored = picture => ShapeGrid.formatCells(picture.map(index => index - index % cols + cols - 1 - index % cols));
+        const slid = picture => ShapeGrid.formatCells(picture.map(index => index + half));
+        for (let tries = 0; mirrored(fixed) === slid(fixed) && tries < SHAPE_MAX_TRIES; tries++) {
+            fixed = this.shuffle(leftHalf).slice(0, cells);
+        }
+
+        const answer = mirrored(fixed);
+
+        return {
+            subtype: 'symmetry',
+            title: 'The Magic Mirror',
+            question: 'Sage\'s magic mirror only shows half of this pattern. Shade squares on the right so the pattern is the same on both sides of the dashed line!',
+            correctAnswer: answer,
+            inputType: 'grid',
+            grid: { rows, cols, fixed, mirror: true, answerMode: 'cells' },
+            distractors: DistractorGenerator.uniqueDistractors([{ value: slid(fixed), misconception: 'symmetry-shifted' }], answer),
+            hints: [
+                'The dashed line is a mirror: the right side should be a flipped copy of the left.',
+                'A square right next to the line on the left has a partner right next to it on the right.',
+                `Shade ${cells} squares, each as far from the line as its partner.`
+            ]
+        };
+    }
+
+    /**
+     * Find the area or perimeter of a rectangle
+     */
+    buildMeasure(measure, ageGroup, difficulty) {
+        const level = this.getLevel(ageGroup);
+        const [shortest, longest] = level.sideLengths[difficulty] || [2, 4];
+        const width = this.randomInt(shortest, longest);
+        const height = this.randomInt(shortest, longest);
+        const rectangle = { width, height, labelled: level.measured };
+        const answer = measure === 'area' ? width * height : 2 * (width + height);
+        const typed = Boolean(level.typed[difficulty]);
+        const distractors = DistractorGenerator.forShape('perimeter-area', { answer, rectangle, measure }, typed ? Infinity : SHAPE_OPTION_COUNT - 1);
+
+        const questions = level.measured
+            ? {
+                area: `Ruby's reading rug is ${width} units long and ${height} units wide. What is its area in square units?`,
+                perimeter: `Scout is sewing a ribbon all the way round a ${width} by ${height} unit banner. How many units of ribbon does he need?`
+            }
+            : {
+                area: 'Ruby is covering the den floor with square tiles. How many squares cover it? That\'s its area!',
+                perimeter: 'Scout is walking all the way round the edge of the garden. How many square sides long is the path? That\'s its perimeter!'
+            };
+        const hints = {
+            area: level.measured
+                ? ['Area is the space inside the shape.', `There are ${height} rows of ${width} squares.`, `${width} × ${height} = ${answer} square units.`]
+                : ['Area is how many squares fit inside.', `Count one row: ${width} squares. Now count the rows.`, `${height} rows of ${width} make ${answer} squares.`],
+            perimeter: level.measured
+                ? ['Perimeter is the distance all the way round the edge.', 'Opposite sides of a rectangle are the same length.', `${width} + ${height} + ${width} + ${height} = ${answer} units.`]
+                : ['Perimeter is the distance all the way round the edge.', 'Count the square sides along the top, then keep going round.', `${width} + ${height} + ${width} + ${height} = ${answer}`]
+        };
+
+        return {
+            subtype: 'perimeter-area',
+            title: measure === 'area' ? 'Ruby\'s Tiles' : 'Scout\'s Path',
+            question: questions[measure],
+            correctAnswer: answer,
+            ...(typed
+                ? { inputType: 'number' }
+                : { options: this.shuffle([answer, ...distractors.map(distractor => distractor.value)]) }),
+            distractors,
+            rectangle,
+            measure,
+            hints: hints[measure]
+        };
+    }
+
+    /**
+     * Shade a number of squares to make a shape with that area
+     */
+    buildShadeArea(ageGroup, difficulty) {
+        const [shortest, longest] = this.getLevel(ageGroup).sideLengths[difficulty] || [2, 4];
+        const rows = longest;
+        const cols = longest + 1;
+        const answer = this.randomInt(shortest * 2, shortest * longest);
+
+        return {
+            subtype: 'perimeter-area',
+            title: 'Sage\'s Herb Garden',
+            question: `Sage wants a herb garden with an area of ${answer} squares. Shade ${answer} squares on the grid to plan it!`,
+            correctAnswer: answer,
+            inputType: 'grid',
+            grid: { rows, cols, fixed: [], mirror: false, answerMode: 'count' },
+            measure: 'area',
+            distractors: DistractorGenerator.uniqueDistractors([
+                { value: answer + 1, misconception: 'miscounted' },
+                { value: answer - 1, misconception: 'miscounted' }
+            ], answer),
+            hints: [
+                'Each square on the grid is one square of area.',
+                'Count out loud as you shade each square.',
+                `Stop when you've shaded ${answer} squares.`
+            ]
+        };
+    }
+
+    /**
+     * Capitalize each word of a name, e.g. "sides" -> "Sides"
+     */
+    static capitalize(text) {
+        return text.replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    /**
+     * Random whole number from min to max inclusive
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Shape Puzzle Class
+ * A math puzzle whose visual aids are shapes and rectangles, answered by choice or on a grid
+ */
+class ShapePuzzle extends MathPuzzle {
+    constructor(config) {
+        super({ useVisualObjects: true, ...config });
+        this.shape = config.shape || null;
+        this.turn = config.turn || 0;
+        this.line = config.line || null;
+        this.rectangle = config.rectangle || null;
+        this.measure = config.measure || null;
+        this.grid = config.grid || null;
+        this.inputType = config.inputType || null;
+        this.shapeNames = config.shapeNames || null;
+    }
+
+    /**
+     * Write an answer with its unit, or describe a finished grid picture
+     */
+    formatAnswer(answer) {
+        if (this.grid && this.grid.answerMode === 'cells') {
+            return 'the mirror image of the pattern';
+        }
+        if (typeof answer === 'number' && this.measure === 'area') {
+            return `${answer} ${this.rectangle && this.rectangle.labelled ? 'square units' : 'squares'}`;
+        }
+        if (typeof answer === 'number' && this.measure === 'perimeter') {
+            return `${answer} units`;
+        }
+        return String(answer);
+    }
+
+    /**
+     * Compare numbers as numbers and names however they're capitalized
+     */
+    checkAnswer(answer) {
+        if (typeof this.correctAnswer === 'number') {
+            return Number(answer) === this.correctAnswer;
+        }
+        return String(answer).trim().toLowerCase() === String(this.correctAnswer).toLowerCase();
+    }
+
+    /**
+     * Generate the shape or rectangle to look at
+     */
+    generateVisualAids() {
+        if (!this.useVisualObjects) return '';
+
+        let figure = '';
+        let caption = '';
+        if (this.shape) {
+            figure = ShapeFigure.renderSVG(this.shape, {
+                turn: this.turn,
+                line: this.line,
+                // Naming puzzles describe the shape; the rest can say what it is
+                label: this.operation === 'naming-shapes' ? null : `A ${this.shape}`
+            });
+            caption = this.operation === 'naming-shapes'
+                ? 'Mystery shape'
+                : this.line ? 'Fold along the dashed line' : ShapePuzzleGenerator.capitalize(this.shape);
+        } else if (this.rectangle) {
+            figure = ShapeFigure.renderRectangle(this.rectangle.width, this.rectangle.height, { labelled: this.rectangle.labelled });
+            caption = this.rectangle.labelled ? 'Not drawn to scale' : 'Each square is 1 unit long';
+        }
+        if (!figure) return '';
+
+        return `
+            <div class="math-visual-aids shape-visual-aids">
+                <figure class="shape-figure-frame">
+                    ${figure}
+                    <figcaption class="shape-label">${caption}</figcaption>
+                </figure>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate answer interface for shape problems
+     */
+    generateAnswerInterface() {
+        if (this.inputType === 'grid' && this.grid) {
+            // The grid is drawn and wired up by ShapeGrid.mount once on the page
+            return `
+                <div class="answer-interface shape-grid-input"
+                     data-rows="${this.grid.rows}"
+                     data-cols="${this.grid.cols}"
+                     data-fixed="${(this.grid.fixed || []).join(',')}"
+                     data-mirror="${Boolean(this.grid.mirror)}"
+                     data-answer-mode="${this.grid.answerMode || 'count'}"></div>
+            `;
+        }
+
+        if (this.options && this.options.length > 0) {
+            return `
+                <div class="answer-interface multiple-choice">
+                    ${this.options.map(option => `
+                        <button class="choice-option shape-choice" data-value="${option}">
+                            ${this.formatAnswer(option)}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        return super.generateAnswerInterface();
+    }
+
+    /**
+     * Pick the shape skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new ShapePuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate shape puzzle
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new ShapePuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new ShapePuzzle({
+            id: `shape-${Date.now()}`,
+            type: 'math',
+            operation: selected.subtype,
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            metadata: { subject: 'math', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Shape puzzles are math puzzles; the router passes these content fields through
+ShapePuzzle.SUBJECT = 'math';
+ShapePuzzle.CONTENT_FIELDS = ['shape', 'turn', 'line', 'rectangle', 'measure', 'grid', 'inputType', 'shapeNames'];
+ShapePuzzle.SKILLS = ['naming-shapes', 'sides-and-corners', 'symmetry', 'perimeter-area'];
+ShapePuzzleGenerator.LEVELS = SHAPE_LEVELS;
+ShapePuzzleGenerator.CATALOG = SHAPE_CATALOG;
+ShapePuzzleGenerator.LINES = SHAPE_LINES;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ShapeFigure,
+        ShapeGrid,
+        ShapePuzzleGenerator,
+        ShapePuzzle
+    };
+} else {
+    window.ShapeFigure = ShapeFigure;
+    window.ShapeGrid = ShapeGrid;
+    window.ShapePuzzleGenerator = ShapePuzzleGenerator;
+    window.ShapePuzzle = ShapePuzzle;
+}
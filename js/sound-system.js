@@ -85,27 +85,14 @@ class SoundSystem {
                     celebration: 'assets/audio/voices/narrator/celebration.mp3'
                 },
                 
-                // Character Voices
+                // Library guardian
                 owl: {
                     greeting: 'assets/audio/voices/owl/greeting.mp3',
                     explanation: 'assets/audio/voices/owl/explanation.mp3',
                     encouragement: 'assets/audio/voices/owl/encouragement.mp3'
-                },
-                dragon: {
-                    greeting: 'assets/audio/voices/dragon/greeting.mp3',
-                    challenge: 'assets/audio/voices/dragon/challenge.mp3',
-                    celebration: 'assets/audio/voices/dragon/celebration.mp3'
-                },
-                wizard: {
-                    greeting: 'assets/audio/voices/wizard/greeting.mp3',
-                    spellCast: 'assets/audio/voices/wizard/spell-cast.mp3',
-                    wisdom: 'assets/audio/voices/wizard/wisdom.mp3'
-                },
-                mouse: {
-                    greeting: 'assets/audio/voices/mouse/greeting.mp3',
-                    adventure: 'assets/audio/voices/mouse/adventure.mp3',
-                    discovery: 'assets/audio/voices/mouse/discovery.mp3'
                 }
+                
+                // Companion voices are registered from gameData.characters[*].voiceClips
             },
             ambient: {
                 library: 'assets/audio/ambient/library-atmosphere.mp3',
@@ -194,6 +181,20 @@ class SoundSystem {
         console.log('📁 Audio structure prepared:', structure);
     }
 
+    /**
+     * Register voice clips for every companion defined in game data
+     */
+    registerCompanionVoices(companions) {
+        companions.forEach(companion => {
+            if (companion.voiceClips) {
+                this.audioLibrary.voices[companion.id] = {
+                    ...(this.audioLibrary.voices[companion.id] || {}),
+                    ...companion.voiceClips
+                };
+            }
+        });
+    }
+
     /**
      * Load audio settings from localStorage
      */
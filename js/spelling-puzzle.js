@@ -0,0 +1,714 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - SPELLING PUZZLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the spelling puzzle family that handles:
+ * - Word lists grouped by the phonics pattern they practise, from short
+ *   vowels in kindergarten to -tion and -ture endings in grade 5
+ * - Letter tiles children tap, drag or type into the boxes of a word
+ * - Letter-by-letter feedback on a spelling attempt
+ * - A picture clue, a sentence with the word left out and a button that
+ *   says the word aloud
+ *
+ * Spelling puzzle content (inline on a scene or generated):
+ *   {
+ *     subject: 'language',
+ *     skill: 'spelling',
+ *     question, answer: 'ship',
+ *     inputType: 'spelling',
+ *     letters: ['h', 'p', 's', 'i', 'a'],   // tiles to build it from (default: its own letters)
+ *     picture: '🚢',                        // optional picture clue
+ *     sentence: 'The ship sails across the sea.',   // shown with the word blanked out
+ *     spoken: true                          // offer to say the word aloud
+ *   }
+ *
+ * Spelling Philosophy:
+ * Spelling is hearing the sounds in a word and knowing which letters make
+ * them, so children hear the word, build it and see which letters landed.
+ */
+
+// Phonics pattern -> the grade it's taught in and words that practise it
+const SPELLING_PATTERNS = {
+    'short-vowels': {
+        grade: 'K',
+        label: 'Short vowels',
+        hint: 'Listen for the vowel in the middle: a, e, i, o or u.',
+        words: [
+            { word: 'cat', picture: '🐱', sentence: 'The cat naps in a sunny window.' },
+            { word: 'dog', picture: '🐶', sentence: 'The dog digs in the garden.' },
+            { word: 'pig', picture: '🐷', sentence: 'The pig rolls in the mud.' },
+            { word: 'sun', picture: '☀️', sentence: 'The sun shines on the library roof.' },
+            { word: 'bed', picture: '🛏️', sentence: 'Ruby reads a story in bed.' },
+            { word: 'bus', picture: '🚌', sentence: 'We ride the bus to the park.' },
+            { word: 'fox', picture: '🦊', sentence: 'A red fox hides in the forest.' },
+            { word: 'cup', picture: '☕', sentence: 'Sage sips tea from a cup.' }
+        ]
+    },
+    digraphs: {
+        grade: '1',
+        label: 'sh, ch, th and wh',
+        hint: 'Two letters can make one sound together, like s and h in "sh".',
+        words: [
+            { word: 'ship', picture: '🚢', sentence: 'The ship sails across the sea.' },
+            { word: 'fish', picture: '🐟', sentence: 'A fish swims in the pond.' },
+            { word: 'shell', picture: '🐚', sentence: 'Ruby found a shell on the beach.' },
+            { word: 'chick', picture: '🐤', sentence: 'The chick says cheep.' },
+            { word: 'bath', picture: '🛁', sentence: 'Scout splashes in the bath.' },
+            { word: 'teeth', picture: '🦷', sentence: 'Brush your teeth before bed.' },
+            { word: 'whale', picture: '🐳', sentence: 'A whale sings in the ocean.' }
+        ]
+    },
+    blends: {
+        grade: '1',
+        label: 'Consonant blends',
+        hint: 'Two consonants side by side keep both their sounds, like f-r in "frog".',
+        words: [
+            { word: 'frog', picture: '🐸', sentence: 'A frog hops onto a lily pad.' },
+            { word: 'drum', picture: '🥁', sentence: 'Scout bangs the drum.' },
+            { word: 'flag', picture: '🚩', sentence: 'A flag flaps on the castle tower.' },
+            { word: 'crab', picture: '🦀', sentence: 'A crab walks sideways on the sand.' },
+            { word: 'clock', picture: '🕐', sentence: 'The clock ticks on the wall.' },
+            { word: 'swan', picture: '🦢', sentence: 'A swan glides across the lake.' },
+            { word: 'tent', picture: '⛺', sentence: 'We sleep in a tent under the stars.' }
+        ]
+    },
+    'silent-e': {
+        grade: '2',
+        label: 'Silent e',
+        hint: 'A silent e at the end makes the vowel say its name.',
+        words: [
+            { word: 'cake', picture: '🎂', sentence: 'Ruby baked a cake for the party.' },
+            { word: 'bike', picture: '🚲', sentence: 'Scout rides his bike up the hill.' },
+            { word: 'kite', picture: '🪁', sentence: 'The kite flies high in the wind.' },
+            { word: 'rose', picture: '🌹', sentence: 'A red rose grows in the garden.' },
+            { word: 'bone', picture: '🦴', sentence: 'The dog buried a bone.' },
+            { word: 'cube', picture: '🧊', sentence: 'Drop an ice cube in the glass.' },
+            { word: 'plane', picture: '✈️', sentence: 'The plane flies above the clouds.' }
+        ]
+    },
+    'vowel-teams': {
+        grade: '2',
+        label: 'Vowel teams',
+        hint: 'Two vowels can team up to make one sound, like ai in "rain" or ee in "sheep".',
+        words: [
+            { word: 'rain', picture: '🌧️', sentence: 'The rain taps on the window.' },
+            { word: 'train', picture: '🚆', sentence: 'The train chugs up the mountain.' },
+            { word: 'sheep', picture: '🐑', sentence: 'A sheep eats grass on the hill.' },
+            { word: 'leaf', picture: '🍃', sentence: 'A leaf falls from the oak tree.' },
+            { word: 'boat', picture: '⛵', sentence: 'The boat floats on the lake.' },
+            { word: 'goat', picture: '🐐', sentence: 'The goat climbs the rocks.' },
+            { word: 'moon', picture: '🌙', sentence: 'The moon glows at night.' },
+            { word: 'seal', picture: '🦭', sentence: 'A seal claps its flippers.' }
+        ]
+    },
+    'r-controlled': {
+        grade: '3',
+        label: 'Vowels with r',
+        hint: 'An r after a vowel changes its sound: ar, er, ir, or, ur.',
+        words: [
+            { word: 'car', picture: '🚗', sentence: 'The car zooms down the road.' },
+            { word: 'bird', picture: '🐦', sentence: 'A bird sings in the tree.' },
+            { word: 'fork', picture: '🍴', sentence: 'Eat your peas with a fork.' },
+            { word: 'horse', picture: '🐴', sentence: 'The horse gallops across the field.' },
+            { word: 'shark', picture: '🦈', sentence: 'A shark swims deep in the sea.' },
+            { word: 'corn', picture: '🌽', sentence: 'Scout nibbles a cob of corn.' },
+            { word: 'girl', picture: '👧', sentence: 'The girl reads a book about dragons.' },
+            { word: 'turtle', picture: '🐢', sentence: 'A turtle carries its home on its back.' }
+        ]
+    },
+    diphthongs: {
+        grade: '3',
+        label: 'ou, ow, oi and oy',
+        hint: 'Some sounds slide from one vowel to another: ou, ow, oi, oy.',
+        words: [
+            { word: 'cloud', picture: '☁️', sentence: 'A fluffy cloud floats by.' },
+            { word: 'house', picture: '🏠', sentence: 'Ruby lives in a cosy house.' },
+            { word: 'mouse', picture: '🐭', sentence: 'Scout is a brave little mouse.' },
+            { word: 'owl', picture: '🦉', sentence: 'An owl hoots at night.' },
+            { word: 'crown', picture: '👑', sentence: 'The queen wears a golden crown.' },
+            { word: 'coin', picture: '🪙', sentence: 'Ruby found a shiny coin.' },
+            { word: 'boy', picture: '👦', sentence: 'The boy waves hello.' },
+            { word: 'toy', picture: '🧸', sentence: 'The teddy bear is Ruby\'s best toy.' }
+        ]
+    },
+    doubling: {
+        grade: '4',
+        label: 'Doubling before -ing and -ed',
+        hint: 'Short vowel and one consonant at the end? Double it before adding -ing or -ed.',
+        words: [
+            { word: 'running', picture: '🏃', sentence: 'Scout is running to the library.' },
+            { word: 'swimming', picture: '🏊', sentence: 'The children are swimming in the lake.' },
+            { word: 'hopping', picture: '🐇', sentence: 'The rabbit is hopping across the field.' },
+            { word: 'clapping', picture: '👏', sentence: 'Everyone is clapping for the show.' },
+            { word: 'shopping', picture: '🛍️', sentence: 'Ruby went shopping for new books.' },
+            { word: 'stopped', picture: '🛑', sentence: 'The bus stopped at the corner.' },
+            { word: 'digging', picture: '⛏️', sentence: 'The dog is digging a hole.' }
+        ]
+    },
+    'tricky-endings': {
+        grade: '5',
+        label: '-tion and -ture endings',
+        hint: '"shun" at the end of a word is usually spelled -tion, and "cher" is usually -ture.',
+        words: [
+            { word: 'station', picture: '🚉', sentence: 'The train pulls into the station.' },
+            { word: 'potion', picture: '🧪', sentence: 'Sage stirs a bubbling potion.' },
+            { word: 'picture', picture: '🖼️', sentence: 'Ruby painted a picture of the sea.' },
+            { word: 'adventure', picture: '🧭', sentence: 'Every book is a new adventure.' },
+            { word: 'creature', picture: '🐉', sentence: 'A strange creature lives in the cave.' },
+            { word: 'nature', picture: '🌿', sentence: 'Sage loves to walk in nature.' },
+            { word: 'question', picture: '❓', sentence: 'Scout has a question for Sage.' }
+        ]
+    }
+};
+
+// Patterns, extra tiles and clues per age group and difficulty
+const SPELLING_LEVELS = {
+    'ages4-6': {
+        patterns: {
+            easy: ['short-vowels'],
+            medium: ['short-vowels'],
+            hard: ['short-vowels', 'digraphs'],
+            expert: ['digraphs', 'blends']
+        },
+        // Letters in the tray that aren't in the word
+        extraTiles: { easy: 0, medium: 1, hard: 1, expert: 2 },
+        // Spell from the sentence and the spoken word alone
+        hidePicture: {}
+    },
+    'ages7-9': {
+        patterns: {
+            easy: ['digraphs', 'blends'],
+            medium: ['blends', 'silent-e'],
+            hard: ['silent-e', 'vowel-teams'],
+            expert: ['vowel-teams', 'r-controlled']
+        },
+        extraTiles: { easy: 1, medium: 2, hard: 2, expert: 3 },
+        hidePicture: {}
+    },
+    'ages10-12': {
+        patterns: {
+            easy: ['vowel-teams', 'r-controlled'],
+            medium: ['r-controlled', 'diphthongs'],
+            hard: ['diphthongs', 'doubling'],
+            expert: ['doubling', 'tricky-endings']
+        },
+        extraTiles: { easy: 2, medium: 2, hard: 3, expert: 4 },
+        hidePicture: { hard: true, expert: true }
+    }
+};
+
+// Letters to add to the tray when misspellings don't suggest any
+const SPELLING_EXTRA_LETTERS = 'aeioubdglmnprst';
+
+const SPELLING_HOSTS = [
+    { owner: 'Ruby', title: 'Ruby\'s Word Builder' },
+    { owner: 'Sage', title: 'Sage\'s Spelling Spell' },
+    { owner: 'Scout', title: 'Scout\'s Letter Tiles' }
+];
+
+const SPELLING_MAX_TRIES = 20;
+
+/**
+ * Letter Tiles
+ * A tray of letter tiles children tap, drag or type into the boxes of a word
+ */
+class LetterTiles {
+    constructor(options = {}) {
+        this.letters = (options.letters || []).map(letter => String(letter).toLowerCase());
+        this.length = options.length || this.letters.length;
+        this.label = options.label || 'Your word';
+        // The word and sentence to say aloud, and who says them
+        this.prompt = options.prompt || null;
+        this.speaker = options.speaker || null;
+        // Called with the letters placed so far whenever they change
+        this.onChange = options.onChange || null;
+        this.slots = new Array(this.length).fill(null); // Tile index in each box
+        this.tray = null;
+        this.slotRow = null;
+        this.status = null;
+    }
+
+    /**
+     * Mark each letter of an attempt as correct, wrong or missing against the word
+     */
+    static compareLetters(attempt, word) {
+        const given = String(attempt || '').toLowerCase();
+        return String(word).toLowerCase().split('').map((letter, i) => {
+            if (!given[i] || given[i] === ' ') return 'missing';
+            return given[i] === letter ? 'correct' : 'wrong';
+        });
+    }
+
+    /**
+     * Draw the boxes and tray into a container and start listening for taps, drags and keys
+     */
+    mount(container) {
+        const canSpeak = Boolean(this.prompt && this.speaker && this.speaker.isSupported());
+
+        container.innerHTML = `
+            <div class="letter-tiles" role="group" aria-label="${this.label}">
+                ${canSpeak ? '<button type="button" class="spelling-speak-btn">🔊 Hear the word</button>' : ''}
+                <div class="letter-slots" role="group" aria-label="Your word, ${this.length} letters">
+                    ${this.slots.map((_, i) => `
+                        <button type="button" class="letter-slot" draggable="true" data-slot="${i}"></button>
+                    `).join('')}
+                </div>
+                <div class="letter-tray" role="group" aria-label="Letter tiles">
+                    ${this.letters.map((letter, i) => `
+                        <button type="button" class="letter-tile" draggable="true" data-tile="${i}"
+                                aria-label="Letter ${letter.toUpperCase()}">${letter}</button>
+                    `).join('')}
+                </div>
+                <div class="letter-tiles-footer">
+                    <p class="letter-tiles-status" aria-live="polite"></p>
+                    <button type="button" class="letter-tiles-clear">Start again</button>
+                </div>
+            </div>
+        `;
+        this.tray = container.querySelector('.letter-tray');
+        this.slotRow = container.querySelector('.letter-slots');
+        this.status = container.querySelector('.letter-tiles-status');
+
+        this.tray.addEventListener('click', (e) => {
+            const tile = e.target.closest('[data-tile]');
+            if (tile) this.place(Number(tile.dataset.tile), null, true);
+        });
+        this.slotRow.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (slot) this.removeAt(Number(slot.dataset.slot));
+        });
+        container.querySelector('.letter-tiles').addEventListener('keydown', (e) => this.handleKeydown(e));
+        container.querySelector('.letter-tiles-clear').addEventListener('click', () => this.clear());
+        if (canSpeak) {
+            container.querySelector('.spelling-speak-btn').addEventListener('click', () => this.speak());
+        }
+
+        container.addEventListener('dragstart', (e) => {
+            const tile = e.target.closest('[data-tile], [data-slot]');
+            if (!tile) return;
+            const data = tile.dataset.tile !== undefined ? `tile:${tile.dataset.tile}` : `slot:${tile.dataset.slot}`;
+            e.dataTransfer.setData('text/plain', data);
+            tile.classList.add('dragging');
+        });
+        container.addEventListener('dragend', (e) => {
+            const tile = e.target.closest('[data-tile], [data-slot]');
+            if (tile) tile.classList.remove('dragging');
+        });
+        // Drop tiles on a box to place them there, or back on the tray to take them out
+        this.slotRow.addEventListener('dragover', (e) => e.preventDefault());
+        this.slotRow.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const slot = e.target.closest('[data-slot]');
+            const [dragged, index] = e.dataTransfer.getData('text/plain').split(':');
+            if (!slot) return;
+            if (dragged === 'tile') this.place(Number(index), Number(slot.dataset.slot));
+            if (dragged === 'slot') this.swap(Number(index), Number(slot.dataset.slot));
+        });
+        this.tray.addEventListener('dragover', (e) => e.preventDefault());
+        this.tray.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const [dragged, index] = e.dataTransfer.getData('text/plain').split(':');
+            if (dragged === 'slot') this.removeAt(Number(index));
+        });
+
+        this.render();
+        return this;
+    }
+
+    /**
+     * Say the word, then the sentence it's used in
+     */
+    speak() {
+        if (!this.prompt || !this.speaker) return;
+        const { word, sentence } = this.prompt;
+        this.speaker.speak(sentence ? `${word}. ${sentence} ${word}.` : word);
+    }
+
+    /**
+     * Typing a letter places its tile; Backspace takes the last letter out;
+     * Enter or Space presses a tile or box; the arrow keys move along a row
+     */
+    handleKeydown(event) {
+        const target = event.target.closest('[data-tile], [data-slot]');
+        const key = event.key;
+
+        if (/^[a-z]$/i.test(key) && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            const tile = this.findTile(key.toLowerCase());
+            if (tile === null) return;
+            this.place(tile);
+        } else if (key === 'Backspace' || key === 'Delete') {
+            const slot = target && target.dataset.slot !== undefined && this.slots[target.dataset.slot] !== null
+                ? Number(target.dataset.slot)
+                : this.slots.map((tile, i) => (tile === null ? -1 : i)).reduce((last, i) => Math.max(last, i), -1);
+            if (slot < 0) return;
+            this.removeAt(slot);
+        } else if ((key === 'Enter' || key === ' ') && target) {
+            if (target.dataset.tile !== undefined) {
+                this.place(Number(target.dataset.tile), null, true);
+            } else {
+                this.removeAt(Number(target.dataset.slot));
+            }
+        } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && target) {
+            const row = Array.from(target.parentElement.querySelectorAll('button:not(.used)'));
+            const next = row[row.indexOf(target) + (key === 'ArrowRight' ? 1 : -1)];
+            if (next) next.focus();
+        } else {
+            return;
+        }
+
+        event.preventDefault();
+        // Keep Enter, letters and the arrow keys on the tiles instead of the puzzle's shortcuts
+        event.stopPropagation();
+    }
+
+    /**
+     * The first tile in the tray with a letter, or null
+     */
+    findTile(letter) {
+        const index = this.letters.findIndex((tileLetter, i) => tileLetter === letter && !this.slots.includes(i));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Put a tile in a box, or the first empty box; a tile already there goes back to the tray
+     */
+    place(tile, slot = null, keepFocus = false) {
+        if (tile < 0 || tile >= this.letters.length) return;
+
+        const target = slot === null ? this.slots.indexOf(null) : slot;
+        if (target < 0 || target >= this.length) return;
+
+        const from = this.slots.indexOf(tile);
+        if (from !== -1) this.slots[from] = null;
+        this.slots[target] = tile;
+        this.changed();
+
+        if (keepFocus && this.tray) {
+            // Stay in the tray so the next letter is one press away
+            const next = this.tray.querySelector('.letter-tile:not(.used)');
+            (next || this.slotRow.querySelector('.letter-slot')).focus();
+        }
+    }
+
+    /**
+     * Swap the tiles in two boxes
+     */
+    swap(from, to) {
+        if (from === to) return;
+        [this.slots[from], this.slots[to]] = [this.slots[to], this.slots[from]];
+        this.changed();
+    }
+
+    /**
+     * Take the tile in a box back to the tray
+     */
+    removeAt(slot) {
+        if (this.slots[slot] === null || this.slots[slot] === undefined) return;
+        this.slots[slot] = null;
+        this.changed();
+    }
+
+    /**
+     * Put every tile back in the tray
+     */
+    clear() {
+        this.slots.fill(null);
+        this.changed();
+    }
+
+    /**
+     * Redraw after the word changes and tell the listener
+     */
+    changed() {
+        this.render();
+        if (this.onChange) this.onChange(this.getAnswer());
+    }
+
+    /**
+     * The letters in the boxes, with a space for each empty box
+     */
+    getSpelling() {
+        return this.slots.map(tile => (tile === null ? ' ' : this.letters[tile])).join('');
+    }
+
+    /**
+     * Get the word built so far, or null while every box is empty
+     */
+    getAnswer() {
+        const spelling = this.getSpelling();
+        return spelling.trim() === '' ? null : spelling.replace(/ /g, '');
+    }
+
+    /**
+     * Colour each box by whether its letter is right, and say how many are
+     */
+    showFeedback(word) {
+        const marks = LetterTiles.compareLetters(this.getSpelling(), word);
+        const names = { correct: 'right', wrong: 'not right yet', missing: 'empty' };
+
+        this.slotRow.querySelectorAll('[data-slot]').forEach((slot, i) => {
+            slot.classList.add(marks[i]);
+            slot.setAttribute('aria-label', `Letter ${i + 1}: ${slot.textContent || 'empty'}, ${names[marks[i]]}`);
+        });
+        const correct = marks.filter(mark => mark === 'correct').length;
+        this.status.textContent = `${correct} of ${marks.length} letters are in the right place.`;
+
+        return marks;
+    }
+
+    /**
+     * Redraw the boxes, the tray and the status line
+     */
+    render() {
+        if (!this.slotRow) return;
+
+        this.slotRow.querySelectorAll('[data-slot]').forEach((slot, i) => {
+            const tile = this.slots[i];
+            const letter = tile === null ? '' : this.letters[tile];
+            slot.textContent = letter;
+            slot.className = `letter-slot${letter ? ' filled' : ''}`;
+            slot.setAttribute('aria-label', letter
+                ? `Letter ${i + 1}: ${letter.toUpperCase()}, press to take it out`
+                : `Letter ${i + 1}: empty`);
+        });
+        this.tray.querySelectorAll('[data-tile]').forEach(tile => {
+            tile.classList.toggle('used', this.slots.includes(Number(tile.dataset.tile)));
+        });
+
+        const spelling = this.getSpelling();
+        this.status.textContent = spelling.trim() === ''
+            ? 'Tap, drag or type letters to build the word.'
+            : `Your word so far: ${spelling.split('').map(letter => (letter === ' ' ? 'blank' : letter.toUpperCase())).join(', ')}`;
+    }
+}
+
+/**
+ * Spelling Puzzle Generator
+ * Picks words by phonics pattern and builds their letter tiles for an age group
+ */
+class SpellingPuzzleGenerator {
+    constructor(options = {}) {
+        this.levels = options.levels || SPELLING_LEVELS;
+        this.patterns = options.patterns || SPELLING_PATTERNS;
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Spelling is the family's only skill
+     */
+    pickSkill() {
+        return 'spelling';
+    }
+
+    /**
+     * Generate a fresh spelling puzzle config
+     */
+    generate(skill, ageGroup, difficulty = 'medium') {
+        if (skill !== 'spelling') {
+            throw new Error(`Unknown spelling skill "${skill}"`);
+        }
+        return this.buildSpelling(ageGroup, difficulty);
+    }
+
+    /**
+     * Get the levels for an age group, falling back to ages 7-9
+     */
+    getLevel(ageGroup) {
+        return this.levels[ageGroup] || this.levels['ages7-9'];
+    }
+
+    /**
+     * Spell a word from a pattern the age group is learning
+     */
+    buildSpelling(ageGroup, difficulty) {
+        const level = this.getLevel(ageGroup);
+        const patternId = this.pick(level.patterns[difficulty] || level.patterns.medium);
+        const pattern = this.patterns[patternId];
+        const entry = this.pick(pattern.words);
+        const word = entry.word;
+        const distractors = DistractorGenerator.forSpelling({ answer: word }, Infinity);
+        const showPicture = !level.hidePicture[difficulty];
+        const host = this.pick(SPELLING_HOSTS);
+
+        return {
+            subtype: 'spelling',
+            title: host.title,
+            question: showPicture
+                ? `${host.owner} needs the word for this picture. Build it from the letter tiles!`
+                : `Listen to the word and read the sentence, then build the word from the letter tiles!`,
+            correctAnswer: word,
+            inputType: 'spelling',
+            letters: this.makeTiles(word, level.extraTiles[difficulty] || 0, distractors),
+            picture: showPicture ? entry.picture : null,
+            sentence: entry.sentence,
+            spoken: true,
+            pattern: patternId,
+            distractors,
+            hints: [
+                `Say "${word}" slowly and listen for each sound.`,
+                pattern.hint,
+                `It starts with "${word[0]}" and has ${word.length} letters.`
+            ]
+        };
+    }
+
+    /**
+     * Shuffle a word's letters with some extra tiles, never in the right order
+     *
+     * Extra letters come from the word's misspellings first, so the tray
+     * holds the tiles a child is most likely to reach for by mistake.
+     */
+    makeTiles(word, extraCount = 0, distractors = []) {
+        const letters = String(word).toLowerCase().split('');
+        const tempting = distractors
+            .flatMap(distractor => String(distractor.value).split(''))
+            .filter(letter => !letters.includes(letter));
+        const extras = [...new Set([...tempting, ...this.shuffle(SPELLING_EXTRA_LETTERS.split(''))])]
+            .filter(letter => !letters.includes(letter))
+            .slice(0, extraCount);
+
+        let tiles = this.shuffle([...letters, ...extras]);
+        for (let tries = 0; tiles.join('').startsWith(letters.join('')) && tiles.length > 1 && tries < SPELLING_MAX_TRIES; tries++) {
+            tiles = this.shuffle(tiles);
+        }
+        return tiles;
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Shuffled copy of a list
+     */
+    shuffle(list) {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Spelling Puzzle Class
+ * A language puzzle answered by building a word from letter tiles
+ */
+class SpellingPuzzle extends LanguagePuzzle {
+    constructor(config) {
+        super({ languageSkill: 'spelling', ...config });
+        this.inputType = config.inputType || 'spelling';
+        this.letters = config.letters || new SpellingPuzzleGenerator({ random: config.random }).makeTiles(config.correctAnswer || '');
+        this.picture = config.picture || null;
+        this.sentence = config.sentence || null;
+        this.spoken = config.spoken !== false;
+        this.pattern = config.pattern || null;
+    }
+
+    /**
+     * Spellings match whatever their capitals
+     */
+    checkAnswer(answer) {
+        return String(answer || '').trim().toLowerCase() === String(this.correctAnswer).toLowerCase();
+    }
+
+    /**
+     * Mark each letter of an attempt as correct, wrong or missing
+     */
+    getLetterFeedback(answer) {
+        return LetterTiles.compareLetters(answer, this.correctAnswer);
+    }
+
+    /**
+     * The clue sentence with the word blanked out
+     */
+    getBlankedSentence() {
+        if (!this.sentence) return null;
+        return this.sentence.replace(new RegExp(`\\b${this.correctAnswer}\\b`, 'i'), '_____');
+    }
+
+    /**
+     * The word and sentence for the tiles to say aloud, or null if the puzzle isn't spoken
+     */
+    getSpokenPrompt() {
+        return this.spoken ? { word: this.correctAnswer, sentence: this.sentence } : null;
+    }
+
+    /**
+     * Generate the picture and sentence clues
+     */
+    generateVisualAids() {
+        const sentence = this.getBlankedSentence();
+        if (!this.picture && !sentence) return '';
+
+        return `
+            <div class="spelling-visual-aids">
+                ${this.picture ? `<div class="spelling-picture" role="img" aria-label="Picture clue">${this.picture}</div>` : ''}
+                ${sentence ? `<p class="spelling-sentence">${sentence}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate answer interface for spelling problems
+     */
+    generateAnswerInterface() {
+        // The tiles are drawn and wired up by LetterTiles.mount once on the page
+        return `
+            <div class="answer-interface spelling-input"
+                 data-letters="${this.letters.join(',')}"
+                 data-length="${String(this.correctAnswer).length}"></div>
+        `;
+    }
+
+    /**
+     * Pick the spelling skill to practise next for an age group
+     */
+    static pickSkill(ageGroup, random = Math.random) {
+        return new SpellingPuzzleGenerator({ random }).pickSkill(ageGroup);
+    }
+
+    /**
+     * Create a freshly generated, age-appropriate spelling puzzle
+     */
+    static createAgePuzzle(ageGroup, difficulty = 'medium', options = {}) {
+        const generator = new SpellingPuzzleGenerator(options);
+        const skill = options.skill || generator.pickSkill(ageGroup);
+        const selected = generator.generate(skill, ageGroup, difficulty);
+
+        return new SpellingPuzzle({
+            id: `spelling-${Date.now()}`,
+            type: 'language',
+            ageGroup: ageGroup,
+            difficulty: difficulty,
+            random: options.random,
+            maxAttempts: 3,
+            metadata: { subject: 'language', skill: selected.subtype },
+            ...selected
+        });
+    }
+}
+
+// Spelling puzzles are language puzzles; the router passes these content fields through
+SpellingPuzzle.SUBJECT = 'language';
+SpellingPuzzle.CONTENT_FIELDS = ['inputType', 'letters', 'picture', 'sentence', 'spoken', 'pattern'];
+SpellingPuzzle.SKILLS = ['spelling'];
+SpellingPuzzleGenerator.LEVELS = SPELLING_LEVELS;
+SpellingPuzzleGenerator.PATTERNS = SPELLING_PATTERNS;
+
+// Export classes for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LetterTiles,
+        SpellingPuzzleGenerator,
+        SpellingPuzzle
+    };
+} else {
+    window.LetterTiles = LetterTiles;
+    window.SpellingPuzzleGenerator = SpellingPuzzleGenerator;
+    window.SpellingPuzzle = SpellingPuzzle;
+}
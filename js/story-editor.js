@@ -0,0 +1,725 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - STORY EDITOR
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the in-browser authoring tool (story-editor.html) that handles:
+ * - Loading STORY_SCENES and gameData.json into one editable story document
+ * - Drawing the scene graph as nodes and links
+ * - Editing scene text, choices and puzzle fields
+ * - Validating every edit with StoryValidator
+ * - Previewing a scene live in the real game through SceneManager
+ * - Exporting gameData.json and the unified story document
+ *
+ * Everything stays on the author's machine: files are opened with a file
+ * picker and exported as downloads.
+ *
+ * Authoring Philosophy:
+ * Writers should see a broken link the moment they make it, not when a
+ * child reaches it.
+ */
+
+// Node graph layout in SVG units
+const EDITOR_GRAPH_LAYOUT = {
+    nodeWidth: 170,
+    nodeHeight: 44,
+    columnGap: 60,
+    rowGap: 18,
+    padding: 20
+};
+
+// Scene type -> node fill colour
+const EDITOR_NODE_COLORS = {
+    story: '#DBEAFE',
+    puzzle: '#FEF3C7',
+    characterSelect: '#EDE9FE',
+    celebration: '#D1FAE5'
+};
+
+const EDITOR_INPUT_TYPES = ['', 'number', 'text', 'matching', 'ordering', 'clock', 'money', 'fraction', 'grid', 'spelling', 'questions'];
+
+// How many seconds to wait for the preview game to finish loading
+const EDITOR_PREVIEW_RETRIES = 10;
+
+class StoryEditor {
+    constructor(root = document) {
+        this.elements = {
+            graph: root.getElementById('editor-graph'),
+            form: root.getElementById('editor-form'),
+            issues: root.getElementById('editor-issues'),
+            status: root.getElementById('editor-status'),
+            fileInput: root.getElementById('editor-file'),
+            preview: root.getElementById('editor-preview'),
+            previewButton: root.getElementById('editor-preview-scene'),
+            exportGameDataButton: root.getElementById('editor-export-gamedata'),
+            exportStoryButton: root.getElementById('editor-export-story')
+        };
+
+        this.gameData = { storyPaths: {}, puzzles: {}, characters: {}, achievements: {} };
+        this.storyDocument = null;
+        this.report = null;
+        this.selectedSceneId = null;
+        this.puzzleLevel = 'easy';
+    }
+
+    /**
+     * Wire up the toolbar and load the bundled story content
+     */
+    async initialize() {
+        this.elements.fileInput.addEventListener('change', (e) => this.openFile(e.target.files[0]));
+        this.elements.previewButton.addEventListener('click', () => this.previewScene());
+        this.elements.exportGameDataButton.addEventListener('click', () => this.exportGameData());
+        this.elements.exportStoryButton.addEventListener('click', () => this.exportStoryDocument());
+
+        try {
+            const response = await fetch('assets/data/gameData.json');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.loadGameData(await response.json());
+        } catch (error) {
+            console.warn('✏️ Could not fetch gameData.json:', error);
+            this.loadGameData(this.gameData);
+            this.showStatus('Open gameData.json to edit the story paths.', 'warning');
+        }
+    }
+
+    /**
+     * Open a gameData.json or story document chosen by the author
+     */
+    openFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const content = JSON.parse(reader.result);
+
+                if (content.schemaVersion !== undefined) {
+                    this.storyDocument = StoryEditor.clone(new StoryLoader().load(content, file.name).toJSON());
+                    this.selectedSceneId = null;
+                    this.refresh();
+                } else if (content.storyPaths) {
+                    this.loadGameData(content);
+                } else {
+                    throw new Error('expected gameData.json or a story document');
+                }
+
+                this.showStatus(`Opened ${file.name}`, 'success');
+            } catch (error) {
+                this.showStatus(`Could not open ${file.name}: ${error.message}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Merge STORY_SCENES and game data into the editable story document
+     */
+    loadGameData(gameData) {
+        this.gameData = StoryEditor.clone(gameData);
+        this.gameData.puzzles = this.gameData.puzzles || {};
+
+        const storyGraph = new StoryLoader();
+        if (typeof STORY_SCENES !== 'undefined') {
+            storyGraph.load(STORY_SCENES, 'scenes.js');
+        }
+        storyGraph.load(this.gameData, 'gameData.json');
+
+        this.storyDocument = StoryEditor.clone(storyGraph.toJSON());
+        this.selectedSceneId = null;
+        this.refresh();
+    }
+
+    /**
+     * Build a story graph from the current edits
+     */
+    buildStoryGraph() {
+        return new StoryLoader().load(this.storyDocument, 'editor');
+    }
+
+    /**
+     * Validate the current edits
+     */
+    validate() {
+        return new StoryValidator(this.buildStoryGraph(), {
+            puzzles: this.gameData.puzzles,
+            characters: this.gameData.characters,
+            achievements: this.gameData.achievements
+        }).validate();
+    }
+
+    /**
+     * Re-validate and redraw everything except the form being typed in
+     */
+    refresh(options = {}) {
+        this.report = this.validate();
+        this.renderGraph();
+        this.renderIssues();
+
+        if (options.form !== false) {
+            this.renderSceneForm();
+        }
+    }
+
+    /**
+     * Place scenes in columns by their distance from an entry scene
+     */
+    layoutGraph(storyGraph) {
+        const depths = {};
+        const queue = this.report.entryScenes
+            .filter(sceneId => storyGraph.hasScene(sceneId))
+            .map(sceneId => ({ sceneId, depth: 0 }));
+
+        while (queue.length > 0) {
+            const { sceneId, depth } = queue.shift();
+            if (depths[sceneId] !== undefined) continue;
+            depths[sceneId] = depth;
+
+            this.getSceneLinks(storyGraph, sceneId).forEach(target => {
+                if (depths[target] === undefined) {
+                    queue.push({ sceneId: target, depth: depth + 1 });
+                }
+            });
+        }
+
+        // Unreachable scenes get a column of their own at the end
+        const lastColumn = Math.max(0, ...Object.values(depths)) + 1;
+        const columns = {};
+        Object.keys(storyGraph.scenes).forEach(sceneId => {
+            const column = depths[sceneId] !== undefined ? depths[sceneId] : lastColumn;
+            (columns[column] = columns[column] || []).push(sceneId);
+        });
+
+        const { nodeWidth, nodeHeight, columnGap, rowGap, padding } = EDITOR_GRAPH_LAYOUT;
+        const positions = {};
+        Object.entries(columns).forEach(([column, sceneIds]) => {
+            sceneIds.forEach((sceneId, row) => {
+                positions[sceneId] = {
+                    x: padding + column * (nodeWidth + columnGap),
+                    y: padding + row * (nodeHeight + rowGap)
+                };
+            });
+        });
+
+        return positions;
+    }
+
+    /**
+     * Get the scenes a scene links to, skipping missing targets
+     */
+    getSceneLinks(storyGraph, sceneId) {
+        const scene = storyGraph.getScene(sceneId);
+        const targets = scene.choices.map(choice => choice.next);
+        targets.push(scene.success, scene.failure, storyGraph.getNextSceneId(sceneId));
+
+        return [...new Set(targets)].filter(target => target && storyGraph.hasScene(target));
+    }
+
+    /**
+     * Draw the scene graph as SVG nodes and links
+     */
+    renderGraph() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const storyGraph = this.buildStoryGraph();
+        const positions = this.layoutGraph(storyGraph);
+        const { nodeWidth, nodeHeight, padding } = EDITOR_GRAPH_LAYOUT;
+        const scenesWithErrors = new Set(this.report.errors.map(issue => issue.sceneId));
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        const positionList = Object.values(positions);
+        const width = Math.max(0, ...positionList.map(position => position.x)) + nodeWidth + padding;
+        const height = Math.max(0, ...positionList.map(position => position.y)) + nodeHeight + padding;
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('role', 'list');
+        svg.setAttribute('aria-label', 'Story scenes');
+
+        // Links first so nodes sit on top of them
+        Object.keys(storyGraph.scenes).forEach(sceneId => {
+            const from = positions[sceneId];
+            this.getSceneLinks(storyGraph, sceneId).forEach(target => {
+                const to = positions[target];
+                const link = document.createElementNS(svgNS, 'line');
+                link.setAttribute('x1', from.x + nodeWidth);
+                link.setAttribute('y1', from.y + nodeHeight / 2);
+                link.setAttribute('x2', to.x);
+                link.setAttribute('y2', to.y + nodeHeight / 2);
+                link.setAttribute('class', 'graph-link');
+                svg.appendChild(link);
+            });
+        });
+
+        Object.values(storyGraph.scenes).forEach(scene => {
+            const { x, y } = positions[scene.id];
+            const node = document.createElementNS(svgNS, 'g');
+            node.setAttribute('class', 'graph-node' +
+                (scene.id === this.selectedSceneId ? ' selected' : '') +
+                (scenesWithErrors.has(scene.id) ? ' has-errors' : ''));
+            node.setAttribute('transform', `translate(${x}, ${y})`);
+            node.setAttribute('role', 'listitem');
+            node.setAttribute('tabindex', '0');
+            node.setAttribute('aria-label', `${scene.id} (${scene.type})`);
+
+            const box = document.createElementNS(svgNS, 'rect');
+            box.setAttribute('width', nodeWidth);
+            box.setAttribute('height', nodeHeight);
+            box.setAttribute('rx', 8);
+            box.setAttribute('fill', EDITOR_NODE_COLORS[scene.type] || '#F3F4F6');
+            node.appendChild(box);
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', 8);
+            label.setAttribute('y', 18);
+            label.textContent = scene.id;
+            node.appendChild(label);
+
+            const type = document.createElementNS(svgNS, 'text');
+            type.setAttribute('x', 8);
+            type.setAttribute('y', 34);
+            type.setAttribute('class', 'graph-node-type');
+            type.textContent = scene.path ? `${scene.type} · ${scene.path}` : scene.type;
+            node.appendChild(type);
+
+            node.addEventListener('click', () => this.selectScene(scene.id));
+            node.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.selectScene(scene.id);
+                }
+            });
+
+            svg.appendChild(node);
+        });
+
+        this.elements.graph.replaceChildren(svg);
+    }
+
+    /**
+     * List validation errors and warnings
+     */
+    renderIssues() {
+        const list = document.createElement('ul');
+        const issues = [...this.report.errors, ...this.report.warnings];
+
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `issue issue-${issue.severity}`;
+
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'issue-scene';
+            link.textContent = issue.sceneId;
+            link.addEventListener('click', () => {
+                if (this.storyDocument.scenes[issue.sceneId]) {
+                    this.selectScene(issue.sceneId);
+                }
+            });
+
+            item.append(link, ` [${issue.code}] ${issue.message}`);
+            list.appendChild(item);
+        });
+
+        const summary = document.createElement('p');
+        summary.textContent = this.report.valid ?
+            `✅ Story is valid (${this.report.warnings.length} warnings)` :
+            `💥 ${this.report.errors.length} errors, ${this.report.warnings.length} warnings`;
+
+        this.elements.issues.replaceChildren(summary, list);
+    }
+
+    /**
+     * Select a scene for editing
+     */
+    selectScene(sceneId) {
+        this.selectedSceneId = sceneId;
+        this.renderGraph();
+        this.renderSceneForm();
+    }
+
+    /**
+     * Build the edit form for the selected scene
+     */
+    renderSceneForm() {
+        const form = this.elements.form;
+        const scene = this.storyDocument.scenes[this.selectedSceneId];
+
+        if (!scene) {
+            const hint = document.createElement('p');
+            hint.textContent = 'Select a scene in the graph to edit it.';
+            form.replaceChildren(hint);
+            this.elements.previewButton.disabled = true;
+            return;
+        }
+
+        this.elements.previewButton.disabled = false;
+
+        const heading = document.createElement('h2');
+        heading.textContent = scene.id;
+
+        form.replaceChildren(
+            heading,
+            this.createSelectField('Type', scene.type, StoryLoader.SCENE_TYPES, value => this.updateField(scene, 'type', value, { form: true })),
+            this.createField('Title', scene.title, value => this.updateField(scene, 'title', value)),
+            this.createField('Location', scene.location, value => this.updateField(scene, 'location', value)),
+            this.createField('Text', scene.text, value => this.updateField(scene, 'text', value), { multiline: true }),
+            this.createField('Character dialogue', scene.characterDialogue || '', value => this.updateField(scene, 'characterDialogue', value || null), { multiline: true }),
+            this.createField('Background', scene.background || '', value => this.updateField(scene, 'background', value || null)),
+            this.createField('Character', scene.character || '', value => this.updateField(scene, 'character', value || null)),
+            this.createField('Continue to', scene.next || '', value => this.updateField(scene, 'next', value || null)),
+            this.renderChoiceFields(scene)
+        );
+
+        if (scene.type === 'puzzle') {
+            form.appendChild(this.renderPuzzleFields(scene));
+        }
+    }
+
+    /**
+     * Build the editable choice list
+     */
+    renderChoiceFields(scene) {
+        const fieldset = this.createFieldset('Choices');
+
+        scene.choices.forEach((choice, index) => {
+            const row = document.createElement('div');
+            row.className = 'choice-row';
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', `Remove choice ${index + 1}`);
+            remove.addEventListener('click', () => {
+                scene.choices.splice(index, 1);
+                this.refresh();
+            });
+
+            row.append(
+                this.createField(`Choice ${index + 1} text`, choice.text, value => this.updateField(choice, 'text', value)),
+                this.createField('Next scene', choice.next || '', value => this.updateField(choice, 'next', value || null)),
+                this.createField('Condition', choice.condition || '', value => {
+                    if (value) {
+                        this.updateField(choice, 'condition', value);
+                    } else {
+                        delete choice.condition;
+                        this.refresh({ form: false });
+                    }
+                }),
+                remove
+            );
+            fieldset.appendChild(row);
+        });
+
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.textContent = 'Add choice';
+        add.addEventListener('click', () => {
+            scene.choices.push({ text: 'New choice', next: null, onChoice: [] });
+            this.refresh();
+        });
+        fieldset.appendChild(add);
+
+        return fieldset;
+    }
+
+    /**
+     * Build the puzzle fields for an inline or shared puzzle
+     */
+    renderPuzzleFields(scene) {
+        const fieldset = this.createFieldset('Puzzle');
+
+        fieldset.append(
+            this.createField('Success scene', scene.success || '', value => this.updateField(scene, 'success', value || null)),
+            this.createField('Failure scene', scene.failure || '', value => this.updateField(scene, 'failure', value || null)),
+            this.createField('Max attempts', scene.maxAttempts, value => this.updateField(scene, 'maxAttempts', Number(value)), { type: 'number' })
+        );
+
+        let definition = null;
+        let content = null;
+
+        if (scene.puzzleId) {
+            definition = this.gameData.puzzles[scene.puzzleId];
+            fieldset.appendChild(this.createSelectField('Shared puzzle', scene.puzzleId, Object.keys(this.gameData.puzzles), value => this.updateField(scene, 'puzzleId', value, { form: true })));
+
+            if (definition) {
+                const levels = Object.keys(definition.difficulty || {});
+                if (!levels.includes(this.puzzleLevel)) this.puzzleLevel = levels[0];
+
+                fieldset.appendChild(this.createSelectField('Difficulty', this.puzzleLevel, levels, value => {
+                    this.puzzleLevel = value;
+                    this.renderSceneForm();
+                }));
+                content = definition.difficulty[this.puzzleLevel];
+            }
+        } else {
+            scene.puzzle = scene.puzzle || { question: '', answer: '', options: [] };
+            definition = scene.puzzle;
+            content = scene.puzzle;
+        }
+
+        if (definition) {
+            fieldset.append(
+                this.createSelectField('Subject', definition.subject || '', ['', ...PuzzleRouter.SUBJECTS], value => this.updateField(definition, 'subject', value)),
+                this.createField('Skill', definition.skill || '', value => this.updateField(definition, 'skill', value)),
+                this.createField('Standard', definition.standard || '', value => this.updateField(definition, 'standard', value))
+            );
+        }
+
+        if (content) {
+            fieldset.append(
+                this.createField('Question', content.question || '', value => this.updateField(content, 'question', value), { multiline: true }),
+                this.createField('Answer', StoryEditor.formatList(content.answer), value => this.updateField(content, 'answer', StoryEditor.parseAnswer(value, content))),
+                this.createField('Options (comma separated)', StoryEditor.formatList(content.options), value => this.updatePuzzleOptions(content, value)),
+                this.createSelectField('Input type', content.inputType || '', EDITOR_INPUT_TYPES, value => {
+                    if (value) {
+                        this.updateField(content, 'inputType', value);
+                    } else {
+                        delete content.inputType;
+                        this.refresh({ form: false });
+                    }
+                }),
+                this.createField('Hint', content.hint || '', value => this.updateField(content, 'hint', value), { multiline: true })
+            );
+        }
+
+        return fieldset;
+    }
+
+    /**
+     * Apply an edit to a scene, choice or puzzle and re-validate
+     */
+    updateField(target, field, value, options = {}) {
+        target[field] = value;
+        this.refresh({ form: Boolean(options.form) });
+    }
+
+    /**
+     * Apply an options edit, keeping numeric options as numbers
+     */
+    updatePuzzleOptions(content, value) {
+        if (value.trim()) {
+            content.options = StoryEditor.parseList(value);
+        } else {
+            delete content.options;
+        }
+        this.refresh({ form: false });
+    }
+
+    /**
+     * Create a labelled text input or textarea
+     */
+    createField(labelText, value, onChange, options = {}) {
+        const label = document.createElement('label');
+        label.className = 'editor-field';
+        label.append(labelText);
+
+        const input = document.createElement(options.multiline ? 'textarea' : 'input');
+        if (!options.multiline) input.type = options.type || 'text';
+        input.value = value === null || value === undefined ? '' : value;
+        input.addEventListener('change', () => onChange(input.value));
+
+        label.appendChild(input);
+        return label;
+    }
+
+    /**
+     * Create a labelled select
+     */
+    createSelectField(labelText, value, values, onChange) {
+        const label = document.createElement('label');
+        label.className = 'editor-field';
+        label.append(labelText);
+
+        const select = document.createElement('select');
+        values.forEach(optionValue => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionValue || '(none)';
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+
+        label.appendChild(select);
+        return label;
+    }
+
+    /**
+     * Create a fieldset with a legend
+     */
+    createFieldset(legendText) {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = legendText;
+        fieldset.appendChild(legend);
+        return fieldset;
+    }
+
+    /**
+     * Preview the selected scene in the game running in the preview frame
+     */
+    previewScene(attempt = 0) {
+        let game = null;
+        try {
+            game = this.elements.preview.contentWindow.enchantedLibraryGame;
+        } catch (error) {
+            // The preview frame is only reachable when served from a local web server
+        }
+
+        if (!game || !game.sceneManager || game.gameState.currentScreen === 'loading') {
+            if (attempt >= EDITOR_PREVIEW_RETRIES) {
+                this.showStatus('The preview did not load. Serve the project locally (see README) and reload the editor.', 'error');
+                return;
+            }
+            this.showStatus('The preview is still loading, trying again shortly…', 'warning');
+            setTimeout(() => this.previewScene(attempt + 1), 1000);
+            return;
+        }
+
+        const scene = this.storyDocument.scenes[this.selectedSceneId];
+        game.gameData = StoryEditor.clone(this.gameData);
+        game.storyGraph = this.buildStoryGraph();
+
+        // Previews must never overwrite the player's saved adventure
+        game.gameState.gameStarted = false;
+        if (!game.gameState.player.character && scene.character) {
+            game.gameState.player.character = scene.character;
+        }
+
+        game.sceneManager.loadScene(scene.id, { recordHistory: false });
+        this.showStatus(`Previewing ${scene.id}`, 'success');
+    }
+
+    /**
+     * Download gameData.json with the edited story paths and puzzles
+     */
+    exportGameData() {
+        const gameData = StoryEditor.clone(this.gameData);
+        gameData.storyPaths = gameData.storyPaths || {};
+
+        Object.entries(this.storyDocument.paths).forEach(([pathId, path]) => {
+            if (!gameData.storyPaths[pathId]) return;
+
+            gameData.storyPaths[pathId].scenes = path.scenes.map((sceneId, index) => {
+                const scene = StoryEditor.compactScene(this.storyDocument.scenes[sceneId]);
+
+                // Continue links that follow path order are implied
+                const followingScene = path.scenes[index + 1] || StoryLoader.PATH_END;
+                if (scene.next === followingScene && !scene.choices) {
+                    delete scene.next;
+                }
+                return scene;
+            });
+        });
+
+        this.downloadJSON(gameData, 'gameData.json');
+
+        if (Object.values(this.storyDocument.scenes).some(scene => !scene.path)) {
+            this.showStatus('Exported gameData.json. Scenes from scenes.js are only included in the story document export.', 'warning');
+        }
+    }
+
+    /**
+     * Download the whole edited graph as a unified story document
+     */
+    exportStoryDocument() {
+        this.downloadJSON(this.buildStoryGraph().toJSON(), 'story.json');
+    }
+
+    /**
+     * Save JSON to the author's machine
+     */
+    downloadJSON(data, fileName) {
+        const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.showStatus(`Exported ${fileName}`, 'success');
+    }
+
+    /**
+     * Show a toolbar status message
+     */
+    showStatus(message, type = 'info') {
+        this.elements.status.textContent = message;
+        this.elements.status.className = `editor-status ${type}`;
+    }
+
+    /**
+     * Drop empty and default fields so exported scenes stay readable
+     */
+    static compactScene(scene) {
+        const compact = {};
+
+        Object.entries(scene).forEach(([field, value]) => {
+            if (field === 'path') return;
+            if (field === 'maxAttempts' && (value === 3 || scene.type !== 'puzzle')) return;
+            if (value === null || value === '') return;
+            if (Array.isArray(value) && value.length === 0) return;
+            compact[field] = value;
+        });
+
+        if (compact.choices) {
+            compact.choices = compact.choices.map(choice => {
+                const { onChoice, ...rest } = choice;
+                return onChoice && onChoice.length > 0 ? { ...rest, onChoice } : rest;
+            });
+        }
+
+        if (compact.dialogue) {
+            compact.dialogue = compact.dialogue.map(line => StoryEditor.compactScene(line));
+        }
+
+        return compact;
+    }
+
+    /**
+     * Show a list or single answer as editable text
+     */
+    static formatList(value) {
+        if (Array.isArray(value)) return value.join(', ');
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Split comma separated text, keeping numbers as numbers
+     */
+    static parseList(text) {
+        const items = text.split(',').map(item => item.trim()).filter(Boolean);
+        return items.every(item => !isNaN(Number(item))) ? items.map(Number) : items;
+    }
+
+    /**
+     * Parse an answer in the same shape as the existing one
+     */
+    static parseAnswer(text, content) {
+        if (Array.isArray(content.answer) || content.inputType === 'ordering') {
+            return StoryEditor.parseList(text);
+        }
+
+        const numericOptions = Array.isArray(content.options) && content.options.every(option => typeof option === 'number');
+        if ((typeof content.answer === 'number' || numericOptions || content.inputType === 'number') &&
+            text.trim() !== '' && !isNaN(Number(text))) {
+            return Number(text);
+        }
+
+        return text;
+    }
+
+    /**
+     * Deep copy plain JSON data
+     */
+    static clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoryEditor;
+} else {
+    window.StoryEditor = StoryEditor;
+}
@@ -0,0 +1,282 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - STORY LOADER
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the unified story content model that handles:
+ * - A single versioned schema for every story scene
+ * - Normalizing the STORY_SCENES object from scenes.js
+ * - Normalizing storyPaths[*].scenes from gameData.json
+ * - Merging all sources into one scene graph with path metadata
+ * - Exporting the merged graph as a schema document
+ *
+ * Story Content Philosophy:
+ * Writers should be able to work in one story format without touching
+ * JavaScript. Every scene, wherever it was authored, reaches the scene
+ * engine in the same shape.
+ *
+ * Unified scene shape (schema version 1):
+ * {
+ *   id, type: 'story' | 'puzzle' | 'characterSelect' | 'celebration',
+ *   title, location, text, background, character, characterDialogue,
+ *   textVariants: [{ condition, text, characterDialogue }],
+ *   dialogue: [{ speaker, text, expression, voice, condition, choices }],
+ *   choices: [{ text, next, mood, condition, set, add, textVariants, onChoice }],
+ *   next,                          // continue target when there are no choices
+ *   puzzleId,                      // reference into gameData.puzzles
+ *   puzzle: { subject, skill, standard, question, answer, options, hint, difficulty, visual },
+ *   success, failure, maxAttempts, // puzzle outcome links
+ *   onEnter, onExit,               // ordered scene actions, see scene-actions.js
+ *   backgroundMusic, animations, rewards, reward, path
+ * }
+ *
+ * A schema document is { schemaVersion, scenes: { [id]: scene }, paths: { [id]: path } }
+ * where each path lists its scene ids in play order. Conditions and the
+ * set/add variable changes are described in story-variables.js.
+ */
+
+const STORY_SCHEMA_VERSION = 1;
+
+// Link target that ends the current story path instead of loading a scene
+const STORY_PATH_END = 'path_complete';
+
+// Scene types the scene engine knows how to render
+const STORY_SCENE_TYPES = ['story', 'puzzle', 'characterSelect', 'celebration'];
+
+class StoryLoader {
+    constructor() {
+        this.scenes = {};
+        this.paths = {};
+        this.sources = [];
+    }
+
+    /**
+     * Load story content in any supported format and merge it into the graph
+     */
+    load(source, sourceName = 'story') {
+        if (!source || typeof source !== 'object') {
+            throw new Error(`Story source "${sourceName}" is empty`);
+        }
+
+        if (source.schemaVersion !== undefined) {
+            this.loadStoryDocument(source, sourceName);
+        } else if (source.storyPaths) {
+            this.loadGameData(source, sourceName);
+        } else {
+            this.loadSceneMap(source, sourceName);
+        }
+
+        return this;
+    }
+
+    /**
+     * Load a document already written in the unified schema
+     */
+    loadStoryDocument(document, sourceName = 'story document') {
+        if (document.schemaVersion > STORY_SCHEMA_VERSION) {
+            throw new Error(`Story schema version ${document.schemaVersion} in "${sourceName}" is newer than supported version ${STORY_SCHEMA_VERSION}`);
+        }
+
+        Object.entries(document.paths || {}).forEach(([pathId, path]) => {
+            this.paths[pathId] = { ...path, id: path.id || pathId, scenes: [...(path.scenes || [])] };
+        });
+
+        Object.entries(document.scenes || {}).forEach(([sceneId, scene]) => {
+            this.addScene({ ...scene, id: scene.id || sceneId }, sourceName);
+        });
+
+        this.sources.push(sourceName);
+    }
+
+    /**
+     * Load a STORY_SCENES style object keyed by scene id
+     */
+    loadSceneMap(sceneMap, sourceName = 'scenes.js') {
+        Object.entries(sceneMap).forEach(([sceneId, scene]) => {
+            this.addScene({ ...scene, id: scene.id || sceneId }, sourceName);
+        });
+
+        this.sources.push(sourceName);
+    }
+
+    /**
+     * Load storyPaths from gameData.json, keeping each path's scene order
+     */
+    loadGameData(gameData, sourceName = 'gameData.json') {
+        Object.entries(gameData.storyPaths || {}).forEach(([pathId, storyPath]) => {
+            const { scenes = [], ...pathInfo } = storyPath;
+            this.paths[pathId] = { ...pathInfo, id: storyPath.id || pathId, scenes: scenes.map(scene => scene.id) };
+
+            scenes.forEach((scene, index) => {
+                const followingScene = scenes[index + 1];
+                const normalized = this.normalizeScene(scene, pathId);
+
+                // Scenes without choices continue along the path order
+                if (!normalized.next && normalized.choices.length === 0 && normalized.type !== 'puzzle') {
+                    normalized.next = followingScene ? followingScene.id : STORY_PATH_END;
+                }
+
+                this.addScene(normalized, sourceName);
+            });
+        });
+
+        this.sources.push(sourceName);
+    }
+
+    /**
+     * Add a scene to the graph, normalizing it if needed
+     */
+    addScene(scene, sourceName) {
+        if (!scene.id) {
+            throw new Error(`Scene without an id in "${sourceName}"`);
+        }
+
+        if (this.scenes[scene.id]) {
+            console.warn(`📚 Scene "${scene.id}" from ${sourceName} replaces an earlier definition`);
+        }
+
+        this.scenes[scene.id] = this.normalizeScene(scene, scene.path);
+    }
+
+    /**
+     * Convert a scene from either legacy format into the unified shape
+     */
+    normalizeScene(scene, pathId = null) {
+        const normalized = {
+            id: scene.id,
+            type: scene.type || 'story',
+            title: scene.title || '',
+            location: scene.location || '',
+            text: scene.text || '',
+            background: scene.background || null,
+            character: scene.character || null,
+            characterDialogue: scene.characterDialogue || null,
+            textVariants: scene.textVariants || [],
+            dialogue: (scene.dialogue || []).map(line => this.normalizeDialogueLine(line)),
+            choices: (scene.choices || []).map(choice => this.normalizeChoice(choice)),
+            next: scene.next || scene.nextScene || null,
+            puzzleId: scene.puzzleId || null,
+            puzzle: scene.puzzle || null,
+            success: scene.success || scene.successScene || null,
+            failure: scene.failure || scene.failureScene || null,
+            maxAttempts: scene.maxAttempts || 3,
+            backgroundMusic: scene.backgroundMusic || null,
+            animations: scene.animations || [],
+            onEnter: scene.onEnter || [],
+            onExit: scene.onExit || [],
+            rewards: scene.rewards || null,
+            reward: scene.reward || null,
+            path: pathId || scene.path || null
+        };
+
+        return normalized;
+    }
+
+    /**
+     * Convert a choice from either legacy format into the unified shape
+     */
+    normalizeChoice(choice) {
+        const normalized = {
+            text: choice.text || '',
+            next: choice.next || choice.nextScene || null,
+            onChoice: [...(choice.onChoice || [])]
+        };
+
+        // Older content selects a companion with action: 'selectCharacter'
+        if (choice.action === 'selectCharacter' && choice.character) {
+            normalized.onChoice.unshift({ type: 'selectCharacter', character: choice.character });
+        }
+
+        if (choice.mood) normalized.mood = choice.mood;
+        if (choice.condition) normalized.condition = choice.condition;
+        if (choice.set) normalized.set = choice.set;
+        if (choice.add) normalized.add = choice.add;
+        if (choice.textVariants) normalized.textVariants = choice.textVariants;
+
+        return normalized;
+    }
+
+    /**
+     * Convert a conversation line into the unified shape
+     */
+    normalizeDialogueLine(line) {
+        const normalized = {
+            speaker: line.speaker || 'narrator',
+            text: line.text || '',
+            expression: line.expression || null,
+            voice: line.voice || null,
+            choices: (line.choices || []).map(choice => this.normalizeChoice(choice))
+        };
+
+        if (line.condition) normalized.condition = line.condition;
+
+        return normalized;
+    }
+
+    /**
+     * Get a scene from the graph
+     */
+    getScene(sceneId) {
+        return this.scenes[sceneId] || null;
+    }
+
+    /**
+     * Check whether a scene exists in the graph
+     */
+    hasScene(sceneId) {
+        return Boolean(this.scenes[sceneId]);
+    }
+
+    /**
+     * Get path metadata, including its ordered scene ids
+     */
+    getPath(pathId) {
+        return this.paths[pathId] || null;
+    }
+
+    /**
+     * Get the scene to load when the player presses continue
+     */
+    getNextSceneId(sceneId) {
+        const scene = this.getScene(sceneId);
+        if (!scene) return null;
+
+        if (scene.next) return scene.next;
+
+        const path = scene.path ? this.getPath(scene.path) : null;
+        if (path) {
+            const index = path.scenes.indexOf(sceneId);
+            return path.scenes[index + 1] || STORY_PATH_END;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a link target ends the story path
+     */
+    static isPathEnd(sceneId) {
+        return sceneId === STORY_PATH_END;
+    }
+
+    /**
+     * Export the merged graph as a unified schema document
+     */
+    toJSON() {
+        return {
+            schemaVersion: STORY_SCHEMA_VERSION,
+            scenes: this.scenes,
+            paths: this.paths
+        };
+    }
+}
+
+StoryLoader.SCHEMA_VERSION = STORY_SCHEMA_VERSION;
+StoryLoader.PATH_END = STORY_PATH_END;
+StoryLoader.SCENE_TYPES = STORY_SCENE_TYPES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoryLoader;
+} else {
+    window.StoryLoader = StoryLoader;
+}
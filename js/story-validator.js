@@ -0,0 +1,455 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - STORY VALIDATOR
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the story graph checks that handle:
+ * - Scene fields that don't match the story schema
+ * - Inline dialogue choices, checked the same way as scene choices
+ * - Dangling next/success/failure links between scenes
+ * - Scenes that can never be reached from an entry point
+ * - Dead ends with no choices and no continue path
+ * - Puzzle scenes missing an answer or answer options
+ * - Question sets without a passage, or with too few or too many questions
+ * - Puzzles without a routable subject, skill and standard
+ * - Choice and text variant conditions that don't parse
+ * - Malformed {{placeholders}} in story text
+ * - Scene actions with an unknown type
+ * - Companions whose story path or achievement is missing
+ *
+ * The validator works on the unified graph built by StoryLoader, so it runs
+ * the same way in the browser and headless in Node (scripts/validate-story.js).
+ *
+ * Validation Philosophy:
+ * A broken link strands a child mid-story. Anything that would stop play is
+ * an error; anything that is merely untidy is a warning.
+ */
+
+// Answer interfaces that don't need a list of options
+const FREE_INPUT_TYPES = ['number', 'text', 'matching', 'ordering', 'clock', 'money', 'fraction', 'grid', 'spelling'];
+
+// Questions a reading passage should have
+const QUESTION_SET_MIN = 2;
+const QUESTION_SET_MAX = 5;
+
+class StoryValidator {
+    constructor(storyGraph, options = {}) {
+        this.storyGraph = storyGraph;
+        this.puzzles = options.puzzles || {};
+        this.characters = options.characters || {};
+        this.achievements = options.achievements || {};
+        this.subjects = options.subjects || PuzzleRouter.SUBJECTS;
+        this.entryScenes = options.entryScenes || this.getDefaultEntryScenes();
+        this.issues = [];
+    }
+
+    /**
+     * Entry points are the opening scene plus the first scene of every path
+     */
+    getDefaultEntryScenes() {
+        const entryScenes = ['start'];
+
+        Object.values(this.storyGraph.paths).forEach(path => {
+            if (path.scenes.length > 0) {
+                entryScenes.push(path.scenes[0]);
+            }
+        });
+
+        return entryScenes;
+    }
+
+    /**
+     * Run every check and return the report
+     */
+    validate() {
+        this.issues = [];
+
+        Object.values(this.storyGraph.scenes).forEach(scene => {
+            this.checkSchema(scene);
+            this.checkLinks(scene);
+            this.checkDeadEnd(scene);
+            this.checkConditions(scene);
+            this.checkTemplates(scene);
+            this.checkActions(scene);
+
+            if (scene.type === 'puzzle') {
+                this.checkPuzzle(scene);
+            }
+        });
+
+        this.checkReachability();
+        this.checkCompanions();
+
+        return this.getReport();
+    }
+
+    /**
+     * Get every outgoing link from a scene with a label for reporting
+     */
+    getLinks(scene) {
+        const links = [];
+
+        this.getChoices(scene).forEach(({ field, choice, inline }) => {
+            // Inline dialogue choices without a next scene keep the conversation going
+            if (!inline || choice.next) {
+                links.push({ field: `${field}.next`, target: choice.next });
+            }
+        });
+
+        ['next', 'success', 'failure'].forEach(field => {
+            if (scene[field]) {
+                links.push({ field, target: scene[field] });
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Get scene choices plus the inline choices in its dialogue lines
+     */
+    getChoices(scene) {
+        const choices = scene.choices.map((choice, index) => ({ field: `choices[${index}]`, choice, inline: false }));
+
+        scene.dialogue.forEach((line, lineIndex) => {
+            line.choices.forEach((choice, index) => {
+                choices.push({ field: `dialogue[${lineIndex}].choices[${index}]`, choice, inline: true });
+            });
+        });
+
+        return choices;
+    }
+
+    /**
+     * Report scene fields the scene engine can't use
+     */
+    checkSchema(scene) {
+        if (!StoryLoader.SCENE_TYPES.includes(scene.type)) {
+            this.addIssue('error', 'invalid-field', scene.id, `type "${scene.type}" must be one of ${StoryLoader.SCENE_TYPES.join(', ')}`);
+        }
+
+        if (typeof scene.text !== 'string') {
+            this.addIssue('error', 'invalid-field', scene.id, 'text must be a string');
+        }
+
+        if (!Number.isInteger(scene.maxAttempts) || scene.maxAttempts < 1) {
+            this.addIssue('error', 'invalid-field', scene.id, 'maxAttempts must be a whole number of at least 1');
+        }
+
+        this.getChoices(scene).forEach(({ field, choice }) => {
+            if (!choice.text || !String(choice.text).trim()) {
+                this.addIssue('error', 'invalid-field', scene.id, `${field} has no text`);
+            }
+        });
+
+        scene.dialogue.forEach((line, index) => {
+            if (!String(line.text).trim()) {
+                this.addIssue('error', 'invalid-field', scene.id, `dialogue[${index}] has no text`);
+            }
+        });
+    }
+
+    /**
+     * Report links that point at scenes which don't exist
+     */
+    checkLinks(scene) {
+        this.getLinks(scene).forEach(({ field, target }) => {
+            if (!target) {
+                this.addIssue('error', 'missing-link', scene.id, `${field} has no target scene`);
+            } else if (!StoryLoader.isPathEnd(target) && !this.storyGraph.hasScene(target)) {
+                this.addIssue('error', 'dangling-link', scene.id, `${field} points to missing scene "${target}"`);
+            }
+        });
+    }
+
+    /**
+     * Report scenes the player can't leave
+     */
+    checkDeadEnd(scene) {
+        if (scene.type === 'puzzle' || scene.type === 'characterSelect') return;
+        if (scene.choices.length > 0) return;
+        if (this.storyGraph.getNextSceneId(scene.id)) return;
+
+        this.addIssue('error', 'dead-end', scene.id, 'scene has no choices and no continue path');
+    }
+
+    /**
+     * Report conditions that would silently hide a choice or text variant
+     */
+    checkConditions(scene) {
+        const conditions = [];
+
+        scene.textVariants.forEach((variant, index) => {
+            conditions.push({ field: `textVariants[${index}]`, condition: variant.condition });
+        });
+
+        scene.dialogue.forEach((line, index) => {
+            if (line.condition) {
+                conditions.push({ field: `dialogue[${index}]`, condition: line.condition });
+            }
+        });
+
+        this.getChoices(scene).forEach(({ field, choice }) => {
+            if (choice.condition) {
+                conditions.push({ field, condition: choice.condition });
+            }
+            (choice.textVariants || []).forEach((variant, variantIndex) => {
+                conditions.push({ field: `${field}.textVariants[${variantIndex}]`, condition: variant.condition });
+            });
+        });
+
+        conditions.forEach(({ field, condition }) => {
+            try {
+                StoryVariables.compile(condition);
+            } catch (error) {
+                this.addIssue('error', 'invalid-condition', scene.id, `${field} condition "${condition}" is invalid: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Report placeholders that would show up as raw braces
+     */
+    checkTemplates(scene) {
+        const texts = [
+            { field: 'text', text: scene.text },
+            { field: 'characterDialogue', text: scene.characterDialogue }
+        ];
+
+        scene.textVariants.forEach((variant, index) => {
+            texts.push({ field: `textVariants[${index}].text`, text: variant.text });
+            texts.push({ field: `textVariants[${index}].characterDialogue`, text: variant.characterDialogue });
+        });
+
+        scene.dialogue.forEach((line, index) => {
+            texts.push({ field: `dialogue[${index}].text`, text: line.text });
+        });
+
+        this.getChoices(scene).forEach(({ field, choice }) => {
+            texts.push({ field: `${field}.text`, text: choice.text });
+        });
+
+        if (scene.puzzle) {
+            texts.push({ field: 'puzzle.question', text: scene.puzzle.question });
+        } else if (scene.puzzleId && this.puzzles[scene.puzzleId]) {
+            Object.entries(this.puzzles[scene.puzzleId].difficulty || {}).forEach(([level, content]) => {
+                texts.push({ field: `${scene.puzzleId}.${level}.question`, text: content.question });
+            });
+        }
+
+        texts.forEach(({ field, text }) => {
+            StoryVariables.findTemplateErrors(text).forEach(message => {
+                this.addIssue('error', 'invalid-template', scene.id, `${field} ${message}`);
+            });
+        });
+    }
+
+    /**
+     * Report declared actions the scene engine can't run
+     */
+    checkActions(scene) {
+        const actionLists = [
+            { field: 'onEnter', actions: scene.onEnter },
+            { field: 'onExit', actions: scene.onExit }
+        ];
+
+        this.getChoices(scene).forEach(({ field, choice }) => {
+            actionLists.push({ field: `${field}.onChoice`, actions: choice.onChoice });
+        });
+
+        actionLists.forEach(({ field, actions }) => {
+            (actions || []).forEach((action, index) => {
+                if (!SceneActionRunner.ACTION_TYPES.includes(action.type)) {
+                    this.addIssue('error', 'unknown-action', scene.id, `${field}[${index}] has unknown action type "${action.type}"`);
+                }
+                if (action.condition) {
+                    try {
+                        StoryVariables.compile(action.condition);
+                    } catch (error) {
+                        this.addIssue('error', 'invalid-condition', scene.id, `${field}[${index}] condition "${action.condition}" is invalid: ${error.message}`);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Report puzzle scenes that can't be played or completed
+     */
+    checkPuzzle(scene) {
+        if (!scene.success) {
+            this.addIssue('error', 'missing-link', scene.id, 'puzzle scene has no success scene');
+        }
+
+        if (scene.puzzleId) {
+            const puzzleData = this.puzzles[scene.puzzleId];
+            if (!puzzleData) {
+                this.addIssue('error', 'missing-puzzle', scene.id, `puzzleId "${scene.puzzleId}" is not defined in gameData.puzzles`);
+                return;
+            }
+
+            this.checkPuzzleMetadata(scene.id, puzzleData, scene.puzzleId);
+            Object.entries(puzzleData.difficulty || {}).forEach(([level, content]) => {
+                this.checkPuzzleContent(scene.id, content, `${scene.puzzleId}.${level}`);
+            });
+        } else if (scene.puzzle) {
+            this.checkPuzzleMetadata(scene.id, scene.puzzle, 'puzzle');
+            this.checkPuzzleContent(scene.id, scene.puzzle, 'puzzle');
+        } else {
+            this.addIssue('error', 'missing-puzzle', scene.id, 'puzzle scene has neither puzzleId nor inline puzzle');
+        }
+    }
+
+    /**
+     * Check that a puzzle declares the metadata the puzzle router needs
+     */
+    checkPuzzleMetadata(sceneId, definition, label) {
+        const missing = PuzzleRouter.getMissingMetadata(definition);
+        if (missing.length > 0) {
+            this.addIssue('error', 'missing-puzzle-metadata', sceneId, `${label} is missing ${missing.join(', ')}`);
+        } else if (!this.subjects.includes(definition.subject)) {
+            this.addIssue('error', 'unknown-subject', sceneId, `${label} subject "${definition.subject}" has no puzzle renderer`);
+        }
+    }
+
+    /**
+     * Check a single puzzle definition for an answer and usable options
+     */
+    checkPuzzleContent(sceneId, content, label) {
+        if (Array.isArray(content.questions)) {
+            this.checkQuestionSet(sceneId, content, label);
+            return;
+        }
+
+        if (content.answer === undefined || content.answer === null || content.answer === '') {
+            this.addIssue('error', 'missing-answer', sceneId, `${label} has no answer`);
+        }
+
+        if (FREE_INPUT_TYPES.includes(content.inputType)) return;
+
+        if (!Array.isArray(content.options) || content.options.length === 0) {
+            this.addIssue('error', 'missing-options', sceneId, `${label} needs an options array or a free-input inputType`);
+        } else if (content.answer !== undefined && !content.options.some(option => String(option) === String(content.answer))) {
+            this.addIssue('error', 'answer-not-in-options', sceneId, `${label} answer "${content.answer}" is not one of its options`);
+        }
+    }
+
+    /**
+     * Check a question set for its passage and each question's answer and options
+     */
+    checkQuestionSet(sceneId, content, label) {
+        if (!content.passage || [].concat(content.passage).length === 0) {
+            this.addIssue('error', 'missing-passage', sceneId, `${label} has questions but no passage to read`);
+        }
+
+        const count = content.questions.length;
+        if (count < QUESTION_SET_MIN || count > QUESTION_SET_MAX) {
+            this.addIssue('warning', 'question-count', sceneId,
+                `${label} has ${count} questions; question sets should have ${QUESTION_SET_MIN}-${QUESTION_SET_MAX}`);
+        }
+
+        content.questions.forEach((question, i) => {
+            this.checkPuzzleContent(sceneId, question, `${label} question ${question.id || i + 1}`);
+        });
+    }
+
+    /**
+     * Report scenes no entry point can lead to
+     */
+    checkReachability() {
+        const reached = new Set();
+        const queue = this.entryScenes.filter(sceneId => this.storyGraph.hasScene(sceneId));
+
+        while (queue.length > 0) {
+            const sceneId = queue.shift();
+            if (reached.has(sceneId)) continue;
+            reached.add(sceneId);
+
+            const scene = this.storyGraph.getScene(sceneId);
+            const targets = this.getLinks(scene).map(link => link.target);
+            targets.push(this.storyGraph.getNextSceneId(sceneId));
+
+            targets.forEach(target => {
+                if (target && this.storyGraph.hasScene(target) && !reached.has(target)) {
+                    queue.push(target);
+                }
+            });
+        }
+
+        Object.keys(this.storyGraph.scenes).forEach(sceneId => {
+            if (!reached.has(sceneId)) {
+                this.addIssue('warning', 'unreachable-scene', sceneId, 'scene cannot be reached from any entry scene');
+            }
+        });
+    }
+
+    /**
+     * Report companions that point at a story path or achievement that doesn't exist
+     */
+    checkCompanions() {
+        Object.values(this.characters).forEach(companion => {
+            const pathId = companion.path || companion.id;
+            if (!this.storyGraph.getPath(pathId)) {
+                this.addIssue('error', 'missing-path', companion.id, `companion story path "${pathId}" is not defined in storyPaths`);
+            }
+
+            if (companion.achievement && !this.achievements[companion.achievement]) {
+                this.addIssue('error', 'missing-achievement', companion.id, `companion achievement "${companion.achievement}" is not defined in achievements`);
+            }
+
+            if (!companion.subject) {
+                this.addIssue('warning', 'missing-subject', companion.id, 'companion has no subject');
+            }
+        });
+    }
+
+    /**
+     * Record a validation issue
+     */
+    addIssue(severity, code, sceneId, message) {
+        this.issues.push({ severity, code, sceneId, message });
+    }
+
+    /**
+     * Build the report object
+     */
+    getReport() {
+        const errors = this.issues.filter(issue => issue.severity === 'error');
+        const warnings = this.issues.filter(issue => issue.severity === 'warning');
+
+        return {
+            valid: errors.length === 0,
+            sceneCount: Object.keys(this.storyGraph.scenes).length,
+            entryScenes: this.entryScenes,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Format a report as readable text
+     */
+    static formatReport(report) {
+        const lines = [`📚 Checked ${report.sceneCount} scenes from entry scenes: ${report.entryScenes.join(', ')}`];
+
+        report.errors.forEach(issue => {
+            lines.push(`❌ [${issue.code}] ${issue.sceneId}: ${issue.message}`);
+        });
+
+        report.warnings.forEach(issue => {
+            lines.push(`⚠️  [${issue.code}] ${issue.sceneId}: ${issue.message}`);
+        });
+
+        lines.push(report.valid ?
+            `✅ Story graph is valid (${report.warnings.length} warnings)` :
+            `💥 ${report.errors.length} errors, ${report.warnings.length} warnings`);
+
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoryValidator;
+} else {
+    window.StoryValidator = StoryValidator;
+}
@@ -0,0 +1,325 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - STORY VARIABLES
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the per-playthrough story state that handles:
+ * - Named story variables such as metOwl or gemsFound
+ * - Applying `set` and `add` changes declared on choices
+ * - Evaluating choice and text conditions such as "stars >= 5"
+ * - Picking the matching text variant for a scene or choice
+ * - Filling {{placeholders}} in story text with the child's own story
+ *
+ * Variables live in gameState.storyVariables, so they are saved and restored
+ * with the rest of the game state.
+ *
+ * Condition syntax:
+ *   metOwl                 truthy variable
+ *   !metOwl                falsy variable
+ *   gemsFound >= 2         comparison with ==, !=, >, >=, <, <=
+ *   character == 'dragon'  strings in single or double quotes
+ *   metOwl && stars >= 5   combine with &&, || and parentheses
+ *
+ * Built-in values: stars, puzzlesSolved, character, difficulty, pathsCompleted,
+ * playerName and companion (the companion's display name).
+ * A story variable with the same name takes precedence.
+ *
+ * Template syntax:
+ *   {{playerName}}         any built-in value or story variable
+ *   {{playerName|friend}}  fallback text when the value is empty
+ * Template values are always inserted as text, never as markup.
+ *
+ * Story Design Philosophy:
+ * A child's choices should matter later in the story, so what they did in
+ * Ruby's cave can still be remembered three scenes on.
+ */
+
+const CONDITION_TOKEN_PATTERN = /\s*(\d+(?:\.\d+)?|'[^']*'|"[^"]*"|&&|\|\||==|!=|>=|<=|[<>!()]|[A-Za-z_][\w.]*)/y;
+
+const TEMPLATE_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*(?:\|([^{}]*))?\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+class StoryVariables {
+    constructor(gameEngine) {
+        this.game = gameEngine;
+        this.conditionCache = new Map();
+    }
+
+    /**
+     * Get the variable store for the current playthrough
+     */
+    getStore() {
+        if (!this.game.gameState.storyVariables) {
+            this.game.gameState.storyVariables = {};
+        }
+        return this.game.gameState.storyVariables;
+    }
+
+    /**
+     * Get a story variable, falling back to built-in game values
+     */
+    get(name) {
+        const store = this.getStore();
+        if (Object.prototype.hasOwnProperty.call(store, name)) {
+            return store[name];
+        }
+
+        const { player, progress } = this.game.gameState;
+        const companion = this.game.getCompanion(player.character);
+        const builtIns = {
+            stars: progress.stars,
+            puzzlesSolved: progress.puzzlesSolved,
+            pathsCompleted: (progress.pathsCompleted || []).length,
+            character: player.character,
+            difficulty: player.difficulty,
+            playerName: player.name,
+            companion: companion ? companion.name : undefined
+        };
+
+        return builtIns[name];
+    }
+
+    /**
+     * Set a story variable
+     */
+    set(name, value) {
+        this.getStore()[name] = value;
+    }
+
+    /**
+     * Add to a numeric story variable
+     */
+    add(name, amount) {
+        const current = Number(this.getStore()[name]) || 0;
+        this.set(name, current + Number(amount));
+    }
+
+    /**
+     * Get a copy of all story variables
+     */
+    getAll() {
+        return { ...this.getStore() };
+    }
+
+    /**
+     * Clear story variables for a new playthrough
+     */
+    reset() {
+        this.game.gameState.storyVariables = {};
+    }
+
+    /**
+     * Apply the `set` and `add` changes declared on a choice
+     */
+    applyChanges(item) {
+        if (item.set) {
+            Object.entries(item.set).forEach(([name, value]) => this.set(name, value));
+        }
+
+        if (item.add) {
+            Object.entries(item.add).forEach(([name, amount]) => this.add(name, amount));
+        }
+    }
+
+    /**
+     * Check whether a scene item (choice, text variant) should be shown
+     */
+    isAvailable(item) {
+        return !item.condition || this.evaluate(item.condition);
+    }
+
+    /**
+     * Get the text for a scene or choice, using the first matching variant
+     */
+    resolveText(item, field = 'text') {
+        const variant = (item.textVariants || []).find(candidate =>
+            candidate[field] !== undefined && this.isAvailable(candidate)
+        );
+
+        return variant ? variant[field] : item[field];
+    }
+
+    /**
+     * Fill {{placeholders}} in story text, escaping values for HTML if asked
+     */
+    renderTemplate(text, options = {}) {
+        if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+        return text.replace(TEMPLATE_PATTERN, (match, name, fallback = '') => {
+            const value = this.get(name);
+            const output = value === undefined || value === null || value === '' ? fallback.trim() : String(value);
+            return options.html ? StoryVariables.escapeHTML(output) : output;
+        });
+    }
+
+    /**
+     * Escape text for safe use inside HTML
+     */
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+    }
+
+    /**
+     * Find placeholders that aren't written as {{name}} or {{name|fallback}}
+     */
+    static findTemplateErrors(text) {
+        if (typeof text !== 'string') return [];
+
+        const remainder = text.replace(TEMPLATE_PATTERN, '');
+        const errors = [];
+        if (remainder.includes('{{') || remainder.includes('}}')) {
+            errors.push('has a placeholder that is not written as {{name}} or {{name|fallback}}');
+        }
+        return errors;
+    }
+
+    /**
+     * Evaluate a condition string against the current story state
+     */
+    evaluate(condition) {
+        try {
+            return Boolean(this.getCompiledCondition(condition)(name => this.get(name)));
+        } catch (error) {
+            console.warn(`📖 Invalid story condition "${condition}": ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Parse a condition once and reuse it
+     */
+    getCompiledCondition(condition) {
+        if (!this.conditionCache.has(condition)) {
+            this.conditionCache.set(condition, StoryVariables.compile(condition));
+        }
+        return this.conditionCache.get(condition);
+    }
+
+    /**
+     * Split a condition into tokens
+     */
+    static tokenize(condition) {
+        const tokens = [];
+        CONDITION_TOKEN_PATTERN.lastIndex = 0;
+
+        while (CONDITION_TOKEN_PATTERN.lastIndex < condition.length) {
+            const start = CONDITION_TOKEN_PATTERN.lastIndex;
+            const match = CONDITION_TOKEN_PATTERN.exec(condition);
+
+            if (!match) {
+                if (condition.slice(start).trim() === '') break;
+                throw new Error(`Unexpected character at position ${start}`);
+            }
+
+            tokens.push(match[1]);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Compile a condition into a function of a variable lookup, without eval
+     */
+    static compile(condition) {
+        const tokens = StoryVariables.tokenize(String(condition));
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+        const expect = (token) => {
+            if (next() !== token) throw new Error(`Expected "${token}"`);
+        };
+
+        const parseOperand = () => {
+            const token = next();
+
+            if (token === undefined) throw new Error('Unexpected end of condition');
+            if (token === '(') {
+                const inner = parseOr();
+                expect(')');
+                return inner;
+            }
+            if (/^\d/.test(token)) {
+                const number = Number(token);
+                return () => number;
+            }
+            if (/^['"]/.test(token)) {
+                const text = token.slice(1, -1);
+                return () => text;
+            }
+            if (token === 'true' || token === 'false') {
+                const flag = token === 'true';
+                return () => flag;
+            }
+            if (/^[A-Za-z_]/.test(token)) {
+                return (lookup) => lookup(token);
+            }
+
+            throw new Error(`Unexpected "${token}"`);
+        };
+
+        const comparisons = {
+            '==': (a, b) => a == b,
+            '!=': (a, b) => a != b,
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b
+        };
+
+        const parseComparison = () => {
+            const left = parseOperand();
+            const compare = comparisons[peek()];
+            if (!compare) return left;
+
+            next();
+            const right = parseOperand();
+            return (lookup) => compare(left(lookup), right(lookup));
+        };
+
+        const parseNot = () => {
+            if (peek() === '!') {
+                next();
+                const operand = parseNot();
+                return (lookup) => !operand(lookup);
+            }
+            return parseComparison();
+        };
+
+        const parseAnd = () => {
+            let left = parseNot();
+            while (peek() === '&&') {
+                next();
+                const first = left;
+                const right = parseNot();
+                left = (lookup) => first(lookup) && right(lookup);
+            }
+            return left;
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (peek() === '||') {
+                next();
+                const first = left;
+                const right = parseAnd();
+                left = (lookup) => first(lookup) || right(lookup);
+            }
+            return left;
+        };
+
+        const compiled = parseOr();
+        if (position < tokens.length) {
+            throw new Error(`Unexpected "${tokens[position]}"`);
+        }
+
+        return compiled;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoryVariables;
+} else {
+    window.StoryVariables = StoryVariables;
+}
@@ -0,0 +1,114 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - WORD SPEAKER
+ * FableBox Educational Adventure Game
+ *
+ * This file contains the spoken prompt helper that handles:
+ * - Saying words and sentences aloud with the browser's speechSynthesis
+ * - Choosing a voice for the language being spoken, in the player's own
+ *   accent when the locale's voice speaks that language
+ * - Staying quiet, without errors, where speech isn't available
+ *
+ * Speech Philosophy:
+ * Hearing a word is half of reading or spelling it, so any puzzle that
+ * can say its word out loud should, as often as a child asks.
+ */
+
+// Language -> voice to use when no locale speaks it
+const WORD_SPEAKER_FALLBACK_VOICES = {
+    en: 'en-US',
+    es: 'es-ES',
+    fr: 'fr-FR',
+    pt: 'pt-BR',
+    de: 'de-DE',
+    zh: 'zh-CN',
+    ja: 'ja-JP',
+    ar: 'ar-SA'
+};
+
+// A little slower than conversation, so every sound can be heard
+const WORD_SPEAKER_RATE = 0.85;
+
+class WordSpeaker {
+    constructor(options = {}) {
+        this.lang = options.lang || WORD_SPEAKER_FALLBACK_VOICES.en;
+        this.rate = options.rate || WORD_SPEAKER_RATE;
+        this.synth = options.synth || (typeof window !== 'undefined' && window.speechSynthesis) || null;
+    }
+
+    /**
+     * A speaker for words in a language ('en'), using the locale's voice if it speaks it
+     */
+    static forLanguage(language = 'en', options = {}) {
+        const i18n = typeof window !== 'undefined' ? window.i18nSystem : null;
+        return new WordSpeaker({ ...options, lang: WordSpeaker.pickVoice(language, i18n) });
+    }
+
+    /**
+     * The voice for a language: the player's locale voice, then any locale's voice for it
+     */
+    static pickVoice(language, i18n = null) {
+        const speaks = voice => Boolean(voice) && voice.split('-')[0] === language;
+
+        const current = i18n && i18n.getVoice ? i18n.getVoice() : null;
+        if (speaks(current)) return current;
+
+        const locale = i18n ? Object.values(i18n.localeConfigs || {}).find(config => speaks(config.voice)) : null;
+        return locale ? locale.voice : WORD_SPEAKER_FALLBACK_VOICES[language] || language;
+    }
+
+    /**
+     * Check whether this browser can speak
+     */
+    isSupported() {
+        return Boolean(this.synth) && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Say something aloud, cutting off anything still being said
+     *
+     * Returns false when speech isn't available, so callers can show the words instead.
+     */
+    speak(text, options = {}) {
+        if (!this.isSupported() || !text) return false;
+
+        this.synth.cancel();
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = this.lang;
+        utterance.rate = options.rate || this.rate;
+        const voice = this.findVoice();
+        if (voice) utterance.voice = voice;
+        if (options.onEnd) utterance.onend = options.onEnd;
+
+        this.synth.speak(utterance);
+        return true;
+    }
+
+    /**
+     * The installed voice for our language: an exact match, or any voice of the same language
+     */
+    findVoice() {
+        const voices = this.synth ? this.synth.getVoices() : [];
+        const language = this.lang.split('-')[0];
+        const normalize = lang => String(lang).replace('_', '-').toLowerCase();
+
+        return voices.find(voice => normalize(voice.lang) === this.lang.toLowerCase())
+            || voices.find(voice => normalize(voice.lang).split('-')[0] === language)
+            || null;
+    }
+
+    /**
+     * Stop talking
+     */
+    stop() {
+        if (this.isSupported()) this.synth.cancel();
+    }
+}
+
+WordSpeaker.FALLBACK_VOICES = WORD_SPEAKER_FALLBACK_VOICES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WordSpeaker;
+} else {
+    window.WordSpeaker = WordSpeaker;
+}
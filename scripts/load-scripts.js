@@ -0,0 +1,36 @@
+/**
+ * THE ENCHANTED LIBRARY QUEST - BROWSER SCRIPT LOADER (NODE)
+ * FableBox Educational Adventure Game
+ *
+ * The game scripts share one global scope in the browser, each one using
+ * the classes declared by the scripts loaded before it. This runs them the
+ * same way in Node: in order, in one context whose `window` is the context
+ * itself, so the CLI tools and tests see exactly what index.html sees.
+ *
+ * Usage:
+ *   const loadScripts = require('./load-scripts.js');
+ *   const { StoryLoader, StoryValidator } = loadScripts(['story-loader.js', 'story-validator.js']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Run js/ scripts in order and return the shared global scope
+ */
+function loadScripts(files) {
+    const context = vm.createContext({ console });
+    context.window = context;
+
+    files.forEach(file => {
+        const filename = path.join(SCRIPT_DIR, file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    });
+
+    return context;
+}
+
+module.exports = loadScripts;
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * THE ENCHANTED LIBRARY QUEST - STORY GRAPH VALIDATOR (CLI)
+ * FableBox Educational Adventure Game
+ *
+ * Loads STORY_SCENES from js/scenes.js and storyPaths from gameData.json,
+ * merges them with StoryLoader and reports broken story links.
+ *
+ * Usage:
+ *   node scripts/validate-story.js [--json] [--data path/to/gameData.json]
+ *
+ * Exits with code 1 when any errors are found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const loadScripts = require('./load-scripts.js');
+
+// Same order as story-editor.html
+const { STORY_SCENES, StoryLoader, StoryValidator } = loadScripts([
+    'scenes.js',
+    'puzzle-router.js',
+    'story-loader.js',
+    'story-variables.js',
+    'scene-actions.js',
+    'story-validator.js'
+]);
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '..', 'assets', 'data', 'gameData.json');
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+    const options = { json: false, dataPath: DEFAULT_DATA_PATH };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--data') {
+            options.dataPath = path.resolve(argv[++i]);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    let gameData;
+    try {
+        gameData = JSON.parse(fs.readFileSync(options.dataPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read game data from ${options.dataPath}: ${error.message}`);
+        process.exit(2);
+    }
+
+    const storyGraph = new StoryLoader()
+        .load(STORY_SCENES, 'scenes.js')
+        .load(gameData, path.basename(options.dataPath));
+
+    const report = new StoryValidator(storyGraph, {
+        puzzles: gameData.puzzles,
+        characters: gameData.characters,
+        achievements: gameData.achievements
+    }).validate();
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : StoryValidator.formatReport(report));
+
+    process.exit(report.valid ? 0 : 1);
+}
+
+main();
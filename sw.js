@@ -32,6 +32,27 @@ const CACHE_URLS = [
     '/js/scenes.js',
     '/js/puzzles.js',
     '/js/puzzle-system.js',
+    '/js/math-generator.js',
+    '/js/distractor-generator.js',
+    '/js/misconception-analyzer.js',
+    '/js/review-scheduler.js',
+    '/js/mastery-model.js',
+    '/js/clock-time.js',
+    '/js/fraction.js',
+    '/js/clock-puzzle.js',
+    '/js/money-puzzle.js',
+    '/js/fraction-puzzle.js',
+    '/js/shape-puzzle.js',
+    '/js/word-speaker.js',
+    '/js/spelling-puzzle.js',
+    '/js/reading-puzzle.js',
+    '/js/phonics-puzzle.js',
+    '/js/seeded-random.js',
+    '/js/puzzle-router.js',
+    '/js/story-loader.js',
+    '/js/story-variables.js',
+    '/js/scene-actions.js',
+    '/js/path-map.js',
     '/js/animation-system.js',
     '/js/sound-system.js',
     '/js/save-system.js',
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { ClockTime } = loadScripts(['clock-time.js']);
+
+test('normalize writes every accepted time as H:MM', () => {
+    assert.strictEqual(ClockTime.normalize('3:30'), '3:30');
+    assert.strictEqual(ClockTime.normalize('03:05'), '3:05');
+    assert.strictEqual(ClockTime.normalize(' 7.45 '), '7:45');
+    assert.strictEqual(ClockTime.normalize('4 : 15'), '4:15');
+    assert.strictEqual(ClockTime.normalize("3 o'clock"), '3:00');
+    assert.strictEqual(ClockTime.normalize('11 OClock'), '11:00');
+    assert.strictEqual(ClockTime.normalize('12:00'), '12:00');
+    assert.strictEqual(ClockTime.normalize('12:40'), '12:40');
+});
+
+test('normalize rejects anything that is not on a clock face', () => {
+    ['0:30', '13:00', '3:60', '3:5', '330', 'half past three', '', null, undefined].forEach(text => {
+        assert.strictEqual(ClockTime.normalize(text), null, String(text));
+    });
+});
+
+test('times are minutes past 12:00 on a 12-hour face', () => {
+    assert.strictEqual(ClockTime.parse('12:15'), 15);
+    assert.strictEqual(ClockTime.parse('1:00'), 60);
+    assert.strictEqual(ClockTime.parse('11:59'), 719);
+});
+
+test('adding and subtracting minutes goes round the face', () => {
+    assert.strictEqual(ClockTime.add('11:45', 30), '12:15');
+    assert.strictEqual(ClockTime.add('12:10', -20), '11:50');
+    assert.strictEqual(ClockTime.difference('4:55', '5:55'), 60);
+    assert.strictEqual(ClockTime.difference('11:30', '1:15'), 105);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { DistractorGenerator } = loadScripts(['distractor-generator.js']);
+
+// Distractors are made inside the script context, so copy them out to compare
+function pairs(distractors) {
+    return Array.from(distractors, ({ value, misconception }) => [value, misconception]);
+}
+
+test('math distractors come from the mistake most likely to produce them', () => {
+    assert.deepStrictEqual(pairs(DistractorGenerator.forMath('addition', [27, 15], 42, 2)), [
+        [32, 'forgot-carry'],
+        [12, 'subtracted-instead-of-adding']
+    ]);
+    assert.deepStrictEqual(pairs(DistractorGenerator.forMath('subtraction', [42, 17], 25, 2)), [
+        [35, 'forgot-borrow'],
+        [59, 'added-instead-of-subtracting']
+    ]);
+    assert.deepStrictEqual(pairs(DistractorGenerator.forMath('multiplication', [3, 4], 12, 2)), [
+        [7, 'added-instead-of-multiplying'],
+        [21, 'digit-reversal']
+    ]);
+});
+
+test('math distractors are never the answer, negative or repeated', () => {
+    const distractors = DistractorGenerator.forMath('subtraction', [5, 4], 1, Infinity);
+    const values = Array.from(distractors, distractor => distractor.value);
+
+    assert.ok(values.length > 0);
+    assert.ok(values.every(value => Number.isInteger(value) && value >= 0 && value !== 1));
+    assert.strictEqual(new Set(values).size, values.length);
+});
+
+test('a wrong answer is matched back to its misconception', () => {
+    const distractors = DistractorGenerator.forMath('addition', [27, 15], 42);
+
+    assert.strictEqual(DistractorGenerator.diagnose(distractors, ' 32 ').misconception, 'forgot-carry');
+    assert.strictEqual(DistractorGenerator.diagnose(distractors, 40), null);
+    assert.strictEqual(DistractorGenerator.diagnose(undefined, 32), null);
+    assert.strictEqual(DistractorGenerator.getMisconception('forgot-carry').category, 'regrouping');
+});
+
+test('hand-written math options are swapped for tagged distractors', () => {
+    const content = { question: 'Ruby has 27 gems and finds 15 more. How many now?', answer: 42, options: [40, 41, 42, 43] };
+    const tagged = DistractorGenerator.forPuzzle(content, { subject: 'math', skill: 'addition' });
+
+    assert.strictEqual(tagged.options.length, 4);
+    assert.ok(tagged.options.includes(42));
+    assert.strictEqual(tagged.distractors.length, 3);
+    assert.ok(tagged.options.includes(32) && tagged.options.includes(12));
+    assert.deepStrictEqual(content.options, [40, 41, 42, 43]);
+});
+
+test('typed answers keep their input box but can still be diagnosed', () => {
+    const content = { question: 'What is 42 - 17?', answer: 25, inputType: 'number' };
+    const tagged = DistractorGenerator.forPuzzle(content, { subject: 'math', skill: 'subtraction' });
+
+    assert.strictEqual(tagged.options, undefined);
+    assert.strictEqual(DistractorGenerator.diagnose(tagged.distractors, 35).misconception, 'forgot-borrow');
+});
+
+test('operands are only used when they produce the answer', () => {
+    assert.deepStrictEqual(Array.from(DistractorGenerator.findOperands('What is 27 + 15?', 'addition', 42)), [27, 15]);
+    assert.strictEqual(DistractorGenerator.findOperands('What is 27 + 15?', 'addition', 41), null);
+    assert.strictEqual(DistractorGenerator.findOperands('Count the 3 stars', 'addition', 3), null);
+});
+
+test('rhyming options get a word that only shares the first sound', () => {
+    const tagged = DistractorGenerator.forPuzzle(
+        { question: 'Which word rhymes with \'cat\'?', answer: 'hat', options: ['hat', 'dog', 'sun'] },
+        { subject: 'language', skill: 'rhyming' },
+        () => 0
+    );
+
+    assert.strictEqual(tagged.options.length, 3);
+    assert.strictEqual(tagged.options[0], 'hat');
+    assert.strictEqual(tagged.distractors.length, 1);
+    assert.strictEqual(tagged.distractors[0].misconception, 'rhyme-alliteration');
+    assert.strictEqual(tagged.distractors[0].value.charAt(0), 'c');
+});
+
+test('column arithmetic without regrouping', () => {
+    assert.strictEqual(DistractorGenerator.addWithoutCarry(58, 67), 15);
+    assert.strictEqual(DistractorGenerator.subtractWithoutBorrow(52, 28), 36);
+    assert.strictEqual(DistractorGenerator.reverseDigits(42), 24);
+    assert.strictEqual(DistractorGenerator.reverseDigits(7), null);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { Fraction } = loadScripts(['fraction.js']);
+
+test('equal amounts are equal however they are written', () => {
+    assert.strictEqual(Fraction.equals('1/2', '2/4'), true);
+    assert.strictEqual(Fraction.equals('1/2', '0.5'), true);
+    assert.strictEqual(Fraction.equals('3/4', '.75'), true);
+    assert.strictEqual(Fraction.equals('1 1/2', '3/2'), true);
+    assert.strictEqual(Fraction.equals('2/2', 1), true);
+    assert.strictEqual(Fraction.equals(' 6 / 8 ', '3/4'), true);
+    assert.strictEqual(Fraction.equals({ numerator: 2, denominator: 6 }, '1/3'), true);
+});
+
+test('different amounts are not equal', () => {
+    assert.strictEqual(Fraction.equals('1/2', '1/3'), false);
+    assert.strictEqual(Fraction.equals('3/4', '4/3'), false);
+    assert.strictEqual(Fraction.equals('0.5', '0.05'), false);
+});
+
+test('values that are not fractions never equal anything', () => {
+    assert.strictEqual(Fraction.equals('1/0', '1/0'), false);
+    assert.strictEqual(Fraction.equals('half', '1/2'), false);
+    assert.strictEqual(Fraction.equals('', '0'), false);
+    assert.strictEqual(Fraction.equals(-0.5, '1/2'), false);
+    assert.strictEqual(Fraction.compare('1/2', null), null);
+});
+
+test('compare orders fractions by size', () => {
+    assert.strictEqual(Fraction.compare('1/3', '1/2'), -1);
+    assert.strictEqual(Fraction.compare('5/8', '1/2'), 1);
+    assert.strictEqual(Fraction.compare('4/8', '0.5'), 0);
+});
+
+test('simplify and format write lowest terms', () => {
+    assert.strictEqual(Fraction.format(Fraction.simplify('6/8')), '3/4');
+    assert.strictEqual(Fraction.format(Fraction.simplify('0.25')), '1/4');
+    assert.strictEqual(Fraction.format('5/3'), '5/3');
+});
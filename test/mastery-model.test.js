@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { MasteryModel } = loadScripts(['mastery-model.js']);
+
+function createModel() {
+    return new MasteryModel(MasteryModel.createState());
+}
+
+test('a new skill starts at the prior', () => {
+    const model = createModel();
+
+    assert.strictEqual(model.getMastery('math', 'addition'), MasteryModel.PARAMETERS.pInit);
+    assert.strictEqual(model.isPractised('math', 'addition'), false);
+});
+
+test('one BKT step weighs the answer, then allows for learning', () => {
+    const parameters = { ...MasteryModel.PARAMETERS, pGuess: 0.25 };
+
+    // 0.2 × 0.9 / (0.2 × 0.9 + 0.8 × 0.25) = 0.4737, then + 0.5263 × 0.1
+    assert.ok(Math.abs(MasteryModel.update(0.2, true, parameters) - 0.5263) < 0.0001);
+    // 0.2 × 0.1 / (0.2 × 0.1 + 0.8 × 0.75) = 0.0323, then + 0.9677 × 0.1
+    assert.ok(Math.abs(MasteryModel.update(0.2, false, parameters) - 0.129) < 0.0001);
+});
+
+test('a right answer is stronger evidence when it is harder to guess', () => {
+    const typed = createModel().recordAttempt('math', 'addition', true, 0).pKnown;
+    const fourOptions = createModel().recordAttempt('math', 'addition', true, 4).pKnown;
+    const twoOptions = createModel().recordAttempt('math', 'addition', true, 2).pKnown;
+
+    assert.ok(typed > fourOptions);
+    assert.ok(fourOptions > twoOptions);
+});
+
+test('steady right answers reach mastery and wrong ones lower the estimate', () => {
+    const model = createModel();
+    let entry;
+    for (let i = 0; i < 4; i++) {
+        entry = model.recordAttempt('math', 'addition', true, 4);
+    }
+
+    assert.strictEqual(MasteryModel.isMastered(entry.pKnown), true);
+    assert.strictEqual(entry.attempts, 4);
+    assert.strictEqual(entry.correct, 4);
+
+    const before = entry.pKnown;
+    model.recordAttempt('math', 'addition', false, 4);
+    assert.ok(model.getMastery('math', 'addition') < before);
+});
+
+test('a hint lowers the estimate without a learning step', () => {
+    const model = createModel();
+    const entry = model.recordHint('language', 'rhyming');
+
+    // 0.2 × 0.1 / (0.2 × 0.1 + 0.8 × 0.8)
+    assert.ok(Math.abs(entry.pKnown - 0.0303) < 0.0001);
+    assert.strictEqual(entry.hints, 1);
+    assert.strictEqual(model.isPractised('language', 'rhyming'), false);
+});
+
+test('subject mastery averages the practised skills', () => {
+    const model = createModel();
+    assert.strictEqual(model.getSubjectMastery('math'), null);
+
+    const addition = model.recordAttempt('math', 'addition', true, 4).pKnown;
+    const subtraction = model.recordAttempt('math', 'subtraction', false, 4).pKnown;
+    model.recordHint('math', 'patterns');
+    model.recordAttempt('language', 'rhyming', true, 4);
+
+    assert.strictEqual(model.getSubjectMastery('math'), (addition + subtraction) / 2);
+});
+
+test('mastery picks the difficulty band', () => {
+    assert.strictEqual(MasteryModel.getDifficulty(0), 'easy');
+    assert.strictEqual(MasteryModel.getDifficulty(0.4), 'medium');
+    assert.strictEqual(MasteryModel.getDifficulty(0.65), 'hard');
+    assert.strictEqual(MasteryModel.getDifficulty(MasteryModel.MASTERY_SCORE), 'expert');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { MathPuzzleGenerator } = loadScripts(['distractor-generator.js', 'math-generator.js']);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function generateMany(operation, ageGroup, difficulty, count = 50) {
+    const generator = new MathPuzzleGenerator({ random: seeded(42) });
+    return Array.from({ length: count }, () => generator.generate(operation, ageGroup, difficulty));
+}
+
+test('every operation gets the right answer among four different options', () => {
+    const expected = {
+        counting: ([a]) => a,
+        addition: ([a, b]) => a + b,
+        subtraction: ([a, b]) => a - b,
+        multiplication: ([a, b]) => a * b,
+        division: ([a, b]) => a / b
+    };
+
+    Object.entries(expected).forEach(([operation, solve]) => {
+        generateMany(operation, 'ages7-9', 'medium').forEach(puzzle => {
+            assert.strictEqual(puzzle.correctAnswer, solve(puzzle.numbers), `${operation} ${puzzle.numbers}`);
+            assert.strictEqual(new Set(puzzle.options).size, 4);
+            assert.ok(puzzle.options.includes(puzzle.correctAnswer));
+        });
+    });
+});
+
+test('subtraction never goes below zero and division always comes out even', () => {
+    generateMany('subtraction', 'ages4-6', 'hard').forEach(puzzle => assert.ok(puzzle.correctAnswer >= 0));
+    generateMany('division', 'ages10-12', 'expert').forEach(puzzle => {
+        assert.ok(Number.isInteger(puzzle.correctAnswer));
+        assert.strictEqual(puzzle.numbers[0] % puzzle.numbers[1], 0);
+    });
+});
+
+test('regrouping rules decide whether a column carries or borrows', () => {
+    generateMany('addition', 'ages7-9', 'easy').forEach(({ numbers: [a, b] }) => {
+        assert.strictEqual(MathPuzzleGenerator.hasCarry(a, b), false);
+    });
+    generateMany('addition', 'ages7-9', 'hard').forEach(({ numbers: [a, b] }) => {
+        assert.strictEqual(MathPuzzleGenerator.hasCarry(a, b), true);
+    });
+    generateMany('subtraction', 'ages7-9', 'hard').forEach(({ numbers: [a, b] }) => {
+        assert.strictEqual(MathPuzzleGenerator.hasBorrow(a, b), true);
+    });
+});
+
+test('difficulty scales the top of the number range', () => {
+    const generator = new MathPuzzleGenerator();
+
+    assert.deepStrictEqual({ ...generator.getRange('addition', 'ages7-9', 'easy') }, { min: 5, max: 25 });
+    assert.deepStrictEqual({ ...generator.getRange('addition', 'ages7-9', 'expert') }, { min: 5, max: 100 });
+    generateMany('counting', 'ages4-6', 'easy').forEach(puzzle => assert.ok(puzzle.correctAnswer <= 5));
+});
+
+test('carries, borrows and templates are worked out column by column', () => {
+    assert.strictEqual(MathPuzzleGenerator.hasCarry(25, 14), false);
+    assert.strictEqual(MathPuzzleGenerator.hasCarry(25, 17), true);
+    assert.strictEqual(MathPuzzleGenerator.hasBorrow(42, 21), false);
+    assert.strictEqual(MathPuzzleGenerator.hasBorrow(42, 17), true);
+    assert.strictEqual(MathPuzzleGenerator.fillTemplate('{a} gems and {b} more, {d}', { a: 3, b: 4 }), '3 gems and 4 more, {d}');
+});
+
+test('an unknown operation is refused', () => {
+    assert.throws(() => new MathPuzzleGenerator().generate('algebra', 'ages7-9'), /Unknown math operation/);
+});
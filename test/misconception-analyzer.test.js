@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { MisconceptionAnalyzer } = loadScripts(['distractor-generator.js', 'misconception-analyzer.js']);
+
+const additionError = {
+    puzzleId: 'math_addition_1',
+    subject: 'math',
+    skill: 'addition',
+    question: 'What is 27 + 15?',
+    correctAnswer: 42,
+    userAnswer: 32
+};
+
+test('errors tagged when answered keep their misconception', () => {
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...additionError, misconception: 'digit-reversal' }), 'digit-reversal');
+});
+
+test('untagged math errors are worked out from the question', () => {
+    assert.strictEqual(MisconceptionAnalyzer.classify(additionError), 'forgot-carry');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...additionError, userAnswer: '41' }), 'counted-start-twice');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...additionError, userAnswer: 'lots' }), null);
+});
+
+test('without operands only the distance from the answer is used', () => {
+    const error = { subject: 'math', skill: 'counting', question: 'Count the gems', correctAnswer: 12 };
+
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...error, userAnswer: 21 }), 'digit-reversal');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...error, userAnswer: 13 }), 'off-by-one');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...error, userAnswer: 10 }), 'miscounted');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...error, userAnswer: 30 }), null);
+});
+
+test('rhyming and habitat errors are classified by their words', () => {
+    const rhyming = { subject: 'language', skill: 'rhyming', question: 'Which word rhymes with \'cat\'?', correctAnswer: 'hat' };
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...rhyming, userAnswer: 'Cup' }), 'rhyme-alliteration');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...rhyming, userAnswer: 'dog' }), null);
+
+    const habitat = { subject: 'science', skill: 'habitats', correctAnswer: 'Cold, icy places' };
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...habitat, userAnswer: 'Hot deserts' }), 'habitat-climate');
+    assert.strictEqual(MisconceptionAnalyzer.classify({ ...habitat, userAnswer: 'Fish and krill' }), 'habitat-diet');
+});
+
+test('the report groups misconceptions by subject and skill, most frequent first', () => {
+    const report = MisconceptionAnalyzer.analyze([
+        additionError,
+        { ...additionError, puzzleId: 'math_addition_2' },
+        { ...additionError, userAnswer: 41 },
+        { ...additionError, userAnswer: 99 },
+        // Older saves only have the puzzle id to go on
+        { puzzleId: 'language_rhyming_1', skill: 'rhyming', question: 'Rhymes with \'cat\'?', correctAnswer: 'hat', userAnswer: 'cup' }
+    ]);
+
+    assert.strictEqual(report.math.errors, 4);
+    assert.strictEqual(report.math.diagnosed, 3);
+    assert.deepStrictEqual(Array.from(report.math.skills.addition.misconceptions, entry => [entry.id, entry.count]), [
+        ['forgot-carry', 2],
+        ['counted-start-twice', 1]
+    ]);
+    assert.deepStrictEqual(Array.from(report.math.skills.addition.misconceptions[0].puzzles), ['math_addition_1', 'math_addition_2']);
+    assert.strictEqual(report.language.diagnosed, 1);
+    assert.strictEqual(report.science.errors, 0);
+});
+
+test('insights read as plain language', () => {
+    const report = MisconceptionAnalyzer.analyze([additionError, additionError]);
+    const [insight] = MisconceptionAnalyzer.getTopMisconceptions(report);
+
+    assert.strictEqual(insight.text, 'Addition: Forgets to carry the ten (2 times)');
+    assert.strictEqual(MisconceptionAnalyzer.formatSkill('sentence-building'), 'Sentence building');
+    assert.deepStrictEqual(Array.from(MisconceptionAnalyzer.getInsights(undefined)), []);
+});
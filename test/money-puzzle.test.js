@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { MoneyCurrency, MoneyPuzzleGenerator, MoneyPuzzle, DistractorGenerator } = loadScripts([
+    'distractor-generator.js',
+    'puzzle-system.js',
+    'money-puzzle.js'
+]);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+const dollars = new MoneyCurrency('USD', 'en-US');
+
+test('amounts and coins are written the local way', () => {
+    assert.strictEqual(dollars.format(135), '$1.35');
+    assert.strictEqual(dollars.getLabel(25), '25¢');
+    assert.strictEqual(dollars.getLabel(500), '$5');
+    assert.strictEqual(dollars.isCoin(25), true);
+    assert.strictEqual(dollars.isCoin(100), false);
+    assert.strictEqual(new MoneyCurrency('XYZ').code, 'USD');
+});
+
+test('an amount breaks down into the fewest coins and notes', () => {
+    assert.deepStrictEqual(Array.from(dollars.breakDown(68)), [25, 25, 10, 5, 1, 1, 1]);
+    assert.deepStrictEqual(Array.from(dollars.breakDown(640)), [500, 100, 25, 10, 5]);
+    assert.deepStrictEqual(Array.from(dollars.getDenominations(false)), [1, 5, 10, 25]);
+});
+
+test('generated money puzzles add up', () => {
+    const generator = new MoneyPuzzleGenerator({ currency: dollars, random: seeded(7) });
+
+    for (let i = 0; i < 40; i++) {
+        const counting = generator.generate('counting-money', 'ages7-9', 'medium');
+        if (counting.inputType === 'money') {
+            // Paying exactly: the purse has to hold the price, from the coins on offer
+            const pieces = dollars.breakDown(counting.correctAnswer, counting.denominations);
+            assert.strictEqual(MoneyPuzzleGenerator.sum(pieces), counting.correctAnswer);
+            assert.strictEqual(counting.correctAnswer, counting.price);
+        } else {
+            assert.strictEqual(counting.correctAnswer, MoneyPuzzleGenerator.sum(counting.items));
+        }
+
+        const change = generator.generate('making-change', 'ages10-12', 'hard');
+        assert.strictEqual(change.correctAnswer, change.paid - change.price);
+        assert.ok(change.correctAnswer > 0);
+        if (change.options) {
+            assert.strictEqual(new Set(change.options).size, change.options.length);
+            assert.ok(change.options.includes(change.correctAnswer));
+        }
+    }
+});
+
+test('young children only count coins, and only a few kinds', () => {
+    const generator = new MoneyPuzzleGenerator({ currency: dollars, random: seeded(3) });
+
+    assert.deepStrictEqual(Array.from(generator.getPool('ages4-6', 'easy')), [1]);
+    assert.strictEqual(generator.pickSkill('ages4-6'), 'counting-money');
+    assert.throws(() => generator.generate('budgeting', 'ages7-9'), /Unknown money skill/);
+});
+
+test('a money answer is checked as an amount, however it arrives', () => {
+    const puzzle = new MoneyPuzzle({ id: 'money-test', correctAnswer: 65, currency: 'USD', items: [25, 25, 10, 5] });
+
+    assert.strictEqual(puzzle.checkAnswer('65'), true);
+    assert.strictEqual(puzzle.checkAnswer(60), false);
+    assert.strictEqual(puzzle.formatAnswer(65), '$0.65');
+});
+
+test('change distractors come from counting mistakes', () => {
+    const distractors = DistractorGenerator.forMoney('making-change', { answer: 35, price: 65, paid: 100 }, Infinity);
+    const values = Array.from(distractors, distractor => distractor.value);
+
+    assert.ok(values.length > 0);
+    assert.ok(!values.includes(35));
+    assert.ok(distractors.every(distractor => DistractorGenerator.getMisconception(distractor.misconception)));
+});
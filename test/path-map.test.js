@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { StoryLoader, PathMap } = loadScripts(['story-loader.js', 'path-map.js']);
+
+const gameData = {
+    storyPaths: {
+        dragon: {
+            title: 'The Dragon Path',
+            scenes: [
+                {
+                    id: 'cave',
+                    title: 'The Cave',
+                    choices: [
+                        { text: 'Climb up', next: 'riddle' },
+                        { text: 'Look around', next: 'nest' }
+                    ]
+                },
+                { id: 'nest', title: 'The Nest', next: 'riddle' },
+                { id: 'riddle', type: 'puzzle', title: 'The Riddle', puzzleId: 'math_1', successScene: 'hoard' },
+                { id: 'hoard', title: 'The Hoard' }
+            ]
+        }
+    }
+};
+
+function createMap(gameState = {}) {
+    const game = {
+        storyGraph: new StoryLoader().load(gameData),
+        gameState: {
+            player: { currentPath: 'dragon', currentScene: 'cave' },
+            scenesVisited: ['cave'],
+            puzzleResults: {},
+            ...gameState
+        }
+    };
+    return new PathMap(game);
+}
+
+function statuses(map) {
+    return Object.fromEntries(Array.from(map.nodes, node => [node.id, node.status]));
+}
+
+test('there is no map before a path is chosen', () => {
+    assert.strictEqual(createMap({ player: { currentPath: null } }).buildMap(), null);
+});
+
+test('scenes are laid out by steps from the start of the path', () => {
+    const map = createMap().buildMap();
+    const columns = Object.fromEntries(Array.from(map.nodes, node => [node.id, node.column]));
+
+    assert.strictEqual(map.title, 'The Dragon Path');
+    assert.deepStrictEqual(columns, { cave: 0, riddle: 1, nest: 1, hoard: 2 });
+});
+
+test('branches one step from a visited scene are open to explore', () => {
+    const map = createMap({
+        player: { currentPath: 'dragon', currentScene: 'nest' },
+        scenesVisited: ['cave', 'nest']
+    }).buildMap();
+
+    assert.deepStrictEqual(statuses(map), { cave: 'visited', riddle: 'available', nest: 'current', hoard: 'locked' });
+});
+
+test('a puzzle opens what lies beyond it once it has been played', () => {
+    const gameState = {
+        player: { currentPath: 'dragon', currentScene: 'nest' },
+        scenesVisited: ['cave', 'riddle', 'nest']
+    };
+    assert.strictEqual(statuses(createMap(gameState).buildMap()).hoard, 'locked');
+
+    const puzzleResults = { riddle: { result: 'solved', stars: 3 } };
+    const map = createMap({ ...gameState, puzzleResults }).buildMap();
+    assert.strictEqual(statuses(map).hoard, 'available');
+    assert.strictEqual(map.nodes.find(node => node.id === 'riddle').result.stars, 3);
+});
+
+test('replaying from the map passes the recorded result, so onEnter and stars are not repeated', () => {
+    const pathMap = createMap({ puzzleResults: { riddle: { result: 'solved', stars: 3 } } });
+    const loads = [];
+    // Options are made inside the script context, so copy them out through JSON
+    pathMap.game.loadScene = (sceneId, options) => loads.push(JSON.parse(JSON.stringify({ sceneId, options })));
+
+    pathMap.replayScene('riddle');
+    pathMap.replayScene('nest');
+
+    assert.deepStrictEqual(loads, [
+        { sceneId: 'riddle', options: { replayEntry: { sceneId: 'riddle', puzzleOutcome: { result: 'solved', stars: 3 } } } },
+        { sceneId: 'nest', options: { replayEntry: { sceneId: 'nest', puzzleOutcome: null } } }
+    ]);
+});
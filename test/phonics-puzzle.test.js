@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { PhonicsPuzzleGenerator, PhonicsPuzzle } = loadScripts([
+    'distractor-generator.js',
+    'puzzle-system.js',
+    'phonics-puzzle.js'
+]);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function generateMany(skill, ageGroup, difficulty, count = 40) {
+    const generator = new PhonicsPuzzleGenerator({ random: seeded(17) });
+    return Array.from({ length: count }, () => generator.generate(skill, ageGroup, difficulty));
+}
+
+const DIGRAPHS = ['sh', 'ch', 'ck', 'll', 'x'];
+
+test('blending sounds make the answer and no other option', () => {
+    generateMany('blending', 'ages7-9', 'hard').forEach(puzzle => {
+        assert.strictEqual(puzzle.sounds.join(''), puzzle.answer);
+        assert.ok(puzzle.sounds.length <= 4);
+        assert.strictEqual(puzzle.options.filter(option => option === puzzle.answer).length, 1);
+        assert.strictEqual(puzzle.options.length, 4);
+    });
+});
+
+test('only the answer starts with the sound to listen for', () => {
+    generateMany('initial-sounds', 'ages7-9', 'medium').forEach(puzzle => {
+        assert.ok(puzzle.answer.startsWith(puzzle.sound));
+        puzzle.options
+            .filter(option => option !== puzzle.answer)
+            .forEach(option => assert.ok(!option.startsWith(puzzle.sound), `${option} starts with ${puzzle.sound}`));
+    });
+});
+
+test('only the answer rhymes with the word that is spoken', () => {
+    generateMany('hearing-rhymes', 'ages10-12', 'hard').forEach(puzzle => {
+        const rime = PhonicsPuzzleGenerator.getRime(puzzle.rhymesWith);
+        assert.notStrictEqual(puzzle.answer, puzzle.rhymesWith);
+        assert.strictEqual(PhonicsPuzzleGenerator.getRime(puzzle.answer), rime);
+        puzzle.options
+            .filter(option => option !== puzzle.answer)
+            .forEach(option => assert.notStrictEqual(PhonicsPuzzleGenerator.getRime(option), rime));
+    });
+});
+
+test('the youngest children hear two choices and no two-letter sounds', () => {
+    generateMany('blending', 'ages4-6', 'easy').forEach(puzzle => {
+        assert.strictEqual(puzzle.options.length, 2);
+        assert.ok(!puzzle.sounds.some(sound => DIGRAPHS.includes(sound)), puzzle.answer);
+    });
+    assert.throws(() => new PhonicsPuzzleGenerator().generate('syllables', 'ages4-6'), /Unknown phonics skill/);
+});
+
+test('the prompt says sounds aloud and writes them between slashes', () => {
+    const puzzle = new PhonicsPuzzle({ id: 'phonics-test', subtype: 'blending', sounds: ['c', 'a', 't'], options: ['cat', 'sun'], correctAnswer: 'cat' });
+    const prompt = puzzle.getSoundPrompt();
+
+    assert.strictEqual(prompt.written, '/k/ /a/ /t/');
+    assert.deepStrictEqual(Array.from(prompt.choices), ['cat', 'sun']);
+    assert.strictEqual(PhonicsPuzzle.pronounce('sun'), 'sŭn');
+    assert.strictEqual(PhonicsPuzzle.pronounce('dragon'), null);
+    assert.strictEqual(PhonicsPuzzleGenerator.getRime('ship'), 'ip');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { ReadingPuzzleGenerator, ReadingPuzzle } = loadScripts([
+    'distractor-generator.js',
+    'puzzle-system.js',
+    'reading-puzzle.js'
+]);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+const acorn = {
+    narrator: 'Scout',
+    passage: ['I hid my acorn under a red leaf.', 'Then the wind blew the leaf away.'],
+    questions: [
+        {
+            kind: 'literal',
+            question: 'Where did Scout hide the acorn?',
+            options: ['Under a red leaf', 'By the green door', 'In a teacup'],
+            answer: 'Under a red leaf',
+            distractors: [{ value: 'By the green door', misconception: 'comprehension-wrong-detail' }]
+        },
+        {
+            kind: 'vocabulary',
+            word: 'hid',
+            question: 'What does "hid" mean?',
+            options: ['Put out of sight', 'Ate'],
+            answer: 'Put out of sight'
+        }
+    ]
+};
+
+test('each question is marked on its own, with the misconception behind it', () => {
+    const puzzle = new ReadingPuzzle({ id: 'reading-test', ...acorn });
+    const results = puzzle.getQuestionResults({ q1: 'By the green door', q2: 'put out of sight' });
+
+    assert.deepStrictEqual(Array.from(results, result => [result.id, result.correct, result.misconception]), [
+        ['q1', false, 'comprehension-wrong-detail'],
+        ['q2', true, null]
+    ]);
+    assert.strictEqual(puzzle.checkAnswer({ q1: 'Under a red leaf', q2: 'Put out of sight' }), true);
+    assert.strictEqual(puzzle.checkAnswer({ q1: 'Under a red leaf' }), false);
+});
+
+test('the set\'s answer is read from its questions', () => {
+    assert.deepStrictEqual({ ...ReadingPuzzle.getAnswers(acorn.questions) }, { q1: 'Under a red leaf', q2: 'Put out of sight' });
+    assert.strictEqual(new ReadingPuzzle({ id: 'reading-test', ...acorn }).getCorrectAnswerDisplay(), '1. Under a red leaf; 2. Put out of sight');
+});
+
+test('generated sets ask one question of each allowed kind, in story order', () => {
+    const generator = new ReadingPuzzleGenerator({ random: seeded(13) });
+    const level = ReadingPuzzleGenerator.LEVELS['ages10-12'];
+
+    for (let i = 0; i < 20; i++) {
+        const set = generator.generate('reading-comprehension', 'ages10-12', 'hard');
+        const kinds = Array.from(set.questions, question => question.kind);
+
+        assert.strictEqual(set.questions.length, level.questionCount.hard);
+        level.kinds.hard.forEach(kind => assert.ok(kinds.includes(kind), kind));
+        set.questions.forEach((question, index) => {
+            assert.strictEqual(question.id, `q${index + 1}`);
+            assert.strictEqual(question.options.length, level.optionCount.hard);
+            assert.ok(question.options.includes(question.answer));
+        });
+        assert.ok(new ReadingPuzzle({ id: 'reading-test', ...set }).checkAnswer(set.correctAnswer));
+    }
+});
+
+test('young readers get short sets of detail questions', () => {
+    const set = new ReadingPuzzleGenerator({ random: seeded(2) }).generate('reading-comprehension', 'ages4-6', 'easy');
+
+    assert.strictEqual(set.questions.length, 2);
+    assert.ok(set.questions.every(question => question.kind === 'literal' && question.options.length === 3));
+    assert.throws(() => new ReadingPuzzleGenerator().generate('poetry', 'ages7-9'), /Unknown reading skill/);
+});
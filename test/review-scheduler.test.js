@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { ReviewScheduler } = loadScripts(['review-scheduler.js']);
+
+const NOW = Date.UTC(2024, 0, 1);
+const INTERVALS = ReviewScheduler.BOX_INTERVALS;
+const addition = { puzzleId: 'math_addition_1', subject: 'math', skill: 'addition' };
+const rhyming = { puzzleId: 'language_rhyming_1', subject: 'language', skill: 'rhyming' };
+
+function createScheduler() {
+    return new ReviewScheduler(ReviewScheduler.createState());
+}
+
+test('a solved puzzle that was never missed is not queued', () => {
+    const scheduler = createScheduler();
+
+    assert.strictEqual(scheduler.record(addition, 'solved', NOW), null);
+    assert.strictEqual(scheduler.getItems().length, 0);
+});
+
+test('a missed puzzle goes into the first box', () => {
+    const scheduler = createScheduler();
+    const item = scheduler.record(addition, 'failed', NOW);
+
+    assert.strictEqual(item.key, 'math/addition/math_addition_1');
+    assert.strictEqual(item.box, 1);
+    assert.strictEqual(item.due, NOW + INTERVALS[0]);
+    assert.strictEqual(item.lastResult, 'failed');
+});
+
+test('each solve moves a puzzle up a box until it retires', () => {
+    const scheduler = createScheduler();
+    scheduler.record(addition, 'skipped', NOW);
+
+    for (let box = 2; box <= INTERVALS.length; box++) {
+        const item = scheduler.record(addition, 'solved', NOW);
+        assert.strictEqual(item.box, box);
+        assert.strictEqual(item.due, NOW + INTERVALS[box - 1]);
+    }
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        assert.strictEqual(scheduler.record(addition, 'solved', NOW), null);
+    } finally {
+        console.log = log;
+    }
+    assert.strictEqual(scheduler.getItems().length, 0);
+});
+
+test('a miss sends a puzzle back to the first box', () => {
+    const scheduler = createScheduler();
+    scheduler.record(addition, 'failed', NOW);
+    scheduler.record(addition, 'solved', NOW);
+    scheduler.record(addition, 'solved', NOW);
+
+    const item = scheduler.record(addition, 'failed', NOW);
+    assert.strictEqual(item.box, 1);
+    assert.strictEqual(item.reviews, 3);
+});
+
+test('due puzzles come lowest box first, then longest overdue', () => {
+    const scheduler = createScheduler();
+    scheduler.record(addition, 'failed', NOW);
+    scheduler.record(addition, 'solved', NOW);
+    scheduler.record(rhyming, 'failed', NOW + 1000);
+
+    assert.deepStrictEqual(Array.from(scheduler.getDueItems(NOW), item => item.puzzleId), []);
+    assert.deepStrictEqual(Array.from(scheduler.getDueItems(NOW + 2 * INTERVALS[1]), item => item.puzzleId),
+        ['language_rhyming_1', 'math_addition_1']);
+});
+
+test('a review session tops up with puzzles that are not due yet', () => {
+    const scheduler = createScheduler();
+    scheduler.record(addition, 'failed', NOW);
+    scheduler.record(rhyming, 'failed', NOW + INTERVALS[0]);
+
+    assert.deepStrictEqual(Array.from(scheduler.getSessionItems(5, NOW + INTERVALS[0]), item => item.puzzleId),
+        ['math_addition_1', 'language_rhyming_1']);
+    assert.strictEqual(scheduler.getSessionItems(1, NOW).length, 1);
+});
+
+test('reviews are woven in only every few story puzzles', () => {
+    const scheduler = createScheduler();
+    assert.strictEqual(scheduler.isReviewTurn(), true);
+
+    scheduler.countReview();
+    assert.strictEqual(scheduler.isReviewTurn(), false);
+
+    scheduler.countPuzzle();
+    scheduler.countPuzzle();
+    assert.strictEqual(scheduler.isReviewTurn(), true);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { SeededRandom } = loadScripts(['seeded-random.js']);
+
+const CODE_PATTERN = /^[ABCDEFGHJKMNPQRTUVWXYZ2346789]{4}-[ABCDEFGHJKMNPQRTUVWXYZ2346789]{4}$/;
+
+function draw(seed, count) {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: count }, () => random.next());
+}
+
+test('the same seed gives the same numbers', () => {
+    assert.deepStrictEqual(draw('RUBY-7K3Q-1', 5), draw('RUBY-7K3Q-1', 5));
+    assert.notDeepStrictEqual(draw('RUBY-7K3Q-1', 5), draw('RUBY-7K3Q-2', 5));
+    draw('any seed', 100).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('set codes are eight readable characters in two groups', () => {
+    for (let i = 0; i < 50; i++) {
+        assert.match(SeededRandom.createSetCode(), CODE_PATTERN);
+    }
+    assert.strictEqual(SeededRandom.createSetCode(new SeededRandom('a').next), SeededRandom.createSetCode(new SeededRandom('a').next));
+});
+
+test('typed set codes are tidied or rejected', () => {
+    assert.strictEqual(SeededRandom.formatSetCode('ruby 7k3q'), 'RUBY-7K3Q');
+    assert.strictEqual(SeededRandom.formatSetCode('RUBY7K3Q'), 'RUBY-7K3Q');
+    assert.strictEqual(SeededRandom.formatSetCode('RUBY-7K3'), null);
+    assert.strictEqual(SeededRandom.formatSetCode('RUBY-7K30'), null);
+    assert.strictEqual(SeededRandom.formatSetCode('RUBI-7K3Q'), null);
+    assert.strictEqual(SeededRandom.formatSetCode(null), null);
+});
+
+test('a set code always stands for the same difficulty and age group', () => {
+    const profile = SeededRandom.getSetProfile('RUBY-7K3Q');
+
+    assert.deepStrictEqual({ ...SeededRandom.getSetProfile('ruby 7k3q') }, { ...profile });
+    assert.ok(SeededRandom.SET_PROFILES.some(option =>
+        option.difficulty === profile.difficulty && option.ageGroup === profile.ageGroup));
+});
+
+test('set codes can be drawn for a chosen difficulty and age group', () => {
+    const random = new SeededRandom('classroom').next;
+
+    SeededRandom.SET_PROFILES.forEach(({ difficulty, ageGroup }) => {
+        const code = SeededRandom.createSetCode(random, { difficulty, ageGroup });
+        const profile = SeededRandom.getSetProfile(code);
+
+        assert.match(code, CODE_PATTERN);
+        assert.strictEqual(profile.difficulty, difficulty);
+        assert.strictEqual(profile.ageGroup, ageGroup);
+    });
+});
+
+test('puzzle and review seeds are numbered apart', () => {
+    assert.strictEqual(SeededRandom.getPuzzleSeed('RUBY-7K3Q', 3), 'RUBY-7K3Q-3');
+    assert.strictEqual(SeededRandom.getReviewSeed('RUBY-7K3Q', 3), 'RUBY-7K3Q-R3');
+});
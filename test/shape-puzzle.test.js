@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { ShapeFigure, ShapeGrid, ShapePuzzleGenerator, ShapePuzzle } = loadScripts([
+    'distractor-generator.js',
+    'puzzle-system.js',
+    'shape-puzzle.js'
+]);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+const SIDES = { triangle: 3, square: 4, rectangle: 4, rhombus: 4, trapezoid: 4, parallelogram: 4, pentagon: 5, hexagon: 6, octagon: 8 };
+
+test('sides and corners puzzles count the shape they draw', () => {
+    const generator = new ShapePuzzleGenerator({ random: seeded(11) });
+
+    for (let i = 0; i < 40; i++) {
+        const puzzle = generator.generate('sides-and-corners', 'ages7-9', 'hard');
+        assert.strictEqual(puzzle.correctAnswer, SIDES[puzzle.shape]);
+        assert.ok(puzzle.options.includes(puzzle.correctAnswer));
+        assert.strictEqual(new Set(puzzle.options).size, puzzle.options.length);
+    }
+});
+
+test('rectangles measure their area and perimeter', () => {
+    const generator = new ShapePuzzleGenerator({ random: seeded(5) });
+
+    ['area', 'perimeter'].forEach(measure => {
+        const { correctAnswer, rectangle } = generator.buildMeasure(measure, 'ages10-12', 'medium');
+        const { width, height } = rectangle;
+        assert.strictEqual(correctAnswer, measure === 'area' ? width * height : 2 * (width + height));
+    });
+});
+
+test('a mirror picture is answered by the flipped copy of its left half', () => {
+    const generator = new ShapePuzzleGenerator({ random: seeded(9) });
+    const { correctAnswer, grid } = generator.buildMirrorPicture('ages7-9', 'medium');
+    const answer = correctAnswer.split(' ').map(Number);
+
+    assert.strictEqual(answer.length, grid.fixed.length);
+    grid.fixed.forEach(index => {
+        const row = Math.floor(index / grid.cols);
+        const col = index % grid.cols;
+        assert.ok(answer.includes(row * grid.cols + grid.cols - 1 - col), `no partner for square ${index}`);
+    });
+    assert.deepStrictEqual(Array.from(ShapeGrid.getEditableCells(2, 4, new Set([0]), true)), [2, 3, 6, 7]);
+});
+
+test('shape answers are checked as numbers, or names in any case', () => {
+    const named = new ShapePuzzle({ id: 'shape-test', correctAnswer: 'Hexagon', options: ['Hexagon', 'Pentagon'] });
+    assert.strictEqual(named.checkAnswer(' hexagon '), true);
+    assert.strictEqual(named.checkAnswer('pentagon'), false);
+
+    const area = new ShapePuzzle({ id: 'shape-test', correctAnswer: 12, measure: 'area', rectangle: { width: 3, height: 4 } });
+    assert.strictEqual(area.checkAnswer('12'), true);
+    assert.strictEqual(area.formatAnswer(12), '12 squares');
+});
+
+test('shapes are drawn and described without giving their name away', () => {
+    assert.strictEqual(ShapeFigure.getPoints('hexagon').length, 6);
+    assert.strictEqual(ShapeFigure.getPoints('circle').length, 0);
+    assert.strictEqual(ShapeFigure.describe('triangle'), 'A shape with 3 straight sides and 3 corners');
+    assert.ok(!ShapeFigure.renderSVG('triangle').includes('triangle'));
+    assert.throws(() => new ShapePuzzleGenerator().generate('tessellation', 'ages7-9'), /Unknown shape skill/);
+});
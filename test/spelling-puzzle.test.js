@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { LetterTiles, SpellingPuzzleGenerator, SpellingPuzzle, DistractorGenerator } = loadScripts([
+    'distractor-generator.js',
+    'puzzle-system.js',
+    'spelling-puzzle.js'
+]);
+
+// Repeatable random numbers so a failure can be replayed
+function seeded(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+test('each letter of an attempt is marked against the word', () => {
+    assert.deepStrictEqual(Array.from(LetterTiles.compareLetters('SHEP', 'sheep')), ['correct', 'correct', 'correct', 'wrong', 'missing']);
+    assert.deepStrictEqual(Array.from(LetterTiles.compareLetters('c t', 'cat')), ['correct', 'missing', 'correct']);
+});
+
+test('generated words come from the patterns the age group is learning', () => {
+    const generator = new SpellingPuzzleGenerator({ random: seeded(21) });
+    const patterns = SpellingPuzzleGenerator.LEVELS['ages7-9'].patterns.hard;
+
+    for (let i = 0; i < 30; i++) {
+        const puzzle = generator.generate('spelling', 'ages7-9', 'hard');
+        assert.ok(patterns.includes(puzzle.pattern), puzzle.pattern);
+        assert.strictEqual(puzzle.inputType, 'spelling');
+        assert.ok(puzzle.sentence.toLowerCase().includes(puzzle.correctAnswer), puzzle.correctAnswer);
+    }
+    assert.throws(() => generator.generate('handwriting', 'ages7-9'), /Unknown spelling skill/);
+});
+
+test('the tray holds the word\'s letters plus extras, never already in order', () => {
+    const generator = new SpellingPuzzleGenerator({ random: seeded(4) });
+
+    for (let i = 0; i < 20; i++) {
+        const tiles = Array.from(generator.makeTiles('ship', 2));
+        assert.strictEqual(tiles.length, 6);
+        ['s', 'h', 'i', 'p'].forEach(letter => assert.ok(tiles.includes(letter)));
+        assert.ok(!tiles.join('').startsWith('ship'));
+    }
+});
+
+test('misspellings are the ones children make', () => {
+    const spell = word => Array.from(DistractorGenerator.forSpelling({ answer: word }, Infinity), ({ value, misconception }) => [value, misconception]);
+
+    assert.deepStrictEqual(spell('station')[0], ['stashun', 'spelling-sounded-out']);
+    assert.ok(spell('cake').some(([value, misconception]) => value === 'cak' && misconception === 'spelling-dropped-silent-e'));
+    assert.ok(spell('running').some(([value]) => value === 'runing'));
+    assert.deepStrictEqual(spell('two words'), []);
+});
+
+test('a spelling is checked whatever its capitals, and the sentence hides the word', () => {
+    const puzzle = new SpellingPuzzle({
+        id: 'spelling-test',
+        correctAnswer: 'moon',
+        sentence: 'The Moon lights the tower.'
+    });
+
+    assert.strictEqual(puzzle.checkAnswer(' MOON '), true);
+    assert.strictEqual(puzzle.checkAnswer('mon'), false);
+    assert.strictEqual(puzzle.getBlankedSentence(), 'The _____ lights the tower.');
+    assert.strictEqual(puzzle.letters.length, 4);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { StoryLoader } = loadScripts(['story-loader.js']);
+
+const gameData = {
+    storyPaths: {
+        dragon: {
+            title: 'The Dragon Path',
+            scenes: [
+                { id: 'cave', title: 'The Cave', text: 'A warm glow.' },
+                { id: 'riddle', type: 'puzzle', puzzleId: 'math_1', successScene: 'hoard', failureScene: 'cave' },
+                { id: 'hoard', text: 'Treasure!' }
+            ]
+        }
+    }
+};
+
+test('legacy scene fields are read into the unified shape', () => {
+    const scene = new StoryLoader().load({
+        gate: { title: 'The Gate', nextScene: 'hall', choices: [{ text: 'Knock', nextScene: 'hall' }] }
+    }, 'scenes.js').getScene('gate');
+
+    assert.strictEqual(scene.id, 'gate');
+    assert.strictEqual(scene.type, 'story');
+    assert.strictEqual(scene.next, 'hall');
+    assert.strictEqual(scene.choices[0].next, 'hall');
+    assert.strictEqual(scene.maxAttempts, 3);
+});
+
+test('gameData paths keep their order and continue along it', () => {
+    const storyGraph = new StoryLoader().load(gameData, 'gameData.json');
+
+    assert.deepStrictEqual(Array.from(storyGraph.getPath('dragon').scenes), ['cave', 'riddle', 'hoard']);
+    assert.strictEqual(storyGraph.getScene('cave').path, 'dragon');
+    assert.strictEqual(storyGraph.getNextSceneId('cave'), 'riddle');
+    assert.strictEqual(storyGraph.getNextSceneId('hoard'), StoryLoader.PATH_END);
+    assert.strictEqual(StoryLoader.isPathEnd(storyGraph.getNextSceneId('hoard')), true);
+});
+
+test('puzzle scenes link by outcome instead of path order', () => {
+    const riddle = new StoryLoader().load(gameData).getScene('riddle');
+
+    assert.strictEqual(riddle.next, null);
+    assert.strictEqual(riddle.success, 'hoard');
+    assert.strictEqual(riddle.failure, 'cave');
+});
+
+test('an exported graph loads back as a schema document', () => {
+    const exported = JSON.parse(JSON.stringify(new StoryLoader().load(gameData).toJSON()));
+    const storyGraph = new StoryLoader().load(exported, 'story.json');
+
+    assert.strictEqual(exported.schemaVersion, StoryLoader.SCHEMA_VERSION);
+    assert.strictEqual(storyGraph.getScene('hoard').text, 'Treasure!');
+    assert.strictEqual(storyGraph.getNextSceneId('cave'), 'riddle');
+});
+
+test('unusable sources are rejected', () => {
+    assert.throws(() => new StoryLoader().load(null), /is empty/);
+    assert.throws(() => new StoryLoader().load({ schemaVersion: StoryLoader.SCHEMA_VERSION + 1 }), /newer than supported/);
+    assert.throws(() => new StoryLoader().load({ schemaVersion: 1, scenes: { '': { id: '' } } }), /without an id/);
+});
+
+test('a later source replaces a scene with the same id', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const storyGraph = new StoryLoader()
+            .load({ cave: { text: 'Old text' } })
+            .load(gameData);
+        assert.strictEqual(storyGraph.getScene('cave').text, 'A warm glow.');
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+const gameData = require('../assets/data/gameData.json');
+
+const { STORY_SCENES, StoryLoader, StoryValidator } = loadScripts([
+    'scenes.js',
+    'puzzle-router.js',
+    'story-loader.js',
+    'story-variables.js',
+    'scene-actions.js',
+    'story-validator.js'
+]);
+
+function validate(sceneMap, options = {}) {
+    return new StoryValidator(new StoryLoader().load(sceneMap), options).validate();
+}
+
+// Arrays made inside the script context aren't deepStrictEqual to ours, so copy them out
+function codes(issues) {
+    return Array.from(issues, issue => `${issue.code}:${issue.sceneId}`);
+}
+
+const puzzle = {
+    subject: 'math',
+    skill: 'addition',
+    standard: '1.OA.C.6',
+    question: 'What is 2 + 3?',
+    answer: 5,
+    options: [4, 5, 6]
+};
+
+test('the shipped story graph has no errors', () => {
+    const storyGraph = new StoryLoader()
+        .load(STORY_SCENES, 'scenes.js')
+        .load(gameData, 'gameData.json');
+    const report = new StoryValidator(storyGraph, {
+        puzzles: gameData.puzzles,
+        characters: gameData.characters,
+        achievements: gameData.achievements
+    }).validate();
+
+    assert.deepStrictEqual(codes(report.errors), []);
+});
+
+test('a complete story is valid', () => {
+    const report = validate({
+        start: { type: 'story', text: 'Hello!', choices: [{ text: 'Go', next: 'sum' }] },
+        sum: { type: 'puzzle', text: 'Add them up', puzzle, success: 'done' },
+        done: { type: 'celebration', text: 'Well done!', choices: [{ text: 'Again', next: 'start' }] }
+    });
+
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.sceneCount, 3);
+});
+
+test('links to missing scenes are errors', () => {
+    const report = validate({
+        start: { type: 'story', text: 'Hello!', choices: [{ text: 'Go', next: 'nowhere' }] }
+    });
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(codes(report.errors), ['dangling-link:start']);
+});
+
+test('scenes nobody can leave are errors', () => {
+    const report = validate({
+        start: { type: 'story', text: 'Hello!', choices: [{ text: 'Go', next: 'stuck' }] },
+        stuck: { type: 'story', text: 'There is no way out.' }
+    });
+
+    assert.deepStrictEqual(codes(report.errors), ['dead-end:stuck']);
+});
+
+test('scenes no entry scene leads to are warnings', () => {
+    const report = validate({
+        start: { type: 'story', text: 'Hello!', choices: [{ text: 'Again', next: 'start' }] },
+        island: { type: 'story', text: 'Nobody comes here.', choices: [{ text: 'Back', next: 'start' }] }
+    });
+
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(codes(report.warnings), ['unreachable-scene:island']);
+});
+
+test('puzzles must declare their subject, skill and standard', () => {
+    const { standard, ...withoutStandard } = puzzle;
+    const report = validate({
+        start: { type: 'puzzle', text: 'Add them up', puzzle: withoutStandard, success: 'start' }
+    });
+
+    assert.deepStrictEqual(codes(report.errors), ['missing-puzzle-metadata:start']);
+});
+
+test('a puzzle answer must be one of its options', () => {
+    const report = validate({
+        start: { type: 'puzzle', text: 'Add them up', puzzle: { ...puzzle, options: [4, 6, 7] }, success: 'start' }
+    });
+
+    assert.deepStrictEqual(codes(report.errors), ['answer-not-in-options:start']);
+});
+
+test('free-input puzzles need no options', () => {
+    const { options, ...typed } = puzzle;
+    const report = validate({
+        start: { type: 'puzzle', text: 'Add them up', puzzle: { ...typed, inputType: 'number' }, success: 'start' }
+    });
+
+    assert.strictEqual(report.valid, true);
+});
+
+test('conditions that do not parse are reported', () => {
+    const report = validate({
+        start: { type: 'story', text: 'Hello!', choices: [{ text: 'Go', next: 'start', condition: 'stars >=' }] }
+    });
+
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(Array.from(report.errors, issue => issue.sceneId), ['start']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const loadScripts = require('../scripts/load-scripts.js');
+
+const { StoryVariables } = loadScripts(['story-variables.js']);
+
+function check(condition, variables = {}) {
+    return StoryVariables.compile(condition)(name => variables[name]);
+}
+
+function createStory(storyVariables = {}) {
+    return new StoryVariables({
+        gameState: {
+            storyVariables,
+            player: { character: 'dragon', difficulty: 'easy', name: 'Mia' },
+            progress: { stars: 7, puzzlesSolved: 3, pathsCompleted: ['dragon'] }
+        },
+        getCompanion: () => ({ name: 'Ruby the Dragon' })
+    });
+}
+
+test('bare names are truthy checks and ! negates them', () => {
+    assert.strictEqual(check('metOwl', { metOwl: true }), true);
+    assert.strictEqual(check('metOwl', {}), undefined);
+    assert.strictEqual(check('!metOwl', {}), true);
+    assert.strictEqual(check('!!metOwl', { metOwl: 1 }), true);
+});
+
+test('numbers compare with every operator', () => {
+    const variables = { gemsFound: 2 };
+
+    assert.strictEqual(check('gemsFound == 2', variables), true);
+    assert.strictEqual(check('gemsFound != 2', variables), false);
+    assert.strictEqual(check('gemsFound > 1', variables), true);
+    assert.strictEqual(check('gemsFound >= 3', variables), false);
+    assert.strictEqual(check('gemsFound < 2.5', variables), true);
+    assert.strictEqual(check('gemsFound <= 1', variables), false);
+});
+
+test('strings may use single or double quotes', () => {
+    assert.strictEqual(check("character == 'dragon'", { character: 'dragon' }), true);
+    assert.strictEqual(check('character == "wizard"', { character: 'dragon' }), false);
+    assert.strictEqual(check("'a b' == name", { name: 'a b' }), true);
+});
+
+test('&& binds tighter than || and parentheses group', () => {
+    const variables = { a: true, b: false, c: true };
+
+    assert.strictEqual(check('a || b && false', variables), true);
+    assert.strictEqual(check('(a || b) && false', variables), false);
+    assert.strictEqual(check('!(b || !c)', variables), true);
+    assert.strictEqual(check('b == false && c == true', variables), true);
+});
+
+test('malformed conditions throw instead of guessing', () => {
+    ['stars >=', '(metOwl', 'metOwl)', 'a && && b', 'stars = 5', 'gems # 2'].forEach(condition => {
+        assert.throws(() => StoryVariables.compile(condition), condition);
+    });
+});
+
+test('conditions read story variables before built-in values', () => {
+    const story = createStory({ stars: 1, metOwl: true });
+
+    assert.strictEqual(story.evaluate('metOwl && stars == 1'), true);
+    assert.strictEqual(createStory().evaluate('stars >= 5 && pathsCompleted == 1'), true);
+    assert.strictEqual(createStory().evaluate("character == 'dragon'"), true);
+});
+
+test('an invalid condition hides its item rather than breaking the scene', () => {
+    const story = createStory();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.strictEqual(story.evaluate('stars >='), false);
+        assert.strictEqual(story.isAvailable({ condition: 'stars >=' }), false);
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(story.isAvailable({}), true);
+});
+
+test('set and add change story variables', () => {
+    const storyVariables = {};
+    const story = createStory(storyVariables);
+    story.applyChanges({ set: { metOwl: true }, add: { gemsFound: 2 } });
+    story.applyChanges({ add: { gemsFound: 1 } });
+
+    assert.deepStrictEqual(storyVariables, { metOwl: true, gemsFound: 3 });
+});